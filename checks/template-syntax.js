@@ -1,8 +1,18 @@
-import { readFileSync, readdirSync } from "node:fs";
+import { existsSync, readFileSync, readdirSync } from "node:fs";
 import { join, relative } from "node:path";
 import {
+    collectVarPaths,
+    DIRECTIVE_REGEX,
+    eventHandlerFromAST,
     extractOpeningTags,
+    findElseBranches,
+    findInterpolations,
     findMatchingClose,
+    INCLUDE_TAG_REGEX,
+    modelPathFromAST,
+    parseAttributes,
+    rawHtmlExpression,
+    SLOT_TAG_REGEX,
 } from "../src/template-parser.js";
 import fusewireExpr from "../src/parser/fusewire-expr.js";
 
@@ -27,6 +37,52 @@ function findHtmlFiles(dir) {
     return files;
 }
 
+/**
+ * Find getter-like path segments (show*, is*, has*) that lack the "$" prefix.
+ * @param {object} ast - Parsed expression AST
+ * @returns {Array.<string>} Offending path segments
+ */
+function findUnprefixedGetters(ast) {
+    const offending = [];
+    for (const path of collectVarPaths(ast)) {
+        for (const part of path.split(".")) {
+            if (/^(?:show|is|has)[A-Z]/.test(part)) {
+                offending.push(part);
+            }
+        }
+    }
+    return offending;
+}
+
+/**
+ * Find fw-else-if / fw-else elements that do not directly follow an fw-if
+ * element or another branch of its chain.
+ * @param {string} content - HTML content
+ * @returns {Array.<{index: number, tag: string, directive: string}>} Orphan branches
+ */
+function findOrphanElseBranches(content) {
+    const chained = new Set();
+    const elseTags = [];
+    const directiveRegex = new RegExp(DIRECTIVE_REGEX.source, "gi");
+    let match;
+    while ((match = directiveRegex.exec(content)) !== null) {
+        const tag = match[1];
+        const directive = match[3].toLowerCase();
+        if (directive === "fw-else" || directive === "fw-else-if") {
+            elseTags.push({ index: match.index, tag, directive });
+        }
+        if (directive !== "fw-if") continue;
+        const contentStart = match.index + match[0].length;
+        const closeIndex = findMatchingClose(content, tag, contentStart);
+        if (closeIndex === -1) continue;
+        const elementEnd = closeIndex + `</${tag}>`.length;
+        for (const branch of findElseBranches(content, elementEnd)) {
+            chained.add(branch.start);
+        }
+    }
+    return elseTags.filter(({ index }) => !chained.has(index));
+}
+
 /**
  * Validate template directive syntax in component HTML files.
  *
@@ -36,17 +92,43 @@ function findHtmlFiles(dir) {
  *
  * Rules:
  *
- *   Rule 1 — fw-each expression syntax: must follow "item in collection".
+ *   Rule 1 — fw-each expression syntax: must follow "item in collection" or
+ *           "item, index in collection".
  *
- *   Rule 2 — Unclosed directive tags: elements with fw-if or fw-each must have matching closing tags.
+ *   Rule 2 — Unclosed directive tags: elements with fw-if, fw-else-if, fw-else or fw-each
+ *           must have matching closing tags.
  *
- *   Rule 3 — fw-if expression syntax: must be a valid FuseWire expression.
+ *   Rule 3 — fw-if and fw-else-if expression syntax: must be a valid FuseWire expression
+ *           (variable paths, literals, comparisons, && / || / ! and parentheses).
  *
  *   Rule 4 — Interpolation syntax: ((...)) must contain valid FuseWire expressions.
  *
  *   Rule 5 — Getter prefix convention: variables starting with show, is, or has
  *           must have a $ prefix (e.g. $isVisible) to avoid confusion with globals.
  *
+ *   Rule 6 — Orphan branches: fw-else-if and fw-else must be on the element that
+ *           directly follows an fw-if or fw-else-if sibling (only whitespace between).
+ *
+ *   Rule 7 — fw-on handler syntax: fw-on:event must name a component method,
+ *           optionally called with expression arguments (e.g. "remove(item.id)").
+ *
+ *   Rule 8 — fw-model binding: fw-model must be a writable variable path
+ *           (e.g. "user.name"), not an expression, $getter or `this`.
+ *
+ *   Rule 9 — fw-attr and fw-class bindings: values must be valid FuseWire
+ *           expressions, and fw-attr cannot bind on* event handler attributes.
+ *
+ *   Rule 10 — Slot elements: <fw-slot> and <fw-slot-outlet> must be closed, and
+ *           <fw-slot> needs a for attribute with a valid FuseWire expression
+ *           naming the child component.
+ *
+ *   Rule 11 — Includes: <fw-include> needs a src naming a partial file in the
+ *           component directory, and its with attribute must be a valid
+ *           FuseWire expression.
+ *
+ *   Rule 12 — fw-key: the key must be a valid FuseWire expression, and the
+ *           element cannot have its own id, which fw-key renders.
+ *
  * @param {string} componentDir - Absolute path to scan
  * @param {import('./index.js').CheckConfig} _config - Config
  * @returns {Array.<import('./index.js').CheckViolation>} Violations
@@ -62,9 +144,12 @@ export function check(componentDir, _config) {
 
         for (const { line, tag, attrs } of openingTags) {
             const eachAttr = attrs.find((a) => a.name === "fw-each");
-            const ifAttr = attrs.find((a) => a.name === "fw-if");
+            const ifAttr = attrs.find(
+                (a) => a.name === "fw-if" || a.name === "fw-else-if",
+            );
+            const elseAttr = attrs.find((a) => a.name === "fw-else");
 
-            // Rule 1: fw-each expression must match "item in collection"
+            // Rule 1: fw-each expression must match "item in collection" or "item, index in collection"
             if (eachAttr && eachAttr.value) {
                 const expr = eachAttr.value;
                 try {
@@ -78,45 +163,145 @@ export function check(componentDir, _config) {
                         message:
                             `${label}:${line} <${tag}> has invalid fw-each syntax: "${expr}"\n` +
                             `Parser error: ${e.message}\n` +
-                            'fw-each requires the format: fw-each="itemName in collectionPath"',
+                            'fw-each requires the format: fw-each="itemName in collectionPath" or fw-each="itemName, indexName in collectionPath"\n' +
+                            "The collection may be piped through filters (e.g. \"item in items | myFilter:3\").",
+                    });
+                }
+            }
+
+            // Rule 7: fw-on handlers must be a method name or call
+            for (const onAttr of attrs.filter((a) => a.name.startsWith("fw-on:"))) {
+                const expr = onAttr.value.trim();
+                let message = null;
+                try {
+                    if (!eventHandlerFromAST(fusewireExpr.parse(expr))) {
+                        message = "Expression is not a method name or call";
+                    }
+                } catch (e) {
+                    message = e.message;
+                }
+                if (message) {
+                    violations.push({
+                        file,
+                        message:
+                            `${label}:${line} <${tag}> has invalid ${onAttr.name} handler: "${expr}"\n` +
+                            `Parser error: ${message}\n` +
+                            `${onAttr.name} takes a component method name (fw-on:click="save") or a call\n` +
+                            'whose arguments are template expressions (fw-on:click="remove(item.id)").',
+                    });
+                }
+            }
+
+            // Rule 8: fw-model must be a writable variable path
+            const modelAttr = attrs.find((a) => a.name === "fw-model");
+            if (modelAttr) {
+                const expr = modelAttr.value.trim();
+                let message = null;
+                try {
+                    if (!modelPathFromAST(fusewireExpr.parse(expr))) {
+                        message = "Expression is not a writable variable path";
+                    }
+                } catch (e) {
+                    message = e.message;
+                }
+                if (message) {
+                    violations.push({
+                        file,
+                        message:
+                            `${label}:${line} <${tag}> has invalid fw-model binding: "${expr}"\n` +
+                            `Parser error: ${message}\n` +
+                            'fw-model takes a variable path the field writes to (fw-model="user.name"),\n' +
+                            "not an expression, a $getter or this.",
+                    });
+                }
+            }
+
+            // Rule 9: fw-attr / fw-class values must be valid expressions
+            const bindingAttrs = attrs.filter(
+                (a) => a.name.startsWith("fw-attr:") || a.name === "fw-class" || a.name.startsWith("fw-class:"),
+            );
+            for (const bindingAttr of bindingAttrs) {
+                const expr = bindingAttr.value.trim();
+                let message = null;
+                if (/^fw-attr:on/i.test(bindingAttr.name)) {
+                    message = "Event handler attributes cannot be bound; use fw-on";
+                } else {
+                    try {
+                        fusewireExpr.parse(expr);
+                    } catch (e) {
+                        message = e.message;
+                    }
+                }
+                if (message) {
+                    violations.push({
+                        file,
+                        message:
+                            `${label}:${line} <${tag}> has invalid ${bindingAttr.name} binding: "${expr}"\n` +
+                            `Parser error: ${message}\n` +
+                            "fw-attr:name and fw-class:name take an expression (fw-attr:disabled=\"isBusy\"),\n" +
+                            "fw-class an object of class names to conditions (fw-class=\"{ active: selected }\").",
+                    });
+                }
+            }
+
+            // Rule 12: fw-key must be a valid expression on an element without an id
+            const keyAttr = attrs.find((a) => a.name === "fw-key");
+            if (keyAttr) {
+                const expr = keyAttr.value.trim();
+                let message = null;
+                if (attrs.some((a) => a.name === "id")) {
+                    message = "fw-key renders the element's id; remove the id attribute";
+                } else {
+                    try {
+                        fusewireExpr.parse(expr);
+                    } catch (e) {
+                        message = e.message;
+                    }
+                }
+                if (message) {
+                    violations.push({
+                        file,
+                        message:
+                            `${label}:${line} <${tag}> has invalid fw-key: "${expr}"\n` +
+                            `Parser error: ${message}\n` +
+                            "fw-key takes an expression naming the item's stable key (fw-key=\"row.id\").",
                     });
                 }
             }
 
-            // Rule 3: fw-if expression must be valid
+            // Rule 3: fw-if / fw-else-if expression must be valid
             if (ifAttr && ifAttr.value) {
+                const directive = ifAttr.name;
                 const expr = ifAttr.value.trim();
+                let ast = null;
                 try {
-                    fusewireExpr.parse(expr);
+                    ast = fusewireExpr.parse(expr);
                 } catch (e) {
                     violations.push({
                         file,
                         message:
-                            `${label}:${line} <${tag}> has invalid fw-if syntax: "${expr}"\n` +
+                            `${label}:${line} <${tag}> has invalid ${directive} syntax: "${expr}"\n` +
                             `Parser error: ${e.message}\n` +
-                            'fw-if only accepts boolean variable paths (e.g., "isVisible", "!user.isLoggedIn").\n' +
-                            "It does NOT evaluate JavaScript expressions like === or >.",
+                            `${directive} accepts variable paths, literals (strings, numbers, true, false, null),\n` +
+                            "comparisons (==, !=, <, <=, >, >=), &&, ||, !, parentheses, filters (value | name:arg) and t().\n" +
+                            "It does NOT evaluate JavaScript operators like === or arithmetic.",
                     });
                 }
 
                 // Rule 5: Getters must start with $
-                const baseVar = expr.startsWith("!") ? expr.slice(1) : expr;
-                const pathParts = baseVar.split(".");
-                for (const part of pathParts) {
-                    if (/^(?:show|is|has)[A-Z]/.test(part)) {
-                        violations.push({
-                            file,
-                            message:
-                                `${label}:${line} <${tag} fw-if="${expr}"> uses a calculated variable "${part}" without the required "$" prefix.\n` +
-                                `Convention: all getters (calculated variables) used in templates must start with $ to avoid confusion with global variables.`,
-                        });
-                    }
+                for (const part of findUnprefixedGetters(ast)) {
+                    violations.push({
+                        file,
+                        message:
+                            `${label}:${line} <${tag} ${directive}="${expr}"> uses a calculated variable "${part}" without the required "$" prefix.\n` +
+                            `Convention: all getters (calculated variables) used in templates must start with $ to avoid confusion with global variables.`,
+                    });
                 }
             }
 
             // Rule 2: directive elements must have matching closing tags
-            if (eachAttr || ifAttr) {
-                const directive = eachAttr ? "fw-each" : "fw-if";
+            if (eachAttr || ifAttr || elseAttr) {
+                const directive = (eachAttr ?? ifAttr ?? elseAttr).name;
                 const tagRegex = new RegExp(`<${tag}(?:\\s[^>]*)?>`, "gi");
                 // Find the specific opening tag occurrence at this line
                 const lines = content.split("\n");
@@ -149,46 +334,114 @@ export function check(componentDir, _config) {
             }
         }
 
-        // Rule 4: Interpolations must be valid expressions
-        const linesContent = content.split("\n");
-        for (let i = 0; i < linesContent.length; i++) {
-            const lineNum = i + 1;
-            const lineContent = linesContent[i];
-            const regex = /\(\((.*?)\)\)/g;
-            let match;
-            while ((match = regex.exec(lineContent)) !== null) {
-                const path = match[1].trim();
-                if (
-                    !path ||
-                    path === "this" ||
-                    path === "componentId" ||
-                    path === "componentName" ||
-                    path === "componentVersion"
-                )
-                    continue;
+        // Rule 6: fw-else-if / fw-else must follow an fw-if chain
+        for (const { index, tag, directive } of findOrphanElseBranches(content)) {
+            const lineNum = content.substring(0, index).split("\n").length;
+            violations.push({
+                file,
+                message:
+                    `${label}:${lineNum} <${tag} ${directive}> does not follow an fw-if element.\n` +
+                    `${directive} must be on the element directly after an element with fw-if or fw-else-if;\n` +
+                    "only whitespace may separate them. The compiler renders an orphan branch unconditionally.\n" +
+                    `Fix: move the ${directive} element right after its fw-if sibling, or use fw-if.`,
+            });
+        }
+
+        // Rule 10: slot elements must be closed; fw-slot needs a valid for expression
+        const slotTagRegex = new RegExp(SLOT_TAG_REGEX.source, "gi");
+        for (const match of content.matchAll(slotTagRegex)) {
+            const tag = match[1].toLowerCase();
+            const lineNum = content.substring(0, match.index).split("\n").length;
+            if (findMatchingClose(content, tag, match.index + match[0].length) === -1) {
+                violations.push({
+                    file,
+                    message:
+                        `${label}:${lineNum} <${tag}> has no matching closing tag.\n` +
+                        `Fix: add the missing </${tag}> closing tag.`,
+                });
+            }
+            if (tag !== "fw-slot") continue;
+
+            const forAttr = parseAttributes(match[2]).find((a) => a.name === "for");
+            let message = forAttr ? null : "Missing for attribute";
+            if (forAttr) {
                 try {
-                    fusewireExpr.parse(path);
-
-                    // Rule 5: Getters must start with $
-                    const pathParts = path.split(".");
-                    for (const part of pathParts) {
-                        if (/^(?:show|is|has)[A-Z]/.test(part)) {
-                            violations.push({
-                                file,
-                                message:
-                                    `${label}:${lineNum} interpolation "((${path}))" uses a calculated variable "${part}" without the required "$" prefix.\n` +
-                                    `Convention: all getters (calculated variables) used in templates must start with $ to avoid confusion with global variables.`,
-                            });
-                        }
-                    }
+                    fusewireExpr.parse(forAttr.value.trim());
                 } catch (e) {
+                    message = e.message;
+                }
+            }
+            if (message) {
+                violations.push({
+                    file,
+                    message:
+                        `${label}:${lineNum} <fw-slot> has an invalid for attribute: "${forAttr?.value ?? ""}"\n` +
+                        `Parser error: ${message}\n` +
+                        'fw-slot takes the child component to project into (fw-slot for="card" name="header").',
+                });
+            }
+        }
+
+        // Rule 11: fw-include needs an existing partial and a valid with expression
+        const includeTagRegex = new RegExp(INCLUDE_TAG_REGEX.source, "gi");
+        for (const match of content.matchAll(includeTagRegex)) {
+            const lineNum = content.substring(0, match.index).split("\n").length;
+            const attrs = parseAttributes(match[1]);
+            const src = attrs.find((a) => a.name === "src")?.value.trim() ?? "";
+            if (!src || !existsSync(join(componentDir, `${src}.html`))) {
+                violations.push({
+                    file,
+                    message:
+                        `${label}:${lineNum} <fw-include> names no partial file: src="${src}"\n` +
+                        "src is the partial's path without .html, relative to the component directory\n" +
+                        '(fw-include src="Shared/Icon" loads Shared/Icon.html).',
+                });
+            }
+            const withAttr = attrs.find((a) => a.name === "with");
+            if (!withAttr) continue;
+            try {
+                fusewireExpr.parse(withAttr.value.trim());
+            } catch (e) {
+                violations.push({
+                    file,
+                    message:
+                        `${label}:${lineNum} <fw-include> has an invalid with attribute: "${withAttr.value}"\n` +
+                        `Parser error: ${e.message}`,
+                });
+            }
+        }
+
+        // Rule 4: Interpolations must be valid expressions
+        for (const { start, expr } of findInterpolations(content)) {
+            const lineNum = content.substring(0, start).split("\n").length;
+            const path = (rawHtmlExpression(expr) ?? expr).trim();
+            if (
+                !path ||
+                path === "this" ||
+                path === "componentId" ||
+                path === "componentName" ||
+                path === "componentVersion"
+            )
+                continue;
+            try {
+                const ast = fusewireExpr.parse(path);
+
+                // Rule 5: Getters must start with $
+                for (const part of findUnprefixedGetters(ast)) {
                     violations.push({
                         file,
                         message:
-                            `${label}:${lineNum} interpolation has invalid syntax: "((${path}))"\n` +
-                            `Parser error: ${e.message}`,
+                            `${label}:${lineNum} interpolation "((${path}))" uses a calculated variable "${part}" without the required "$" prefix.\n` +
+                            `Convention: all getters (calculated variables) used in templates must start with $ to avoid confusion with global variables.`,
                     });
                 }
+            } catch (e) {
+                violations.push({
+                    file,
+                    message:
+                        `${label}:${lineNum} interpolation has invalid syntax: "((${path}))"\n` +
+                        `Parser error: ${e.message}`,
+                });
             }
         }
     }
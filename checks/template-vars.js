@@ -1,6 +1,18 @@
 import { readFileSync, readdirSync, existsSync } from "node:fs";
 import { join, basename, relative } from "node:path";
-import { extractOpeningTags } from "../src/template-parser.js";
+import {
+    collectVarPaths,
+    eventHandlerFromAST,
+    extractOpeningTags,
+    findIncludes,
+    findInterpolations,
+    FW_EACH_LOOP_VARS,
+    modelPathFromAST,
+    parseAttributes,
+    rawHtmlExpression,
+    SLOT_TAG_REGEX,
+} from "../src/template-parser.js";
+import fusewireExpr from "../src/parser/fusewire-expr.js";
 
 export const name = "template-vars";
 
@@ -35,7 +47,22 @@ function findComponentFiles(dir, rootDir = dir) {
 }
 
 /**
- * Extract variable paths from a template (interpolations and directives).
+ * Parse an expression and return the variable paths it reads.
+ * Unparseable expressions yield no paths — the template-syntax check
+ * reports those separately.
+ * @param {string} expr - FuseWire expression
+ * @returns {Array.<string>} Variable paths referenced by the expression
+ */
+function expressionVarPaths(expr) {
+    try {
+        return collectVarPaths(fusewireExpr.parse(expr.trim()));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Extract variable paths from a template (interpolations, directives and fw-on, fw-model, fw-attr, fw-class and fw-key bindings).
  * @param {string} html - HTML content
  * @returns {{vars: Set.<string>, locals: Set.<string>}} Variables and local loop variables found
  */
@@ -43,24 +70,62 @@ function extractTemplateVars(html) {
     const vars = new Set();
     const locals = new Set();
 
-    // 1. Directives fw-if, fw-each (do this first to find locals)
+    // 1. Directives fw-if, fw-else-if, fw-each (do this first to find locals)
     const openingTags = extractOpeningTags(html);
     for (const { tagName, attrs } of openingTags) {
-        const ifAttr = attrs.find((a) => a.name === "fw-if");
-        if (ifAttr && ifAttr.value) {
-            const path = ifAttr.value.trim().startsWith("!")
-                ? ifAttr.value.trim().slice(1)
-                : ifAttr.value.trim();
-            vars.add(path);
+        for (const ifAttr of attrs) {
+            if ((ifAttr.name === "fw-if" || ifAttr.name === "fw-else-if") && ifAttr.value) {
+                for (const path of expressionVarPaths(ifAttr.value)) {
+                    vars.add(path);
+                }
+            }
+        }
+        // fw-on handlers: the method is not a var, its arguments are
+        for (const onAttr of attrs) {
+            if (!onAttr.name.startsWith("fw-on:")) continue;
+            try {
+                const handler = eventHandlerFromAST(fusewireExpr.parse(onAttr.value.trim()));
+                for (const arg of handler ? handler.args : []) {
+                    for (const path of collectVarPaths(arg)) vars.add(path);
+                }
+            } catch {
+                // Reported by the template-syntax check
+            }
+        }
+        for (const bindingAttr of attrs) {
+            const { name } = bindingAttr;
+            if (
+                name.startsWith("fw-attr:") ||
+                name === "fw-class" ||
+                name.startsWith("fw-class:") ||
+                name === "fw-key"
+            ) {
+                for (const path of expressionVarPaths(bindingAttr.value)) vars.add(path);
+            }
+        }
+        const modelAttr = attrs.find((a) => a.name === "fw-model");
+        if (modelAttr) {
+            try {
+                const path = modelPathFromAST(fusewireExpr.parse(modelAttr.value.trim()));
+                if (path) vars.add(path);
+            } catch {
+                // Reported by the template-syntax check
+            }
         }
         const eachAttr = attrs.find((a) => a.name === "fw-each");
         if (eachAttr && eachAttr.value) {
-            const eachMatch = eachAttr.value.match(
-                /^\s*([\w$]+)\s+in\s+([\w.$]+)\s*$/,
-            );
-            if (eachMatch) {
-                vars.add(eachMatch[2]);
-                locals.add(eachMatch[1]);
+            try {
+                const ast = fusewireExpr.parse(eachAttr.value.trim());
+                if (ast.type === "ForEach") {
+                    for (const path of collectVarPaths(ast)) {
+                        vars.add(path);
+                    }
+                    locals.add(ast.item.value);
+                    if (ast.index) locals.add(ast.index.value);
+                    for (const loopVar of FW_EACH_LOOP_VARS) locals.add(loopVar);
+                }
+            } catch {
+                // Reported by the template-syntax check
             }
         }
 
@@ -75,11 +140,9 @@ function extractTemplateVars(html) {
         }
     }
 
-    // 2. Interpolations ((path))
-    const interpRegex = /\(\(([^()]*)\)\)/g;
-    let match;
-    while ((match = interpRegex.exec(html)) !== null) {
-        const path = match[1].trim();
+    // 2. Interpolations ((expression))
+    for (const { expr } of findInterpolations(html)) {
+        const path = (rawHtmlExpression(expr) ?? expr).trim();
         if (
             path &&
             path !== "this" &&
@@ -87,7 +150,30 @@ function extractTemplateVars(html) {
             path !== "componentName" &&
             path !== "componentVersion"
         ) {
-            vars.add(path);
+            for (const varPath of expressionVarPaths(path)) {
+                vars.add(varPath);
+            }
+        }
+    }
+
+    // 3. fw-slot targets (custom element tags are not returned by extractOpeningTags)
+    const slotTagRegex = new RegExp(SLOT_TAG_REGEX.source, "gi");
+    for (const [, tagName, attrString] of html.matchAll(slotTagRegex)) {
+        const forAttr = parseAttributes(attrString).find((a) => a.name === "for");
+        if (tagName.toLowerCase() === "fw-slot" && forAttr) {
+            for (const varPath of expressionVarPaths(forAttr.value.trim())) {
+                vars.add(varPath);
+            }
+        }
+    }
+
+    // 4. fw-include with objects (the partial's own vars are not component vars)
+    for (const { attrs } of findIncludes(html)) {
+        const withAttr = attrs.find((a) => a.name === "with");
+        if (withAttr) {
+            for (const varPath of expressionVarPaths(withAttr.value.trim())) {
+                vars.add(varPath);
+            }
         }
     }
 
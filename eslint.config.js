@@ -78,14 +78,25 @@ export default [
                         'HTMLElement',
                         'HTMLDivElement',
                         'HTMLInputElement',
+                        'HTMLSelectElement',
+                        'HTMLTextAreaElement',
                         'Element',
                         'Node',
                         'Document',
+                        'DocumentFragment',
+                        'CSSStyleSheet',
+                        'HTMLStyleElement',
+                        'ShadowRoot',
                         'Window',
                         'Event',
                         'MouseEvent',
+                        'TransitionEvent',
+                        'DOMRect',
                         'ResizeObserver',
                         'Console',
+                        // Built-in protocol and result types from the TypeScript lib
+                        'Iterable',
+                        'RegExpExecArray',
                     ],
                 },
             ],
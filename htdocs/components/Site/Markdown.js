@@ -3,7 +3,8 @@ import { marked } from 'marked';
 
 /**
  * Markdown renderer component.
- * Fetches markdown content from a URL and renders it as HTML.
+ * Fetches markdown content from a URL and renders it as HTML through the
+ * Reactor's HTML sanitizer.
  */
 export class Markdown extends Component {
     /**
@@ -78,32 +79,4 @@ export class Markdown extends Component {
             this.loading = false;
         }
     }
-
-    /**
-     * Inject HTML content safely into the DOM.
-     * Use hydrate() and afterRender() to ensure content is synced.
-     */
-    hydrate() {
-        this.#syncContent();
-    }
-
-    /**
-     * Sync content after every render.
-     */
-    afterRender() {
-        this.#syncContent();
-    }
-
-    /**
-     * Internal helper to inject the parsed HTML into the container.
-     */
-    #syncContent() {
-        const container = this.querySelector('.markdown-body');
-        if (container && !this.loading && !this.error) {
-            // We use innerHTML here as this is a documentation viewer for
-            // trusted local content. In a production app, we would use
-            // a sanitizer.
-            container.innerHTML = this.htmlContent;
-        }
-    }
 }
@@ -4,6 +4,7 @@ import { createComponentId } from './component-id.js';
  * @typedef {import('./component-id.js').ComponentId} ComponentId
  */
 import { onEvent, emitEvent, emitBroadcast } from './event-emitter.js';
+import { renderRoot } from './utils/dom-helpers.js';
 import {
     COMPONENT_ID,
     REGISTRY_ENTRY,
@@ -14,10 +15,13 @@ import {
 } from './symbols.js';
 
 /**
- * Configuration options for child components.
+ * Configuration options for child components. `slots` maps slot names to
+ * template fragments the parent projects into the child's fw-slot-outlet
+ * elements, rendered against the parent's vars.
  * @typedef {{
  *   fallback?: string,
- *   routeSegment?: import('./route-segment.js').RouteSegment|null
+ *   routeSegment?: import('./route-segment.js').RouteSegment|null,
+ *   slots?: Object<string, string>
  * }} ChildOptions
  */
 
@@ -60,6 +64,22 @@ import {
  * never appears in Object.keys() and cannot collide with component vars.
  */
 export class Component {
+    /**
+     * Render into an open shadow root attached to the component's mount point.
+     * Page styles stop at the shadow boundary; the component's own CSS is
+     * adopted inside the root without class scoping.
+     * @type {boolean}
+     */
+    static shadow = false;
+
+    /**
+     * Name of the enter and leave transition played when the component's
+     * mount point is added or removed (e.g. 'fade' applies the fade-enter-*
+     * and fade-leave-* classes), or null for none.
+     * @type {string|null}
+     */
+    static transition = null;
+
     /**
      * Migrate vars when template version changes
      * Override in subclasses to handle version migrations
@@ -72,6 +92,17 @@ export class Component {
         return vars;
     }
 
+    /**
+     * View transition name set on the first top-level element the component
+     * renders, so navigations wrapped in a view transition animate it on its
+     * own. Names must be unique in the page; override to derive one from the
+     * component's state.
+     * @returns {string|null} The view-transition-name, or null for none
+     */
+    get viewTransitionName() {
+        return null;
+    }
+
     /**
      * Component name — the class/template name (e.g. "Counter", "Table/Person").
      * @returns {string} The component name
@@ -107,7 +138,8 @@ export class Component {
     /**
      * DOM container element where this component renders.
      * Managed by the InstanceRegistry — may change when DOM morphing
-     * replaces elements or when the component moves.
+     * replaces elements or when the component moves. With `static shadow`,
+     * the content is in the container's `shadowRoot`.
      * @returns {HTMLElement} The container element
      */
     get componentContainer() {
@@ -443,6 +475,30 @@ export class Component {
         this[REACTOR].broadcastFrom(this[COMPONENT_ID], eventName, ...args);
     }
 
+    /**
+     * Translate a key using the application's active locale.
+     * Same lookup as t() in templates: {placeholders} are filled from params,
+     * and a numeric params.count selects the plural form.
+     * @param {string} key - Translation key
+     * @param {import('./translation-store.js').TranslationParams} [params] - Placeholder values
+     * @returns {string} Translated text, or the key when untranslated or no reactor is attached
+     */
+    t(key, params = {}) {
+        return this[REACTOR] ? this[REACTOR].translate(key, params) : key;
+    }
+
+    /**
+     * Read a design token of the application's applied theme, for values
+     * computed in JavaScript (canvas colors, chart palettes). Listen to
+     * 'fw-theme-change' to recompute them when the theme changes.
+     * @param {string} name - Token name, with or without the `--` prefix (e.g. 'color-primary')
+     * @returns {string|undefined} Token value, or undefined when the theme does not define it
+     */
+    themeToken(name) {
+        const property = name.startsWith('--') ? name : `--${name}`;
+        return this[REACTOR]?.themeTokens[property];
+    }
+
     /**
      * Get the base path configured for the application.
      * @returns {string} Base path
@@ -459,7 +515,7 @@ export class Component {
      */
     querySelector(selector) {
         return /** @type {HTMLElement|null} */ (
-            this.componentContainer.querySelector(this._scopeSelector(selector))
+            renderRoot(this.componentContainer).querySelector(this._scopeSelector(selector))
         );
     }
 
@@ -471,7 +527,9 @@ export class Component {
      */
     querySelectorAll(selector) {
         return /** @type {Array.<HTMLElement>} */ (
-            Array.from(this.componentContainer.querySelectorAll(this._scopeSelector(selector)))
+            Array.from(
+                renderRoot(this.componentContainer).querySelectorAll(this._scopeSelector(selector)),
+            )
         );
     }
 
@@ -553,7 +611,9 @@ export class Component {
      * the framework already renders the component natively after those hooks return.
      * Returns a promise that resolves when the render queue has drained,
      * enabling callers to chain post-render work via `.then()`.
-     * @param {string} mode - Render mode ('CSR' for client-side only)
+     * Pass 'FRAME' to coalesce frequent updates (timers, websocket messages)
+     * into the next animation frame, or 'IDLE' for low-priority renders.
+     * @param {string} mode - Render mode: 'CSR' (default, same as 'SYNC'), 'SYNC', 'FRAME' or 'IDLE'
      * @returns {Promise<void>} Resolves when the render queue drains (or immediately if ignored)
      */
     react(mode = 'CSR') {
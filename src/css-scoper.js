@@ -0,0 +1,447 @@
+/**
+ * Component CSS scoping for FuseWire.
+ *
+ * A small CSS tokenizer splits a stylesheet into rules, at-rules and
+ * declarations while skipping strings, comments, escapes and parentheses, so
+ * braces and semicolons inside `url(...)`, `content: "{"` or `:is(.a, .b)` do
+ * not end a rule. The Renderer uses it to box a component's rules in its app
+ * and component classes, and to give the component's `@keyframes` names of
+ * their own. Browser-compatible ES module — no DOM or Node APIs.
+ */
+
+/**
+ * A parsed piece of CSS. `text` nodes hold whitespace and comments; `decl`
+ * nodes a declaration or block-less at-rule with its `;`; `rule` and `at`
+ * nodes a prelude and the nodes of their block.
+ * @typedef CssNode
+ * @property {'text'|'decl'|'rule'|'at'} type - Node kind
+ * @property {string} text - Raw text (text and decl nodes) or prelude (rule and at nodes)
+ * @property {Array<CssNode>} [children] - Block contents (rule and at nodes)
+ */
+
+/**
+ * Options for scopeCss().
+ * @typedef ScopeOptions
+ * @property {Array<string>} scopes - Class selectors boxing the rules, outermost first (e.g. ['.app', '.Card'])
+ * @property {string} keyframesPrefix - Prefix of the component's keyframe names (e.g. 'app__Card__')
+ * @property {boolean} nesting - Wrap the rules in native CSS nesting instead of prefixing each selector
+ */
+
+/**
+ * At-rules whose block holds rules that are scoped like top-level rules, and
+ * that may be nested inside a style rule.
+ * @type {Set<string>}
+ */
+const GROUP_AT_RULES = new Set([
+    'media',
+    'supports',
+    'container',
+    'layer',
+    'scope',
+    'starting-style',
+]);
+
+/**
+ * At-rules naming keyframes.
+ * @type {Set<string>}
+ */
+const KEYFRAMES_AT_RULES = new Set(['keyframes', '-webkit-keyframes']);
+
+/**
+ * Properties whose value may reference keyframe names.
+ * @type {Set<string>}
+ */
+const ANIMATION_PROPERTIES = new Set([
+    'animation',
+    'animation-name',
+    '-webkit-animation',
+    '-webkit-animation-name',
+]);
+
+/**
+ * Skip a quoted string.
+ * @param {string} css - CSS source
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index after the closing quote (or the end of the line for an unclosed string)
+ */
+function skipString(css, start) {
+    const quote = css[start];
+    let i = start + 1;
+    while (i < css.length && css[i] !== quote && css[i] !== '\n') {
+        i += css[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+/**
+ * Skip a comment.
+ * @param {string} css - CSS source
+ * @param {number} start - Index of the opening slash
+ * @returns {number} Index after the comment
+ */
+function skipComment(css, start) {
+    const end = css.indexOf('*/', start + 2);
+    return end === -1 ? css.length : end + 2;
+}
+
+/**
+ * Scan to the next `{`, `;` or `}` outside strings, comments and brackets.
+ * @param {string} css - CSS source
+ * @param {number} start - Index to scan from
+ * @returns {number} Index of the delimiter, or the length of the source
+ */
+function scanToDelimiter(css, start) {
+    let depth = 0;
+    let i = start;
+    while (i < css.length) {
+        const char = css[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            i = skipString(css, i);
+            continue;
+        }
+        if (char === '/' && css[i + 1] === '*') {
+            i = skipComment(css, i);
+            continue;
+        }
+        if (char === '(' || char === '[') depth++;
+        else if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+        else if (depth === 0 && (char === '{' || char === ';' || char === '}')) return i;
+        i++;
+    }
+    return i;
+}
+
+/**
+ * Split a selector list or value on a separator outside strings, comments
+ * and brackets.
+ * @param {string} text - Selector list or property value
+ * @param {RegExp} separator - Single-character separator (e.g. /,/ or /\s/)
+ * @returns {Array<string>} Parts, including the text between separators only
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let from = 0;
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            i = skipString(text, i);
+            continue;
+        }
+        if (char === '/' && text[i + 1] === '*') {
+            i = skipComment(text, i);
+            continue;
+        }
+        if (char === '(' || char === '[') depth++;
+        else if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+        else if (depth === 0 && separator.test(char)) {
+            parts.push(text.slice(from, i));
+            from = i + 1;
+        }
+        i++;
+    }
+    parts.push(text.slice(from));
+    return parts;
+}
+
+/**
+ * Parse the nodes of a stylesheet or block.
+ * @param {string} css - CSS source
+ * @param {number} start - Index to parse from
+ * @returns {{nodes: Array<CssNode>, end: number}} Parsed nodes, and the index of the closing `}` (or the length of the source)
+ */
+function parseNodes(css, start) {
+    /**
+     * Nodes of the block, in source order
+     * @type {Array<CssNode>}
+     */
+    const nodes = [];
+    let i = start;
+    while (i < css.length) {
+        const char = css[i];
+        if (char === '}') break;
+
+        // Whitespace and comments between nodes are kept as they are
+        if (/\s/.test(char) || (char === '/' && css[i + 1] === '*')) {
+            const from = i;
+            while (
+                i < css.length &&
+                (/\s/.test(css[i]) || (css[i] === '/' && css[i + 1] === '*'))
+            ) {
+                i = css[i] === '/' ? skipComment(css, i) : i + 1;
+            }
+            nodes.push({ type: 'text', text: css.slice(from, i) });
+            continue;
+        }
+
+        const delimiter = scanToDelimiter(css, i);
+        if (css[delimiter] === '{') {
+            const prelude = css.slice(i, delimiter);
+            const block = parseNodes(css, delimiter + 1);
+            nodes.push({
+                type: prelude.startsWith('@') ? 'at' : 'rule',
+                text: prelude,
+                children: block.nodes,
+            });
+            i = block.end + 1;
+        } else {
+            // A declaration, or a block-less at-rule such as @import
+            const end = css[delimiter] === ';' ? delimiter + 1 : delimiter;
+            nodes.push({ type: 'decl', text: css.slice(i, end) });
+            i = end;
+        }
+    }
+    return { nodes, end: i };
+}
+
+/**
+ * Read the lowercase name of an at-rule from its prelude.
+ * @param {string} prelude - At-rule prelude (e.g. '@media (width > 40em) ')
+ * @returns {string} Name without the `@` (e.g. 'media')
+ */
+function atRuleName(prelude) {
+    return (/^@([\w-]+)/.exec(prelude)?.[1] ?? '').toLowerCase();
+}
+
+/**
+ * Read the name a keyframes at-rule declares.
+ * @param {string} prelude - At-rule prelude (e.g. '@keyframes fade ')
+ * @returns {string} Keyframes name, unquoted
+ */
+function keyframesName(prelude) {
+    return prelude
+        .replace(/^@[\w-]+/, '')
+        .trim()
+        .replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Collect the keyframe names a stylesheet declares, at any depth.
+ * @param {Array<CssNode>} nodes - Parsed nodes
+ * @param {Set<string>} names - Set receiving the names
+ * @returns {Set<string>} The same set
+ */
+function collectKeyframes(nodes, names) {
+    for (const node of nodes) {
+        if (node.type === 'at' && KEYFRAMES_AT_RULES.has(atRuleName(node.text))) {
+            names.add(keyframesName(node.text));
+        } else if (node.children) {
+            collectKeyframes(node.children, names);
+        }
+    }
+    return names;
+}
+
+/**
+ * State shared while serializing one stylesheet.
+ * @typedef ScopeContext
+ * @property {string} prefix - Selector prefix of top-level rules (e.g. '.app .Card '), empty with nesting
+ * @property {string} keyframesPrefix - Prefix of local keyframe names
+ * @property {Set<string>} keyframes - Keyframe names declared by the stylesheet
+ */
+
+/**
+ * Rename the local keyframe names referenced by an animation declaration.
+ * @param {string} declaration - Declaration text (e.g. 'animation: fade 1s;')
+ * @param {ScopeContext} ctx - Scope context
+ * @returns {string} The declaration with local names prefixed
+ */
+function scopeDeclaration(declaration, ctx) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1 || ctx.keyframes.size === 0) return declaration;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    if (!ANIMATION_PROPERTIES.has(property)) return declaration;
+
+    const value = splitTopLevel(declaration.slice(colon + 1), /[\s,;]/);
+    let offset = colon + 1;
+    let result = declaration.slice(0, offset);
+    for (const token of value) {
+        result += ctx.keyframes.has(token) ? ctx.keyframesPrefix + token : token;
+        offset += token.length;
+        if (offset < declaration.length) result += declaration[offset];
+        offset++;
+    }
+    return result;
+}
+
+/**
+ * Prefix every selector of a rule's selector list.
+ * @param {string} selectorList - Rule prelude (e.g. '.a, .b ')
+ * @param {string} prefix - Selector prefix (e.g. '.app .Card ')
+ * @returns {string} Prefixed selector list, trimmed
+ */
+function prefixSelectors(selectorList, prefix) {
+    return splitTopLevel(selectorList, /,/)
+        .map((selector) => prefix + selector.trim())
+        .join(', ');
+}
+
+/**
+ * Serialize nodes, scoping rules that are not nested in another rule.
+ * @param {Array<CssNode>} nodes - Parsed nodes
+ * @param {ScopeContext} ctx - Scope context
+ * @param {boolean} inRule - True inside a style rule, whose nested rules are already scoped
+ * @returns {string} Scoped CSS
+ */
+function serializeNodes(nodes, ctx, inRule) {
+    let css = '';
+    for (const node of nodes) {
+        const children = node.children ?? [];
+        if (node.type === 'text') {
+            css += node.text;
+        } else if (node.type === 'decl') {
+            css += scopeDeclaration(node.text, ctx);
+        } else if (node.type === 'rule') {
+            const selector =
+                inRule || !ctx.prefix ? node.text : prefixSelectors(node.text, ctx.prefix);
+            css += `${selector}{${serializeNodes(children, ctx, true)}}`;
+        } else {
+            const name = atRuleName(node.text);
+            if (KEYFRAMES_AT_RULES.has(name)) {
+                const prelude = `@${name} ${ctx.keyframesPrefix}${keyframesName(node.text)} `;
+                css += `${prelude}{${serializeNodes(children, ctx, true)}}`;
+            } else {
+                // Group rules scope their rules like the enclosing block; others (@font-face) are kept
+                const scoped = GROUP_AT_RULES.has(name) ? inRule : true;
+                css += `${node.text}{${serializeNodes(children, ctx, scoped)}}`;
+            }
+        }
+    }
+    return css;
+}
+
+/**
+ * Split a node into the part that can be nested in the scope rules and the
+ * at-rules that cannot. A group at-rule holding both, like `@media print`
+ * around rules and a `@keyframes`, is split into two copies of itself.
+ * @param {CssNode} node - Rule, declaration or at-rule node
+ * @returns {{boxed: CssNode|null, hoisted: CssNode|null}} Nestable part and non-nestable part, null when empty
+ */
+function splitNestable(node) {
+    if (node.type !== 'at') return { boxed: node, hoisted: null };
+    if (!GROUP_AT_RULES.has(atRuleName(node.text))) return { boxed: null, hoisted: node };
+
+    /**
+     * Nestable children of the group
+     * @type {Array<CssNode>}
+     */
+    const boxed = [];
+    /**
+     * Non-nestable children of the group
+     * @type {Array<CssNode>}
+     */
+    const hoisted = [];
+    /**
+     * Whitespace and comments waiting for the next node
+     * @type {Array<CssNode>}
+     */
+    let pending = [];
+    for (const child of node.children ?? []) {
+        if (child.type === 'text') {
+            pending.push(child);
+            continue;
+        }
+        const split = splitNestable(child);
+        if (split.boxed) boxed.push(...pending, split.boxed);
+        if (split.hoisted) hoisted.push(...(split.boxed ? [] : pending), split.hoisted);
+        pending = [];
+    }
+    // Trailing whitespace is kept in both copies, trailing comments only in the nested one
+    return {
+        boxed: boxed.length ? { ...node, children: [...boxed, ...pending] } : null,
+        hoisted: hoisted.length
+            ? { ...node, children: [...hoisted, ...pending.filter((text) => !text.text.trim())] }
+            : null,
+    };
+}
+
+/**
+ * Scope a component stylesheet: box its rules in the scope classes, and
+ * prefix the keyframe names it declares, along with the `animation` and
+ * `animation-name` values referencing them.
+ *
+ * With nesting, rules and group at-rules are wrapped in one nested rule per
+ * scope class; at-rules that cannot be nested (`@keyframes`, `@font-face`,
+ * `@import`...) are kept at the top level, inside a copy of the group
+ * at-rules around them (`@media print { @keyframes ... }`). Without nesting, every selector
+ * of every rule outside another rule is prefixed, including rules inside
+ * `@media`, `@supports`, `@container` and `@layer` blocks.
+ * @param {string} css - Raw component CSS
+ * @param {ScopeOptions} options - Scope classes, keyframes prefix and output style
+ * @returns {string} Scoped CSS, or an empty string for blank CSS
+ */
+export function scopeCss(css, { scopes, keyframesPrefix, nesting }) {
+    if (!css || !css.trim()) return '';
+
+    const { nodes } = parseNodes(css, 0);
+    /**
+     * State shared by the serializers
+     * @type {ScopeContext}
+     */
+    const ctx = {
+        prefix: nesting ? '' : scopes.map((scope) => `${scope} `).join(''),
+        keyframesPrefix,
+        keyframes: collectKeyframes(nodes, new Set()),
+    };
+    if (!nesting) return serializeNodes(nodes, ctx, false).trim();
+
+    // Whitespace and comments travel with the node that follows them,
+    // so removing a hoisted node does not leave blank lines behind
+    /**
+     * Block-less at-rules, kept first
+     * @type {Array<CssNode>}
+     */
+    const statements = [];
+    /**
+     * Rules and group at-rules, boxed in the scope rules
+     * @type {Array<CssNode>}
+     */
+    const boxed = [];
+    /**
+     * At-rules that cannot be nested, kept last
+     * @type {Array<CssNode>}
+     */
+    const hoisted = [];
+    /**
+     * Whitespace and comments waiting for the next node
+     * @type {Array<CssNode>}
+     */
+    let pending = [];
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            pending.push(node);
+            continue;
+        }
+        if (node.type === 'decl' && node.text.startsWith('@')) {
+            statements.push(...pending, node);
+        } else {
+            const split = splitNestable(node);
+            if (split.boxed) boxed.push(...pending, split.boxed);
+            if (split.hoisted) hoisted.push(...(split.boxed ? [] : pending), split.hoisted);
+        }
+        pending = [];
+    }
+
+    const body = serializeNodes(boxed, ctx, false).trim();
+    const open = scopes.map((scope, depth) => `${'  '.repeat(depth)}${scope} {\n`).join('');
+    const close = scopes
+        .map((scope, depth) => `\n${'  '.repeat(depth)}}`)
+        .reverse()
+        .join('');
+    return [
+        serializeNodes(statements, ctx, true).trim(),
+        body && `${open}${'  '.repeat(scopes.length)}${body}${close}`,
+        serializeNodes(hoisted, ctx, true).trim(),
+    ]
+        .filter(Boolean)
+        .join('\n\n');
+}
@@ -63,3 +63,33 @@ export class RenderError extends FuseWireError {
         this.componentId = componentId;
     }
 }
+
+/**
+ * Position of a template error in the component's HTML file.
+ * @typedef TemplateLocation
+ * @property {string} componentName - Component whose template holds the error
+ * @property {number} line - 1-based line in the template file
+ * @property {number} column - 1-based column in the template file
+ * @property {string} expression - Offending expression or directive
+ */
+
+/**
+ * Thrown in strict template mode when a template has a syntax error
+ */
+export class TemplateSyntaxError extends FuseWireError {
+    /**
+     * Create a TemplateSyntaxError.
+     * @param {string} message - Parser or directive error message
+     * @param {TemplateLocation} location - Where the error sits in the template
+     */
+    constructor(message, { componentName, line, column, expression }) {
+        super(
+            `Template syntax error in ${componentName} at line ${line}, column ${column} ("${expression}"): ${message}`,
+            'TEMPLATE_SYNTAX_ERROR',
+        );
+        this.componentName = componentName;
+        this.line = line;
+        this.column = column;
+        this.expression = expression;
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Built-in template filters.
+ *
+ * Filters format a value for display inside template expressions using the
+ * pipe syntax: ((price | currency:'USD')), ((title | upper | truncate:20)).
+ * Each filter receives the piped value first, followed by the ':'-separated
+ * arguments. Applications add their own via reactor.registerFilter().
+ *
+ * Filters should be pure and tolerate null/undefined input — a missing var
+ * flows through the chain like any other value.
+ */
+
+/**
+ * Any value a filter can receive or return.
+ * @typedef {import('./component.js').VarValue|Array<import('./component.js').VarValue>|Date|undefined} FilterValue
+ */
+/**
+ * A template filter: receives the piped value and the filter arguments.
+ * @typedef {function(FilterValue, ...FilterValue): FilterValue} FilterFunction
+ */
+
+/**
+ * Check whether a value should be treated as empty by formatting filters.
+ * @param {FilterValue} value - Value to check
+ * @returns {boolean} True for null, undefined and the empty string
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Convert a filter argument to a locale string usable by Intl, or undefined
+ * to fall back to the runtime default locale.
+ * @param {FilterValue} locale - Locale argument (e.g. 'es-AR')
+ * @returns {string|undefined} Locale tag or undefined
+ */
+function toLocale(locale) {
+    return typeof locale === 'string' && locale ? locale : undefined;
+}
+
+/**
+ * Uppercase a value.
+ * @param {FilterValue} value - Value to transform
+ * @returns {FilterValue} Uppercased string, or the value unchanged when empty
+ */
+function upper(value) {
+    return isEmpty(value) ? value : String(value).toUpperCase();
+}
+
+/**
+ * Lowercase a value.
+ * @param {FilterValue} value - Value to transform
+ * @returns {FilterValue} Lowercased string, or the value unchanged when empty
+ */
+function lower(value) {
+    return isEmpty(value) ? value : String(value).toLowerCase();
+}
+
+/**
+ * Shorten a value to a maximum number of characters, appending a suffix
+ * when it was cut.
+ * @param {FilterValue} value - Value to truncate
+ * @param {FilterValue} [length=50] - Maximum length including the suffix
+ * @param {FilterValue} [suffix='…'] - Text appended when truncated
+ * @returns {FilterValue} Truncated string, or the value unchanged when empty
+ */
+function truncate(value, length = 50, suffix = '…') {
+    if (isEmpty(value)) return value;
+    const text = String(value);
+    const max = Number(length);
+    if (!(max >= 0) || text.length <= max) return text;
+    const tail = String(suffix ?? '');
+    return text.slice(0, Math.max(0, max - tail.length)) + tail;
+}
+
+/**
+ * Serialize a value as JSON.
+ * @param {FilterValue} value - Value to serialize
+ * @param {FilterValue} [indent=0] - Spaces of indentation
+ * @returns {string} JSON string ('' for undefined)
+ */
+function json(value, indent = 0) {
+    if (value === undefined) return '';
+    return JSON.stringify(value, null, Number(indent) || 0);
+}
+
+/**
+ * Format a date using Intl.DateTimeFormat.
+ * Accepts Date objects, timestamps and date strings.
+ * @param {FilterValue} value - Date to format
+ * @param {FilterValue} [style='medium'] - Date style: 'short', 'medium', 'long' or 'full'
+ * @param {FilterValue} [locale] - Locale tag (defaults to the runtime locale)
+ * @returns {string} Formatted date, or '' when the value is empty or not a valid date
+ */
+function date(value, style = 'medium', locale = undefined) {
+    if (isEmpty(value)) return '';
+    const parsed =
+        value instanceof Date
+            ? value
+            : new Date(/** @type {string|number} */ (/** @type {unknown} */ (value)));
+    if (Number.isNaN(parsed.getTime())) return '';
+    const dateStyle = /** @type {'short'|'medium'|'long'|'full'} */ (String(style));
+    return new Intl.DateTimeFormat(toLocale(locale), { dateStyle }).format(parsed);
+}
+
+/**
+ * Format a number using Intl.NumberFormat.
+ * @param {FilterValue} value - Number to format
+ * @param {FilterValue} [decimals] - Fixed number of fraction digits (default: locale rules)
+ * @param {FilterValue} [locale] - Locale tag (defaults to the runtime locale)
+ * @returns {string} Formatted number, or '' when the value is empty or not numeric
+ */
+function number(value, decimals = undefined, locale = undefined) {
+    if (isEmpty(value)) return '';
+    const num = Number(value);
+    if (Number.isNaN(num)) return '';
+    /**
+     * Intl.NumberFormat options built from the decimals argument.
+     * @type {Intl.NumberFormatOptions}
+     */
+    const options = {};
+    if (decimals !== undefined && decimals !== null) {
+        options.minimumFractionDigits = Number(decimals);
+        options.maximumFractionDigits = Number(decimals);
+    }
+    return new Intl.NumberFormat(toLocale(locale), options).format(num);
+}
+
+/**
+ * Format a number as a currency amount using Intl.NumberFormat.
+ * @param {FilterValue} value - Amount to format
+ * @param {FilterValue} [currencyCode='USD'] - ISO 4217 currency code
+ * @param {FilterValue} [locale] - Locale tag (defaults to the runtime locale)
+ * @returns {string} Formatted amount, or '' when the value is empty or not numeric
+ */
+function currency(value, currencyCode = 'USD', locale = undefined) {
+    if (isEmpty(value)) return '';
+    const num = Number(value);
+    if (Number.isNaN(num)) return '';
+    return new Intl.NumberFormat(toLocale(locale), {
+        style: 'currency',
+        currency: String(currencyCode),
+    }).format(num);
+}
+
+/**
+ * Replace an empty value (null, undefined or '') with a fallback.
+ * @param {FilterValue} value - Value to check
+ * @param {FilterValue} [fallback=''] - Value to use when empty
+ * @returns {FilterValue} The value, or the fallback when empty
+ */
+function defaultFilter(value, fallback = '') {
+    return isEmpty(value) ? fallback : value;
+}
+
+/**
+ * Filters available in every template, keyed by the name used after the pipe.
+ * @type {Readonly<Object<string, FilterFunction>>}
+ */
+export const BUILTIN_FILTERS = Object.freeze({
+    upper,
+    lower,
+    truncate,
+    json,
+    date,
+    number,
+    currency,
+    default: defaultFilter,
+});
@@ -1,4 +1,4 @@
-import { RouteSegment, MinimalRouteEncoder } from './route-segment.js';
+import { RouteSegment, MinimalRouteEncoder, RouteTranslations } from './route-segment.js';
 import { Component } from './component.js';
 import { Child } from './component.js';
 import { COMPONENT_ID, ROUTE_DEFAULTS } from './symbols.js';
@@ -6,7 +6,7 @@ import { HashUrlService } from './url-service.js';
 
 /**
  * Configuration options for the HistoryRouter.
- * @typedef {{urlService?: import('./url-service.js').UrlService, routeEncoder?: import('./route-segment.js').RouteEncoder}} HistoryRouterConfig
+ * @typedef {{urlService?: import('./url-service.js').UrlService, routeEncoder?: import('./route-segment.js').RouteEncoder, routeTranslations?: import('./route-segment.js').RouteTranslationTable, viewTransitions?: boolean}} HistoryRouterConfig
  */
 
 /**
@@ -39,6 +39,20 @@ import { HashUrlService } from './url-service.js';
  * const reactor = new Reactor('App', {
  *     router: new HistoryRouter({ routeEncoder: myCustomEncoder }),
  * });
+ *
+ * // Localized route keys — the URL follows reactor.locale:
+ * // #!/tabla:pagina=2 in Spanish, #!/table:page=2 otherwise
+ * const reactor = new Reactor('App', {
+ *     locale: 'es',
+ *     router: new HistoryRouter({
+ *         routeTranslations: { es: { table: { key: 'tabla', props: { page: 'pagina' } } } },
+ *     }),
+ * });
+ *
+ * // Animate navigations with the View Transitions API where available
+ * const reactor = new Reactor('App', {
+ *     router: new HistoryRouter({ viewTransitions: true }),
+ * });
  */
 export class HistoryRouter {
     /**
@@ -59,6 +73,18 @@ export class HistoryRouter {
      */
     #routeEncoder;
 
+    /**
+     * Mapping between canonical route keys/properties and localized URL strings.
+     * @type {RouteTranslations}
+     */
+    #routeTranslations;
+
+    /**
+     * Wrap the renders of pushRoute() and back/forward navigations in a view transition.
+     * @type {boolean}
+     */
+    #viewTransitions;
+
     /**
      * Tokenized segments from the initial URL, consumed progressively
      * as the component tree builds during first load.
@@ -80,6 +106,8 @@ export class HistoryRouter {
     constructor(config = {}) {
         this.#urlService = config.urlService || new HashUrlService();
         this.#routeEncoder = config.routeEncoder || new MinimalRouteEncoder();
+        this.#routeTranslations = new RouteTranslations(config.routeTranslations);
+        this.#viewTransitions = config.viewTransitions ?? false;
     }
 
     /**
@@ -90,10 +118,7 @@ export class HistoryRouter {
      */
     attach(reactor) {
         this.#reactor = reactor;
-        this.#initialSegments = RouteSegment.tokenize(
-            this.#urlService.getPath(),
-            this.#routeEncoder,
-        );
+        this.#initialSegments = this.#tokenize(this.#urlService.getPath());
         this.#initialCursor = 0;
         this.#urlService.onNavigate(() => this.#onPopState());
     }
@@ -101,9 +126,17 @@ export class HistoryRouter {
     /**
      * Serialize the full component tree and push a new browser history entry.
      * Called by Component.pushRoute() via this[REACTOR].router.
+     * With viewTransitions, the renders queued in the same task run inside a
+     * view transition. A render that fails there is logged: the error already
+     * reaches fw-error and the react() callers.
      */
     pushUrl() {
         this.#updateUrl(true);
+        if (this.#viewTransitions) {
+            this.#reactor.viewTransition().catch((error) => {
+                this.#reactor.console.error('HistoryRouter: View transition failed:', error);
+            });
+        }
     }
 
     /**
@@ -154,12 +187,40 @@ export class HistoryRouter {
     /**
      * Handle external navigation (browser back/forward, hash change, etc.).
      * Tokenizes the new URL, assigns segments to the existing tree
-     * via the stack-based parser, then delivers each segment via update().
+     * via the stack-based parser, then delivers each segment via update(),
+     * inside a view transition with viewTransitions.
      */
     async #onPopState() {
-        const segments = RouteSegment.tokenize(this.#urlService.getPath(), this.#routeEncoder);
+        const segments = this.#tokenize(this.#urlService.getPath());
         const assignments = this.#assignSegments(segments);
-        await this.#walkAndApply(assignments);
+        if (this.#viewTransitions) {
+            await this.#reactor.viewTransition(() => this.#walkAndApply(assignments));
+        } else {
+            await this.#walkAndApply(assignments);
+        }
+    }
+
+    /**
+     * Tokenize a URL path into segments with canonical keys and property names.
+     * Localized names of any configured locale are accepted.
+     * @param {string} path - URL path
+     * @returns {Array.<RouteSegment>} Parsed segments
+     */
+    #tokenize(path) {
+        return RouteSegment.tokenize(
+            path,
+            this.#routeEncoder,
+            this.#routeTranslations,
+            this.#locale(),
+        );
+    }
+
+    /**
+     * The active locale used to localize route keys.
+     * @returns {string|null} Reactor locale, or null before attach
+     */
+    #locale() {
+        return this.#reactor?.locale ?? null;
     }
 
     /**
@@ -360,7 +421,16 @@ export class HistoryRouter {
                     /** @type {unknown} */ (entry)
                 ),
             );
-            const segment = new RouteSegment(routeKey, new Map(Object.entries(filtered)));
+            // Components work with canonical names; only the URL is localized
+            const locale = this.#locale();
+            const props = new Map();
+            for (const [prop, value] of Object.entries(filtered)) {
+                props.set(this.#routeTranslations.localizeProp(locale, routeKey, prop), value);
+            }
+            const segment = new RouteSegment(
+                this.#routeTranslations.localizeKey(locale, routeKey),
+                props,
+            );
             parts.push(segment.toString(this.#routeEncoder));
         }
 
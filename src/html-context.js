@@ -1,3 +1,20 @@
+/**
+ * Attributes whose value is a URL that can run script or load external resources.
+ * @type {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'data', 'background']);
+
+/**
+ * Check if an attribute is a dangerous sink: a URL attribute or an inline
+ * event handler (on*).
+ * @param {string} name - Attribute name
+ * @returns {boolean} True if values written to the attribute must be sanitized
+ */
+export function isDangerousAttributeName(name) {
+    const lower = name.toLowerCase();
+    return URL_ATTRIBUTES.has(lower) || lower.startsWith('on');
+}
+
 /**
  * Tracks HTML parsing context to ensure safe template interpolation.
  * Detects whether the parser is currently inside a tag, an attribute,
@@ -55,12 +72,6 @@ export class HtmlContextTracker {
      */
     isDangerousAttribute() {
         if (!this.inTag) return false;
-
-        const dangerousAttrs = ['href', 'src', 'action', 'formaction', 'data', 'background', 'on'];
-
-        const currentLower = this.currentAttributeName.toLowerCase();
-        return dangerousAttrs.some(
-            (attr) => currentLower === attr || (attr === 'on' && currentLower.startsWith('on')),
-        );
+        return isDangerousAttributeName(this.currentAttributeName);
     }
 }
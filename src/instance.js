@@ -21,7 +21,14 @@ import {
  */
 import { ComponentNotFoundError } from './errors/error-hierarchy.js';
 import { compileTemplate } from './template-compiler.js';
-import { getComponentIdFromElement, toCssName } from './utils/dom-helpers.js';
+import { TRANSITION_ATTR } from './transitions.js';
+import {
+    findChildMountPoints,
+    getComponentIdFromElement,
+    moveContent,
+    renderRoot,
+    toCssName,
+} from './utils/dom-helpers.js';
 
 /**
  * Collect all public variables from a component instance.
@@ -52,6 +59,35 @@ export function collectVars(instance) {
     return vars;
 }
 
+/**
+ * Check whether a component var holds a reference, either directly or as an
+ * element of an Array or a value of a Map of children.
+ * @param {unknown} value - Component var value
+ * @param {...unknown} refs - References to look for
+ * @returns {boolean} True if any reference is held
+ */
+function holdsRef(value, ...refs) {
+    if (refs.includes(value)) return true;
+    if (Array.isArray(value)) return refs.some((ref) => value.includes(ref));
+    if (value instanceof Map) {
+        for (const item of value.values()) {
+            if (refs.includes(item)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Check whether two sets of projected slot HTML are equal.
+ * @param {Object<string, string>} a - Slot HTML by slot name
+ * @param {Object<string, string>} b - Slot HTML by slot name
+ * @returns {boolean} True if both project the same HTML into the same slots
+ */
+function sameSlots(a, b) {
+    const names = Object.keys(a);
+    return names.length === Object.keys(b).length && names.every((name) => a[name] === b[name]);
+}
+
 /**
  * Class constructor for a Component.
  * @typedef {import('./component.js').ComponentConstructor} ComponentConstructor
@@ -94,6 +130,23 @@ export class InstanceRegistry {
          */
         this._reactor = null;
 
+        /**
+         * Slot templates given to createChild(), keyed by child component code.
+         * @type {Map<string, Object<string, string>>}
+         */
+        this._slotSources = new Map();
+        /**
+         * Content projected into each child's slots by its parent's last
+         * render, keyed by child component code.
+         * @type {Map<string, import('./template-compiler.js').ProjectedSlots>}
+         */
+        this._slots = new Map();
+        /**
+         * Compiled slot templates, keyed by their source.
+         * @type {Map<string, import('./template-compiler.js').CompiledTemplate>}
+         */
+        this._slotTemplates = new Map();
+
         /**
          * Map of pre-registered component constructors.
          * @type {Map<string, ComponentConstructor>}
@@ -301,6 +354,7 @@ export class InstanceRegistry {
         };
         this._instances.set(code, entry);
         this._roots.add(code);
+        this._renderer.retainCSS(componentId.name);
 
         // Wire framework state (Symbol-keyed, invisible to Object.keys)
         instance[COMPONENT_ID] = componentId;
@@ -465,14 +519,22 @@ export class InstanceRegistry {
         // Clear event subscriptions so handlers don't keep parent instances alive
         clearEvents(instance);
 
-        // Remove from DOM
+        // Remove from DOM, once the leave transition has played. The component's
+        // CSS styles the transition, so it is released after it.
+        if (container.shadowRoot) {
+            this._renderer.detachShadowRoot(container.shadowRoot);
+        }
         if (container.parentNode) {
-            container.parentNode.removeChild(container);
+            this._renderer.leave(container, () => this._renderer.releaseCSS(componentId.name));
+        } else {
+            this._renderer.releaseCSS(componentId.name);
         }
 
         // Remove from registry
         this._instances.delete(code);
         this._roots.delete(code);
+        this._slotSources.delete(code);
+        this._slots.delete(code);
     }
 
     /**
@@ -493,6 +555,36 @@ export class InstanceRegistry {
         return template.version;
     }
 
+    /**
+     * Compile options resolving fw-include partials from the template store.
+     * @private
+     * @returns {import('./template-compiler.js').CompileOptions} Compile options
+     */
+    _compileOptions() {
+        return {
+            /**
+             * Look up a cached partial.
+             * @param {string} name - Partial name
+             * @returns {string|null} Partial HTML or null
+             */
+            partials: (name) => this._templateStore.getPartial(name),
+        };
+    }
+
+    /**
+     * Load the partials a template includes from the basePath. A partial that
+     * fails to load is logged through the component's console; the compiler
+     * then reports its fw-include as missing.
+     * @private
+     * @param {import('./component.js').Component} instance - Component whose template (or slot content) includes the partials
+     * @param {string} htmlCode - Template HTML
+     * @returns {Promise<void>}
+     */
+    async _requestPartials(instance, htmlCode) {
+        const errors = await this._templateStore.requestPartials(htmlCode, this._reactor.basePath);
+        for (const error of errors) instance[CONSOLE].warn(error.message);
+    }
+
     /**
      * Render a component instance to its container.
      * Callers must ensure renders are serialized (the Reactor's render queue
@@ -510,6 +602,7 @@ export class InstanceRegistry {
 
         const { instance, container } = entry;
         const componentName = instance.componentName;
+        const firstRender = entry.children === null;
 
         // Lazy-load template from basePath if not already in store.
         // IMPORTANT: the `if` guard keeps render() synchronous when the template
@@ -526,13 +619,38 @@ export class InstanceRegistry {
         // Get or compile template
         let compiled = this._templateStore.getCompiled(componentName);
         if (!compiled) {
-            compiled = compileTemplate(template.htmlCode, template.cssCode, this._appName);
+            // Same guard as above: only await when an fw-include partial is not cached
+            if (
+                this._reactor &&
+                this._templateStore.missingPartials(template.htmlCode).length > 0
+            ) {
+                await this._requestPartials(instance, template.htmlCode);
+            }
+            compiled = compileTemplate(
+                template.htmlCode,
+                template.cssCode,
+                this._appName,
+                this._compileOptions(),
+            );
             this._templateStore.setCompiled(componentName, compiled);
         }
 
         // Snapshot current child declarations from vars before rendering
         const { children: currentChildren, declarations } = this._collectChildComponents(instance);
 
+        // Content projected into the children's slots is compiled with the same
+        // partials, so they are loaded first (same guard as above)
+        const slotHtml = Array.from(
+            declarations,
+            ([childCode, decl]) =>
+                (decl instanceof Child && decl._options?.slots) || this._slotSources.get(childCode),
+        )
+            .flatMap((sources) => Object.values(sources ?? {}))
+            .join('');
+        if (this._reactor && slotHtml && this._templateStore.missingPartials(slotHtml).length > 0) {
+            await this._requestPartials(instance, slotHtml);
+        }
+
         // Replace new Child markers with live instances and replay events for ALL existing children,
         // even if they are currently hidden from the template. This ensures their event listeners
         // are correctly wired before any hydration or background processes emit events.
@@ -563,13 +681,32 @@ export class InstanceRegistry {
             if (!currentChildren.has(childCode)) {
                 const childEntry = this._instances.get(childCode);
                 if (childEntry && childEntry.container.parentNode) {
-                    childEntry.container.remove();
+                    this._renderer.leave(childEntry.container);
                 }
             }
         }
 
         // Build template constants
-        const constants = { version: componentId.version };
+        const constants = {
+            version: componentId.version,
+            filters: this._reactor.filters,
+            /**
+             * Resolve t() calls against the reactor's active locale.
+             * @param {string} key - Translation key
+             * @param {Object<string, *>} [params] - Placeholder values
+             * @returns {string} Translated text
+             */
+            translate: (key, params) => this._reactor.translate(key, params),
+            console: instance[CONSOLE],
+            strict: this._reactor.strictTemplates,
+            sanitizeHtml: this._reactor.sanitizeHtml,
+            slots: this._slots.get(code) ?? null,
+            /**
+             * Content of this template's fw-slot elements, per child code.
+             * @type {Map<string, Object<string, string>>}
+             */
+            projections: new Map(),
+        };
 
         // Render to DOM and find child mount points.
         // Global vars (registered via reactor.registerGlobal) are merged at lower
@@ -585,17 +722,33 @@ export class InstanceRegistry {
             /** @type {unknown} */ (compiled)
         );
 
+        // A component with `static shadow = true` renders into an open shadow
+        // root on its mount point; its children are mounted inside that root.
+        const root = /** @type {typeof Component} */ (instance.constructor).shadow
+            ? (container.shadowRoot ?? container.attachShadow({ mode: 'open' }))
+            : container;
+
         const childMountPoints = this._renderer.render(
-            container,
+            root,
             compiledTpl,
             vars,
             componentId,
             constants,
         );
 
+        // The morph resets inline styles, so the view-transition-name is set after every render
+        const viewTransitionName = instance.viewTransitionName;
+        if (viewTransitionName) {
+            const element = /** @type {HTMLElement|null} */ (root.firstElementChild);
+            element?.style.setProperty('view-transition-name', viewTransitionName);
+        }
+
         // Update entry with discovered child mapping
         entry.children = currentChildren;
 
+        // Render the content this component projects into its children's slots
+        const projected = this._projectSlots(instance, root, declarations, vars, constants);
+
         // Detect eagerly-created children that were never mounted.
         // This means createChild() was called but the template has no ((varName))
         // mount point — the child is silently orphaned with no events, no hydration,
@@ -620,15 +773,15 @@ export class InstanceRegistry {
                     if (mountedCodes.has(decl.toComponentId().code)) {
                         continue; // It was mounted, so it's valid
                     }
+                    if (this._isProjected(declarations, decl.toComponentId().code)) {
+                        continue; // It is mounted inside another child's slot
+                    }
 
                     // Check if the component was intentionally hidden by an fw-if condition.
                     // If the original template contains the placeholder, it's valid.
                     let varName = null;
                     for (const key of Object.keys(instance)) {
-                        if (
-                            instance[key] === decl ||
-                            (Array.isArray(instance[key]) && instance[key].includes(decl))
-                        ) {
+                        if (holdsRef(instance[key], decl)) {
                             varName = key;
                             break;
                         }
@@ -666,6 +819,25 @@ export class InstanceRegistry {
             await Promise.allSettled(eagerPromises);
         }
 
+        // Re-render the children whose projected slot content changed.
+        // Eagerly created children rendered before this component did, so
+        // their first render always had empty slots.
+        for (const childCode of projected) {
+            await this._renderProjection(childCode);
+        }
+
+        // Children placed in new mount points enter with their transition,
+        // unless they appear with this component's first render
+        const entering = new Set(
+            firstRender
+                ? []
+                : childMountPoints.filter(
+                      (mountPoint) =>
+                          this._instances.get(getComponentIdFromElement(mountPoint)?.code)
+                              ?.container !== mountPoint,
+                  ),
+        );
+
         // Phase 2: Perform all DOM node transfers synchronously.
         // Doing this in a tight synchronous loop prevents the browser from scheduling
         // rendering frames (Layout recalculations) between partial DOM updates,
@@ -678,11 +850,7 @@ export class InstanceRegistry {
 
                 // Handle eagerly-created children
                 if (ref && ref instanceof Child && ref._creationPromise && ref._detachedContainer) {
-                    mountPoint.innerHTML = '';
-                    const detached = ref._detachedContainer;
-                    while (detached.firstChild) {
-                        mountPoint.appendChild(detached.firstChild);
-                    }
+                    moveContent(ref._detachedContainer, mountPoint);
                     ref._detachedContainer = null;
 
                     const existingEntry = this._instances.get(childCode);
@@ -697,23 +865,38 @@ export class InstanceRegistry {
                         existingEntry.container &&
                         existingEntry.container !== mountPoint
                     ) {
-                        mountPoint.innerHTML = '';
-                        const detached = existingEntry.container;
-                        while (detached.firstChild) {
-                            mountPoint.appendChild(detached.firstChild);
-                        }
+                        moveContent(existingEntry.container, mountPoint);
                         existingEntry.container = mountPoint;
                     }
                 }
             }
         }
 
+        // Projected slots are now in place: show this component's vars in their
+        // fw-model fields, and mount the children placed inside them.
+        let mountPoints = childMountPoints;
+        if (projected.length > 0) {
+            this._renderer.syncModels(root, vars, componentId);
+            mountPoints = findChildMountPoints(root, componentId);
+        }
+
         // Phase 3: Run the rest of the lifecycle (routing, hydration) concurrently
-        const mountPromises = childMountPoints.map((mountPoint) =>
+        const mountPromises = mountPoints.map((mountPoint) =>
             this._mountChild(mountPoint, instance, declarations),
         );
         await Promise.all(mountPromises);
 
+        // Name the transition of every child with `static transition` on its mount point
+        for (const mountPoint of mountPoints) {
+            const childEntry = this._instances.get(getComponentIdFromElement(mountPoint)?.code);
+            const transition =
+                childEntry?.container === mountPoint &&
+                /** @type {typeof Component} */ (childEntry.instance.constructor).transition;
+            if (!transition) continue;
+            mountPoint.setAttribute(TRANSITION_ATTR, transition);
+            if (entering.has(mountPoint)) this._renderer.enter(mountPoint);
+        }
+
         // Clean up orphaned component instances that were removed from the template/vars
         for (const [childCode, childId] of previousChildren) {
             if (!currentChildren.has(childCode)) {
@@ -722,6 +905,103 @@ export class InstanceRegistry {
         }
     }
 
+    /**
+     * Render the content a component projects into its children's slots: the
+     * `slots` templates given to createChild() and the component's fw-slot
+     * elements, both against the component's own vars. The result is kept for
+     * each child's renders until the component renders again.
+     * @private
+     * @param {Component} instance - Parent component
+     * @param {HTMLElement|ShadowRoot} container - Node the parent renders into
+     * @param {Map<string, Child|Component>} declarations - Child declarations collected from vars
+     * @param {ComponentVars} vars - Vars the parent was rendered with
+     * @param {import('./template-compiler.js').TemplateConstants} constants - Parent template constants, with the projections of its render
+     * @returns {Array<string>} Codes of the children whose projected content changed
+     */
+    _projectSlots(instance, container, declarations, vars, constants) {
+        const changed = [];
+        for (const [childCode, decl] of declarations) {
+            if (decl instanceof Child && decl._options?.slots) {
+                this._slotSources.set(childCode, decl._options.slots);
+            }
+
+            /**
+             * Projected HTML by slot name.
+             * @type {Object<string, string>}
+             */
+            const html = {};
+            const sources = this._slotSources.get(childCode) ?? {};
+            for (const [name, source] of Object.entries(sources)) {
+                let compiled = this._slotTemplates.get(source);
+                if (!compiled) {
+                    compiled = compileTemplate(source, '', this._appName, this._compileOptions());
+                    this._slotTemplates.set(source, compiled);
+                }
+                html[name] = this._renderer.renderFragment(
+                    container,
+                    compiled,
+                    vars,
+                    instance[COMPONENT_ID],
+                    constants,
+                );
+            }
+            const fromTemplate = constants.projections?.get(childCode) ?? {};
+            for (const [name, fragment] of Object.entries(fromTemplate)) {
+                html[name] = (html[name] ?? '') + fragment;
+            }
+
+            const previous = this._slots.get(childCode);
+            if (previous ? sameSlots(previous.html, html) : Object.keys(html).length === 0) {
+                continue;
+            }
+            this._slots.set(childCode, { owner: instance.componentCode, html });
+            changed.push(childCode);
+        }
+        return changed;
+    }
+
+    /**
+     * Check whether a child's mount point was projected into the slot of one
+     * of its siblings.
+     * @private
+     * @param {Map<string, Child|Component>} declarations - Child declarations of the parent
+     * @param {string} code - Child component code
+     * @returns {boolean} True if a sibling's projected slot content mounts the child
+     */
+    _isProjected(declarations, code) {
+        const mount = `data-fusewire-id="${code}"`;
+        for (const sibling of declarations.keys()) {
+            const slots = this._slots.get(sibling);
+            if (slots && Object.values(slots.html).some((html) => html.includes(mount))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Re-render an existing child with the slot content its parent just
+     * projected. Children still being created pick it up in their own render.
+     * @private
+     * @param {string} code - Child component code
+     */
+    async _renderProjection(code) {
+        const entry = this._instances.get(code);
+        if (!entry || entry.instance[LIFECYCLE_ACTIVE]) return;
+
+        const { instance } = entry;
+        try {
+            instance[LIFECYCLE_ACTIVE] = 'render';
+            await this.render(instance[COMPONENT_ID]);
+            if (!entry.needsHydration) {
+                instance[LIFECYCLE_ACTIVE] = 'afterRender';
+                instance.afterRender();
+            }
+        } finally {
+            instance[LIFECYCLE_ACTIVE] = null;
+        }
+    }
+
     /**
      * Mount or update a child component at a mount point.
      * @private
@@ -751,11 +1031,8 @@ export class InstanceRegistry {
             if (existingEntry.container !== mountPoint) {
                 // DOM Teleportation: Physically move nodes from the old detached/orphaned container
                 // to the new live mount point to preserve third-party state (CodeMirror, Canvas, etc.)
-                mountPoint.innerHTML = '';
-                const detached = existingEntry.container;
-                while (detached.firstChild) {
-                    mountPoint.appendChild(detached.firstChild);
-                }
+                moveContent(existingEntry.container, mountPoint);
+                this._renderer.adoptStyles(mountPoint);
 
                 existingEntry.container = mountPoint;
                 existingEntry.parent = parentInstance[COMPONENT_ID];
@@ -808,7 +1085,7 @@ export class InstanceRegistry {
                 let routeKey = null;
                 for (const key of Object.keys(parentInstance)) {
                     const val = parentInstance[key];
-                    if (val === ref || (Array.isArray(val) && val.includes(ref))) {
+                    if (holdsRef(val, ref)) {
                         routeKey = key;
                         break;
                     }
@@ -894,9 +1171,9 @@ export class InstanceRegistry {
             return;
         }
         // Auto-consume route segment during eager creation if possible.
-        // The componentId strictly maps to the routeKey in the URL. If a different
-        // naming is required (e.g., for localization), it will be handled transparently
-        // via a conversion table as defined in docs/translations.md.
+        // The componentId strictly maps to the routeKey in the URL. Localized keys
+        // never reach this point: the router's tokenizer maps them back to canonical
+        // keys via its route translations (see docs/translations.md).
         if (!routeSegment && this._reactor.router) {
             const nextSegment = this._reactor.router.peekSegment();
             if (nextSegment && nextSegment.key === ref.componentId) {
@@ -976,11 +1253,7 @@ export class InstanceRegistry {
             // Transfer rendered DOM from detached container into the real mount point.
             // (May have already been done synchronously by Phase 2 of render)
             if (ref._detachedContainer) {
-                mountPoint.innerHTML = '';
-                const detached = ref._detachedContainer;
-                while (detached.firstChild) {
-                    mountPoint.appendChild(detached.firstChild);
-                }
+                moveContent(ref._detachedContainer, mountPoint);
                 ref._detachedContainer = null;
             }
 
@@ -988,13 +1261,8 @@ export class InstanceRegistry {
             if (this._reactor && this._reactor.router) {
                 let routeKey = null;
                 for (const key of Object.keys(parentInstance)) {
-                    const val = parentInstance[key];
                     // Also check childInstance in case _replaceRefInVars was already called
-                    if (
-                        val === ref ||
-                        val === childInstance ||
-                        (Array.isArray(val) && (val.includes(ref) || val.includes(childInstance)))
-                    ) {
+                    if (holdsRef(parentInstance[key], ref, childInstance)) {
                         routeKey = key;
                         break;
                     }
@@ -1010,6 +1278,7 @@ export class InstanceRegistry {
 
             const childId = componentIdFromCode(code);
             mountPoint.classList.add(toCssName(childId.name));
+            this._renderer.adoptStyles(mountPoint);
 
             // Replace reference in parent's vars with real instance
             this._replaceRefInVars(parentInstance, ref, childInstance);
@@ -1060,7 +1329,7 @@ export class InstanceRegistry {
                     const escapedId = childEntry.instance.componentId.replace(/["\\]/g, '\\$&');
                     const escapedParent = componentId.code.replace(/["\\]/g, '\\$&');
                     const selector = `[data-fusewire-id="${escapedId}"][data-fusewire-parent-id="${escapedParent}"]`;
-                    const newContainer = entry.container.querySelector(selector);
+                    const newContainer = renderRoot(entry.container).querySelector(selector);
                     if (newContainer) {
                         childEntry.container = /** @type {HTMLElement} */ (newContainer);
                     }
@@ -1122,6 +1391,13 @@ export class InstanceRegistry {
                     value[index] = instance;
                     ref._replaced = true;
                 }
+            } else if (value instanceof Map) {
+                for (const [mapKey, item] of value) {
+                    if (item === ref) {
+                        value.set(mapKey, instance);
+                        ref._replaced = true;
+                    }
+                }
             }
         }
     }
@@ -1168,8 +1444,8 @@ export class InstanceRegistry {
 
         const vars = collectVars(instance);
         for (const value of Object.values(vars)) {
-            if (Array.isArray(value)) {
-                for (const item of value) {
+            if (Array.isArray(value) || value instanceof Map) {
+                for (const item of value instanceof Map ? value.values() : value) {
                     if (item instanceof Component || item instanceof Child) {
                         addDecl(item);
                     }
@@ -1279,6 +1555,14 @@ export class InstanceRegistry {
         return this._instances.get(code);
     }
 
+    /**
+     * Get the codes of all registered component instances.
+     * @returns {Array<string>} Component codes in registration order
+     */
+    get componentCodes() {
+        return Array.from(this._instances.keys());
+    }
+
     /**
      * Get all root component entries.
      * @returns {Array<import('./symbols.js').RegistryEntry>} Array of root entries
@@ -79,11 +79,33 @@ var fusewireExpr = (function () {
             for (o = o || {}, l = k.length; l--; o[k[l]] = v);
             return o;
         },
-        $V0 = [1, 3],
-        $V1 = [1, 4],
-        $V2 = [1, 5],
-        $V3 = [1, 7],
-        $V4 = [5, 6, 7];
+        $V0 = [1, 4],
+        $V1 = [1, 6],
+        $V2 = [1, 7],
+        $V3 = [1, 8],
+        $V4 = [1, 9],
+        $V5 = [1, 10],
+        $V6 = [1, 11],
+        $V7 = [1, 12],
+        $V8 = [1, 14],
+        $V9 = [1, 15],
+        $Va = [1, 16],
+        $Vb = [1, 17],
+        $Vc = [1, 18],
+        $Vd = [1, 19],
+        $Ve = [1, 20],
+        $Vf = [1, 21],
+        $Vg = [1, 22],
+        $Vh = [1, 23],
+        $Vi = [2, 24],
+        $Vj = [1, 26],
+        $Vk = [1, 28],
+        $Vl = [5, 8, 9, 10, 11, 13, 14, 15, 16, 17, 18, 19, 20, 24, 27],
+        $Vm = [1, 32],
+        $Vn = [1, 33],
+        $Vo = [8, 24],
+        $Vp = [5, 8, 9, 10, 11, 13, 14, 15, 16, 24, 27],
+        $Vq = [8, 27];
     var parser = {
         trace: function trace() {},
         yy: {},
@@ -92,26 +114,112 @@ var fusewireExpr = (function () {
             expressions: 3,
             e: 4,
             EOF: 5,
-            '?': 6,
-            ':': 7,
-            '!': 8,
-            VAR: 9,
-            IN: 10,
-            STRING: 11,
+            VAR: 6,
+            IN: 7,
+            ',': 8,
+            '?': 9,
+            ':': 10,
+            '|': 11,
+            filterArgs: 12,
+            '||': 13,
+            '&&': 14,
+            '==': 15,
+            '!=': 16,
+            '<': 17,
+            '<=': 18,
+            '>': 19,
+            '>=': 20,
+            '!': 21,
+            call: 22,
+            '{': 23,
+            '}': 24,
+            properties: 25,
+            '(': 26,
+            ')': 27,
+            STRING: 28,
+            NUMBER: 29,
+            TRUE: 30,
+            FALSE: 31,
+            NULL: 32,
+            callArgs: 33,
+            property: 34,
+            filterArg: 35,
             $accept: 0,
             $end: 1,
         },
         terminals_: {
             2: 'error',
             5: 'EOF',
-            6: '?',
-            7: ':',
-            8: '!',
-            9: 'VAR',
-            10: 'IN',
-            11: 'STRING',
+            6: 'VAR',
+            7: 'IN',
+            8: ',',
+            9: '?',
+            10: ':',
+            11: '|',
+            13: '||',
+            14: '&&',
+            15: '==',
+            16: '!=',
+            17: '<',
+            18: '<=',
+            19: '>',
+            20: '>=',
+            21: '!',
+            23: '{',
+            24: '}',
+            26: '(',
+            27: ')',
+            28: 'STRING',
+            29: 'NUMBER',
+            30: 'TRUE',
+            31: 'FALSE',
+            32: 'NULL',
         },
-        productions_: [0, [3, 2], [4, 5], [4, 2], [4, 3], [4, 1], [4, 1]],
+        productions_: [
+            0,
+            [3, 2],
+            [3, 4],
+            [3, 6],
+            [4, 5],
+            [4, 4],
+            [4, 3],
+            [4, 3],
+            [4, 3],
+            [4, 3],
+            [4, 3],
+            [4, 3],
+            [4, 3],
+            [4, 3],
+            [4, 2],
+            [4, 1],
+            [4, 2],
+            [4, 3],
+            [4, 3],
+            [4, 1],
+            [4, 1],
+            [4, 1],
+            [4, 1],
+            [4, 1],
+            [4, 1],
+            [22, 3],
+            [22, 4],
+            [33, 1],
+            [33, 3],
+            [25, 1],
+            [25, 3],
+            [34, 3],
+            [34, 3],
+            [12, 0],
+            [12, 3],
+            [35, 1],
+            [35, 1],
+            [35, 1],
+            [35, 1],
+            [35, 1],
+            [35, 1],
+            [35, 1],
+            [35, 3],
+        ],
         performAction: function anonymous(
             yytext,
             yyleng,
@@ -129,6 +237,21 @@ var fusewireExpr = (function () {
                     return $$[$0 - 1];
                     break;
                 case 2:
+                    return {
+                        type: 'ForEach',
+                        item: { type: 'VarPath', value: $$[$0 - 3] },
+                        list: $$[$0 - 1],
+                    };
+                    break;
+                case 3:
+                    return {
+                        type: 'ForEach',
+                        item: { type: 'VarPath', value: $$[$0 - 5] },
+                        index: { type: 'VarPath', value: $$[$0 - 3] },
+                        list: $$[$0 - 1],
+                    };
+                    break;
+                case 4:
                     this.$ = {
                         type: 'Ternary',
                         condition: $$[$0 - 4],
@@ -136,41 +259,575 @@ var fusewireExpr = (function () {
                         falseExpr: $$[$0],
                     };
                     break;
-                case 3:
-                    this.$ = { type: 'Negation', expr: $$[$0] };
+                case 5:
+                    this.$ = { type: 'Filter', name: $$[$0 - 1], expr: $$[$0 - 3], args: $$[$0] };
                     break;
-                case 4:
+                case 6:
+                case 7:
                     this.$ = {
-                        type: 'ForEach',
-                        item: { type: 'VarPath', value: $$[$0 - 2] },
-                        list: { type: 'VarPath', value: $$[$0] },
+                        type: 'Logical',
+                        operator: $$[$0 - 1],
+                        left: $$[$0 - 2],
+                        right: $$[$0],
                     };
                     break;
-                case 5:
+                case 8:
+                case 9:
+                case 10:
+                case 11:
+                case 12:
+                case 13:
+                    this.$ = {
+                        type: 'Comparison',
+                        operator: $$[$0 - 1],
+                        left: $$[$0 - 2],
+                        right: $$[$0],
+                    };
+                    break;
+                case 14:
+                    this.$ = { type: 'Negation', expr: $$[$0] };
+                    break;
+                case 15:
+                case 41:
+                    this.$ = $$[$0];
+                    break;
+                case 16:
+                    this.$ = { type: 'Object', properties: [] };
+                    break;
+                case 17:
+                    this.$ = { type: 'Object', properties: $$[$0 - 1] };
+                    break;
+                case 18:
+                case 42:
+                    this.$ = $$[$0 - 1];
+                    break;
+                case 19:
+                case 35:
                     this.$ = { type: 'String', value: $$[$0].slice(1, -1) };
                     break;
-                case 6:
+                case 20:
+                case 36:
+                    this.$ = { type: 'Number', value: Number($$[$0]) };
+                    break;
+                case 21:
+                case 37:
+                    this.$ = { type: 'Boolean', value: true };
+                    break;
+                case 22:
+                case 38:
+                    this.$ = { type: 'Boolean', value: false };
+                    break;
+                case 23:
+                case 39:
+                    this.$ = { type: 'Null', value: null };
+                    break;
+                case 24:
+                case 40:
                     this.$ = { type: 'VarPath', value: $$[$0] };
                     break;
+                case 25:
+                    this.$ = { type: 'Call', name: $$[$0 - 2], args: [] };
+                    break;
+                case 26:
+                    this.$ = { type: 'Call', name: $$[$0 - 3], args: $$[$0 - 1] };
+                    break;
+                case 27:
+                case 29:
+                    this.$ = [$$[$0]];
+                    break;
+                case 28:
+                case 30:
+                case 34:
+                    this.$ = $$[$0 - 2].concat([$$[$0]]);
+                    break;
+                case 31:
+                    this.$ = { key: $$[$0 - 2], value: $$[$0] };
+                    break;
+                case 32:
+                    this.$ = { key: $$[$0 - 2].slice(1, -1), value: $$[$0] };
+                    break;
+                case 33:
+                    this.$ = [];
+                    break;
             }
         },
         table: [
-            { 3: 1, 4: 2, 8: $V0, 9: $V1, 11: $V2 },
+            {
+                3: 1,
+                4: 2,
+                6: [1, 3],
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
             { 1: [3] },
-            { 5: [1, 6], 6: $V3 },
-            { 4: 8, 8: $V0, 9: $V1, 11: $V2 },
-            o($V4, [2, 6], { 10: [1, 9] }),
-            o($V4, [2, 5]),
+            {
+                5: [1, 13],
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            },
+            o([5, 9, 11, 13, 14, 15, 16, 17, 18, 19, 20], $Vi, { 7: [1, 24], 8: [1, 25], 26: $Vj }),
+            {
+                4: 27,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            o($Vl, [2, 15]),
+            { 6: $Vm, 24: [1, 29], 25: 30, 28: $Vn, 34: 31 },
+            {
+                4: 34,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            o($Vl, [2, 19]),
+            o($Vl, [2, 20]),
+            o($Vl, [2, 21]),
+            o($Vl, [2, 22]),
+            o($Vl, [2, 23]),
             { 1: [2, 1] },
-            { 4: 10, 8: $V0, 9: $V1, 11: $V2 },
-            o($V4, [2, 3]),
-            { 9: [1, 11] },
-            { 6: $V3, 7: [1, 12] },
-            o($V4, [2, 4]),
-            { 4: 13, 8: $V0, 9: $V1, 11: $V2 },
-            o([5, 7], [2, 2], { 6: $V3 }),
+            {
+                4: 35,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            { 6: [1, 36] },
+            {
+                4: 37,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 38,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 39,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 40,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 41,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 42,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 43,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 44,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 45,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            { 6: [1, 46] },
+            {
+                4: 49,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                27: [1, 47],
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+                33: 48,
+            },
+            o($Vl, [2, 14]),
+            o($Vl, $Vi, { 26: $Vj }),
+            o($Vl, [2, 16]),
+            { 8: [1, 51], 24: [1, 50] },
+            o($Vo, [2, 29]),
+            { 10: [1, 52] },
+            { 10: [1, 53] },
+            {
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+                27: [1, 54],
+            },
+            {
+                9: $V8,
+                10: [1, 55],
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            },
+            o($Vl, [2, 33], { 12: 56 }),
+            o([5, 8, 9, 10, 11, 13, 24, 27], [2, 6], {
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            o([5, 8, 9, 10, 11, 13, 14, 24, 27], [2, 7], {
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            o($Vp, [2, 8], { 17: $Ve, 18: $Vf, 19: $Vg, 20: $Vh }),
+            o($Vp, [2, 9], { 17: $Ve, 18: $Vf, 19: $Vg, 20: $Vh }),
+            o($Vl, [2, 10]),
+            o($Vl, [2, 11]),
+            o($Vl, [2, 12]),
+            o($Vl, [2, 13]),
+            {
+                5: [1, 57],
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            },
+            { 7: [1, 58] },
+            o($Vl, [2, 25]),
+            { 8: [1, 60], 27: [1, 59] },
+            o($Vq, [2, 27], {
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            o($Vl, [2, 17]),
+            { 6: $Vm, 28: $Vn, 34: 61 },
+            {
+                4: 62,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            {
+                4: 63,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            o($Vl, [2, 18]),
+            {
+                4: 64,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            o([5, 8, 9, 11, 13, 14, 15, 16, 17, 18, 19, 20, 24, 27], [2, 5], { 10: [1, 65] }),
+            { 1: [2, 2] },
+            {
+                4: 66,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            o($Vl, [2, 26]),
+            {
+                4: 67,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            o($Vo, [2, 30]),
+            o($Vo, [2, 31], {
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            o($Vo, [2, 32], {
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            o([5, 8, 10, 11, 24, 27], [2, 4], {
+                9: $V8,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            {
+                6: [1, 74],
+                22: 75,
+                26: [1, 76],
+                28: [1, 69],
+                29: [1, 70],
+                30: [1, 71],
+                31: [1, 72],
+                32: [1, 73],
+                35: 68,
+            },
+            {
+                5: [1, 77],
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            },
+            o($Vq, [2, 28], {
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+            }),
+            o($Vl, [2, 34]),
+            o($Vl, [2, 35]),
+            o($Vl, [2, 36]),
+            o($Vl, [2, 37]),
+            o($Vl, [2, 38]),
+            o($Vl, [2, 39]),
+            o($Vl, [2, 40], { 26: $Vj }),
+            o($Vl, [2, 41]),
+            {
+                4: 78,
+                6: $Vk,
+                21: $V0,
+                22: 5,
+                23: $V1,
+                26: $V2,
+                28: $V3,
+                29: $V4,
+                30: $V5,
+                31: $V6,
+                32: $V7,
+            },
+            { 1: [2, 3] },
+            {
+                9: $V8,
+                11: $V9,
+                13: $Va,
+                14: $Vb,
+                15: $Vc,
+                16: $Vd,
+                17: $Ve,
+                18: $Vf,
+                19: $Vg,
+                20: $Vh,
+                27: [1, 79],
+            },
+            o($Vl, [2, 42]),
         ],
-        defaultActions: { 6: [2, 1] },
+        defaultActions: { 13: [2, 1], 57: [2, 2], 77: [2, 3] },
         parseError: function parseError(str, hash) {
             if (hash.recoverable) {
                 this.trace(str);
@@ -709,43 +1366,123 @@ var fusewireExpr = (function () {
                     case 0 /* skip whitespace */:
                         break;
                     case 1:
-                        return 8;
+                        return 26;
                         break;
                     case 2:
-                        return 6;
+                        return 27;
                         break;
                     case 3:
-                        return 7;
+                        return 23;
                         break;
                     case 4:
-                        return 10;
+                        return 24;
                         break;
                     case 5:
-                        return 11;
+                        return 8;
                         break;
                     case 6:
-                        return 11;
+                        return 15;
                         break;
                     case 7:
-                        return 9;
+                        return 16;
                         break;
                     case 8:
+                        return 18;
+                        break;
+                    case 9:
+                        return 20;
+                        break;
+                    case 10:
+                        return 17;
+                        break;
+                    case 11:
+                        return 19;
+                        break;
+                    case 12:
+                        return 14;
+                        break;
+                    case 13:
+                        return 13;
+                        break;
+                    case 14:
+                        return 11;
+                        break;
+                    case 15:
+                        return 21;
+                        break;
+                    case 16:
+                        return 9;
+                        break;
+                    case 17:
+                        return 10;
+                        break;
+                    case 18:
+                        return 7;
+                        break;
+                    case 19:
+                        return 30;
+                        break;
+                    case 20:
+                        return 31;
+                        break;
+                    case 21:
+                        return 32;
+                        break;
+                    case 22:
+                        return 29;
+                        break;
+                    case 23:
+                        return 28;
+                        break;
+                    case 24:
+                        return 28;
+                        break;
+                    case 25:
+                        return 6;
+                        break;
+                    case 26:
                         return 5;
                         break;
                 }
             },
             rules: [
                 /^(?:\s+)/,
+                /^(?:\()/,
+                /^(?:\))/,
+                /^(?:\{)/,
+                /^(?:\})/,
+                /^(?:,)/,
+                /^(?:==)/,
+                /^(?:!=)/,
+                /^(?:<=)/,
+                /^(?:>=)/,
+                /^(?:<)/,
+                /^(?:>)/,
+                /^(?:&&)/,
+                /^(?:\|\|)/,
+                /^(?:\|)/,
                 /^(?:!)/,
                 /^(?:\?)/,
                 /^(?::)/,
                 /^(?:in\b)/,
+                /^(?:true\b)/,
+                /^(?:false\b)/,
+                /^(?:null\b)/,
+                /^(?:-?[0-9]+(?:\.[0-9]+)?\b)/,
                 /^(?:'(?:[^'\\]|\\.)*')/,
                 /^(?:"(?:[^"\\]|\\.)*")/,
                 /^(?:[$a-zA-Z_][$a-zA-Z0-9_]*(?:\.[$a-zA-Z_][$a-zA-Z0-9_]*)*)/,
                 /^(?:$)/,
             ],
-            conditions: { INITIAL: { rules: [0, 1, 2, 3, 4, 5, 6, 7, 8], inclusive: true } },
+            conditions: {
+                INITIAL: {
+                    rules: [
+                        0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
+                        21, 22, 23, 24, 25, 26,
+                    ],
+                    inclusive: true,
+                },
+            },
         };
         return lexer;
     })();
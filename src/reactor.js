@@ -6,6 +6,7 @@ import { componentIdFromCode } from './component-id.js';
 import { Child } from './component.js';
 import { FuseWire } from './fusewire.js';
 import { TemplateStore } from './template-store.js';
+import { TranslationStore } from './translation-store.js';
 import { InstanceRegistry } from './instance.js';
 import { Renderer } from './renderer.js';
 import { Idiomorph } from './vendor/idiomorph.js';
@@ -16,6 +17,10 @@ import { HistoryRouter } from './history-router.js';
 import { broadcastFromRoots, broadcastFrom } from './broadcast.js';
 import { REACTOR, LIFECYCLE_ACTIVE, LIBRARIES, EVENTS } from './symbols.js';
 import { emitBroadcast, onEvent, emitEvent } from './event-emitter.js';
+import { BUILTIN_FILTERS } from './filters.js';
+import { sanitizeHtml } from './sanitizer.js';
+import { RenderScheduler, RENDER_PRIORITIES, resolveRenderMode } from './render-scheduler.js';
+import { SYSTEM_THEME, themeProperties, writeThemeProperties, watchColorScheme } from './theme.js';
 
 /**
  * Map of variables passed to a component.
@@ -29,9 +34,13 @@ import { emitBroadcast, onEvent, emitEvent } from './event-emitter.js';
  * Interface for a custom state serializer.
  * @typedef {{stringify: function(ComponentVars): string, parse: function(string): ComponentVars}} SerializerLike
  */
+/**
+ * A document with the View Transitions API (`document.startViewTransition()`).
+ * @typedef {Document & {startViewTransition?: function(function(): Promise<void>): {updateCallbackDone: Promise<void>}}} ViewTransitionDocument
+ */
 /**
  * Reactor configuration options.
- * @typedef {{console?: Console, templateStore?: TemplateStore, renderer?: Renderer, morphFunction?: function(HTMLElement, string, Object<string, *>=): void, instanceRegistry?: InstanceRegistry, basePath?: string, globalVars?: ComponentVars, enableDefaultConsole?: boolean, persistence?: Persistence, serializer?: SerializerLike, router?: import('./history-router.js').HistoryRouter|null}} ReactorConfig
+ * @typedef {{console?: Console, templateStore?: TemplateStore, renderer?: Renderer, morphFunction?: import('./renderer.js').MorphFunction, instanceRegistry?: InstanceRegistry, basePath?: string, globalVars?: ComponentVars, filters?: import('./template-compiler.js').FilterMap, locale?: string, fallbackLocale?: string|null, translations?: Object<string, import('./translation-store.js').TranslationCatalog>, translationStore?: TranslationStore, translationsPath?: string|null, enableDefaultConsole?: boolean, persistence?: Persistence, serializer?: SerializerLike, router?: import('./history-router.js').HistoryRouter|null, strictTemplates?: boolean, sanitizeHtml?: import('./sanitizer.js').HtmlSanitizer, trustedTypesPolicy?: string, cssNonce?: string, adoptedStyleSheets?: boolean, keepStyles?: boolean, scheduler?: import('./render-scheduler.js').SchedulerLike, themes?: Object<string, import('./theme.js').ThemeTokens>, theme?: string|import('./theme.js').ThemeTokens}} ReactorConfig
  */
 
 /**
@@ -87,21 +96,63 @@ export class Reactor {
          * @type {Promise<void>}
          */
         this._drainPromise = Promise.resolve();
+        /**
+         * Promise of the drain in progress, or of the last one.
+         * @type {Promise<void>}
+         */
+        this._runningDrain = Promise.resolve();
+        /**
+         * Decides when queued renders of each mode (SYNC, FRAME, IDLE) run.
+         * @type {import('./render-scheduler.js').SchedulerLike}
+         */
+        this._scheduler = config.scheduler || new RenderScheduler();
+        /**
+         * Drains requested from the scheduler and not started yet, per render mode.
+         * @type {Map<string, Promise<void>>}
+         */
+        this._scheduledDrains = new Map();
+        /**
+         * Lowest priority whose scheduled drain has started: queued renders of
+         * this priority or higher are due. -1 when none are.
+         * @type {number}
+         */
+        this._duePriority = -1;
+        /**
+         * Drains held back while a view transition captures the page, or null
+         * when drains start as scheduled.
+         * @type {Array<function(): void>|null}
+         */
+        this._heldDrains = null;
 
         // Auto-create dependencies if not provided
         this._templateStore = config.templateStore || new TemplateStore();
 
+        // Translations — catalogs live in the TranslationStore; inline catalogs from
+        // config are stored up front, others are fetched from translationsPath on demand.
+        this._translationStore = config.translationStore || new TranslationStore();
+        for (const [locale, messages] of Object.entries(config.translations || {})) {
+            this._translationStore.set(locale, messages);
+        }
+        this._translationsPath = config.translationsPath ?? null;
+        this._locale = config.locale || 'en';
+        this._fallbackLocale = config.fallbackLocale ?? null;
+
         // Renderer setup - use Idiomorph by default, allow override for tests
         if (!config.renderer) {
             const morphFunction =
                 config.morphFunction ||
-                /** @type {function(HTMLElement, string, Object<string, *>=): void} */ (
-                    Idiomorph.morph
-                );
-            this._renderer = new Renderer(morphFunction, this._appName);
+                /** @type {import('./renderer.js').MorphFunction} */ (Idiomorph.morph);
+            this._renderer = new Renderer(morphFunction, this._appName, {
+                trustedTypesPolicy: config.trustedTypesPolicy,
+                cssNonce: config.cssNonce,
+                adoptedStyleSheets: config.adoptedStyleSheets,
+                keepStyles: config.keepStyles,
+            });
         } else {
             this._renderer = config.renderer;
         }
+        // Styles of cleared templates are injected again on their next render
+        this._templateStore.onClear((componentName) => this._renderer.invalidateCSS(componentName));
 
         // Persistence — manages storing component state across destroy/recreate cycles.
         /**
@@ -152,6 +203,36 @@ export class Reactor {
          */
         this._globalVars = { ...config.globalVars };
 
+        // Template filters — built-ins plus application filters, available to
+        // pipe expressions in every template: ((price | currency:'EUR')).
+        /**
+         * Filters available to template expressions, keyed by name.
+         * @type {import('./template-compiler.js').FilterMap}
+         */
+        this._filters = { ...BUILTIN_FILTERS };
+        for (const [name, fn] of Object.entries(config.filters || {})) {
+            this.registerFilter(name, fn);
+        }
+
+        // Strict templates — template syntax errors throw a TemplateSyntaxError
+        // instead of being warned and rendered as empty.
+        this._strictTemplates = config.strictTemplates ?? false;
+
+        // HTML sanitizer for raw ((html: ...)) interpolations. The default is an
+        // allowlist sanitizer; apps can plug in their own (e.g. DOMPurify). The
+        // default parses with the default Trusted Types policy, or with the
+        // renderer's when the app names its own.
+        this._sanitizeHtml = config.sanitizeHtml ?? sanitizeHtml;
+        if (!config.sanitizeHtml && config.trustedTypesPolicy) {
+            this._sanitizeHtml =
+                /**
+                 * Sanitize with the default allowlist and the renderer's policy.
+                 * @param {string} html - Untrusted HTML
+                 * @returns {string} Sanitized HTML
+                 */
+                (html) => sanitizeHtml(html, this._renderer.htmlPolicy);
+        }
+
         // Portal host registry — PortalHost components register themselves here
         // so PortalChild instances can find them by ID.
         /**
@@ -164,6 +245,40 @@ export class Reactor {
          * @type {Map<string, Array<{resolve: function(import('./builtins/portal-host.js').PortalHost): void}>>}
          */
         this._pendingPortalRequests = new Map();
+
+        // Theming — design tokens written as CSS custom properties on the root
+        // container. Named themes come from config.themes or registerTheme().
+        /**
+         * Named themes, keyed by name.
+         * @type {Map<string, import('./theme.js').ThemeTokens>}
+         */
+        this._themes = new Map();
+        for (const [name, tokens] of Object.entries(config.themes || {})) {
+            this.registerTheme(name, tokens);
+        }
+        /**
+         * Name of the applied theme, or null for unnamed tokens or no theme.
+         * @type {string|null}
+         */
+        this._theme = null;
+        /**
+         * Custom properties of the applied theme.
+         * @type {Map<string, string>}
+         */
+        this._themeProperties = new Map();
+        /**
+         * Custom properties last written on the root container.
+         * @type {Map<string, string>}
+         */
+        this._writtenThemeProperties = new Map();
+        /**
+         * Stops following prefers-color-scheme, while the system theme is set.
+         * @type {(function(): void)|null}
+         */
+        this._stopColorSchemeWatch = null;
+        if (config.theme) {
+            this.setTheme(config.theme);
+        }
     }
 
     /**
@@ -198,6 +313,63 @@ export class Reactor {
         return this._globalVars;
     }
 
+    /**
+     * Get the translation store for this reactor
+     * @returns {TranslationStore} The translation store
+     */
+    get translationStore() {
+        return this._translationStore;
+    }
+
+    /**
+     * Get the active locale
+     * @returns {string} Locale tag (e.g. 'en', 'es-AR')
+     */
+    get locale() {
+        return this._locale;
+    }
+
+    /**
+     * Get the filters available to template pipe expressions
+     * @returns {import('./template-compiler.js').FilterMap} Filters keyed by name
+     */
+    get filters() {
+        return this._filters;
+    }
+
+    /**
+     * Whether template syntax errors throw instead of being warned
+     * @returns {boolean} True in strict template mode
+     */
+    get strictTemplates() {
+        return this._strictTemplates;
+    }
+
+    /**
+     * Get the sanitizer applied to raw ((html: ...)) interpolations
+     * @returns {import('./sanitizer.js').HtmlSanitizer} HTML sanitizer
+     */
+    get sanitizeHtml() {
+        return this._sanitizeHtml;
+    }
+
+    /**
+     * Get the name of the applied theme. While following the system color
+     * scheme, this is the theme it resolved to ('light' or 'dark').
+     * @returns {string|null} Theme name, or null for unnamed tokens or no theme
+     */
+    get theme() {
+        return this._theme;
+    }
+
+    /**
+     * Get the custom properties of the applied theme
+     * @returns {Object<string, string>} Values keyed by custom property name (e.g. '--color-primary')
+     */
+    get themeTokens() {
+        return Object.fromEntries(this._themeProperties);
+    }
+
     /**
      * Get a promise that resolves when the current render drain completes.
      * Used by Component.react() to return a promise the caller can await.
@@ -317,6 +489,9 @@ export class Reactor {
     async start(container, componentName, id, vars = {}) {
         let renderContainer = container;
 
+        // Translations must be available before the first render
+        await this._loadCatalogs(this._locale);
+
         // Add app namespace to root container (first call only).
         // Create a child element so app-level classes (fusewire, appName) and
         // component-level class (fusewire-component-X) live on separate DOM
@@ -324,6 +499,8 @@ export class Reactor {
         if (!this._rootContainer) {
             this._rootContainer = container;
             container.classList.add('fusewire', this._appName);
+            this._renderer.attachRoot(container);
+            this._writeTheme();
             renderContainer = container.ownerDocument.createElement('div');
             container.appendChild(renderContainer);
         }
@@ -371,6 +548,200 @@ export class Reactor {
         );
     }
 
+    /**
+     * Register a template filter, usable in any template of this app as
+     * ((value | name:arg1:arg2)). Registering an existing name (including a
+     * built-in) replaces it. Already-rendered components pick up the filter
+     * on their next render.
+     * @param {string} name - Filter name (a plain identifier)
+     * @param {import('./filters.js').FilterFunction} fn - Receives the piped value followed by the filter arguments
+     */
+    registerFilter(name, fn) {
+        if (typeof name !== 'string' || !/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+            throw new Error(`Reactor: filter name "${name}" is not a valid identifier`);
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`Reactor: filter "${name}" must be a function`);
+        }
+        this._filters[name] = fn;
+    }
+
+    /**
+     * Translate a key using the active locale.
+     * Backs t() in templates and Component.t().
+     * @param {string} key - Translation key
+     * @param {import('./translation-store.js').TranslationParams} [params] - Placeholder values; a numeric `count` selects the plural form
+     * @returns {string} Translated text, or the key when no catalog defines it
+     */
+    translate(key, params = {}) {
+        return this._translationStore.translate(this._locale, key, params, this._fallbackLocale);
+    }
+
+    /**
+     * Switch the active locale, re-render every mounted component and rewrite
+     * the URL with the new locale's route keys.
+     * When translationsPath is configured, the catalogs of the locale, its
+     * base language and the fallback locale are fetched first (a failed fetch
+     * is logged and missing keys render as-is).
+     * Broadcasts 'fw-locale-change' with {locale, previousLocale} once the
+     * new locale is active.
+     * @param {string} locale - Locale tag (e.g. 'es-AR')
+     * @returns {Promise<void>} Resolves when the re-render completes
+     */
+    async setLocale(locale) {
+        if (typeof locale !== 'string' || !locale) {
+            throw new Error(`Reactor: locale "${locale}" is not a valid locale tag`);
+        }
+        if (locale === this._locale) return;
+
+        await this._loadCatalogs(locale);
+        const previousLocale = this._locale;
+        this._locale = locale;
+
+        for (const code of this._instanceRegistry.componentCodes) {
+            const entry = this._instanceRegistry.getEntry(code);
+            // Components still being created render with the new locale anyway
+            if (entry && !entry.instance[LIFECYCLE_ACTIVE]) {
+                this.react(code);
+            }
+        }
+        this.broadcast('fw-locale-change', { locale, previousLocale });
+        await this._drainPromise;
+
+        // Re-serialize the URL so localized route keys follow the new locale.
+        // Skipped before start(): there is no tree to serialize yet.
+        if (this.router && this._rootContainer) {
+            this.router.replaceUrl();
+        }
+    }
+
+    /**
+     * Register a named theme for setTheme(). Registering an existing name
+     * replaces it; when it is the applied theme, the new tokens are applied.
+     * @param {string} name - Theme name (e.g. 'light', 'dark', 'high-contrast')
+     * @param {import('./theme.js').ThemeTokens} tokens - Design tokens
+     */
+    registerTheme(name, tokens) {
+        if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(name) || name === SYSTEM_THEME) {
+            throw new Error(`Reactor: theme name "${name}" is not valid`);
+        }
+        themeProperties(tokens);
+        this._themes.set(name, tokens);
+        if (this._theme === name) {
+            this._applyTheme(name, tokens);
+        }
+    }
+
+    /**
+     * Apply a theme: write its design tokens as CSS custom properties on the
+     * root container, replacing the previous theme's.
+     * Accepts a registered theme name, an object of tokens, or 'system' to
+     * follow the user's prefers-color-scheme setting with the 'light' and
+     * 'dark' themes until another theme is set.
+     * Broadcasts 'fw-theme-change' with {theme, previousTheme, tokens} when
+     * the applied theme changes.
+     * @param {string|import('./theme.js').ThemeTokens} theme - Theme name, 'system' or design tokens
+     */
+    setTheme(theme) {
+        if (typeof theme === 'string' && theme !== SYSTEM_THEME && !this._themes.has(theme)) {
+            throw new Error(`Reactor: theme "${theme}" is not registered`);
+        }
+        if (theme === SYSTEM_THEME && !(this._themes.has('light') && this._themes.has('dark'))) {
+            throw new Error(`Reactor: the "${SYSTEM_THEME}" theme needs "light" and "dark" themes`);
+        }
+        if (typeof theme !== 'string') themeProperties(theme);
+
+        this._stopColorSchemeWatch?.();
+        this._stopColorSchemeWatch = null;
+        if (theme === SYSTEM_THEME) {
+            this._stopColorSchemeWatch = watchColorScheme((scheme) =>
+                this._applyTheme(scheme, this._themes.get(scheme)),
+            );
+        } else if (typeof theme === 'string') {
+            this._applyTheme(theme, this._themes.get(theme));
+        } else {
+            this._applyTheme(null, theme);
+        }
+    }
+
+    /**
+     * Make a theme the applied one and broadcast the change.
+     * @private
+     * @param {string|null} name - Registered theme name, or null for unnamed tokens
+     * @param {import('./theme.js').ThemeTokens} tokens - Design tokens
+     */
+    _applyTheme(name, tokens) {
+        const previousTheme = this._theme;
+        const previousProperties = this._themeProperties;
+        const properties = themeProperties(tokens);
+        const unchanged =
+            name === previousTheme &&
+            properties.size === previousProperties.size &&
+            [...properties].every(([key, value]) => previousProperties.get(key) === value);
+        if (unchanged) return;
+
+        this._theme = name;
+        this._themeProperties = properties;
+        this._writeTheme();
+        this.broadcast('fw-theme-change', {
+            theme: name,
+            previousTheme,
+            tokens: this.themeTokens,
+        });
+    }
+
+    /**
+     * Write the applied theme on the root container. Before start() there is
+     * no root container yet; start() writes the theme then.
+     * @private
+     */
+    _writeTheme() {
+        if (!this._rootContainer) return;
+        writeThemeProperties(
+            this._rootContainer,
+            this._themeProperties,
+            this._writtenThemeProperties,
+        );
+        this._writtenThemeProperties = this._themeProperties;
+        if (this._theme) {
+            this._rootContainer.dataset.fusewireTheme = this._theme;
+        } else {
+            delete this._rootContainer.dataset.fusewireTheme;
+        }
+    }
+
+    /**
+     * Fetch the catalogs a locale's lookups consult (the locale, its base
+     * language and the fallback locale) in parallel.
+     * @private
+     * @param {string} locale - Locale tag
+     * @returns {Promise<void>} Resolves when every catalog is loaded (or failed to load)
+     */
+    async _loadCatalogs(locale) {
+        await Promise.all(
+            this._translationStore
+                .lookupChain(locale, this._fallbackLocale)
+                .map((candidate) => this._loadCatalog(candidate)),
+        );
+    }
+
+    /**
+     * Fetch the catalog for a locale from translationsPath if it is not loaded yet.
+     * @private
+     * @param {string} locale - Locale tag
+     * @returns {Promise<void>} Resolves when the catalog is loaded (or failed to load)
+     */
+    async _loadCatalog(locale) {
+        if (!this._translationsPath || this._translationStore.has(locale)) return;
+        try {
+            await this._translationStore.requestCatalog(locale, this._translationsPath);
+        } catch (error) {
+            this._console.warn(
+                `Reactor: could not load translations for "${locale}": ${error instanceof Error ? error.message : String(error)}`,
+            );
+        }
+    }
+
     /**
      * Register a PortalHost so PortalChild instances can find it by ID.
      * Drains any pending requests waiting for this host.
@@ -428,48 +799,155 @@ export class Reactor {
      * serializes all renders so only one render chain runs at a time.
      * Multiple react() calls for the same component are deduplicated — if the
      * component is already queued, subsequent calls are dropped (the queued
-     * render will use the latest vars when it runs).
+     * render will use the latest vars when it runs), except that a call with
+     * a more urgent mode moves the queued render up to that mode.
      * @param {ComponentId|string} componentId - Component to re-render (ComponentId or code string)
-     * @param {string} mode - Render mode (currently only 'CSR' supported)
-     * @returns {Promise<void>} Resolves when the current queue drain completes
+     * @param {string} mode - Render mode: 'SYNC' (in a microtask; also named 'CSR'), 'FRAME' (next animation frame) or 'IDLE' (when the browser is idle)
+     * @returns {Promise<void>} Resolves when the drain rendering this component completes
      */
     react(componentId, mode = 'CSR') {
-        if (mode !== 'CSR') {
-            throw new Error(`Reactor: Unsupported render mode "${mode}"`);
-        }
+        const renderMode = resolveRenderMode(mode);
 
         // Accept both ComponentId and code string (from legacy callers)
         const id = typeof componentId === 'string' ? componentIdFromCode(componentId) : componentId;
 
-        // Deduplicate: skip if this component is already waiting in the queue
+        // Deduplicate: keep the queued entry (and its place in the queue),
+        // upgrading its mode when this call is more urgent
         const code = id.code;
-        if (!this._queue.has(code)) {
-            this._queue.set(code, { id, mode });
+        const queued = this._queue.get(code);
+        if (!queued || RENDER_PRIORITIES[renderMode] < RENDER_PRIORITIES[queued.mode]) {
+            this._queue.set(code, { id, mode: renderMode });
         }
+        return this._scheduleDrain(/** @type {{mode: string}} */ (this._queue.get(code)).mode);
+    }
 
-        // Start draining if not already running. We schedule it as a microtask
-        // to prevent nested rendering if react() is called synchronously inside
-        // a lifecycle hook or event handler executed during an ongoing render.
-        if (!this._draining) {
-            this._draining = true; // reserve it synchronously
-            this._drainPromise = Promise.resolve().then(() => this._drain());
+    /**
+     * Run DOM updates inside a view transition (`document.startViewTransition()`),
+     * so the browser animates from the page before them to the page after.
+     * Queued renders are held back until the browser has captured the page,
+     * then rendered inside the transition after the update. Without the View
+     * Transitions API the update and the renders run right away.
+     * @param {function(): (Promise<void>|void)} [update] - Work changing the component tree, e.g. applying a route
+     * @returns {Promise<void>} Resolves once the update and the queued renders are done
+     */
+    async viewTransition(update = () => {}) {
+        const doc = /** @type {ViewTransitionDocument|undefined} */ (
+            this._rootContainer?.ownerDocument ?? globalThis.document
+        );
+        /**
+         * Release the held drains, apply the update and wait for the renders.
+         * @returns {Promise<void>} Resolves once the DOM is updated
+         */
+        const run = async () => {
+            const held = this._heldDrains ?? [];
+            this._heldDrains = null;
+            for (const start of held) start();
+            await update();
+            await this._drainPromise;
+        };
+        if (typeof doc?.startViewTransition !== 'function') {
+            await run();
+            return;
         }
-        return this._drainPromise;
+        this._heldDrains ??= [];
+        await doc.startViewTransition(run).updateCallbackDone;
     }
 
     /**
-     * Process the render queue sequentially until empty.
-     * For each entry: render the component, then call afterRender().
+     * Ask the scheduler for a drain of a render mode, once per mode until it
+     * starts. Drains never start synchronously, which prevents nested
+     * rendering when react() is called inside a lifecycle hook or event
+     * handler executed during an ongoing render.
+     * @private
+     * @param {string} mode - 'SYNC', 'FRAME' or 'IDLE'
+     * @returns {Promise<void>} Resolves when the drain completes
+     */
+    _scheduleDrain(mode) {
+        let scheduled = this._scheduledDrains.get(mode);
+        if (!scheduled) {
+            scheduled = new Promise((resolve) => {
+                /**
+                 * Start the drain, unless a view transition holds it back.
+                 */
+                const start = () => {
+                    if (this._heldDrains) {
+                        this._heldDrains.push(start);
+                        return;
+                    }
+                    this._scheduledDrains.delete(mode);
+                    this._duePriority = Math.max(this._duePriority, RENDER_PRIORITIES[mode]);
+                    // A running drain picks up the entries that just became due
+                    if (!this._draining) {
+                        this._draining = true;
+                        this._runningDrain = this._drain();
+                        if (!this._scheduledDrains.has('SYNC')) {
+                            this._drainPromise = this._runningDrain;
+                        }
+                    }
+                    resolve(this._runningDrain);
+                };
+                this._scheduler.schedule(mode, start);
+            });
+            this._scheduledDrains.set(mode, scheduled);
+        }
+        if (mode === 'SYNC') {
+            this._drainPromise = scheduled;
+        }
+        return scheduled;
+    }
+
+    /**
+     * Pick the next queued render that is due. A queued ancestor of the
+     * component renders first, whatever its mode: its render may replace or
+     * remove the component, which then renders once or not at all.
+     * @private
+     * @returns {string|null} Component code, or null when nothing is due
+     */
+    _nextDue() {
+        for (const [code, { mode }] of this._queue) {
+            if (RENDER_PRIORITIES[mode] > this._duePriority) continue;
+            let next = code;
+            let parent = this._instanceRegistry.getEntry(code)?.parent;
+            while (parent) {
+                if (this._queue.has(parent.code)) next = parent.code;
+                parent = this._instanceRegistry.getEntry(parent.code)?.parent;
+            }
+            return next;
+        }
+        return null;
+    }
+
+    /**
+     * List the queued components below a component in the tree.
+     * @private
+     * @param {string} code - Component code
+     * @returns {Array<string>} Codes of queued descendants
+     */
+    _queuedDescendants(code) {
+        return [...this._queue.keys()].filter((queuedCode) => {
+            let parent = this._instanceRegistry.getEntry(queuedCode)?.parent;
+            while (parent && parent.code !== code) {
+                parent = this._instanceRegistry.getEntry(parent.code)?.parent;
+            }
+            return Boolean(parent);
+        });
+    }
+
+    /**
+     * Process the due entries of the render queue sequentially until none
+     * are left. For each entry: render the component, then call afterRender().
      * If afterRender() (or any code during the render) enqueues more entries,
-     * they are processed in order before the drain completes.
+     * or the drain of another mode starts meanwhile, they are processed in
+     * order before the drain completes.
      * @private
-     * @returns {Promise<void>} Resolves when the queue is empty
+     * @returns {Promise<void>} Resolves when no queued entry is due
      */
     async _drain() {
         try {
-            while (this._queue.size > 0) {
-                const [code, { id }] = this._queue.entries().next().value;
+            for (let code = this._nextDue(); code !== null; code = this._nextDue()) {
+                const { id } = /** @type {{id: ComponentId}} */ (this._queue.get(code));
                 this._queue.delete(code);
+                const descendants = this._queuedDescendants(code);
                 const instance = this._instanceRegistry.get(id);
                 if (!instance) {
                     // Component was removed between enqueue and drain (e.g., parent destroyed
@@ -512,8 +990,15 @@ export class Reactor {
                     }
                     throw error;
                 }
+
+                // Descendants removed by this render are dropped without a warning
+                for (const descendant of descendants) {
+                    if (!this._instanceRegistry.getEntry(descendant))
+                        this._queue.delete(descendant);
+                }
             }
         } finally {
+            this._duePriority = -1;
             this._draining = false;
         }
     }
@@ -0,0 +1,81 @@
+/**
+ * Render scheduling for the Reactor's render queue.
+ *
+ * react() takes a render mode naming when the queued render should run:
+ *   SYNC  — in a microtask, once the current task finishes (the default)
+ *   FRAME — before the next paint, coalescing every update of the frame
+ *   IDLE  — when the browser is idle, for low-priority work
+ *
+ * The scheduler only decides when a drain of the queue starts; the Reactor
+ * serializes the renders. Applications replace it with the `scheduler`
+ * Reactor option, e.g. to drive frames manually in tests.
+ */
+
+/**
+ * Something that runs drain callbacks for render modes.
+ * @typedef SchedulerLike
+ * @property {function(string, function(): void): void} schedule - Run a callback once for a render mode ('SYNC', 'FRAME' or 'IDLE')
+ */
+
+/**
+ * Render modes by priority: lower numbers render first.
+ * @type {Object<string, number>}
+ */
+export const RENDER_PRIORITIES = Object.freeze({ SYNC: 0, FRAME: 1, IDLE: 2 });
+
+/**
+ * Legacy name of the SYNC render mode ("client-side render").
+ * @type {string}
+ */
+export const LEGACY_RENDER_MODE = 'CSR';
+
+/**
+ * Resolve a render mode name, accepting the legacy 'CSR' name.
+ * @param {string} mode - Render mode passed to react()
+ * @returns {string} 'SYNC', 'FRAME' or 'IDLE'
+ * @throws {Error} If the mode is not a known render mode
+ */
+export function resolveRenderMode(mode) {
+    if (mode === LEGACY_RENDER_MODE) return 'SYNC';
+    if (!Object.hasOwn(RENDER_PRIORITIES, mode)) {
+        throw new Error(`Reactor: Unsupported render mode "${mode}"`);
+    }
+    return mode;
+}
+
+/**
+ * Default scheduler: microtasks, animation frames and idle callbacks, with
+ * timers where the browser APIs are missing (Node, older Safari).
+ */
+export class RenderScheduler {
+    /**
+     * Create a scheduler
+     * @param {{idleTimeout?: number}} [options] - `idleTimeout`: milliseconds after which IDLE renders run even if the browser is busy
+     */
+    constructor({ idleTimeout = 1000 } = {}) {
+        this._idleTimeout = idleTimeout;
+    }
+
+    /**
+     * Run a callback once for a render mode.
+     * @param {string} mode - 'SYNC', 'FRAME' or 'IDLE'
+     * @param {function(): void} callback - Starts the drain
+     */
+    schedule(mode, callback) {
+        if (mode === 'FRAME') {
+            if (typeof globalThis.requestAnimationFrame === 'function') {
+                globalThis.requestAnimationFrame(() => callback());
+            } else {
+                setTimeout(callback, 16);
+            }
+        } else if (mode === 'IDLE') {
+            if (typeof globalThis.requestIdleCallback === 'function') {
+                globalThis.requestIdleCallback(() => callback(), { timeout: this._idleTimeout });
+            } else {
+                setTimeout(callback, 0);
+            }
+        } else {
+            queueMicrotask(callback);
+        }
+    }
+}
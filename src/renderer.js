@@ -1,5 +1,21 @@
-import { findChildMountPoints, isMountPoint, toCssName } from './utils/dom-helpers.js';
+import {
+    findChildMountPoints,
+    getComponentIdFromElement,
+    isMountPoint,
+    isShadowRoot,
+    toCssName,
+} from './utils/dom-helpers.js';
 import { Idiomorph } from './vendor/idiomorph.js';
+import { FuseWire } from './fusewire.js';
+import { createHtmlPolicy, parseHtml } from './trusted-types.js';
+import { scopeCss } from './css-scoper.js';
+import {
+    LEAVING_ATTR,
+    TRANSITION_ATTR,
+    playMoves,
+    playTransition,
+    recordPositions,
+} from './transitions.js';
 
 /**
  * A compiled component template representation.
@@ -13,6 +29,197 @@ import { Idiomorph } from './vendor/idiomorph.js';
  * Variables map passed to a component.
  * @typedef {import('./component.js').ComponentVars} ComponentVars
  */
+/**
+ * DOM morphing function: updates the container's children to match the new
+ * content, which the Renderer has already parsed. The container is a shadow
+ * root for components with `static shadow = true`.
+ * @typedef {function((HTMLElement|ShadowRoot), DocumentFragment, Object<string, *>=): void} MorphFunction
+ */
+/**
+ * Renderer options. trustedTypesPolicy names the Trusted Types policy HTML
+ * is converted with; trustedTypes replaces the browser's policy factory.
+ * cssNonce is set on every injected `<style>` element; adoptedStyleSheets
+ * attaches component CSS as constructed stylesheets instead. keepStyles
+ * leaves a component's CSS in the document after its last instance is removed.
+ * @typedef {{trustedTypesPolicy?: string, trustedTypes?: import('./trusted-types.js').TrustedTypesFactory|null, cssNonce?: string, adoptedStyleSheets?: boolean, keepStyles?: boolean}} RendererOptions
+ */
+
+/**
+ * Event types that do not bubble. Their delegated fw-on listener runs in the
+ * capture phase so it still sees events fired on descendants.
+ * @type {Set<string>}
+ */
+const NON_BUBBLING_EVENTS = new Set([
+    'focus',
+    'blur',
+    'mouseenter',
+    'mouseleave',
+    'pointerenter',
+    'pointerleave',
+    'load',
+    'error',
+    'scroll',
+    'invalid',
+    'toggle',
+]);
+
+/**
+ * Events already dispatched to fw-on handlers. A root nested inside another
+ * root's container sees the event first; the outer root then skips it.
+ * @type {WeakSet<Event>}
+ */
+const dispatchedEvents = new WeakSet();
+
+/**
+ * Global rule for mount point and slot outlet elements.
+ * @type {string}
+ */
+const MOUNT_POINT_CSS = 'fw-mount, fw-each, fw-slot-outlet { display: contents; }';
+
+/**
+ * Constructed mount point stylesheet, per document (adoptedStyleSheets mode).
+ * @type {WeakMap<Document, CSSStyleSheet>}
+ */
+const mountPointSheets = new WeakMap();
+
+/**
+ * Get the constructed mount point stylesheet of the current document.
+ * @returns {CSSStyleSheet} Shared stylesheet
+ */
+function mountPointSheet() {
+    let sheet = mountPointSheets.get(document);
+    if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(MOUNT_POINT_CSS);
+        mountPointSheets.set(document, sheet);
+    }
+    return sheet;
+}
+
+/**
+ * Add a stylesheet to the adopted stylesheets of a document or shadow root,
+ * once.
+ * @param {Document|ShadowRoot} scope - Document or shadow root
+ * @param {CSSStyleSheet} sheet - Constructed stylesheet
+ */
+function adoptSheet(scope, sheet) {
+    if (!scope.adoptedStyleSheets.includes(sheet)) {
+        scope.adoptedStyleSheets = [...scope.adoptedStyleSheets, sheet];
+    }
+}
+
+/**
+ * Elements that mark which component rendered their content: mount points,
+ * and slot outlets holding content projected by the parent.
+ * @type {string}
+ */
+const OWNER_SELECTOR = '[data-fusewire-id], [data-fusewire-slot-owner]';
+
+/**
+ * Find the owner element of an element's content, crossing shadow roots: the
+ * owner of the top elements of a component's shadow root is its host.
+ * @param {Element} element - Element inside a rendered template
+ * @returns {Element|null} Closest element matching OWNER_SELECTOR
+ */
+function closestOwner(element) {
+    const owner = element.closest(OWNER_SELECTOR);
+    if (owner) return owner;
+    const root = element.getRootNode();
+    return isShadowRoot(root) ? closestOwner(/** @type {ShadowRoot} */ (root).host) : null;
+}
+
+/**
+ * Read the code of the component that rendered an owner element's content.
+ * @param {Element} owner - Element matched by OWNER_SELECTOR
+ * @returns {string} Component code
+ */
+function ownerCode(owner) {
+    return (
+        /** @type {string} */ (
+            owner.getAttribute('data-fusewire-slot-owner') ?? owner.getAttribute('data-fusewire-id')
+        )
+    );
+}
+
+/**
+ * Form field bound with fw-model.
+ * @typedef {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} ModelField
+ */
+
+/**
+ * Event that writes an fw-model field back to its var: `change` for
+ * checkboxes, radios and selects, `input` for text fields.
+ * @param {ModelField} field - Bound field
+ * @returns {string} Event type
+ */
+function modelEvent(field) {
+    const { type } = field;
+    return type === 'checkbox' || type === 'radio' || type.startsWith('select-')
+        ? 'change'
+        : 'input';
+}
+
+/**
+ * Read the value an fw-model field writes to its var.
+ * @param {ModelField} field - Bound field
+ * @returns {string|number|boolean|Array<string>|null} Checked state for checkboxes, a number (or null when empty) for number and range inputs, the selected values for a multiple select, the value otherwise
+ */
+function readModelValue(field) {
+    const { type } = field;
+    if (type === 'select-multiple') {
+        return Array.from(/** @type {HTMLSelectElement} */ (field).selectedOptions, (o) => o.value);
+    }
+    if (type === 'checkbox') return /** @type {HTMLInputElement} */ (field).checked;
+    if (type === 'number' || type === 'range') {
+        return field.value === '' ? null : /** @type {HTMLInputElement} */ (field).valueAsNumber;
+    }
+    return field.value;
+}
+
+/**
+ * Show a var's value in its fw-model field. A radio is checked when the value
+ * equals its own value. Text values are only written when they differ, and
+ * numbers when the field parses to a different number (`1.0` is not rewritten
+ * as `1`), so the field being typed in keeps its text and caret.
+ * @param {ModelField} field - Bound field
+ * @param {unknown} value - Var value
+ */
+function writeModelValue(field, value) {
+    const { type } = field;
+    if (type === 'checkbox') {
+        /** @type {HTMLInputElement} */ (field).checked = Boolean(value);
+    } else if (type === 'radio') {
+        /** @type {HTMLInputElement} */ (field).checked =
+            value !== null && value !== undefined && String(value) === field.value;
+    } else if (type === 'select-multiple') {
+        const selected = Array.isArray(value) ? value.map(String) : [];
+        for (const option of /** @type {HTMLSelectElement} */ (field).options) {
+            option.selected = selected.includes(option.value);
+        }
+    } else {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (field.value === text) return;
+        if (
+            (type === 'number' || type === 'range') &&
+            text !== '' &&
+            readModelValue(field) === Number(text)
+        ) {
+            return;
+        }
+        field.value = text;
+    }
+}
+
+/**
+ * Skip the elements playing their leave transition, which stay in a
+ * reconciliation container until it ends.
+ * @param {Element|null} element - Element to start from
+ * @returns {Element|null} The element, or the first following sibling that is not leaving
+ */
+function skipLeaving(element) {
+    while (element?.hasAttribute(LEAVING_ATTR)) element = element.nextElementSibling;
+    return element;
+}
 
 /**
  * Renderer - Applies compiled templates to DOM using morphing
@@ -20,19 +227,100 @@ import { Idiomorph } from './vendor/idiomorph.js';
 export class Renderer {
     /**
      * Create a new Renderer
-     * @param {function(HTMLElement, string, Object<string, *>=): void} [morphFunction] - DOM morphing function (defaults to vendored Idiomorph.morph)
+     * @param {MorphFunction} [morphFunction] - DOM morphing function (defaults to vendored Idiomorph.morph)
      * @param {string} [appName='default'] - Application name for CSS scoping
+     * @param {RendererOptions} [options] - Renderer options
      */
-    constructor(morphFunction, appName = 'default') {
+    constructor(morphFunction, appName = 'default', options = {}) {
         this.morphFunction = morphFunction || Idiomorph.morph;
         this._appName = appName;
-        this._injectedCSS = new Set(); // Track which components have CSS injected
+        /**
+         * Trusted Types policy every HTML string is converted with before it
+         * reaches the DOM.
+         * @type {import('./trusted-types.js').HtmlPolicy}
+         */
+        this.htmlPolicy = createHtmlPolicy(options.trustedTypesPolicy, options.trustedTypes);
+        /**
+         * Template version of the CSS injected into the document, per
+         * component name; null once invalidated.
+         * @type {Map<string, string|null>}
+         */
+        this._injectedCSS = new Map();
+        /**
+         * Number of live instances, per component name.
+         * @type {Map<string, number>}
+         */
+        this._cssRefs = new Map();
+        /**
+         * Keep a component's CSS after its last instance is removed.
+         * @type {boolean}
+         */
+        this._keepStyles = options.keepStyles ?? false;
+        /**
+         * CSP nonce set on injected `<style>` elements.
+         * @type {string|null}
+         */
+        this._cssNonce = options.cssNonce ?? null;
+        /**
+         * Attach CSS through `document.adoptedStyleSheets` instead of `<style>` elements.
+         * @type {boolean}
+         */
+        this._useAdoptedStyleSheets = options.adoptedStyleSheets ?? false;
+        /**
+         * Constructed stylesheets and the template version they were built
+         * from, per kind (`document`, `shadow` or `nested`) and component name.
+         * @type {Map<string, {sheet: CSSStyleSheet, version: string|null}>}
+         */
+        this._constructedSheets = new Map();
+        /**
+         * Raw CSS and template version of every component rendered so far.
+         * @type {Map<string, {css: string, version: string}>}
+         */
+        this._cssSources = new Map();
+        /**
+         * Event types bound with fw-on in any template rendered so far.
+         * @type {Set<string>}
+         */
+        this._eventTypes = new Set();
+        /**
+         * Root containers receiving the delegated fw-on listeners.
+         * @type {Set<Element>}
+         */
+        this._roots = new Set();
+        /**
+         * Shadow roots of mounted shadow components. Events that do not cross
+         * the shadow boundary (e.g. `change`) only reach listeners inside it,
+         * so each one gets the delegated listeners too.
+         * @type {Set<ShadowRoot>}
+         */
+        this._shadowRoots = new Set();
+        /**
+         * Event types with a delegated fw-on listener, per root container.
+         * @type {WeakMap<Element|ShadowRoot, Set<string>>}
+         */
+        this._delegatedEvents = new WeakMap();
+        /**
+         * Pending debounced react() calls, per fw-model field.
+         * @type {WeakMap<Element, number>}
+         */
+        this._modelTimers = new WeakMap();
+        /**
+         * Elements playing their leave transition: `finish` ends the
+         * transition and removes the element at once, then calls `done`.
+         * @type {Map<Element, {finish: function(): void, done: Array<function(): void>}>}
+         */
+        this._leaving = new Map();
+        /**
+         * Enter transitions still playing, per element: ends the transition.
+         * @type {WeakMap<Element, function(): void>}
+         */
+        this._entering = new WeakMap();
         this._injectMountPointCSS();
     }
 
     /**
      * Render a component to a container
-     * @param {HTMLElement} container - Container to render into
+     * @param {HTMLElement|ShadowRoot} container - Container (or shadow root) to render into
      * @param {CompiledTemplate} compiledTemplate - Compiled template with render() and css
      * @param {ComponentVars} vars - Component variables
      * @param {import('./component-id.js').ComponentId} componentId - Component identifier
@@ -44,18 +332,30 @@ export class Renderer {
         const htmlString = compiledTemplate.render(vars, componentId, constants);
 
         // 2. Morph DOM (or set innerHTML on first render)
+        let positions = null;
+        let leaving = null;
         if (container.children.length === 0) {
             // First render - just set innerHTML (no morph needed)
-            container.innerHTML = htmlString;
+            container.innerHTML = this.htmlPolicy.createHTML(htmlString);
         } else {
+            // Parse once through the policy; the morph function gets the parsed content
+            const content = parseHtml(htmlString, this.htmlPolicy);
+
             // Extract expected state of reconciliation containers before morphing
-            const expectedContainers = this._extractContainerState(htmlString);
+            const expectedContainers = this._extractContainerState(content);
+
+            // Record where transitioning elements are, and take the elements
+            // still leaving out of the morph
+            positions = recordPositions(container);
+            leaving = this._detachLeaving(container);
 
             // Re-render - use morphing to preserve unchanged nodes.
             // Skip child mount points and reconciliation containers so idiomorph
             // does not walk their subtrees (they are managed independently).
-            this.morphFunction(container, htmlString, {
+            // ignoreActiveValue keeps the value (and caret) of the field being typed in.
+            this.morphFunction(container, content, {
                 morphStyle: 'innerHTML',
+                ignoreActiveValue: true,
                 callbacks: {
                     /**
                      * Ignore subtree DOM tracking where handled internally.
@@ -72,6 +372,24 @@ export class Renderer {
                             }
                         }
                     },
+                    /**
+                     * Play the enter transition of an added fw-transition element.
+                     * @param {Node} node - Node inserted into the DOM
+                     */
+                    afterNodeAdded: (node) => {
+                        if (node.nodeType === 1) this.enter(/** @type {Element} */ (node));
+                    },
+                    /**
+                     * Keep a removed fw-transition element until its leave transition ends.
+                     * @param {Element} node - Node about to be removed
+                     * @returns {boolean|void} Return false to keep the node
+                     */
+                    beforeNodeRemoved: (node) => {
+                        if (node.nodeType === 1 && node.hasAttribute(TRANSITION_ATTR)) {
+                            this.leave(node);
+                            return false;
+                        }
+                    },
                 },
             });
 
@@ -84,108 +402,612 @@ export class Renderer {
             );
         }
 
-        // 3. Inject CSS if not already present
-        this._injectCSS(componentId.name, compiledTemplate.css);
+        // 3. Show the bound vars in fw-model fields
+        this.syncModels(container, vars, componentId);
+
+        // 4. Delegate fw-on and fw-model events to the root container
+        this._delegateEvents(container, compiledTemplate.events || []);
+
+        // 5. Inject CSS if not already present; inside a shadow tree it is adopted by the shadow root
+        this._cssSources.set(componentId.name, {
+            css: compiledTemplate.css,
+            version: componentId.version,
+        });
+        const scope = container.getRootNode();
+        if (isShadowRoot(scope)) {
+            this._adoptShadowCSS(
+                /** @type {ShadowRoot} */ (scope),
+                componentId.name,
+                scope === container,
+            );
+        } else {
+            this._injectCSS(componentId.name, compiledTemplate.css, componentId.version);
+        }
+
+        // 6. Find child mount points, then put the leaving elements back and
+        // animate the elements the render moved
+        const mountPoints = findChildMountPoints(container, componentId);
+        if (leaving) this._restoreLeaving(container, leaving);
+        if (positions) playMoves(positions);
+        return mountPoints;
+    }
+
+    /**
+     * Play the enter transition of an element or component mount point with
+     * an fw-transition attribute.
+     * @param {Element} element - Element just added to the DOM
+     */
+    enter(element) {
+        if (!element.hasAttribute(TRANSITION_ATTR)) return;
+        this._entering.get(element)?.();
+        this._entering.set(
+            element,
+            playTransition(element, 'enter', () => this._entering.delete(element)),
+        );
+    }
+
+    /**
+     * Remove an element from the DOM. An element or component mount point
+     * with an fw-transition attribute is removed once its leave transition
+     * has played.
+     * @param {Element} element - Element to remove
+     * @param {function(): void} [done] - Called once the element is removed
+     */
+    leave(element, done = () => {}) {
+        const leaving = this._leaving.get(element);
+        if (leaving) {
+            leaving.done.push(done);
+            return;
+        }
+        this._entering.get(element)?.();
+        if (!element.hasAttribute(TRANSITION_ATTR) || !element.isConnected) {
+            element.remove();
+            done();
+            return;
+        }
+        element.setAttribute(LEAVING_ATTR, '');
+        const callbacks = [done];
+        const finish = playTransition(element, 'leave', () => {
+            this._leaving.delete(element);
+            element.remove();
+            for (const callback of callbacks) callback();
+        });
+        if (element.isConnected) this._leaving.set(element, { finish, done: callbacks });
+    }
+
+    /**
+     * Take the leaving elements inside a container out of the DOM before it
+     * is morphed, so the morph neither matches nor removes them.
+     * @private
+     * @param {HTMLElement|ShadowRoot} container - Container about to be morphed
+     * @returns {Array<{element: Element, parent: Node, next: Node|null}>} Detached elements and their place, in document order
+     */
+    _detachLeaving(container) {
+        const detached = [];
+        for (const element of this._leaving.keys()) {
+            if (element.parentNode && element !== container && container.contains(element)) {
+                detached.push({ element, parent: element.parentNode, next: element.nextSibling });
+            }
+        }
+        detached.sort((a, b) =>
+            a.element.compareDocumentPosition(b.element) & a.element.DOCUMENT_POSITION_FOLLOWING
+                ? -1
+                : 1,
+        );
+        for (const { element } of detached) element.remove();
+        return detached;
+    }
+
+    /**
+     * Put detached leaving elements back in their place. An element whose
+     * place the morph removed ends its transition instead.
+     * @private
+     * @param {HTMLElement|ShadowRoot} container - Container that was morphed
+     * @param {Array<{element: Element, parent: Node, next: Node|null}>} detached - Elements taken out by _detachLeaving()
+     */
+    _restoreLeaving(container, detached) {
+        for (const { element, parent, next } of detached.reverse()) {
+            const leaving = this._leaving.get(element);
+            if (!leaving) continue;
+            if (container.contains(parent) && (next === null || next.parentNode === parent)) {
+                parent.insertBefore(element, next);
+            } else {
+                leaving.finish();
+            }
+        }
+    }
+
+    /**
+     * Render a template fragment owned by a component, such as content it
+     * projects into a child's slot, and delegate the fragment's fw-on events.
+     * @param {HTMLElement|ShadowRoot} container - Node the owning component renders into
+     * @param {CompiledTemplate} compiledTemplate - Compiled fragment
+     * @param {ComponentVars} vars - Owning component's variables
+     * @param {import('./component-id.js').ComponentId} componentId - Owning component's identifier
+     * @param {TemplateConstants} constants - Owning component's template constants
+     * @returns {string} Rendered HTML
+     */
+    renderFragment(container, compiledTemplate, vars, componentId, constants = {}) {
+        const html = compiledTemplate.render(vars, componentId, constants);
+        this._delegateEvents(container, compiledTemplate.events || []);
+        return html;
+    }
+
+    /**
+     * Write the component vars into the container's fw-model fields. Fields
+     * inside child mount points belong to the child and are skipped, unless
+     * the component projected them into the child's slot.
+     * @param {HTMLElement|ShadowRoot} container - Container (or shadow root) that was just rendered
+     * @param {ComponentVars} vars - Component variables
+     * @param {import('./component-id.js').ComponentId} componentId - Component identifier
+     */
+    syncModels(container, vars, componentId) {
+        for (const field of container.querySelectorAll('[fw-model]')) {
+            const owner = closestOwner(field);
+            if (
+                owner &&
+                owner !== container &&
+                container.contains(owner) &&
+                owner.getAttribute('data-fusewire-slot-owner') !== componentId.code
+            ) {
+                continue;
+            }
+
+            let value = /** @type {unknown} */ (vars);
+            for (const part of /** @type {string} */ (field.getAttribute('fw-model')).split('.')) {
+                value =
+                    value === null || value === undefined
+                        ? undefined
+                        : /** @type {Object<string, unknown>} */ (value)[part];
+            }
+            writeModelValue(/** @type {ModelField} */ (field), value);
+        }
+    }
+
+    /**
+     * Register an app root container. fw-on events anywhere below it are
+     * dispatched by one delegated listener per event type on the root.
+     * @param {Element} root - Root container passed to Reactor.start()
+     */
+    attachRoot(root) {
+        this._roots.add(root);
+        for (const type of this._eventTypes) this._listen(root, type);
+    }
+
+    /**
+     * Stop tracking the shadow root of a removed shadow component.
+     * @param {ShadowRoot} shadowRoot - Shadow root of the removed component
+     */
+    detachShadowRoot(shadowRoot) {
+        this._shadowRoots.delete(shadowRoot);
+    }
+
+    /**
+     * Record the fw-on event types of a rendered template and make sure every
+     * root listens for them. Without an attached root (a Renderer used on its
+     * own), the rendered container itself gets the listeners. A container in
+     * a shadow tree makes its shadow root a listening root as well.
+     * @private
+     * @param {HTMLElement|ShadowRoot} container - Container that was just rendered
+     * @param {Array<string>} events - Event types bound in the template
+     */
+    _delegateEvents(container, events) {
+        const scope = container.getRootNode();
+        if (isShadowRoot(scope) && !this._shadowRoots.has(/** @type {ShadowRoot} */ (scope))) {
+            const shadowRoot = /** @type {ShadowRoot} */ (scope);
+            this._shadowRoots.add(shadowRoot);
+            for (const type of this._eventTypes) this._listen(shadowRoot, type);
+        }
+        if (events.length === 0) return;
+
+        for (const type of events) this._eventTypes.add(type);
+        const roots = this._roots.size > 0 ? this._roots : [container];
+        for (const root of [...roots, ...this._shadowRoots]) {
+            for (const type of events) this._listen(root, type);
+        }
+    }
+
+    /**
+     * Add the delegated listener for an event type to a root, once.
+     * @private
+     * @param {Element|ShadowRoot} root - Root container or shadow root
+     * @param {string} type - Event type
+     */
+    _listen(root, type) {
+        let bound = this._delegatedEvents.get(root);
+        if (!bound) {
+            bound = new Set();
+            this._delegatedEvents.set(root, bound);
+        }
+        if (bound.has(type)) return;
+        bound.add(type);
+        root.addEventListener(
+            type,
+            (event) => this._dispatchEvent(root, event),
+            NON_BUBBLING_EVENTS.has(type),
+        );
+    }
+
+    /**
+     * Run the fw-on handlers for an event, from the target up to the root,
+     * as native bubbling would. stopPropagation() in a handler stops the walk;
+     * a non-bubbling event only runs the target's handler. The walk starts at
+     * the original target inside open shadow roots, and continues from a
+     * shadow root to its host for events that cross the shadow boundary.
+     * @private
+     * @param {Element|ShadowRoot} root - Root container or shadow root the listener is on
+     * @param {Event} event - DOM event
+     */
+    _dispatchEvent(root, event) {
+        if (dispatchedEvents.has(event)) return;
+        dispatchedEvents.add(event);
+
+        const attr = `fw-on:${event.type}`;
+        let element = /** @type {Node|null} */ (event.composedPath()[0] ?? event.target);
+        if (element && element.nodeType !== 1) element = element.parentElement;
+
+        // The var is written before fw-on handlers run, so they see the new value
+        const field = /** @type {ModelField|null} */ (element);
+        if (field && field.hasAttribute('fw-model') && modelEvent(field) === event.type) {
+            this._updateModel(field);
+        }
+
+        while (element) {
+            const el = /** @type {Element} */ (element);
+            if (el.hasAttribute(attr)) {
+                this._invokeHandler(el, /** @type {string} */ (el.getAttribute(attr)), event);
+                if (event.cancelBubble) break;
+            }
+            if (el === root || this._roots.has(el) || !event.bubbles) break;
+            const parent = el.parentNode;
+            element =
+                parent && isShadowRoot(parent)
+                    ? event.composed
+                        ? /** @type {ShadowRoot} */ (parent).host
+                        : null
+                    : el.parentElement;
+        }
+    }
+
+    /**
+     * Write an fw-model field's value into the owning component's var and
+     * re-render it. With fw-model-debounce="ms", the var is written at once
+     * but react() waits until the field has been idle for that long.
+     * @private
+     * @param {ModelField} field - Field whose value changed
+     */
+    _updateModel(field) {
+        const owner = closestOwner(field);
+        if (!owner) return;
+        const instance = FuseWire.get(this._appName, ownerCode(owner));
+        if (!instance) return;
+
+        const path = /** @type {string} */ (field.getAttribute('fw-model'));
+        const parts = path.split('.');
+        const key = /** @type {string} */ (parts.pop());
+        let target = /** @type {unknown} */ (instance);
+        for (const part of parts) {
+            target =
+                target === null || typeof target !== 'object'
+                    ? undefined
+                    : /** @type {Object<string, unknown>} */ (target)[part];
+        }
+        if (target === null || typeof target !== 'object') {
+            instance.console.warn(
+                `fw-model "${path}" cannot be written: ${instance.componentName} has no object at "${parts.join('.')}"`,
+            );
+            return;
+        }
+        /** @type {Object<string, unknown>} */ (target)[key] = readModelValue(field);
+
+        const delay = Number(field.getAttribute('fw-model-debounce'));
+        if (!(delay > 0)) {
+            instance.react();
+            return;
+        }
+        clearTimeout(this._modelTimers.get(field));
+        this._modelTimers.set(
+            field,
+            setTimeout(() => {
+                this._modelTimers.delete(field);
+                instance.react();
+            }, delay),
+        );
+    }
+
+    /**
+     * Call an fw-on handler on the component that owns the element: the
+     * component whose mount point is the element's closest ancestor, or the
+     * parent that projected it into a slot outlet. The
+     * handler receives the rendered arguments followed by the event.
+     * @private
+     * @param {Element} element - Element carrying the fw-on attribute
+     * @param {string} handler - Rendered handler (e.g. 'remove(42,"a")')
+     * @param {Event} event - DOM event
+     */
+    _invokeHandler(element, handler, event) {
+        const match = /^([\w$]+)(?:\((.*)\))?$/s.exec(handler);
+        const owner = closestOwner(element);
+        if (!match || !owner) return;
+
+        const instance = FuseWire.get(this._appName, ownerCode(owner));
+        if (!instance) return;
+
+        const method = /** @type {Object<string, unknown>} */ (/** @type {unknown} */ (instance))[
+            match[1]
+        ];
+        if (typeof method !== 'function') {
+            instance.console.warn(
+                `fw-on:${event.type} handler "${match[1]}" is not a method of ${instance.componentName}`,
+            );
+            return;
+        }
+        const args = match[2] ? JSON.parse(`[${match[2]}]`) : [];
+        method.apply(instance, [...args, event]);
+    }
+
+    /**
+     * Count a new instance of a component, keeping its CSS in the document.
+     * @param {string} componentName - Component name
+     */
+    retainCSS(componentName) {
+        this._cssRefs.set(componentName, (this._cssRefs.get(componentName) ?? 0) + 1);
+    }
 
-        // 4. Find and return child mount points
-        return findChildMountPoints(container, componentId);
+    /**
+     * Count a removed instance of a component. The component's CSS leaves the
+     * document with its last instance, unless the keepStyles option is set.
+     * @param {string} componentName - Component name
+     */
+    releaseCSS(componentName) {
+        const count = (this._cssRefs.get(componentName) ?? 0) - 1;
+        if (count > 0) {
+            this._cssRefs.set(componentName, count);
+            return;
+        }
+        this._cssRefs.delete(componentName);
+        if (!this._keepStyles) this._removeCSS(componentName);
     }
 
     /**
-     * Inject scoped CSS for a component (once per component name)
+     * Mark injected CSS as stale, so the next render of the component injects
+     * it again even if its template version is unchanged. Called when
+     * templates are cleared from the TemplateStore.
+     * @param {string|null} [componentName] - Component name, or null for every component
+     */
+    invalidateCSS(componentName = null) {
+        for (const name of this._injectedCSS.keys()) {
+            if (componentName === null || name === componentName) {
+                this._injectedCSS.set(name, null);
+            }
+        }
+        for (const [key, cached] of this._constructedSheets) {
+            if (componentName === null || key.slice(key.indexOf(':') + 1) === componentName) {
+                cached.version = null;
+            }
+        }
+    }
+
+    /**
+     * Remove a component's CSS from the document.
+     * @private
+     * @param {string} componentName - Component name
+     */
+    _removeCSS(componentName) {
+        this._injectedCSS.delete(componentName);
+        if (typeof document === 'undefined') return;
+        document.getElementById(this._styleId(componentName))?.remove();
+
+        const key = `document:${componentName}`;
+        const adopted = this._constructedSheets.get(key);
+        if (adopted) {
+            document.adoptedStyleSheets = document.adoptedStyleSheets.filter(
+                (sheet) => sheet !== adopted.sheet,
+            );
+            this._constructedSheets.delete(key);
+        }
+    }
+
+    /**
+     * Id of the `<style>` element holding a component's CSS.
+     * @private
+     * @param {string} componentName - Component name
+     * @returns {string} Element id
+     */
+    _styleId(componentName) {
+        return `fusewire-style-${this._appName}-${toCssName(componentName)}`;
+    }
+
+    /**
+     * Inject scoped CSS for a component, once per component name and template
+     * version. The `<style>` element carries the version, and is replaced
+     * when a render brings a new one.
      * @private
      * @param {string} componentName - Component name
      * @param {string} rawCss - Raw CSS code (unscoped)
+     * @param {string} [version] - Template version the CSS belongs to
      */
-    _injectCSS(componentName, rawCss) {
-        if (!rawCss || this._injectedCSS.has(componentName)) {
-            return; // No CSS or already injected
+    _injectCSS(componentName, rawCss, version = '') {
+        if (this._useAdoptedStyleSheets) {
+            this._adoptCSS(componentName, rawCss, version);
+            return;
+        }
+        const injected = this._injectedCSS.get(componentName);
+        if (injected === version) {
+            return; // Already injected
         }
 
-        const cssName = toCssName(componentName);
-        const styleId = `fusewire-style-${this._appName}-${cssName}`;
-        if (document.getElementById(styleId)) {
-            return; // Already injected by another instance
+        const styleId = this._styleId(componentName);
+        const existing = document.getElementById(styleId);
+        // Another renderer of the same app may have injected this version already
+        const current =
+            injected !== null && existing?.getAttribute('data-fusewire-version') === version;
+        if (!rawCss) {
+            existing?.remove();
+        } else if (!current) {
+            const styleEl = this._createStyleElement(
+                styleId,
+                this._scopeCSS(rawCss, toCssName(componentName)),
+            );
+            styleEl.setAttribute('data-fusewire-version', version);
+            if (existing) {
+                existing.replaceWith(styleEl);
+            } else {
+                document.head.appendChild(styleEl);
+            }
         }
+        this._injectedCSS.set(componentName, version);
+    }
+
+    /**
+     * Attach scoped CSS for a component as a constructed stylesheet, one per
+     * component name. When the template version changes, the sheet is
+     * replaced in place, so it keeps its position in the adopted list.
+     * @private
+     * @param {string} componentName - Component name
+     * @param {string} rawCss - Raw CSS code (unscoped)
+     * @param {string} version - Template version the CSS belongs to
+     */
+    _adoptCSS(componentName, rawCss, version) {
+        const key = `document:${componentName}`;
+        if (!rawCss && !this._constructedSheets.has(key)) return;
 
-        const scopedCss = this._scopeCSS(rawCss, cssName);
+        const sheet = this._constructedSheet(key, version, () =>
+            rawCss ? this._scopeCSS(rawCss, toCssName(componentName)) : '',
+        );
+        adoptSheet(document, sheet);
+    }
 
-        const styleEl = document.createElement('style');
-        styleEl.id = styleId;
-        styleEl.textContent = scopedCss;
-        document.head.appendChild(styleEl);
+    /**
+     * Adopt a component's CSS into a shadow root, with the mount point rule.
+     * The shadow component's own CSS is adopted as written: the shadow root
+     * already scopes it. Components rendered inside another component's
+     * shadow tree get their CSS scoped to their component class only, as the
+     * app class is outside the tree.
+     * @private
+     * @param {ShadowRoot} shadowRoot - Shadow root to adopt the CSS into
+     * @param {string} componentName - Component name
+     * @param {boolean} own - True when the component renders into this shadow root itself
+     */
+    _adoptShadowCSS(shadowRoot, componentName, own) {
+        adoptSheet(shadowRoot, mountPointSheet());
+        const source = this._cssSources.get(componentName);
+        if (!source?.css) return;
+
+        const kind = own ? 'shadow' : 'nested';
+        const sheet = this._constructedSheet(`${kind}:${componentName}`, source.version, () =>
+            own ? source.css : this._scopeCSS(source.css, toCssName(componentName), true),
+        );
+        adoptSheet(shadowRoot, sheet);
+    }
+
+    /**
+     * Adopt the CSS of a component just moved into a mount point, and of the
+     * components mounted below it, into the shadow root the mount point is
+     * in. Components rendered in a detached container before being mounted
+     * inside a shadow tree get their styles this way.
+     * @param {HTMLElement} mountPoint - Mount point the component's content was moved into
+     */
+    adoptStyles(mountPoint) {
+        const scope = mountPoint.getRootNode();
+        if (!isShadowRoot(scope)) return;
+
+        for (const element of [mountPoint, ...mountPoint.querySelectorAll('[data-fusewire-id]')]) {
+            const componentId = getComponentIdFromElement(/** @type {HTMLElement} */ (element));
+            if (componentId) {
+                this._adoptShadowCSS(/** @type {ShadowRoot} */ (scope), componentId.name, false);
+            }
+        }
+    }
+
+    /**
+     * Get a constructed stylesheet, building it on first use. When the
+     * template version changes, the sheet's rules are replaced in place, so
+     * it keeps its position in every adopted list.
+     * @private
+     * @param {string} key - Sheet kind and component name
+     * @param {string} version - Template version the CSS belongs to
+     * @param {function(): string} build - Build the sheet's CSS text
+     * @returns {CSSStyleSheet} Up-to-date stylesheet
+     */
+    _constructedSheet(key, version, build) {
+        let cached = this._constructedSheets.get(key);
+        if (!cached) {
+            cached = { sheet: new CSSStyleSheet(), version: null };
+            this._constructedSheets.set(key, cached);
+        }
+        if (cached.version !== version) {
+            cached.sheet.replaceSync(build());
+            cached.version = version;
+        }
+        return cached.sheet;
+    }
 
-        this._injectedCSS.add(componentName);
+    /**
+     * Create a `<style>` element carrying the configured CSP nonce.
+     * @private
+     * @param {string} id - Element id
+     * @param {string} css - Style sheet text
+     * @returns {HTMLStyleElement} Detached style element
+     */
+    _createStyleElement(id, css) {
+        const styleEl = document.createElement('style');
+        styleEl.id = id;
+        if (this._cssNonce) styleEl.nonce = this._cssNonce;
+        styleEl.textContent = css;
+        return styleEl;
     }
 
     /**
-     * Scope CSS by prefixing selectors with app name and component class
+     * Scope CSS by prefixing selectors with app name and component class, and
+     * keyframe names with both (see css-scoper.js)
      * @private
      * @param {string} css - Raw CSS
      * @param {string} cssName - CSS-safe component name (already sanitized via toCssName)
+     * @param {boolean} [inShadowTree] - Scope to the component class only, for a sheet adopted by a shadow root
      * @returns {string} Scoped CSS
      */
-    _scopeCSS(css, cssName) {
-        if (!css || !css.trim()) return '';
-
-        let keyframes = '';
-        const scopedCss = css.replace(
-            /@keyframes\s+[^{]+\s*\{\s*(?:[^{}]*\{[^{}]*\}\s*)*\}/g,
-            (match) => {
-                keyframes += match + '\n\n';
-                return '';
-            },
-        );
-
-        // In JSDOM test environments, native CSS nesting is not supported by the CSS parser.
-        // We use a naive regex to prefix selectors instead of relying on native nesting.
-        // This is sufficient for test execution because tests generally don't rely on complex CSS layout.
+    _scopeCSS(css, cssName, inShadowTree = false) {
+        // JSDOM's CSS parser does not support native CSS nesting, so in test
+        // environments every selector is prefixed instead.
         const isJSDOM =
             typeof document !== 'undefined' &&
             document.defaultView?.navigator?.userAgent.includes('jsdom');
-        if (isJSDOM) {
-            const naiveCss = scopedCss.replace(/(?:^|\})\s*([^{]+)\s*\{/g, (match, selector) => {
-                if (selector.trim().startsWith('@')) return match;
-                const prefixed = selector
-                    .split(',')
-                    .map((/** @type {string} */ s) => `.${this._appName} .${cssName} ${s.trim()}`)
-                    .join(', ');
-                return match.replace(selector, prefixed);
-            });
-            return `${naiveCss.trim()}\n\n${keyframes.trim()}`.trim();
-        }
-
-        return `.${this._appName} {\n  .${cssName} {\n    ${scopedCss.trim()}\n  }\n}\n\n${keyframes.trim()}`;
+        return scopeCss(css, {
+            scopes: inShadowTree ? [`.${cssName}`] : [`.${this._appName}`, `.${cssName}`],
+            keyframesPrefix: `${this._appName}__${cssName}__`,
+            nesting: !isJSDOM,
+        });
     }
 
     /**
-     * Inject global CSS for custom mount point elements (once per document).
-     * Uses display:contents so the elements generate no box of their own —
-     * the child component's root element dictates layout.
+     * Inject global CSS for custom mount point and slot outlet elements (once
+     * per document). Uses display:contents so the elements generate no box of
+     * their own — the child component's root element dictates layout. In
+     * adoptedStyleSheets mode the rule is a constructed stylesheet shared by
+     * every renderer of the document.
      * @private
      */
     _injectMountPointCSS() {
-        const styleId = 'fusewire-mount-point-css';
-        if (typeof document === 'undefined' || document.getElementById(styleId)) {
+        if (typeof document === 'undefined') return;
+        if (this._useAdoptedStyleSheets) {
+            adoptSheet(document, mountPointSheet());
             return;
         }
-        const styleEl = document.createElement('style');
-        styleEl.id = styleId;
-        styleEl.textContent = 'fw-mount, fw-each { display: contents; }';
-        document.head.appendChild(styleEl);
+        const styleId = 'fusewire-mount-point-css';
+        if (document.getElementById(styleId)) return;
+        document.head.appendChild(this._createStyleElement(styleId, MOUNT_POINT_CSS));
     }
 
     /**
-     * Extract expected mount points from reconciliation containers in an HTML string
+     * Extract expected mount points from reconciliation containers in the rendered content
      * @private
-     * @param {string} htmlString - Rendered HTML string
+     * @param {DocumentFragment} content - Parsed rendered HTML
      * @returns {Map<string, Array<{id: string, parentId: string}>>} Map of container name to expected mount points
      */
-    _extractContainerState(htmlString) {
+    _extractContainerState(content) {
         const state = new Map();
-        const temp = document.createElement('div');
-        temp.innerHTML = htmlString;
-        const containers = temp.querySelectorAll('[data-fusewire-each]');
+        const containers = content.querySelectorAll('[data-fusewire-each]');
         for (const eachContainer of containers) {
             const name = eachContainer.getAttribute('data-fusewire-each');
             /**
@@ -210,7 +1032,7 @@ export class Renderer {
      * Reconcile mount points inside data-fusewire-each containers after morphing.
      * Adds new mount points, removes stale ones, and preserves order.
      * @private
-     * @param {HTMLElement} parentContainer - Parent container element
+     * @param {HTMLElement|ShadowRoot} parentContainer - Parent container element or shadow root
      * @param {Map<string, Array<{id: string, parentId: string, className: string}>>} expectedContainers - Expected state from new HTML
      */
     _reconcileContainers(parentContainer, expectedContainers) {
@@ -232,7 +1054,7 @@ export class Renderer {
             // Remove stale mount points
             for (const [id, element] of existing) {
                 if (!expectedIds.has(id)) {
-                    domContainer.removeChild(element);
+                    this.leave(element);
                     existing.delete(id);
                 }
             }
@@ -240,7 +1062,7 @@ export class Renderer {
             // Append/reorder mount points in expected order.
             // Only move elements if they are not already in the correct position.
             // Batch appends at the end using a DocumentFragment to avoid layout thrashing.
-            let currentDomChild = domContainer.firstElementChild;
+            let currentDomChild = skipLeaving(domContainer.firstElementChild);
             let fragment = null;
             for (const { id, parentId, className } of expected) {
                 let element = existing.get(id);
@@ -273,7 +1095,7 @@ export class Renderer {
                         domContainer.insertBefore(fragment, currentDomChild);
                         fragment = null;
                     }
-                    currentDomChild = currentDomChild.nextElementSibling;
+                    currentDomChild = skipLeaving(currentDomChild.nextElementSibling);
                 }
             }
             if (fragment) {
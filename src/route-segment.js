@@ -91,6 +91,151 @@ export class MinimalRouteEncoder extends RouteEncoder {
     }
 }
 
+/**
+ * Localized URL strings for one canonical route key: either the localized
+ * key alone, or the key plus localized property names.
+ * @typedef {string|{key?: string, props?: Object<string, string>}} RouteKeyTranslation
+ */
+/**
+ * Per-locale route translation table: locale → canonical route key → translation.
+ * @typedef {Object<string, Object<string, RouteKeyTranslation>>} RouteTranslationTable
+ */
+
+/**
+ * Two-way mapping between canonical route keys/property names (the var
+ * names components work with) and the localized strings shown in the URL.
+ *
+ * Writing uses the active locale, then its base language (es-AR → es).
+ * Reading accepts the localized strings of every configured locale, so a URL
+ * bookmarked before a language switch still resolves. When two locales use
+ * the same string for different keys, the active locale wins. Strings with no
+ * mapping pass through unchanged.
+ *
+ * @example
+ * const translations = new RouteTranslations({
+ *     es: { table: { key: 'tabla', props: { page: 'pagina' } }, search: 'buscar' },
+ * });
+ * translations.localizeKey('es', 'table'); // 'tabla'
+ * translations.canonicalProp('table', 'pagina', 'en'); // 'page'
+ */
+export class RouteTranslations {
+    /**
+     * Normalized table: locale → canonical key → {key, props}.
+     * @type {Map.<string, Map.<string, {key: string, props: Object<string, string>}>>}
+     */
+    #locales = new Map();
+
+    /**
+     * Create a translation mapping from a per-locale table.
+     * @param {RouteTranslationTable} table - Route translations keyed by locale, then canonical route key
+     */
+    constructor(table = {}) {
+        for (const [locale, keys] of Object.entries(table)) {
+            const normalized = new Map();
+            for (const [canonical, translation] of Object.entries(keys)) {
+                normalized.set(
+                    canonical,
+                    typeof translation === 'string'
+                        ? { key: translation, props: {} }
+                        : { key: translation.key ?? canonical, props: translation.props ?? {} },
+                );
+            }
+            this.#locales.set(locale, normalized);
+        }
+    }
+
+    /**
+     * Get the URL string for a canonical route key in a locale.
+     * @param {string|null} locale - Active locale
+     * @param {string} key - Canonical route key (var name)
+     * @returns {string} Localized key, or the canonical key when unmapped
+     */
+    localizeKey(locale, key) {
+        return this.#entry(locale, key)?.key ?? key;
+    }
+
+    /**
+     * Get the URL string for a canonical property name in a locale.
+     * @param {string|null} locale - Active locale
+     * @param {string} key - Canonical route key owning the property
+     * @param {string} prop - Canonical property name
+     * @returns {string} Localized property name, or the canonical name when unmapped
+     */
+    localizeProp(locale, key, prop) {
+        return this.#entry(locale, key)?.props[prop] ?? prop;
+    }
+
+    /**
+     * Resolve a route key read from the URL to its canonical key.
+     * @param {string} localizedKey - Key as it appears in the URL
+     * @param {string|null} preferredLocale - Locale checked first (the active locale)
+     * @returns {string} Canonical route key, or the input when no locale maps it
+     */
+    canonicalKey(localizedKey, preferredLocale = null) {
+        for (const keys of this.#searchOrder(preferredLocale)) {
+            for (const [canonical, { key }] of keys) {
+                if (key === localizedKey) return canonical;
+            }
+        }
+        return localizedKey;
+    }
+
+    /**
+     * Resolve a property name read from the URL to its canonical name.
+     * @param {string} key - Canonical route key owning the property
+     * @param {string} localizedProp - Property name as it appears in the URL
+     * @param {string|null} preferredLocale - Locale checked first (the active locale)
+     * @returns {string} Canonical property name, or the input when no locale maps it
+     */
+    canonicalProp(key, localizedProp, preferredLocale = null) {
+        for (const keys of this.#searchOrder(preferredLocale)) {
+            const props = keys.get(key)?.props ?? {};
+            for (const [canonical, localized] of Object.entries(props)) {
+                if (localized === localizedProp) return canonical;
+            }
+        }
+        return localizedProp;
+    }
+
+    /**
+     * Look up the normalized translation for a key in a locale, falling back
+     * from a regional locale to its base language (es-AR → es).
+     * @param {string|null} locale - Locale
+     * @param {string} key - Canonical route key
+     * @returns {{key: string, props: Object<string, string>}|undefined} Translation entry
+     */
+    #entry(locale, key) {
+        for (const keys of this.#localeChain(locale)) {
+            const entry = keys.get(key);
+            if (entry) return entry;
+        }
+        return undefined;
+    }
+
+    /**
+     * List the tables of a locale and of its base language, most specific first.
+     * @param {string|null} locale - Locale
+     * @returns {Array.<Map.<string, {key: string, props: Object<string, string>}>>} Configured locale tables
+     */
+    #localeChain(locale) {
+        if (locale === null) return [];
+        const dash = locale.indexOf('-');
+        const tags = dash > 0 ? [locale, locale.slice(0, dash)] : [locale];
+        return tags.map((tag) => this.#locales.get(tag)).filter((keys) => keys !== undefined);
+    }
+
+    /**
+     * List locale tables with the preferred locale, then its base language, first.
+     * @param {string|null} preferredLocale - Locale to search first
+     * @returns {Array.<Map.<string, {key: string, props: Object<string, string>}>>} Locale tables in search order
+     */
+    #searchOrder(preferredLocale) {
+        const preferred = this.#localeChain(preferredLocale);
+        const others = [...this.#locales.values()].filter((keys) => !preferred.includes(keys));
+        return [...preferred, ...others];
+    }
+}
+
 /**
  * Typed accessor for a single URL route segment.
  *
@@ -221,26 +366,33 @@ export class RouteSegment {
      * Each path segment is split on the first `:` into key and properties.
      * Properties are `;`-delimited key=value pairs decoded via the
      * provided RouteEncoder (defaults to MinimalRouteEncoder).
+     * When route translations are given, localized keys and property names
+     * are mapped back to their canonical names, so segments always carry
+     * the names components work with.
      * @param {string} path - URL pathname (e.g. "/dashboard:id=123/table:id=10")
      * @param {RouteEncoder} encoder - Encoder whose decode() reverses the encoding
+     * @param {RouteTranslations|null} translations - Localized ↔ canonical name mapping
+     * @param {string|null} locale - Active locale, preferred when resolving names
      * @returns {Array.<RouteSegment>} Ordered list of parsed segments
      */
-    static tokenize(path, encoder = defaultEncoder) {
+    static tokenize(path, encoder = defaultEncoder, translations = null, locale = null) {
         return path
             .split('/')
             .filter(Boolean)
             .map((raw) => {
                 const colonIndex = raw.indexOf(':');
-                if (colonIndex === -1) return new RouteSegment(raw);
-                const key = raw.substring(0, colonIndex);
+                const rawKey = colonIndex === -1 ? raw : raw.substring(0, colonIndex);
+                const key = translations ? translations.canonicalKey(rawKey, locale) : rawKey;
+                if (colonIndex === -1) return new RouteSegment(key);
                 const props = new Map();
                 raw.substring(colonIndex + 1)
                     .split(';')
                     .forEach((pair) => {
                         const eq = pair.indexOf('=');
                         if (eq !== -1) {
+                            const name = pair.substring(0, eq);
                             props.set(
-                                pair.substring(0, eq),
+                                translations ? translations.canonicalProp(key, name, locale) : name,
                                 encoder.decode(pair.substring(eq + 1)),
                             );
                         }
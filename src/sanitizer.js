@@ -0,0 +1,204 @@
+/**
+ * Default HTML sanitizer for raw HTML interpolation: ((html: body)).
+ *
+ * An allowlist sanitizer for formatted text such as Markdown or CMS output.
+ * Elements outside the allowlist are unwrapped (their text is kept), except
+ * for elements whose content is never text (scripts, styles, embedded
+ * documents, forms), which are dropped with their content. Attributes outside
+ * the allowlist are removed, so raw HTML can never carry fw-* bindings,
+ * data-fusewire-* mount points or on* handlers. URLs must be relative or use
+ * an allowed protocol.
+ *
+ * Applications with other needs pass their own function as the
+ * `sanitizeHtml` Reactor option, e.g. `(html) => DOMPurify.sanitize(html)`.
+ */
+
+import { createHtmlPolicy, parseHtml } from './trusted-types.js';
+
+/**
+ * A function that turns untrusted HTML into HTML safe to insert in a template.
+ * @typedef {function(string): string} HtmlSanitizer
+ */
+
+/**
+ * Elements kept by the default sanitizer.
+ * @type {Set<string>}
+ */
+const ALLOWED_TAGS = new Set([
+    'a',
+    'abbr',
+    'b',
+    'blockquote',
+    'br',
+    'caption',
+    'code',
+    'col',
+    'colgroup',
+    'dd',
+    'del',
+    'details',
+    'div',
+    'dl',
+    'dt',
+    'em',
+    'figcaption',
+    'figure',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'hr',
+    'i',
+    'img',
+    'ins',
+    'kbd',
+    'li',
+    'mark',
+    'ol',
+    'p',
+    'pre',
+    'q',
+    's',
+    'small',
+    'span',
+    'strong',
+    'sub',
+    'summary',
+    'sup',
+    'table',
+    'tbody',
+    'td',
+    'tfoot',
+    'th',
+    'thead',
+    'tr',
+    'u',
+    'ul',
+]);
+
+/**
+ * Elements removed together with their content.
+ * @type {Set<string>}
+ */
+const DROPPED_TAGS = new Set([
+    'script',
+    'style',
+    'template',
+    'iframe',
+    'frame',
+    'frameset',
+    'object',
+    'embed',
+    'noscript',
+    'svg',
+    'math',
+    'form',
+    'input',
+    'button',
+    'select',
+    'textarea',
+    'title',
+    'link',
+    'meta',
+    'base',
+]);
+
+/**
+ * Attributes kept by the default sanitizer, per element; `*` applies to all.
+ * @type {Object<string, Set<string>>}
+ */
+const ALLOWED_ATTRIBUTES = {
+    '*': new Set(['class', 'title', 'lang', 'dir']),
+    a: new Set(['href', 'target', 'rel']),
+    img: new Set(['src', 'alt', 'width', 'height']),
+    ol: new Set(['start', 'reversed']),
+    li: new Set(['value']),
+    td: new Set(['colspan', 'rowspan', 'align']),
+    th: new Set(['colspan', 'rowspan', 'align', 'scope']),
+    col: new Set(['span']),
+    colgroup: new Set(['span']),
+    details: new Set(['open']),
+};
+
+/**
+ * Attributes holding a URL.
+ * @type {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+/**
+ * URL protocols allowed in href and src.
+ * @type {Set<string>}
+ */
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+
+/**
+ * Check that a URL is relative or uses an allowed protocol. Whitespace and
+ * control characters are ignored, as browsers do ("java\tscript:").
+ * @param {string} url - Attribute value
+ * @returns {boolean} True if the URL is safe to keep
+ */
+function isSafeUrl(url) {
+    const compact = Array.from(url)
+        .filter((char) => char > ' ')
+        .join('');
+    const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(compact);
+    return !scheme || ALLOWED_PROTOCOLS.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Sanitize the children of a node in place.
+ * @param {Node} parent - Element or document fragment
+ */
+function sanitizeChildren(parent) {
+    for (const node of Array.from(parent.childNodes)) {
+        if (node.nodeType === 3) continue;
+        if (node.nodeType !== 1) {
+            // Comments and processing instructions
+            parent.removeChild(node);
+            continue;
+        }
+
+        const element = /** @type {Element} */ (node);
+        const tag = element.localName;
+        if (!ALLOWED_TAGS.has(tag)) {
+            if (DROPPED_TAGS.has(tag)) {
+                parent.removeChild(element);
+            } else {
+                sanitizeChildren(element);
+                while (element.firstChild) parent.insertBefore(element.firstChild, element);
+                parent.removeChild(element);
+            }
+            continue;
+        }
+
+        for (const { name, value } of Array.from(element.attributes)) {
+            const allowed = ALLOWED_ATTRIBUTES['*'].has(name) || ALLOWED_ATTRIBUTES[tag]?.has(name);
+            if (!allowed || (URL_ATTRIBUTES.has(name) && !isSafeUrl(value))) {
+                element.removeAttribute(name);
+            }
+        }
+        if (element.hasAttribute('target')) element.setAttribute('rel', 'noopener noreferrer');
+        sanitizeChildren(element);
+    }
+}
+
+/**
+ * Sanitize untrusted HTML with the default allowlist.
+ * Without a DOM to parse the HTML, the input is escaped as text.
+ * @param {string} html - Untrusted HTML
+ * @param {import('./trusted-types.js').HtmlPolicy} [policy] - Trusted Types policy the HTML is parsed with
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html, policy = createHtmlPolicy()) {
+    if (typeof document === 'undefined') {
+        return String(html).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    const content = parseHtml(String(html), policy);
+    sanitizeChildren(content);
+    const container = document.createElement('div');
+    container.append(content);
+    return container.innerHTML;
+}
@@ -5,9 +5,29 @@ import { createComponentId } from './component-id.js';
  */
 import { Child } from './component.js';
 import { Component } from './component.js';
-import { DIRECTIVE_REGEX, INTERPOLATION_REGEX, findMatchingClose } from './template-parser.js';
+import {
+    DIRECTIVE_REGEX,
+    ELSE_BRANCH_REGEX,
+    FW_ATTR_ATTR_REGEX,
+    FW_KEY_ATTR_REGEX,
+    FW_MODEL_ATTR_REGEX,
+    FW_ON_ATTR_REGEX,
+    INCLUDE_TAG_REGEX,
+    SLOT_TAG_REGEX,
+    eventHandlerFromAST,
+    extractOpeningTags,
+    findElseBranches,
+    findInterpolations,
+    findMatchingClose,
+    modelPathFromAST,
+    parseAttributes,
+    rawHtmlExpression,
+} from './template-parser.js';
+import { sanitizeHtml } from './sanitizer.js';
 import fusewireExpr from './parser/fusewire-expr.js';
-import { HtmlContextTracker } from './html-context.js';
+import { HtmlContextTracker, isDangerousAttributeName } from './html-context.js';
+import { BUILTIN_FILTERS } from './filters.js';
+import { TemplateSyntaxError } from './errors/error-hierarchy.js';
 
 /**
  * Map of variables passed to a component.
@@ -22,12 +42,37 @@ import { HtmlContextTracker } from './html-context.js';
  * @typedef {import('./component.js').ComponentConstructor} ComponentConstructor
  */
 /**
- * Static constants evaluated during compilation (e.g. version).
- * @typedef {{version?: string}} TemplateConstants
+ * Template filters keyed by the name used after the pipe.
+ * @typedef {Object<string, import('./filters.js').FilterFunction>} FilterMap
  */
 /**
- * A compiled component template representation.
- * @typedef {{render: function(ComponentVars, ComponentId, TemplateConstants=): string, css: string}} CompiledTemplate
+ * Translate function backing t() calls in templates.
+ * @typedef {function(string, Object<string, *>=): string} TranslateFunction
+ */
+/**
+ * Content a parent projects into a child's slot outlets: the parent's
+ * component code and the rendered HTML per slot name.
+ * @typedef {{owner: string, html: Object<string, string>}} ProjectedSlots
+ */
+/**
+ * Static constants evaluated during compilation (e.g. version, filters).
+ * When filters is omitted, only the built-in filters are available; when
+ * translate is omitted, t() returns the key unchanged. Template warnings go
+ * to console (the global console when omitted); strict turns syntax errors
+ * into a thrown TemplateSyntaxError. slots holds the content projected into
+ * this component's fw-slot-outlet elements; projections collects the content
+ * of this template's fw-slot elements, per child component code.
+ * @typedef {{version?: string, filters?: FilterMap, translate?: TranslateFunction, console?: import('./reactor.js').ConsoleLike, strict?: boolean, sanitizeHtml?: import('./sanitizer.js').HtmlSanitizer, slots?: ProjectedSlots|null, projections?: Map<string, Object<string, string>>}} TemplateConstants
+ */
+/**
+ * Compile options. partials resolves an fw-include src to the partial's
+ * HTML, or null when the partial is not available.
+ * @typedef {{partials?: function(string): (string|null)}} CompileOptions
+ */
+/**
+ * A compiled component template representation. `events` lists the event
+ * types bound with fw-on or fw-model, for the Renderer's delegated listeners.
+ * @typedef {{render: function(ComponentVars, ComponentId, TemplateConstants=): string, css: string, events: Array<string>}} CompiledTemplate
  */
 
 /**
@@ -75,38 +120,165 @@ function isComponent(value) {
     return value instanceof Child || value instanceof Component;
 }
 
+/**
+ * Turn an fw-each collection into the list of items to iterate.
+ * Arrays are used as-is, Maps and plain objects yield `{key, value}` entries,
+ * and Sets or any other iterable yield their values in iteration order.
+ * Strings, class instances and missing values yield no items.
+ * @param {unknown} collection - Evaluated fw-each collection
+ * @returns {Array<unknown>} Items in iteration order
+ */
+function toLoopItems(collection) {
+    if (Array.isArray(collection)) return collection;
+    if (!collection || typeof collection !== 'object') return [];
+    if (collection instanceof Map) {
+        return Array.from(collection, ([key, value]) => ({ key, value }));
+    }
+    if (Symbol.iterator in collection) {
+        return Array.from(/** @type {Iterable<unknown>} */ (collection));
+    }
+    const proto = Object.getPrototypeOf(collection);
+    if (proto !== Object.prototype && proto !== null) return [];
+    return Object.entries(collection).map(([key, value]) => ({ key, value }));
+}
+
+/**
+ * Get the components of a Child collection rendered through interpolation:
+ * an Array or the values of a Map whose first item is a component.
+ * @param {unknown} value - Interpolated value
+ * @returns {Array<Component|Child>|null} Components in order, or null if the value is not a Child collection
+ */
+function childCollection(value) {
+    const items = value instanceof Map ? Array.from(value.values()) : value;
+    if (Array.isArray(items) && items.length > 0 && isComponent(items[0])) {
+        return items;
+    }
+    return null;
+}
+
 /**
  * Abstract Syntax Tree node returned by the expression parser.
  * @typedef ASTNode
  * @property {string} type
- * @property {string} [value]
+ * @property {string|number|boolean|null} [value]
+ * @property {string} [operator]
+ * @property {ASTNode} [left]
+ * @property {ASTNode} [right]
  * @property {ASTNode} [expr]
  * @property {ASTNode} [condition]
  * @property {ASTNode} [trueExpr]
  * @property {ASTNode} [falseExpr]
  * @property {ASTNode} [item]
+ * @property {ASTNode} [index]
  * @property {ASTNode} [list]
+ * @property {string} [name]
+ * @property {Array<ASTNode>} [args]
+ * @property {Array<{key: string, value: ASTNode}>} [properties]
  */
 
+/**
+ * Compare two evaluated operands.
+ * Equality is strict (no type coercion), except that null and undefined are
+ * equal to each other so `fw-if="user == null"` also matches a missing var.
+ * @param {string} operator - One of ==, !=, <, <=, >, >=
+ * @param {VarValue|Array<VarValue>|undefined} left - Left operand
+ * @param {VarValue|Array<VarValue>|undefined} right - Right operand
+ * @returns {boolean} Comparison result
+ */
+function compareValues(operator, left, right) {
+    const bothNullish = left == null && right == null;
+    switch (operator) {
+        case '==':
+            return bothNullish || left === right;
+        case '!=':
+            return !bothNullish && left !== right;
+        case '<':
+            return left < right;
+        case '<=':
+            return left <= right;
+        case '>':
+            return left > right;
+        case '>=':
+            return left >= right;
+        default:
+            return false;
+    }
+}
+
 /**
  * Evaluate an AST node against component variables
  * @param {ASTNode} ast - AST node
  * @param {ComponentVars} vars - Component variables
+ * @param {TemplateConstants} [constants] - Template constants (filters, translate)
  * @returns {VarValue|Array<VarValue>|undefined} Evaluated value
  */
-function evaluateAST(ast, vars) {
+function evaluateAST(ast, vars, constants = {}) {
     if (!ast) return undefined;
     switch (ast.type) {
         case 'VarPath':
-            return getPropertyValue(vars, ast.value);
+            return getPropertyValue(vars, /** @type {string} */ (ast.value));
         case 'String':
+        case 'Number':
+        case 'Boolean':
+        case 'Null':
             return ast.value;
         case 'Negation':
-            return !evaluateAST(ast.expr, vars);
+            return !evaluateAST(ast.expr, vars, constants);
+        case 'Comparison':
+            return compareValues(
+                ast.operator,
+                evaluateAST(ast.left, vars, constants),
+                evaluateAST(ast.right, vars, constants),
+            );
+        case 'Logical': {
+            // Short-circuit with JS semantics: the deciding operand is returned,
+            // so ((nickname || name)) renders the first non-empty value.
+            const left = evaluateAST(ast.left, vars, constants);
+            if (ast.operator === '&&') {
+                return left ? evaluateAST(ast.right, vars, constants) : left;
+            }
+            return left ? left : evaluateAST(ast.right, vars, constants);
+        }
         case 'Ternary':
-            return evaluateAST(ast.condition, vars)
-                ? evaluateAST(ast.trueExpr, vars)
-                : evaluateAST(ast.falseExpr, vars);
+            return evaluateAST(ast.condition, vars, constants)
+                ? evaluateAST(ast.trueExpr, vars, constants)
+                : evaluateAST(ast.falseExpr, vars, constants);
+        case 'Filter': {
+            const filters = constants.filters || BUILTIN_FILTERS;
+            // Own properties only, so inherited names like "constructor" are not filters
+            const filter = Object.hasOwn(filters, ast.name) ? filters[ast.name] : undefined;
+            if (typeof filter !== 'function') {
+                throw new Error(`Unknown filter "${ast.name}"`);
+            }
+            const args = ast.args.map((arg) => evaluateAST(arg, vars, constants));
+            return /** @type {VarValue|Array<VarValue>|undefined} */ (
+                filter(evaluateAST(ast.expr, vars, constants), ...args)
+            );
+        }
+        case 'Call': {
+            // t() is the only template function; anything else is a template error
+            if (ast.name !== 't') {
+                throw new Error(`Unknown function "${ast.name}"`);
+            }
+            const [key, params] = ast.args.map((arg) => evaluateAST(arg, vars, constants));
+            const translateParams = /** @type {Object<string, *>} */ (
+                params && typeof params === 'object' ? params : {}
+            );
+            return constants.translate
+                ? constants.translate(String(key), translateParams)
+                : String(key);
+        }
+        case 'Object': {
+            /**
+             * Object literal built from the evaluated properties.
+             * @type {ComponentVars}
+             */
+            const object = {};
+            for (const { key, value } of ast.properties) {
+                object[key] = evaluateAST(value, vars, constants);
+            }
+            return /** @type {VarValue} */ (/** @type {unknown} */ (object));
+        }
         default:
             return undefined;
     }
@@ -154,6 +326,19 @@ function sanitizeUrl(url) {
     return url;
 }
 
+/**
+ * Build the unversioned ID of a component declaration.
+ * @param {Component|Child} decl - Component instance or Child
+ * @returns {ComponentId} Component ID
+ */
+function declarationId(decl) {
+    if (decl instanceof Child) {
+        return createComponentId(decl.componentName, decl.componentId || '');
+    }
+    const name = /** @type {ComponentConstructor} */ (decl.constructor).componentName;
+    return createComponentId(name, decl.componentId || '');
+}
+
 /**
  * Render a component declaration as an empty mount point
  * @param {Component|Child} decl - Component instance or Child
@@ -161,230 +346,1493 @@ function sanitizeUrl(url) {
  * @returns {string} Mount point HTML
  */
 function renderMountPoint(decl, parentId) {
-    let name;
-    let id;
-    if (decl instanceof Child) {
-        name = decl.componentName;
-        id = decl.componentId || '';
-    } else {
-        name = /** @type {ComponentConstructor} */ (decl.constructor).componentName;
-        id = decl.componentId || '';
-    }
-    const childId = createComponentId(name, id);
+    const childId = declarationId(decl);
     return `<fw-mount id="${childId.code}" data-fusewire-id="${childId.code}" data-fusewire-parent-id="${parentId.code}"></fw-mount>`;
 }
 
 /**
- * Interpolate variables in a text string with context-aware sanitization
- * @param {string} text - Text with ((...)) placeholders
+ * A template expression parsed at compile time. An expression that does not
+ * parse keeps its parser error, which is reported every time it is evaluated.
+ * @typedef CompiledExpression
+ * @property {string} source - Expression source as written in the template
+ * @property {ASTNode|null} ast - Parsed AST, or null on a syntax error
+ * @property {Error|null} error - Parser error, or null
+ * @property {number} line - 1-based line of the expression in the template file
+ * @property {number} column - 1-based column of the expression in the template file
+ * @property {string} [partial] - Partial whose file holds the expression, when it is not the component template
+ */
+/**
+ * One branch of a compiled fw-if / fw-else-if / fw-else chain.
+ * @typedef ConditionalBranch
+ * @property {string} directive - "fw-if", "fw-else-if" or "fw-else"
+ * @property {CompiledExpression|null} test - Branch condition, null for fw-else
+ * @property {Array<TemplateNode>} body - The branch element, without its directive
+ */
+/**
+ * Node of a compiled template tree.
+ *
+ * - text: static HTML, emitted as-is
+ * - interpolation: a ((...)) placeholder with its attribute context
+ * - if: an fw-if chain; the first branch whose test holds is rendered
+ * - each: an fw-each loop; the body is rendered once per item
+ * - handler: an fw-on:event attribute; its arguments are evaluated per render
+ * - model: an fw-model attribute; loop variables are resolved per render
+ * - attr: an fw-attr:name attribute; added, valued or omitted per render
+ * - key: an fw-key attribute; rendered as the element's id and data-fusewire-key
+ * - classes: a tag's class attribute merged with its fw-class bindings
+ * - warn: a template error reported on every render
+ * @typedef TemplateNode
+ * @property {string} type - "text", "interpolation", "if", "each", "handler", "model", "attr", "key", "classes", "slot", "outlet", "include" or "warn"
+ * @property {string} [text] - Static HTML, or what the warning is about
+ * @property {CompiledExpression} [expr] - Interpolated expression, fw-each collection, fw-on handler, fw-model path, fw-attr value, fw-key value, fw-slot target, fw-include with object, or the warning's error
+ * @property {boolean} [inTag] - The interpolation sits inside a tag
+ * @property {boolean} [dangerous] - The interpolation sits in a URL or event handler attribute
+ * @property {boolean} [raw] - A ((html: ...)) interpolation, rendered through the HTML sanitizer
+ * @property {Array<ConditionalBranch>} [branches] - fw-if chain branches
+ * @property {string} [itemName] - fw-each item variable
+ * @property {string|null} [indexName] - fw-each index variable
+ * @property {number} [loop] - fw-each position among the template's loops, keeping the key ids of sibling loops apart
+ * @property {number} [include] - fw-include position among the template's includes, keeping the key ids of each included copy apart
+ * @property {Array<TemplateNode>} [body] - fw-each item element, the static class attribute value, fw-slot content, fw-slot-outlet fallback content or the included partial
+ * @property {string} [event] - fw-on event type
+ * @property {string} [method] - fw-on component method
+ * @property {Array<ASTNode>} [args] - fw-on argument expressions
+ * @property {string} [path] - fw-model variable path
+ * @property {string} [name] - fw-attr attribute name, fw-slot and fw-slot-outlet slot name, or fw-include partial name
+ * @property {Array<ClassBinding>} [bindings] - fw-class bindings
+ */
+/**
+ * An fw-class binding. `fw-class:active="expr"` adds `active` when the value
+ * is truthy; `fw-class="expr"` adds the truthy keys of an object, the strings
+ * of an array, or a space-separated string.
+ * @typedef ClassBinding
+ * @property {string|null} name - Class name, or null for the object form
+ * @property {CompiledExpression} expr - Bound expression
+ */
+/**
+ * A class or fw-class attribute of a tag, with its range in the compiled text.
+ * @typedef ClassAttribute
+ * @property {string} name - Attribute name
+ * @property {number} start - Index of the whitespace before the attribute
+ * @property {number} end - Index just past the attribute's closing quote
+ * @property {string} value - Attribute value
+ */
+/**
+ * Per-render values shared by every node.
+ * @typedef RenderContext
+ * @property {ComponentId} componentId - Component instance ID
+ * @property {TemplateConstants} constants - Template constants
+ * @property {string} appName - Application name for FuseWire.get() calls
+ * @property {boolean} models - The template has fw-model bindings, so fw-each tracks loop paths
+ */
+/**
+ * State shared while compiling one template.
+ * @typedef CompileState
+ * @property {HtmlContextTracker} tracker - HTML context at the current position
+ * @property {Array<number>} lineStarts - Offset of each line in the template file
+ * @property {Array<CompiledExpression>} errors - Syntax errors found so far
+ * @property {Set<string>} events - Event types bound with fw-on or fw-model
+ * @property {boolean} models - An fw-model attribute was compiled
+ * @property {function(string): (string|null)} partials - Resolves a partial name to its HTML
+ * @property {string|null} partial - Partial being compiled, null for the component template
+ * @property {Array<string>} includes - Partials being compiled, outermost first
+ * @property {Map<string, Array<TemplateNode>>} included - Partials compiled so far, by name
+ * @property {{loops: number, includes: number}} counters - fw-each loops and fw-include tags compiled so far, shared with the partials
+ */
+/**
+ * An opening tag matched by DIRECTIVE_REGEX or ELSE_BRANCH_REGEX, split
+ * around its directive attribute.
+ * @typedef DirectiveTag
+ * @property {string} tag - Tag name
+ * @property {string} directive - Lowercased directive name
+ * @property {string|null} expr - Directive value, or null when it has none
+ * @property {number} exprIndex - Index of the value, or of the bare directive name
+ * @property {number} start - Index of the tag's "<"
+ * @property {number} contentStart - Index just past the tag's ">"
+ * @property {SourceText} beforeAttrs - Attributes before the directive
+ * @property {SourceText} afterAttrs - Attributes after the directive
+ */
+
+/**
+ * Interpolation names that resolve to the component itself rather than a var.
+ * @type {Set<string>}
+ */
+const SPECIAL_VARS = new Set(['this', 'componentId', 'componentName', 'componentVersion']);
+
+/**
+ * Var paths of the loop variables in an fw-each item scope, keyed by the
+ * scope's vars. An item of an array var maps to "list.index"; every other
+ * loop variable maps to null. Inner scopes inherit the outer loops' entries.
+ * @type {WeakMap<ComponentVars, Object<string, string|null>>}
+ */
+const loopPaths = new WeakMap();
+
+/**
+ * Id prefix of the fw-key elements in an fw-each item scope, keyed by the
+ * scope's vars: the component code, then the item name and position of the
+ * loop, after the enclosing keyed element's id for nested loops
+ * (e.g. "Table#main:row-0:7:cell-1").
+ * @type {WeakMap<ComponentVars, string>}
+ */
+const keyPrefixes = new WeakMap();
+
+/**
+ * Ids of the fw-key elements rendered in each fw-each item scope, so loops
+ * nested in a keyed element extend its id. A partial's scope starts with the
+ * position of its fw-include, since each include renders the same loops.
+ * @type {WeakMap<ComponentVars, string>}
+ */
+const keyIds = new WeakMap();
+
+/**
+ * Resolve an fw-model path against the loop variables in scope.
+ * @param {string} path - Path as written in the template (e.g. "todo.done")
+ * @param {ComponentVars} vars - Variable data of the current scope
+ * @returns {string|null} Path relative to the component vars, or null for a loop variable that is not an array item
+ */
+function resolveModelPath(path, vars) {
+    const paths = loopPaths.get(vars);
+    const [head, ...rest] = path.split('.');
+    if (!paths || !(head in paths)) return path;
+    return paths[head] === null ? null : [paths[head], ...rest].join('.');
+}
+
+/**
+ * Template HTML being compiled, with the template file offset of every
+ * character. Compilation rewrites directive elements (the directive attribute
+ * is removed, fw-each is moved before fw-if); the offsets travel with the
+ * text so errors still point at the line and column the author wrote.
+ */
+class SourceText {
+    /**
+     * Create a source text.
+     * @param {string} text - HTML text
+     * @param {Array<number>} offsets - Template file offset of each character
+     */
+    constructor(text, offsets) {
+        this.text = text;
+        this.offsets = offsets;
+    }
+
+    /**
+     * Wrap text that appears unchanged in the template file.
+     * @param {string} text - HTML text
+     * @param {number} base - Template file offset of the first character
+     * @returns {SourceText} Source text
+     */
+    static from(text, base) {
+        return new SourceText(
+            text,
+            Array.from({ length: text.length }, (_, i) => base + i),
+        );
+    }
+
+    /**
+     * Join pieces of source. Plain strings are markup added by the compiler
+     * and take the anchor offset.
+     * @param {number} anchor - Offset for added markup
+     * @param {...(SourceText|string)} pieces - Pieces in order
+     * @returns {SourceText} Joined source
+     */
+    static join(anchor, ...pieces) {
+        let text = '';
+        /**
+         * Offsets of the joined text.
+         * @type {Array<number>}
+         */
+        const offsets = [];
+        for (const piece of pieces) {
+            if (typeof piece === 'string') {
+                text += piece;
+                for (let i = 0; i < piece.length; i++) offsets.push(anchor);
+            } else {
+                text += piece.text;
+                for (const offset of piece.offsets) offsets.push(offset);
+            }
+        }
+        return new SourceText(text, offsets);
+    }
+
+    /**
+     * Slice the text and its offsets.
+     * @param {number} start - Start index
+     * @param {number} [end] - End index (exclusive), defaults to the end
+     * @returns {SourceText} Slice
+     */
+    slice(start, end = this.text.length) {
+        return new SourceText(this.text.slice(start, end), this.offsets.slice(start, end));
+    }
+
+    /**
+     * Remove leading and trailing whitespace.
+     * @returns {SourceText} Trimmed source
+     */
+    trim() {
+        const start = this.text.length - this.text.trimStart().length;
+        return this.slice(start, Math.max(start, this.text.trimEnd().length));
+    }
+
+    /**
+     * Template file offset of a character. The end of the text maps just past
+     * its last character.
+     * @param {number} index - Index in the text
+     * @returns {number} Template file offset
+     */
+    offsetAt(index) {
+        if (index < this.offsets.length) return this.offsets[index];
+        return this.offsets.length > 0 ? this.offsets[this.offsets.length - 1] + 1 : 0;
+    }
+}
+
+/**
+ * Convert a template file offset into a 1-based line and column.
+ * @param {CompileState} state - Compile state
+ * @param {number} offset - Template file offset
+ * @returns {{line: number, column: number, partial?: string}} Position, with the partial when compiling one
+ */
+function locate(state, offset) {
+    let line = 0;
+    while (line + 1 < state.lineStarts.length && state.lineStarts[line + 1] <= offset) line++;
+    const position = { line: line + 1, column: offset - state.lineStarts[line] + 1 };
+    return state.partial === null ? position : { ...position, partial: state.partial };
+}
+
+/**
+ * Parse an expression once, keeping the error when it does not parse.
+ * Syntax errors are also collected in the compile state.
+ * @param {string} source - Expression source, possibly with surrounding whitespace
+ * @param {number} offset - Template file offset of the source
+ * @param {CompileState} state - Compile state
+ * @returns {CompiledExpression} Compiled expression
+ */
+function compileExpression(source, offset, state) {
+    const trimmed = source.trim();
+    /**
+     * The expression with its position; the AST or error is filled in below.
+     * @type {CompiledExpression}
+     */
+    const expr = {
+        source: trimmed,
+        ast: null,
+        error: null,
+        ...locate(state, offset + source.length - source.trimStart().length),
+    };
+    try {
+        expr.ast = fusewireExpr.parse(trimmed);
+    } catch (e) {
+        expr.error = /** @type {Error} */ (e);
+        state.errors.push(expr);
+    }
+    return expr;
+}
+
+/**
+ * Evaluate a compiled expression, rethrowing its parse error if it has one.
+ * @param {CompiledExpression} expr - Compiled expression
  * @param {ComponentVars} vars - Variable data
- * @param {ComponentId} componentId - Component instance ID
- * @param {TemplateConstants} constants - Template constants (version, etc.)
- * @returns {string} Interpolated text
+ * @param {TemplateConstants} constants - Template constants
+ * @returns {VarValue|Array<VarValue>|undefined} Evaluated value
+ */
+function evaluateExpression(expr, vars, constants) {
+    if (expr.error) throw expr.error;
+    return evaluateAST(/** @type {ASTNode} */ (expr.ast), vars, constants);
+}
+
+/**
+ * Compile an fw-on:event attribute into a handler node.
+ * @param {string} event - Event type
+ * @param {string} value - Handler source (e.g. "remove(item.id)")
+ * @param {number} offset - Template file offset of the handler
+ * @param {CompileState} state - Compile state
+ * @returns {TemplateNode} Handler node
+ */
+function compileHandler(event, value, offset, state) {
+    const expr = compileExpression(value, offset, state);
+    const handler = expr.error ? null : eventHandlerFromAST(expr.ast);
+    if (!expr.error && !handler) {
+        expr.error = new Error('Expected a method name or call, e.g. "remove(item.id)"');
+        state.errors.push(expr);
+    }
+    state.events.add(event);
+    return {
+        type: 'handler',
+        event,
+        expr,
+        method: handler ? handler.method : '',
+        args: handler ? /** @type {Array<ASTNode>} */ (handler.args) : [],
+    };
+}
+
+/**
+ * Compile an fw-model attribute into a model node. Text fields write on
+ * `input`, checkboxes, radios and selects on `change`; both are delegated.
+ * @param {string} value - Variable path source (e.g. "user.name")
+ * @param {number} offset - Template file offset of the path
+ * @param {CompileState} state - Compile state
+ * @returns {TemplateNode} Model node
+ */
+function compileModel(value, offset, state) {
+    const expr = compileExpression(value, offset, state);
+    const path = expr.error ? null : modelPathFromAST(expr.ast);
+    if (!expr.error && !path) {
+        expr.error = new Error('Expected a writable variable path, e.g. "user.name"');
+        state.errors.push(expr);
+    } else if (!expr.error && state.partial !== null) {
+        expr.error = new Error(
+            'fw-model cannot be used in a partial; bind the field in the including template',
+        );
+        state.errors.push(expr);
+    }
+    state.events.add('input');
+    state.events.add('change');
+    state.models = true;
+    return { type: 'model', expr, path: path || '' };
+}
+
+/**
+ * Compile an fw-attr:name attribute into an attr node. Inline event handler
+ * attributes cannot be bound; they would run the bound value as script.
+ * @param {string} name - Attribute name
+ * @param {string} value - Expression source (e.g. "isBusy")
+ * @param {number} offset - Template file offset of the expression
+ * @param {CompileState} state - Compile state
+ * @returns {TemplateNode} Attr node
+ */
+function compileAttr(name, value, offset, state) {
+    const expr = compileExpression(value, offset, state);
+    if (!expr.error && name.toLowerCase().startsWith('on')) {
+        expr.error = new Error(
+            `fw-attr cannot bind event handler attributes; use fw-on:${name.slice(2)}`,
+        );
+        state.errors.push(expr);
+    }
+    return { type: 'attr', name, expr };
+}
+
+/**
+ * Compile a tag's class attribute and fw-class bindings into one classes
+ * node, so the tag renders a single class attribute.
+ * @param {SourceText} src - Text the tag is in
+ * @param {Array<ClassAttribute>} attrs - The class and fw-class attributes, in source order
+ * @param {CompileState} state - Compile state
+ * @returns {TemplateNode} Classes node
  */
-function interpolateText(text, vars, componentId, constants) {
-    let result = '';
+function compileClasses(src, attrs, state) {
+    /**
+     * Bindings in source order.
+     * @type {Array<ClassBinding>}
+     */
+    const bindings = [];
+    /**
+     * Compiled static class attribute value.
+     * @type {Array<TemplateNode>}
+     */
+    let body = [];
+    for (const attr of attrs) {
+        const valueStart = attr.end - 1 - attr.value.length;
+        if (attr.name === 'class') {
+            // Interpolations in the static value are compiled as attribute values
+            const tracker = new HtmlContextTracker();
+            tracker.process('<p class="');
+            body = compileText(src.slice(valueStart, attr.end - 1), { ...state, tracker });
+        } else {
+            bindings.push({
+                name: attr.name === 'fw-class' ? null : attr.name.slice('fw-class:'.length),
+                expr: compileExpression(attr.value, src.offsetAt(valueStart), state),
+            });
+        }
+    }
+    return { type: 'classes', body, bindings };
+}
+
+/**
+ * Find the tags in a text that have fw-class bindings, with their class and
+ * fw-class attributes.
+ * @param {string} text - Text without directives
+ * @returns {Array<Array<ClassAttribute>>} Class attributes per tag, in source order
+ */
+function findClassBindings(text) {
+    /**
+     * Class attributes of each tag with bindings.
+     * @type {Array<Array<ClassAttribute>>}
+     */
+    const groups = [];
+    for (const { index, tag, attrs } of extractOpeningTags(text)) {
+        const classAttrs = attrs.filter(
+            (a) => a.name === 'class' || a.name === 'fw-class' || a.name.startsWith('fw-class:'),
+        );
+        if (!classAttrs.some((a) => a.name !== 'class')) continue;
+        const base = index + 1 + tag.length;
+        groups.push(
+            classAttrs.map((a) => ({
+                name: a.name,
+                start: base + a.pos,
+                end: base + a.pos + a.length,
+                value: a.value,
+            })),
+        );
+    }
+    return groups;
+}
+
+/**
+ * Compile text without directives into text, interpolation, handler, model,
+ * attr and classes nodes.
+ * The tracker is advanced over the text, so each interpolation records
+ * whether it sits inside a tag or a dangerous attribute.
+ * @param {SourceText} src - Text with ((...)) placeholders and fw-on, fw-model, fw-attr, fw-key and fw-class attributes
+ * @param {CompileState} state - Compile state, with the HTML context at the start of the text
+ * @returns {Array<TemplateNode>} Compiled nodes
+ */
+function compileText(src, state) {
+    const { text } = src;
+    const { tracker } = state;
+    /**
+     * Compiled nodes, in source order.
+     * @type {Array<TemplateNode>}
+     */
+    const nodes = [];
     let lastIndex = 0;
-    const tracker = new HtmlContextTracker();
 
-    const regex = new RegExp(INTERPOLATION_REGEX.source, INTERPOLATION_REGEX.flags);
-    let match;
+    // fw-key renders the id, so it is an error on a tag with its own
+    const keysWithId = new Set(
+        extractOpeningTags(text)
+            .filter(({ attrs }) => attrs.some((a) => a.name === 'id'))
+            .flatMap(({ index, tag, attrs }) =>
+                attrs.filter((a) => a.name === 'fw-key').map((a) => index + 1 + tag.length + a.pos),
+            ),
+    );
+
+    // Binding values are expressions, so placeholders inside them are not interpolated.
+    // A tag's class attributes become one classes node, at the first of them.
+    const bindings = [
+        ...Array.from(text.matchAll(FW_ON_ATTR_REGEX), (m) => ({
+            start: m.index,
+            end: m.index + m[0].length,
+            kind: 'on',
+            name: m[1],
+            value: m[2] ?? m[3],
+            attrs: /** @type {Array<ClassAttribute>|null} */ (null),
+        })),
+        ...Array.from(text.matchAll(FW_MODEL_ATTR_REGEX), (m) => ({
+            start: m.index,
+            end: m.index + m[0].length,
+            kind: 'model',
+            name: 'fw-model',
+            value: m[1] ?? m[2],
+            attrs: /** @type {Array<ClassAttribute>|null} */ (null),
+        })),
+        ...Array.from(text.matchAll(FW_ATTR_ATTR_REGEX), (m) => ({
+            start: m.index,
+            end: m.index + m[0].length,
+            kind: 'attr',
+            name: m[1],
+            value: m[2] ?? m[3],
+            attrs: /** @type {Array<ClassAttribute>|null} */ (null),
+        })),
+        ...Array.from(text.matchAll(FW_KEY_ATTR_REGEX), (m) => ({
+            start: m.index,
+            end: m.index + m[0].length,
+            kind: 'key',
+            name: 'fw-key',
+            value: m[1] ?? m[2],
+            attrs: /** @type {Array<ClassAttribute>|null} */ (null),
+        })),
+        ...findClassBindings(text).flatMap((attrs) =>
+            attrs.map((attr, i) => ({ ...attr, kind: 'class', attrs: i === 0 ? attrs : null })),
+        ),
+    ];
+    const placeholders = [
+        ...bindings,
+        ...findInterpolations(text).filter(
+            (match) => !bindings.some((b) => match.start < b.end && match.end > b.start),
+        ),
+    ].sort((a, b) => a.start - b.start);
 
-    while ((match = regex.exec(text)) !== null) {
-        // Process text before the match to track context
-        const beforeMatch = text.substring(lastIndex, match.index);
+    for (const match of placeholders) {
+        const beforeMatch = text.substring(lastIndex, match.start);
         tracker.process(beforeMatch);
+        if (beforeMatch) nodes.push({ type: 'text', text: beforeMatch });
+        lastIndex = match.end;
 
-        const path = match[1].trim();
-        let value;
+        if ('kind' in match) {
+            const attr = text.substring(match.start, match.end);
+            if (match.kind === 'class') {
+                // Found by tag, so always an attribute; the rest of the group renders nothing
+                tracker.process(attr);
+                if (match.attrs) nodes.push(compileClasses(src, match.attrs, state));
+            } else if (!tracker.inTag || tracker.inAttributeValue) {
+                // Looks like a binding attribute but sits in text or another attribute's value
+                tracker.process(attr);
+                nodes.push({ type: 'text', text: attr });
+            } else {
+                const offset = src.offsetAt(match.end - 1 - match.value.length);
+                if (match.kind === 'on') {
+                    nodes.push(compileHandler(match.name, match.value, offset, state));
+                } else if (match.kind === 'model') {
+                    nodes.push(compileModel(match.value, offset, state));
+                } else if (match.kind === 'key') {
+                    const expr = compileExpression(match.value, offset, state);
+                    if (!expr.error && keysWithId.has(match.start)) {
+                        expr.error = new Error(
+                            "fw-key renders the element's id; remove the id attribute",
+                        );
+                        state.errors.push(expr);
+                    }
+                    nodes.push({ type: 'key', expr });
+                } else {
+                    nodes.push(compileAttr(match.name, match.value, offset, state));
+                }
+            }
+            continue;
+        }
 
-        // Special case: ((this)) - placeholder for component instance reference
-        if (path === 'this') {
-            const safeCode = componentId.code.replace(/#/g, '_');
-            value = `__FUSEWIRE_COMPONENT_${safeCode}__`;
-        } else if (path === 'componentId') {
-            value = escapeHtml(componentId.code, tracker.inTag);
-        } else if (path === 'componentName') {
-            value = escapeHtml(componentId.name, tracker.inTag);
-        } else if (path === 'componentVersion') {
-            value = escapeHtml(constants.version || '', tracker.inTag);
-        } else {
-            let rawValue;
-            try {
-                const ast = fusewireExpr.parse(path);
-                rawValue = evaluateAST(ast, vars);
-            } catch (e) {
-                console.warn(
-                    `Template interpolation syntax error in "${path}": ${/** @type {Error} */ (e).message}`,
-                );
-                rawValue = undefined;
+        const rawExpr = rawHtmlExpression(match.expr);
+        if (rawExpr !== null) {
+            const expr = compileExpression(
+                rawExpr,
+                src.offsetAt(match.start + 2 + match.expr.length - rawExpr.length),
+                state,
+            );
+            if (!expr.error && tracker.inTag) {
+                expr.error = new Error('Raw HTML can only be interpolated in element content');
+                state.errors.push(expr);
             }
+            nodes.push({ type: 'interpolation', expr, inTag: tracker.inTag, raw: true });
+            continue;
+        }
 
-            if (rawValue === undefined || rawValue === null) {
-                value = '';
-            } else if (isComponent(rawValue)) {
-                value = renderMountPoint(/** @type {Component|Child} */ (rawValue), componentId);
-            } else if (Array.isArray(rawValue) && rawValue.length > 0 && isComponent(rawValue[0])) {
-                const mountPoints = rawValue
-                    .map((comp) =>
-                        renderMountPoint(/** @type {Component|Child} */ (comp), componentId),
-                    )
-                    .join('');
-                value = `<fw-each id="${componentId.code}:${escapeHtml(path, tracker.inTag)}" data-fusewire-each="${escapeHtml(path, tracker.inTag)}">${mountPoints}</fw-each>`;
-            } else {
-                let strValue = String(rawValue);
+        const path = match.expr.trim();
+        const offset = src.offsetAt(match.start + 2);
+        nodes.push({
+            type: 'interpolation',
+            expr: SPECIAL_VARS.has(path)
+                ? {
+                      source: path,
+                      ast: null,
+                      error: null,
+                      ...locate(state, offset + match.expr.indexOf(path)),
+                  }
+                : compileExpression(match.expr, offset, state),
+            inTag: tracker.inTag,
+            dangerous: tracker.isDangerousAttribute(),
+        });
+    }
 
-                // Context-aware sanitization
-                if (tracker.isDangerousAttribute()) {
-                    strValue = sanitizeUrl(strValue);
-                }
+    const rest = text.substring(lastIndex);
+    tracker.process(rest);
+    if (rest) nodes.push({ type: 'text', text: rest });
+    return nodes;
+}
+
+/**
+ * Quote an attribute value with whichever quote character it does not contain.
+ * Directive expressions may hold string literals in either quote style.
+ * @param {SourceText} value - Raw attribute value
+ * @returns {SourceText} Quoted value (e.g. "a == 'b'")
+ */
+function quoteAttr(value) {
+    const quote = value.text.includes('"') ? "'" : '"';
+    return SourceText.join(value.offsetAt(0), quote, value, quote);
+}
+
+/**
+ * Split the directive tag matched in `src` at index `from`.
+ * @param {SourceText} src - Source the match was run on
+ * @param {number} from - Index the matched substring starts at
+ * @param {RegExpExecArray} match - DIRECTIVE_REGEX or ELSE_BRANCH_REGEX match
+ * @returns {DirectiveTag} Directive tag
+ */
+function splitDirectiveTag(src, from, match) {
+    const [fullMatch, tag, beforeAttrs, directiveName, doubleQuoted, singleQuoted, afterAttrs] =
+        match;
+    const matchStart = from + match.index;
+    const start = matchStart + fullMatch.indexOf('<');
+    const contentStart = matchStart + fullMatch.length;
+    const beforeStart = start + 1 + tag.length;
+    const nameIndex =
+        matchStart +
+        fullMatch.indexOf(directiveName, beforeStart - matchStart + beforeAttrs.length);
+    const expr = doubleQuoted ?? singleQuoted ?? null;
 
-                // If inTag is true but inAttributeValue is false, we are likely in an unquoted attribute
-                // (or just started an attribute name, but placeholders shouldn't be there usually)
-                // We use isAttribute=true for all tag contexts for maximum safety.
-                value = escapeHtml(strValue, tracker.inTag);
+    return {
+        tag,
+        directive: directiveName.toLowerCase(),
+        expr,
+        exprIndex: expr === null ? nameIndex : nameIndex + directiveName.length + 2,
+        start,
+        contentStart,
+        beforeAttrs: src.slice(beforeStart, beforeStart + beforeAttrs.length),
+        afterAttrs: src.slice(contentStart - 1 - afterAttrs.length, contentStart - 1),
+    };
+}
+
+/**
+ * Build a directive element without its directive: the opening tag keeps the
+ * other attributes, followed by the content and closing tag up to `end`.
+ * @param {SourceText} src - Source holding the element
+ * @param {DirectiveTag} element - The element's directive tag
+ * @param {number} end - Index just past the closing tag
+ * @returns {SourceText} Element source (e.g. '<li class="row">...</li>')
+ */
+function stripDirective(src, element, end) {
+    const anchor = src.offsetAt(element.start);
+    const attrs = SourceText.join(anchor, element.beforeAttrs, ' ', element.afterAttrs).trim();
+    return SourceText.join(
+        anchor,
+        src.slice(element.start, element.start + 1 + element.tag.length),
+        attrs.text ? ' ' : '',
+        attrs,
+        src.slice(element.contentStart - 1, end),
+    );
+}
+
+/**
+ * Compile the <fw-slot> or <fw-slot-outlet> element whose opening tag was
+ * matched in `src` at index `from` into a slot or outlet node. The slot name
+ * defaults to "default"; fw-slot also needs a `for` expression naming the
+ * child component the content is projected into.
+ * @param {SourceText} src - Source the match was run on
+ * @param {number} from - Index the matched substring starts at
+ * @param {RegExpExecArray} match - SLOT_TAG_REGEX match
+ * @param {CompileState} state - Compile state
+ * @returns {{node: TemplateNode, end: number}|null} The node and the index just past the closing tag, or null when the element is not closed
+ */
+function compileSlotTag(src, from, match, state) {
+    const [fullMatch, tagName, attrString] = match;
+    const tag = tagName.toLowerCase();
+    const start = from + match.index;
+    const contentStart = start + fullMatch.length;
+    const closeIndex = findMatchingClose(src.text, tag, contentStart);
+    if (closeIndex === -1) return null;
+
+    const attrs = parseAttributes(attrString);
+    const name = attrs.find((attr) => attr.name === 'name')?.value || 'default';
+    const body = compileNodes(src.slice(contentStart, closeIndex), state);
+    const end = closeIndex + `</${tag}>`.length;
+    if (tag === 'fw-slot-outlet') return { node: { type: 'outlet', name, body }, end };
+
+    const target = attrs.find((attr) => attr.name === 'for');
+    let expr;
+    if (target) {
+        const valueIndex = start + 1 + tag.length + target.pos + target.length - 1;
+        expr = compileExpression(
+            target.value,
+            src.offsetAt(valueIndex - target.value.length),
+            state,
+        );
+    } else {
+        expr = {
+            source: '',
+            ast: null,
+            error: new Error('fw-slot needs a for attribute naming the child component'),
+            ...locate(state, src.offsetAt(start)),
+        };
+        state.errors.push(expr);
+    }
+    return { node: { type: 'slot', expr, name, body }, end };
+}
+
+/**
+ * Compile the <fw-include> element matched in `src` at index `from` into an
+ * include node. The partial named by `src` is compiled in place, with its own
+ * line positions; `with` is the expression its vars are taken from. Missing
+ * partials, include cycles and content inside the element are errors.
+ * @param {SourceText} src - Source the match was run on
+ * @param {number} from - Index the matched substring starts at
+ * @param {RegExpExecArray} match - INCLUDE_TAG_REGEX match
+ * @param {CompileState} state - Compile state
+ * @returns {{node: TemplateNode, end: number}} The node and the index just past the element
+ */
+function compileIncludeTag(src, from, match, state) {
+    const [fullMatch, attrString] = match;
+    const start = from + match.index;
+    const tagEnd = start + fullMatch.length;
+    let end = tagEnd;
+    let error = null;
+    if (!attrString.trimEnd().endsWith('/')) {
+        const closeIndex = findMatchingClose(src.text, 'fw-include', tagEnd);
+        if (closeIndex !== -1) {
+            end = closeIndex + '</fw-include>'.length;
+            if (src.text.substring(tagEnd, closeIndex).trim()) {
+                error = 'fw-include cannot have content';
             }
         }
+    }
 
-        result += beforeMatch + value;
-        lastIndex = regex.lastIndex;
+    const attrs = parseAttributes(attrString);
+    const name = attrs.find((attr) => attr.name === 'src')?.value.trim() ?? '';
+    const cycle = state.includes.indexOf(name);
+    const html = name ? state.partials(name) : null;
+    if (!name) {
+        error = 'fw-include needs a src attribute naming the partial';
+    } else if (cycle !== -1) {
+        error = `Include cycle: ${[...state.includes.slice(cycle), name].join(' -> ')}`;
+    } else if (html === null) {
+        error = `Partial "${name}" not found`;
+    }
+    if (error) {
+        /**
+         * The include error, positioned at its tag.
+         * @type {CompiledExpression}
+         */
+        const expr = {
+            source: name,
+            ast: null,
+            error: new Error(error),
+            ...locate(state, src.offsetAt(start)),
+        };
+        state.errors.push(expr);
+        return { node: { type: 'warn', text: `fw-include error in src="${name}"`, expr }, end };
     }
 
-    result += text.substring(lastIndex);
-    return result;
+    const scope = attrs.find((attr) => attr.name === 'with');
+    let expr = null;
+    if (scope) {
+        const valueIndex = start + '<fw-include'.length + scope.pos + scope.length - 1;
+        expr = compileExpression(scope.value, src.offsetAt(valueIndex - scope.value.length), state);
+    }
+    let body = state.included.get(name);
+    if (!body) {
+        body = compileSource(/** @type {string} */ (html), {
+            ...state,
+            tracker: new HtmlContextTracker(),
+            lineStarts: lineStarts(/** @type {string} */ (html)),
+            partial: name,
+            includes: [...state.includes, name],
+        });
+        state.included.set(name, body);
+    }
+    return {
+        node: { type: 'include', name, expr, body, include: state.counters.includes++ },
+        end,
+    };
 }
 
 /**
- * Process directives (fw-if, fw-each) with nesting-aware tag matching in structural order
- * @param {string} html - HTML template
- * @param {ComponentVars} vars - Variable data
- * @param {ComponentId} componentId - Component instance ID
- * @param {TemplateConstants} constants - Template constants
- * @returns {string} Processed HTML
+ * Compile HTML into a node tree, resolving directives (fw-if, fw-else-if,
+ * fw-else, fw-each), slot elements (fw-slot, fw-slot-outlet) and fw-include
+ * elements with nesting-aware tag matching in structural order.
+ * Expressions are parsed here once; syntax errors are collected in the
+ * compile state and, like evaluation errors, reported when the nodes are
+ * rendered.
+ * @param {SourceText} html - HTML template
+ * @param {CompileState} state - Compile state, with the HTML context at the start of the HTML
+ * @returns {Array<TemplateNode>} Compiled nodes
  */
-function processDirectives(html, vars, componentId, constants) {
-    let result = String(html);
+function compileNodes(html, state) {
+    /**
+     * Nodes compiled so far, in source order.
+     * @type {Array<TemplateNode>}
+     */
+    const nodes = [];
+    let source = html;
+    let pos = 0;
     let match;
 
-    while ((match = DIRECTIVE_REGEX.exec(result)) !== null) {
-        const [fullMatch, tag, beforeAttrs, directiveName, expr, afterAttrs] = match;
-        const directive = directiveName.toLowerCase();
-        const contentStart = match.index + fullMatch.length;
+    for (;;) {
+        const rest = source.text.substring(pos);
+        match = DIRECTIVE_REGEX.exec(rest);
+        const slotMatch = SLOT_TAG_REGEX.exec(rest);
+        const includeMatch = INCLUDE_TAG_REGEX.exec(rest);
+        // A directive on the fw-include element itself is resolved first
+        if (
+            includeMatch &&
+            (!match || includeMatch.index < match.index) &&
+            (!slotMatch || includeMatch.index < slotMatch.index)
+        ) {
+            const include = compileIncludeTag(source, pos, includeMatch, state);
+            nodes.push(...compileText(source.slice(pos, pos + includeMatch.index), state));
+            nodes.push(include.node);
+            pos = include.end;
+            continue;
+        }
+        if (slotMatch && (!match || slotMatch.index <= match.index)) {
+            const slot = compileSlotTag(source, pos, slotMatch, state);
+            if (slot) {
+                nodes.push(...compileText(source.slice(pos, pos + slotMatch.index), state));
+                nodes.push(slot.node);
+                pos = slot.end;
+            } else {
+                // Unclosed slot element, keep its opening tag as text
+                const tagEnd = pos + slotMatch.index + slotMatch[0].length;
+                nodes.push(...compileText(source.slice(pos, tagEnd), state));
+                pos = tagEnd;
+            }
+            continue;
+        }
+        if (!match) break;
+
+        const element = splitDirectiveTag(source, pos, match);
+        const { tag, directive, start, contentStart } = element;
+        const expr = element.expr ?? '';
+        const anchor = source.offsetAt(start);
 
-        const closeIndex = findMatchingClose(result, tag, contentStart);
+        const closeIndex = findMatchingClose(source.text, tag, contentStart);
         if (closeIndex === -1) {
-            // Unclosed tag, just strip the directive to prevent infinite loops
-            const replacement = `<${tag}${beforeAttrs} ${afterAttrs}>`;
-            result =
-                result.substring(0, match.index) + replacement + result.substring(contentStart);
+            // Unclosed tag, just strip the directive and rescan the tag
+            source = SourceText.join(
+                anchor,
+                source.slice(0, start + 1 + tag.length + element.beforeAttrs.text.length),
+                ' ',
+                source.slice(contentStart - 1 - element.afterAttrs.text.length),
+            );
             continue;
         }
 
-        const content = result.substring(contentStart, closeIndex);
-        const closeTag = `</${tag}>`;
-        const elementEnd = closeIndex + closeTag.length;
+        const elementEnd = closeIndex + `</${tag}>`.length;
 
         if (directive === 'fw-if') {
             // When both fw-if and fw-each are on the same element, fw-each takes priority.
             // Rewrite so fw-each is matched first; fw-if is kept for per-item evaluation.
-            const combinedAttrs = beforeAttrs + afterAttrs;
-            const eachInAttrs = combinedAttrs.match(/\s+fw-each=["']([^"']+)["']/i);
+            const combinedAttrs = SourceText.join(anchor, element.beforeAttrs, element.afterAttrs);
+            const eachInAttrs = combinedAttrs.text.match(/\s+fw-each=(?:"([^"]*)"|'([^']*)')/i);
             if (eachInAttrs) {
-                const cleanAttrs = combinedAttrs.replace(eachInAttrs[0], '');
-                const rewritten =
-                    `<${tag} fw-each="${eachInAttrs[1]}"${cleanAttrs} fw-if="${expr}">` +
-                    content +
-                    closeTag;
-                result =
-                    result.substring(0, match.index) + rewritten + result.substring(elementEnd);
+                const eachStart = eachInAttrs.index ?? 0;
+                const eachEnd = eachStart + eachInAttrs[0].length;
+                const eachExpr = eachInAttrs[1] ?? eachInAttrs[2];
+                source = SourceText.join(
+                    anchor,
+                    source.slice(0, start + 1 + tag.length),
+                    ' fw-each=',
+                    quoteAttr(combinedAttrs.slice(eachEnd - 1 - eachExpr.length, eachEnd - 1)),
+                    combinedAttrs.slice(0, eachStart),
+                    combinedAttrs.slice(eachEnd),
+                    ' fw-if=',
+                    quoteAttr(source.slice(element.exprIndex, element.exprIndex + expr.length)),
+                    source.slice(contentStart - 1),
+                );
                 continue;
             }
+        }
 
-            const condition = expr;
-            let value;
-            try {
-                const ast = fusewireExpr.parse(condition.trim());
-                value = evaluateAST(ast, vars);
-            } catch (e) {
-                console.warn(
-                    `fw-if syntax error in "${condition}": ${/** @type {Error} */ (e).message}`,
+        nodes.push(...compileText(source.slice(pos, start), state));
+        const body = stripDirective(source, element, elementEnd);
+
+        if (directive === 'fw-if') {
+            // fw-else-if / fw-else siblings are resolved together with their fw-if
+            const elseBranches = findElseBranches(source.text, elementEnd);
+            /**
+             * The fw-if branch followed by its else branches.
+             * @type {Array<ConditionalBranch>}
+             */
+            const branches = [
+                {
+                    directive,
+                    test: compileExpression(expr, source.offsetAt(element.exprIndex), state),
+                    body: compileNodes(body, state),
+                },
+            ];
+            for (const branch of elseBranches) {
+                const elseTag = splitDirectiveTag(
+                    source,
+                    branch.start,
+                    /** @type {RegExpExecArray} */ (
+                        ELSE_BRANCH_REGEX.exec(source.text.substring(branch.start))
+                    ),
                 );
-                value = false;
+                branches.push({
+                    directive: branch.directive,
+                    test:
+                        branch.expr === null
+                            ? null
+                            : compileExpression(
+                                  branch.expr,
+                                  source.offsetAt(elseTag.exprIndex),
+                                  state,
+                              ),
+                    body: compileNodes(stripDirective(source, elseTag, branch.end), state),
+                });
+            }
+            nodes.push({ type: 'if', branches });
+            pos = elseBranches.length > 0 ? elseBranches[elseBranches.length - 1].end : elementEnd;
+        } else if (directive === 'fw-else' || directive === 'fw-else-if') {
+            // Branches of an fw-if chain are consumed above, so this one has no fw-if
+            /**
+             * The orphan branch, positioned at its tag.
+             * @type {CompiledExpression}
+             */
+            const orphan = {
+                source: directive,
+                ast: null,
+                error: new Error(
+                    `${directive} must directly follow an element with fw-if or fw-else-if.`,
+                ),
+                ...locate(state, anchor),
+            };
+            state.errors.push(orphan);
+            nodes.push({ type: 'warn', text: `Orphan ${directive} on <${tag}>`, expr: orphan });
+            nodes.push(...compileNodes(body, state));
+            pos = elementEnd;
+        } else {
+            const loop = compileExpression(expr, source.offsetAt(element.exprIndex), state);
+            if (!loop.error && loop.ast.type !== 'ForEach') {
+                loop.error = new Error('Expected ForEach syntax');
+                state.errors.push(loop);
+            }
+            if (loop.error) {
+                nodes.push({ type: 'warn', text: `Invalid fw-each syntax "${expr}"`, expr: loop });
+                nodes.push(...compileNodes(body, state));
+            } else {
+                nodes.push({
+                    type: 'each',
+                    expr: { ...loop, source: expr, ast: loop.ast.list },
+                    itemName: String(loop.ast.item.value),
+                    indexName: loop.ast.index ? String(loop.ast.index.value) : null,
+                    loop: state.counters.loops++,
+                    body: compileNodes(body, state),
+                });
             }
+            pos = elementEnd;
+        }
+    }
 
-            let replacement;
+    nodes.push(...compileText(source.slice(pos), state));
+    return nodes;
+}
 
-            if (!value) {
-                replacement = '';
-            } else {
-                const attrs = (beforeAttrs + ' ' + afterAttrs).trim();
-                const openTag = attrs ? `<${tag} ${attrs}>` : `<${tag}>`;
+/**
+ * Offset of each line in an HTML file.
+ * @param {string} html - HTML file content
+ * @returns {Array<number>} Line start offsets
+ */
+function lineStarts(html) {
+    const starts = [0];
+    for (let i = html.indexOf('\n'); i !== -1; i = html.indexOf('\n', i + 1)) {
+        starts.push(i + 1);
+    }
+    return starts;
+}
 
-                replacement = `${openTag}${content}${closeTag}`;
-            }
+/**
+ * Compile a template or partial file. Surrounding whitespace is dropped;
+ * positions still refer to the untrimmed file.
+ * @param {string} html - File content
+ * @param {CompileState} state - Compile state for the file
+ * @returns {Array<TemplateNode>} Compiled nodes
+ */
+function compileSource(html, state) {
+    const trimmed = html.trim();
+    return trimmed
+        ? compileNodes(SourceText.from(trimmed, html.length - html.trimStart().length), state)
+        : [];
+}
 
-            result = result.substring(0, match.index) + replacement + result.substring(elementEnd);
-        } else if (directive === 'fw-each') {
-            const loopExpr = expr;
-            let itemName, collectionPath;
-            try {
-                const ast = fusewireExpr.parse(loopExpr.trim());
-                if (ast.type === 'ForEach') {
-                    itemName = ast.item.value;
-                    collectionPath = ast.list.value;
-                } else {
-                    throw new Error('Expected ForEach syntax');
-                }
-            } catch (e) {
-                console.warn(
-                    `Invalid fw-each syntax: ${loopExpr}. ${/** @type {Error} */ (e).message}`,
-                );
-                const attrs = (beforeAttrs + ' ' + afterAttrs).trim();
-                const openTag = attrs ? `<${tag} ${attrs}>` : `<${tag}>`;
-                const replacement = `${openTag}${content}${closeTag}`;
-                result =
-                    result.substring(0, match.index) + replacement + result.substring(elementEnd);
-                continue;
-            }
+/**
+ * Report a template error through the component console, with its position
+ * in the template file. Without a component console, the global console is used.
+ * @param {RenderContext} context - Render context
+ * @param {string} subject - What failed (e.g. 'fw-if syntax error in "a ==="')
+ * @param {CompiledExpression} expr - Expression the error belongs to
+ * @param {Error} error - The error
+ * @returns {void}
+ */
+function warnAt(context, subject, expr, error) {
+    const log = context.constants.console || console;
+    const file = expr.partial ? ` in partial ${expr.partial}` : '';
+    log.warn(`${subject}${file} at line ${expr.line}, column ${expr.column}: ${error.message}`);
+}
+
+/**
+ * Render an interpolation node with context-aware sanitization.
+ * @param {TemplateNode} node - Interpolation node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered HTML
+ */
+function renderInterpolation(node, vars, context) {
+    const { componentId, constants, appName } = context;
+    const path = node.expr.source;
 
-            const collection = getPropertyValue(vars, collectionPath);
+    // Special case: ((this)) - reference to the component instance for inline handlers
+    if (path === 'this') return `FuseWire.get('${appName}', '${componentId.code}')`;
+    if (path === 'componentId') return escapeHtml(componentId.code, node.inTag);
+    if (path === 'componentName') return escapeHtml(componentId.name, node.inTag);
+    if (path === 'componentVersion') return escapeHtml(constants.version || '', node.inTag);
 
-            let replacement = '';
-            if (Array.isArray(collection) && collection.length > 0) {
-                const attrs = (beforeAttrs + ' ' + afterAttrs).trim();
-                const itemResults = collection.map((item) => {
-                    const scopedVars = {
-                        ...vars,
-                        [itemName]: item,
-                    };
+    let rawValue;
+    try {
+        rawValue = evaluateExpression(node.expr, vars, constants);
+    } catch (e) {
+        warnAt(
+            context,
+            `Template interpolation syntax error in "${path}"`,
+            node.expr,
+            /** @type {Error} */ (e),
+        );
+        rawValue = undefined;
+    }
 
-                    const itemAttrs = attrs ? ` ${attrs}` : '';
-                    let itemHtml = `<${tag}${itemAttrs}>${content}${closeTag}`;
+    if (rawValue === undefined || rawValue === null) return '';
+    if (isComponent(rawValue)) {
+        return renderMountPoint(/** @type {Component|Child} */ (rawValue), componentId);
+    }
+    const children = childCollection(rawValue);
+    if (children) {
+        const mountPoints = children.map((comp) => renderMountPoint(comp, componentId)).join('');
+        const name = escapeHtml(path, node.inTag);
+        return `<fw-each id="${componentId.code}:${name}" data-fusewire-each="${name}">${mountPoints}</fw-each>`;
+    }
 
-                    // Process nested directives for this isolated item structurally
-                    itemHtml = processDirectives(itemHtml, scopedVars, componentId, constants);
+    if (node.raw) return (constants.sanitizeHtml || sanitizeHtml)(String(rawValue));
 
-                    // Interpolate variables scoped exclusively within this item's context
-                    return interpolateText(itemHtml, scopedVars, componentId, constants);
-                });
-                replacement = itemResults.join('');
-            }
+    let strValue = String(rawValue);
+
+    // Context-aware sanitization
+    if (node.dangerous) {
+        strValue = sanitizeUrl(strValue);
+    }
+
+    // Inside a tag we escape for attributes even when the value is unquoted,
+    // so a value can never break out into a new attribute.
+    return escapeHtml(strValue, node.inTag);
+}
+
+/**
+ * Render an fw-on attribute. Arguments are evaluated against the current vars
+ * (so loop items resolve) and written as JSON: fw-on:click="remove(42)". The
+ * Renderer's delegated listener parses them back when the event fires.
+ * @param {TemplateNode} node - Handler node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered attribute, with its leading space, or '' on an error
+ */
+function renderHandler(node, vars, context) {
+    const directive = `fw-on:${node.event}`;
+    if (node.expr.error) {
+        warnAt(
+            context,
+            `${directive} syntax error in "${node.expr.source}"`,
+            node.expr,
+            node.expr.error,
+        );
+        return '';
+    }
+    if (node.args.length === 0) return ` ${directive}="${node.method}"`;
+
+    let args;
+    try {
+        args = node.args.map(
+            (arg) => JSON.stringify(evaluateAST(arg, vars, context.constants)) ?? 'null',
+        );
+    } catch (e) {
+        warnAt(
+            context,
+            `${directive} error in "${node.expr.source}"`,
+            node.expr,
+            /** @type {Error} */ (e),
+        );
+        return '';
+    }
+    return ` ${directive}="${escapeHtml(`${node.method}(${args.join(',')})`, true)}"`;
+}
+
+/**
+ * Render an fw-model attribute with its path relative to the component vars,
+ * where the Renderer reads and writes the bound value. An fw-each item of an
+ * array var resolves to its index (todo.done in todos -> todos.3.done); other
+ * loop variables have no var to write to.
+ * @param {TemplateNode} node - Model node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered attribute, with its leading space, or '' on an error
+ */
+function renderModel(node, vars, context) {
+    if (node.expr.error) {
+        warnAt(
+            context,
+            `fw-model syntax error in "${node.expr.source}"`,
+            node.expr,
+            node.expr.error,
+        );
+        return '';
+    }
+    const path = resolveModelPath(node.path, vars);
+    if (path === null) {
+        warnAt(
+            context,
+            `fw-model error in "${node.expr.source}"`,
+            node.expr,
+            new Error('Only items of an array var can be bound inside fw-each'),
+        );
+        return '';
+    }
+    return ` fw-model="${escapeHtml(path, true)}"`;
+}
+
+/**
+ * Render an fw-attr attribute: omitted when the value is false, null or
+ * undefined, present without a value when it is true, and set to the value
+ * otherwise. URL attributes are sanitized like interpolated ones.
+ * @param {TemplateNode} node - Attr node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered attribute, with its leading space, or ''
+ */
+function renderAttr(node, vars, context) {
+    let value;
+    try {
+        value = evaluateExpression(node.expr, vars, context.constants);
+    } catch (e) {
+        warnAt(
+            context,
+            `fw-attr:${node.name} error in "${node.expr.source}"`,
+            node.expr,
+            /** @type {Error} */ (e),
+        );
+        return '';
+    }
+    if (value === false || value === null || value === undefined) return '';
+    if (value === true) return ` ${node.name}`;
+    const text = isDangerousAttributeName(node.name) ? sanitizeUrl(String(value)) : String(value);
+    return ` ${node.name}="${escapeHtml(text, true)}"`;
+}
+
+/**
+ * Render an fw-key attribute as the element's key and id. The id is scoped
+ * to the component and loop, so the morph matches the element with its
+ * previous render by key and moves it when the list is reordered.
+ * @param {TemplateNode} node - Key node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered attributes, with their leading space, or ''
+ */
+function renderKey(node, vars, context) {
+    let value;
+    try {
+        value = evaluateExpression(node.expr, vars, context.constants);
+    } catch (e) {
+        warnAt(
+            context,
+            `fw-key error in "${node.expr.source}"`,
+            node.expr,
+            /** @type {Error} */ (e),
+        );
+        return '';
+    }
+    if (value === null || value === undefined) return '';
+    const key = String(value);
+    const id = `${keyPrefixes.get(vars) ?? context.componentId.code}:${encodeURIComponent(key)}`;
+    keyIds.set(vars, id);
+    return ` id="${escapeHtml(id, true)}" data-fusewire-key="${escapeHtml(key, true)}"`;
+}
+
+/**
+ * Class names bound by an fw-class object form value.
+ * @param {unknown} value - Evaluated value
+ * @returns {Array<string>} Class names
+ */
+function classNames(value) {
+    if (typeof value === 'string') return value.split(/\s+/);
+    if (Array.isArray(value)) return value.filter((name) => typeof name === 'string');
+    if (value && typeof value === 'object') {
+        return Object.keys(value).filter(
+            (name) => /** @type {Object<string, unknown>} */ (value)[name],
+        );
+    }
+    return [];
+}
+
+/**
+ * Render a tag's class attribute: the static classes followed by the bound
+ * ones. The attribute is omitted when no class applies.
+ * @param {TemplateNode} node - Classes node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered attribute, with its leading space, or ''
+ */
+function renderClasses(node, vars, context) {
+    const classes = [renderNodes(node.body, vars, context).trim()];
+    for (const { name, expr } of node.bindings) {
+        let value;
+        try {
+            value = evaluateExpression(expr, vars, context.constants);
+        } catch (e) {
+            warnAt(
+                context,
+                `${name === null ? 'fw-class' : `fw-class:${name}`} error in "${expr.source}"`,
+                expr,
+                /** @type {Error} */ (e),
+            );
+            continue;
+        }
+        if (name === null) {
+            classes.push(...classNames(value).map((className) => escapeHtml(className)));
+        } else if (value) {
+            classes.push(name);
+        }
+    }
+    const list = classes.filter(Boolean).join(' ');
+    return list ? ` class="${list}"` : '';
+}
+
+/**
+ * Evaluate an fw-if or fw-else-if condition. Syntax and evaluation errors
+ * are logged and count as false.
+ * @param {CompiledExpression} condition - Compiled condition
+ * @param {string} directive - Directive name, for the warning
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {boolean} True if the condition is truthy
+ */
+function evaluateCondition(condition, directive, vars, context) {
+    try {
+        return Boolean(evaluateExpression(condition, vars, context.constants));
+    } catch (e) {
+        warnAt(
+            context,
+            `${directive} syntax error in "${condition.source}"`,
+            condition,
+            /** @type {Error} */ (e),
+        );
+        return false;
+    }
+}
+
+/**
+ * Render an fw-each node once per item of its collection.
+ * @param {TemplateNode} node - Each node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered HTML
+ */
+function renderEach(node, vars, context) {
+    let collection;
+    try {
+        collection = evaluateExpression(node.expr, vars, context.constants);
+    } catch (e) {
+        warnAt(
+            context,
+            `fw-each error in "${node.expr.source}"`,
+            node.expr,
+            /** @type {Error} */ (e),
+        );
+        collection = undefined;
+    }
+
+    const items = toLoopItems(collection);
+    const { ast } = node.expr;
+    const listPath =
+        context.models && Array.isArray(collection) && ast.type === 'VarPath'
+            ? resolveModelPath(String(ast.value), vars)
+            : null;
+    const keyPrefix = `${keyIds.get(vars) ?? context.componentId.code}:${node.itemName}-${node.loop}`;
+    let html = '';
+    for (let index = 0; index < items.length; index++) {
+        // Item scope inherits the component vars instead of copying them per item
+        const scopedVars = /** @type {ComponentVars} */ (Object.create(vars));
+        Object.assign(scopedVars, {
+            $index: index,
+            $first: index === 0,
+            $last: index === items.length - 1,
+            $even: index % 2 === 0,
+        });
+        if (node.indexName) scopedVars[node.indexName] = index;
+        scopedVars[node.itemName] = /** @type {VarValue} */ (items[index]);
+        keyPrefixes.set(scopedVars, keyPrefix);
+        if (context.models) {
+            const paths = Object.create(loopPaths.get(vars) ?? null);
+            if (node.indexName) paths[node.indexName] = null;
+            paths[node.itemName] = listPath === null ? null : `${listPath}.${index}`;
+            loopPaths.set(scopedVars, paths);
+        }
+        html += renderNodes(node.body, scopedVars, context);
+    }
+    return html;
+}
+
+/**
+ * Render an fw-slot node: its content is rendered with the current vars and
+ * added to the projections of the child component named by `for`. The slot
+ * itself renders nothing in place.
+ * @param {TemplateNode} node - Slot node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Empty string
+ */
+function renderSlot(node, vars, context) {
+    let target;
+    try {
+        target = evaluateExpression(node.expr, vars, context.constants);
+        if (!isComponent(target)) throw new Error('Expected a child component');
+    } catch (e) {
+        warnAt(
+            context,
+            `fw-slot error in for="${node.expr.source}"`,
+            node.expr,
+            /** @type {Error} */ (e),
+        );
+        return '';
+    }
 
-            result = result.substring(0, match.index) + replacement + result.substring(elementEnd);
+    const { projections } = context.constants;
+    if (!projections) return '';
+    const { code } = declarationId(/** @type {Component|Child} */ (target));
+    const slots = projections.get(code) ?? {};
+    slots[node.name] = (slots[node.name] ?? '') + renderNodes(node.body, vars, context);
+    projections.set(code, slots);
+    return '';
+}
+
+/**
+ * Render an fw-slot-outlet node with the content its parent projected into
+ * that slot, or with its own fallback content when nothing was projected.
+ * Projected content carries its owner's code, so fw-on and fw-model inside it
+ * reach the parent.
+ * @param {TemplateNode} node - Outlet node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered HTML
+ */
+function renderOutlet(node, vars, context) {
+    const { slots } = context.constants;
+    const name = escapeHtml(node.name, true);
+    if (slots && Object.hasOwn(slots.html, node.name)) {
+        const owner = escapeHtml(slots.owner, true);
+        return `<fw-slot-outlet name="${name}" data-fusewire-slot-owner="${owner}">${slots.html[node.name]}</fw-slot-outlet>`;
+    }
+    return `<fw-slot-outlet name="${name}">${renderNodes(node.body, vars, context)}</fw-slot-outlet>`;
+}
+
+/**
+ * Render an fw-include node: the partial is rendered with the properties of
+ * its `with` object as its only vars. A `with` value that is not an object is
+ * reported and the partial gets no vars.
+ * @param {TemplateNode} node - Include node
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered HTML
+ */
+function renderInclude(node, vars, context) {
+    let scope = {};
+    if (node.expr) {
+        try {
+            const value = evaluateExpression(node.expr, vars, context.constants);
+            if (value !== undefined && value !== null) {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error('Expected an object, e.g. "{ name: item.name }"');
+                }
+                scope = { ...value };
+            }
+        } catch (e) {
+            warnAt(
+                context,
+                `fw-include error in with="${node.expr.source}"`,
+                node.expr,
+                /** @type {Error} */ (e),
+            );
         }
     }
+    const partialVars = /** @type {ComponentVars} */ (scope);
+    keyIds.set(
+        partialVars,
+        `${keyIds.get(vars) ?? context.componentId.code}:include-${node.include}`,
+    );
+    return renderNodes(node.body, partialVars, context);
+}
 
-    return result;
+/**
+ * Render a compiled node tree.
+ * @param {Array<TemplateNode>} nodes - Compiled nodes
+ * @param {ComponentVars} vars - Variable data
+ * @param {RenderContext} context - Render context
+ * @returns {string} Rendered HTML
+ */
+function renderNodes(nodes, vars, context) {
+    let html = '';
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                html += node.text;
+                break;
+            case 'interpolation':
+                html += renderInterpolation(node, vars, context);
+                break;
+            case 'if':
+                for (const branch of node.branches) {
+                    if (
+                        !branch.test ||
+                        evaluateCondition(branch.test, branch.directive, vars, context)
+                    ) {
+                        html += renderNodes(branch.body, vars, context);
+                        break;
+                    }
+                }
+                break;
+            case 'each':
+                html += renderEach(node, vars, context);
+                break;
+            case 'handler':
+                html += renderHandler(node, vars, context);
+                break;
+            case 'model':
+                html += renderModel(node, vars, context);
+                break;
+            case 'attr':
+                html += renderAttr(node, vars, context);
+                break;
+            case 'key':
+                html += renderKey(node, vars, context);
+                break;
+            case 'classes':
+                html += renderClasses(node, vars, context);
+                break;
+            case 'slot':
+                html += renderSlot(node, vars, context);
+                break;
+            case 'outlet':
+                html += renderOutlet(node, vars, context);
+                break;
+            case 'include':
+                html += renderInclude(node, vars, context);
+                break;
+            case 'warn':
+                warnAt(context, node.text, node.expr, node.expr.error);
+                break;
+        }
+    }
+    return html;
 }
 
 /**
- * Compile a template into a render function
+ * Compile a template into a render function. The HTML is parsed once into a
+ * node tree with pre-parsed expressions; each render only evaluates it.
+ *
+ * Syntax errors are positioned by line and column in `htmlCode`. By default
+ * they are warned through `constants.console` whenever the broken part is
+ * rendered; with `constants.strict`, every render throws a
+ * TemplateSyntaxError for the first one instead.
+ *
+ * Partials named by fw-include elements are resolved through
+ * `options.partials` and compiled into the template, recursively.
  * @param {string} htmlCode - HTML template code
  * @param {string} cssCode - CSS code (optional)
  * @param {string} appName - Application name for FuseWire.get() calls
+ * @param {CompileOptions} options - Compile options
  * @returns {CompiledTemplate} Compiled template with render function and raw CSS
  */
-export function compileTemplate(htmlCode, cssCode = '', appName = 'default') {
+export function compileTemplate(htmlCode, cssCode = '', appName = 'default', options = {}) {
+    const html = htmlCode || '';
+    /**
+     * Compile state; line starts index the untrimmed template file.
+     * @type {CompileState}
+     */
+    const state = {
+        tracker: new HtmlContextTracker(),
+        lineStarts: lineStarts(html),
+        errors: [],
+        events: new Set(),
+        models: false,
+        partials: options.partials ?? (() => null),
+        partial: null,
+        includes: [],
+        included: new Map(),
+        counters: { loops: 0, includes: 0 },
+    };
+
+    const nodes = compileSource(html, state);
+    const errors = state.errors.sort((a, b) => a.line - b.line || a.column - b.column);
+
     return {
         /**
          * Render the template with given variables
@@ -392,33 +1840,32 @@ export function compileTemplate(htmlCode, cssCode = '', appName = 'default') {
          * @param {ComponentId} componentId - Component instance ID
          * @param {TemplateConstants} constants - Template constants (version, etc.)
          * @returns {string} Rendered HTML
+         * @throws {TemplateSyntaxError} In strict mode, when the template has a syntax error
          */
         render(vars, componentId, constants = {}) {
-            if (!htmlCode || !htmlCode.trim()) {
-                return '';
+            if (constants.strict && errors.length > 0) {
+                const [first] = errors;
+                throw new TemplateSyntaxError(/** @type {Error} */ (first.error).message, {
+                    componentName: first.partial ?? componentId.name,
+                    line: first.line,
+                    column: first.column,
+                    expression: first.source,
+                });
             }
-
-            let html = htmlCode.trim();
-
-            // Process directives (fw-if, fw-each) structural evaluation (top-down)
-            html = processDirectives(html, vars, componentId, constants);
-
-            // Interpolate variables (fills in values)
-            html = interpolateText(html, vars, componentId, constants);
-
-            // 4. Replace ((this)) placeholders with FuseWire.get() calls
-            html = html.replace(
-                /__FUSEWIRE_COMPONENT_([^_]+)_([^_]+)__/g,
-                (match, componentName, instanceId) => {
-                    // Convert back: Console_main -> Console#main
-                    const code = `${componentName}#${instanceId}`;
-                    return `FuseWire.get('${appName}', '${code}')`;
-                },
-            );
-
-            return html;
+            return renderNodes(nodes, vars, {
+                componentId,
+                constants,
+                appName,
+                models: state.models,
+            });
         },
 
+        /**
+         * Event types bound with fw-on or fw-model anywhere in the template
+         * @type {Array<string>}
+         */
+        events: Array.from(state.events),
+
         /**
          * Get raw CSS (scoping is applied by Renderer at injection time)
          * @returns {string} Raw CSS string
@@ -23,41 +23,275 @@ export const VAR_NAME = '[\\w$]+';
 export const VAR_PATH = `${VAR_NAME}(?:\\.${VAR_NAME})*`;
 
 /**
- * Regex that matches a valid fw-each expression: "itemName in collectionPath".
+ * Loop metadata variables that fw-each adds to each item's scope:
+ * $index (zero-based position), $first, $last and $even.
+ * @type {readonly string[]}
+ */
+export const FW_EACH_LOOP_VARS = Object.freeze(['$index', '$first', '$last', '$even']);
+
+/**
+ * Regex source pattern for a double- or single-quoted attribute value, which
+ * may contain the other quote character. Capture groups: the value when
+ * double-quoted, the value when single-quoted.
+ * @type {string}
+ */
+const QUOTED_ATTR_VALUE = `(?:"([^"]*)"|'([^']*)')`;
+
+/**
+ * Regex source pattern for the attributes of an opening tag, up to its ">".
+ * Quoted attribute values may contain ">".
+ * @type {string}
+ */
+const TAG_ATTRIBUTES = `(?:[^"'>]|"[^"]*"|'[^']*')*`;
+
+/**
+ * Regex that matches an fw-on:event="handler" attribute, including the
+ * whitespace before it. The handler may be double- or single-quoted.
+ *
+ * Capture groups: (1) event type (e.g. "click"), (2) handler when
+ * double-quoted, (3) handler when single-quoted.
+ * Use with matchAll() for iterative matching.
+ * @type {RegExp}
+ */
+export const FW_ON_ATTR_REGEX = new RegExp(`\\sfw-on:([\\w-]+)=${QUOTED_ATTR_VALUE}`, 'g');
+
+/**
+ * Regex that matches an fw-model="path" attribute, including the whitespace
+ * before it. The path may be double- or single-quoted.
  *
- * - Item name: a single identifier (VAR_NAME)
- * - Collection path: dot-separated identifiers (VAR_PATH)
+ * Capture groups: (1) path when double-quoted, (2) path when single-quoted.
+ * Use with matchAll() for iterative matching.
+ * @type {RegExp}
+ */
+export const FW_MODEL_ATTR_REGEX = new RegExp(`\\sfw-model=${QUOTED_ATTR_VALUE}`, 'g');
+
+/**
+ * Regex that matches an fw-attr:name="expression" attribute, including the
+ * whitespace before it. The expression may be double- or single-quoted.
  *
- * Capture groups: (1) item name, (2) collection path.
+ * Capture groups: (1) attribute name (e.g. "disabled"), (2) expression when
+ * double-quoted, (3) expression when single-quoted.
+ * Use with matchAll() for iterative matching.
  * @type {RegExp}
  */
-export const FW_EACH_SYNTAX = new RegExp(`^\\s*(${VAR_NAME})\\s+in\\s+(${VAR_PATH})\\s*$`);
+export const FW_ATTR_ATTR_REGEX = new RegExp(`\\sfw-attr:([\\w-]+)=${QUOTED_ATTR_VALUE}`, 'g');
 
 /**
- * Regex that matches the first fw-if or fw-each directive in an opening HTML tag.
+ * Regex that matches an fw-key="expression" attribute, including the
+ * whitespace before it. The expression may be double- or single-quoted.
+ *
+ * Capture groups: (1) expression when double-quoted, (2) expression when
+ * single-quoted.
+ * Use with matchAll() for iterative matching.
+ * @type {RegExp}
+ */
+export const FW_KEY_ATTR_REGEX = new RegExp(`\\sfw-key=${QUOTED_ATTR_VALUE}`, 'g');
+
+/**
+ * Regex that matches the first fw-if, fw-each, fw-else-if or fw-else directive
+ * in an opening HTML tag. The directive value may be double- or single-quoted
+ * and may contain the other quote character (e.g. fw-if="status == 'ready'").
+ * fw-else takes no value.
  *
  * Capture groups:
  *   (1) tag name
  *   (2) attributes before the directive
- *   (3) directive name ("fw-if" or "fw-each")
- *   (4) directive expression value
- *   (5) attributes after the directive
+ *   (3) directive name ("fw-if", "fw-each", "fw-else-if" or "fw-else")
+ *   (4) directive expression value when double-quoted
+ *   (5) directive expression value when single-quoted
+ *   (6) attributes after the directive
  * @type {RegExp}
  */
 export const DIRECTIVE_REGEX =
-    /<(\w+)((?:[^"'>]|"[^"]*"|'[^']*')*?)\s+(fw-if|fw-each)=[\x22']([^\x22']+)[\x22']((?:[^"'>]|"[^"]*"|'[^']*')*)>/i;
+    /<(\w+)((?:[^"'>]|"[^"]*"|'[^']*')*?)\s+(fw-if|fw-each|fw-else-if|fw-else)(?:=(?:"([^"]*)"|'([^']*)'))?(?=[\s/>])((?:[^"'>]|"[^"]*"|'[^']*')*)>/i;
+
+/**
+ * Regex that matches an opening tag carrying fw-else-if or fw-else at the
+ * start of a string, after optional whitespace. Used to find the branches
+ * that follow an fw-if element. Capture groups match DIRECTIVE_REGEX.
+ * @type {RegExp}
+ */
+export const ELSE_BRANCH_REGEX =
+    /^\s*<(\w+)((?:[^"'>]|"[^"]*"|'[^']*')*?)\s+(fw-else-if|fw-else)(?:=(?:"([^"]*)"|'([^']*)'))?(?=[\s/>])((?:[^"'>]|"[^"]*"|'[^']*')*)>/i;
+
+/**
+ * Regex that matches the first opening <fw-slot> or <fw-slot-outlet> tag.
+ * Attribute values may be double- or single-quoted.
+ *
+ * Capture groups: (1) tag name, (2) attributes.
+ * @type {RegExp}
+ */
+export const SLOT_TAG_REGEX = new RegExp(
+    `<(fw-slot(?:-outlet)?)(?=[\\s/>])(${TAG_ATTRIBUTES})>`,
+    'i',
+);
+
+/**
+ * Regex that matches the first opening <fw-include> tag, either self-closing
+ * or followed by a </fw-include> closing tag.
+ * Attribute values may be double- or single-quoted.
+ *
+ * Capture group (1) is the attributes, with the "/" of a self-closing tag.
+ * @type {RegExp}
+ */
+export const INCLUDE_TAG_REGEX = new RegExp(`<fw-include(?=[\\s/>])(${TAG_ATTRIBUTES})>`, 'i');
 
 /**
- * Regex that matches a ((...)) interpolation placeholder.  The capture group
- * only matches valid variable paths (VAR_PATH) so adjacent JS parentheses
- * like goTo(((dot.index))) do not leak into the match.
+ * Regex that matches a ((...)) interpolation placeholder whose expression
+ * contains no parentheses.  Kept for simple scans; the template compiler and
+ * the checks use findInterpolations(), which also accepts expressions with
+ * balanced parentheses such as "((count > (limit)))".
  *
- * Capture group (1) is the variable path (e.g. "user.name", "this", "count").
+ * Capture group (1) is the expression (e.g. "user.name", "this", "count").
  * Use with the global flag for iterative matching.
  * @type {RegExp}
  */
 export const INTERPOLATION_REGEX = /\(\(([^()]*)\)\)/g;
 
+/**
+ * Scan an interpolation expression starting right after its opening "((".
+ * Tracks parenthesis depth and skips quoted strings, so a ")" inside a
+ * nested group or a string literal does not close the placeholder.
+ * @param {string} text - Text being scanned
+ * @param {number} from - Index of the first expression character
+ * @returns {number} Index of the closing "))", or -1 if the placeholder is not well-formed
+ */
+function scanInterpolationEnd(text, from) {
+    let depth = 0;
+    let quote = '';
+    for (let i = from; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = '';
+            }
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            if (depth > 0) {
+                depth--;
+            } else {
+                return text[i + 1] === ')' ? i : -1;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Find every ((...)) interpolation placeholder in a string, in source order.
+ *
+ * When a run of three or more "(" precedes an expression, the innermost pair
+ * is tried first, so adjacent JS call parentheses like goTo(((dot.index)))
+ * stay outside the placeholder. Outer pairs are only used when the innermost
+ * candidate is not balanced, as in "(((a || b) && c))".
+ * @param {string} text - Text to scan
+ * @returns {Array.<{start: number, end: number, expr: string}>} Placeholders; `end` is the index just past the closing "))"
+ */
+export function findInterpolations(text) {
+    const results = [];
+    let index = text.indexOf('((');
+    while (index !== -1) {
+        let runEnd = index;
+        while (text[runEnd + 2] === '(') runEnd++;
+
+        let found = null;
+        for (let start = runEnd; start >= index && !found; start--) {
+            const close = scanInterpolationEnd(text, start + 2);
+            if (close !== -1) {
+                found = { start, end: close + 2, expr: text.substring(start + 2, close) };
+            }
+        }
+
+        if (found) {
+            results.push(found);
+            index = text.indexOf('((', found.end);
+        } else {
+            index = text.indexOf('((', runEnd + 1);
+        }
+    }
+    return results;
+}
+
+/**
+ * Collect the variable paths referenced by a parsed expression AST, in
+ * evaluation order.  Literals, operators, filter and function names are
+ * skipped; the item and index names of a ForEach node are loop-local
+ * declarations and are not reported.
+ * @param {{type: string, value?: string|number|boolean|null}|null} ast - Node returned by the expression parser
+ * @returns {Array.<string>} Dotted variable paths (e.g. ["user.name", "count"])
+ */
+export function collectVarPaths(ast) {
+    if (!ast || typeof ast !== 'object') return [];
+    const node = /** @type {Object<string, unknown>} */ (/** @type {unknown} */ (ast));
+    if (node.type === 'VarPath') return [String(node.value)];
+    if (node.type === 'ForEach') {
+        return collectVarPaths(/** @type {{type: string}} */ (node.list));
+    }
+    const paths = [];
+    for (const key of ['expr', 'condition', 'trueExpr', 'falseExpr', 'left', 'right']) {
+        if (node[key]) {
+            paths.push(...collectVarPaths(/** @type {{type: string}} */ (node[key])));
+        }
+    }
+    if (Array.isArray(node.args)) {
+        for (const arg of node.args) paths.push(...collectVarPaths(arg));
+    }
+    if (Array.isArray(node.properties)) {
+        for (const { value } of node.properties) paths.push(...collectVarPaths(value));
+    }
+    return paths;
+}
+
+/**
+ * Read an fw-on handler from its parsed expression. A handler is a bare
+ * method name ("increment") or a call whose arguments are template
+ * expressions ("remove(item.id)").
+ * @param {{type: string, value?: string|number|boolean|null}|null} ast - Node returned by the expression parser
+ * @returns {{method: string, args: Array.<{type: string}>}|null} Method name and argument nodes, or null when the expression is neither form
+ */
+export function eventHandlerFromAST(ast) {
+    if (!ast) return null;
+    const node = /** @type {Object<string, unknown>} */ (/** @type {unknown} */ (ast));
+    if (node.type === 'VarPath' && !String(node.value).includes('.')) {
+        return { method: String(node.value), args: [] };
+    }
+    if (node.type === 'Call') {
+        return {
+            method: String(node.name),
+            args: /** @type {Array.<{type: string}>} */ (node.args),
+        };
+    }
+    return null;
+}
+
+/**
+ * Read the expression of a raw HTML interpolation: ((html: body)).
+ * @param {string} expr - Interpolation content, without the parentheses
+ * @returns {string|null} The expression after the `html:` prefix, or null for a regular interpolation
+ */
+export function rawHtmlExpression(expr) {
+    const prefix = /^\s*html:/.exec(expr);
+    return prefix ? expr.slice(prefix[0].length) : null;
+}
+
+/**
+ * Read an fw-model binding from its parsed expression. The binding must be a
+ * writable variable path ("user.name"): not a $getter, loop metadata or `this`.
+ * @param {{type: string, value?: string|number|boolean|null}|null} ast - Node returned by the expression parser
+ * @returns {string|null} The variable path, or null when the expression cannot be written to
+ */
+export function modelPathFromAST(ast) {
+    if (!ast || ast.type !== 'VarPath') return null;
+    const path = String(ast.value);
+    const [head] = path.split('.');
+    return head.startsWith('$') || head === 'this' ? null : path;
+}
+
 /**
  * Find the position of the matching closing tag, accounting for nesting.
  * Handles same-tag nesting correctly (e.g., div inside div).
@@ -106,11 +340,101 @@ export function findMatchingClose(html, tagName, startIndex) {
     return -1;
 }
 
+/**
+ * A fw-else-if or fw-else element that follows an fw-if element.
+ * @typedef ElseBranch
+ * @property {number} start - Index of the opening tag's `<`
+ * @property {number} end - Index just past the closing tag
+ * @property {string} tag - Tag name
+ * @property {string} attrs - Remaining attributes, without the directive
+ * @property {string} directive - "fw-else-if" or "fw-else"
+ * @property {string|null} expr - Condition of an fw-else-if, null for fw-else
+ * @property {string} content - Inner HTML
+ */
+
+/**
+ * Collect the fw-else-if / fw-else elements that directly follow an fw-if
+ * element. Only whitespace may separate the branches; the chain ends after an
+ * fw-else, at the first element without an else directive, or at an unclosed tag.
+ * @param {string} html - HTML string
+ * @param {number} from - Index just past the fw-if element's closing tag
+ * @returns {Array<ElseBranch>} Branches in source order
+ */
+export function findElseBranches(html, from) {
+    const branches = [];
+    let index = from;
+    while (true) {
+        const match = ELSE_BRANCH_REGEX.exec(html.substring(index));
+        if (!match) break;
+        const [fullMatch, tag, beforeAttrs, directiveName, doubleQuoted, singleQuoted, afterAttrs] =
+            match;
+        const start = index + fullMatch.indexOf('<');
+        const contentStart = index + fullMatch.length;
+        const closeIndex = findMatchingClose(html, tag, contentStart);
+        if (closeIndex === -1) break;
+
+        const directive = directiveName.toLowerCase();
+        branches.push({
+            start,
+            end: closeIndex + `</${tag}>`.length,
+            tag,
+            attrs: (beforeAttrs + ' ' + afterAttrs).trim(),
+            directive,
+            expr: directive === 'fw-else' ? null : (doubleQuoted ?? singleQuoted ?? ''),
+            content: html.substring(contentStart, closeIndex),
+        });
+        if (directive === 'fw-else') break;
+        index = branches[branches.length - 1].end;
+    }
+    return branches;
+}
+
+/**
+ * Split the attributes of an opening tag. An attribute's `pos` and `length`
+ * cover the whitespace before it and its quoted value; attributes without a
+ * value have an empty one.
+ * @param {string} attrString - Attributes as written after the tag name
+ * @returns {Array.<{name: string, pos: number, length: number, value: string}>} Attributes in source order
+ */
+export function parseAttributes(attrString) {
+    const attrs = [];
+    const attrRegex = /\s+([\w:-]+)(?:="([^"]*)"|='([^']*)')?/g;
+    let attrMatch;
+    while ((attrMatch = attrRegex.exec(attrString)) !== null) {
+        attrs.push({
+            name: attrMatch[1],
+            pos: attrMatch.index,
+            length: attrMatch[0].length,
+            value: attrMatch[2] ?? attrMatch[3] ?? '',
+        });
+    }
+    return attrs;
+}
+
+/**
+ * Find the partials a template includes with <fw-include src="...">, in
+ * source order. Tags without a src are skipped.
+ * @param {string} html - HTML content
+ * @returns {Array.<{index: number, name: string, attrs: Array.<{name: string, pos: number, length: number, value: string}>}>} Includes found
+ */
+export function findIncludes(html) {
+    const includes = [];
+    const includeRegex = new RegExp(INCLUDE_TAG_REGEX.source, 'gi');
+    for (const match of html.matchAll(includeRegex)) {
+        const attrs = parseAttributes(match[1]);
+        const name = attrs.find((attr) => attr.name === 'src')?.value.trim();
+        if (name) includes.push({ index: match.index, name, attrs });
+    }
+    return includes;
+}
+
 /**
  * Extract all opening tags from an HTML string, handling multi-line tags.
- * Returns each tag with its starting line number and attribute list.
+ * Returns each tag with its starting line number, its index in the string and
+ * its attribute list. An attribute's `pos` and `length` cover the whitespace
+ * before it and its quoted value, relative to the end of the tag name.
  * @param {string} html - HTML content
- * @returns {Array.<{line: number, tag: string, attrs: Array.<{name: string, pos: number, value: string}>}>} Opening tags found
+ * @returns {Array.<{line: number, index: number, tag: string, attrs: Array.<{name: string, pos: number, length: number, value: string}>}>} Opening tags found
  */
 export function extractOpeningTags(html) {
     const tags = [];
@@ -121,19 +445,9 @@ export function extractOpeningTags(html) {
         const attrString = match[2];
         const line = html.substring(0, match.index).split('\n').length;
 
-        const attrs = [];
-        const attrRegex = /\s+([\w-]+)(?:=["']([^"']*)["'])?/g;
-        let attrMatch;
-        while ((attrMatch = attrRegex.exec(attrString)) !== null) {
-            attrs.push({
-                name: attrMatch[1],
-                pos: attrMatch.index,
-                value: attrMatch[2] ?? '',
-            });
-        }
-
+        const attrs = parseAttributes(attrString);
         if (attrs.length > 0) {
-            tags.push({ line, tag: tagName, attrs });
+            tags.push({ line, index: match.index, tag: tagName, attrs });
         }
     }
     return tags;
@@ -1,4 +1,5 @@
 /* eslint-disable jsdoc/no-undefined-types */
+import { findIncludes } from './template-parser.js';
 
 /**
  * Variables map passed to a component.
@@ -54,6 +55,35 @@ export class TemplateStore {
      */
     _inFlight = new Map();
 
+    /**
+     * Map of partial name to its HTML code.
+     * @private
+     * @type {Map<string, string>}
+     */
+    _partials = new Map();
+
+    /**
+     * Map of in-flight partial fetch promises.
+     * @private
+     * @type {Map<string, Promise<string>>}
+     */
+    _partialsInFlight = new Map();
+
+    /**
+     * Names of the partials whose fetch failed. They are not fetched again,
+     * and the compiler reports them as missing.
+     * @private
+     * @type {Set<string>}
+     */
+    _failedPartials = new Set();
+
+    /**
+     * Listeners called when templates are cleared.
+     * @private
+     * @type {Set<function((string|null)): void>}
+     */
+    _clearListeners = new Set();
+
     /**
      * Store template data for a component.
      * @param {string} componentName - Component name
@@ -110,6 +140,18 @@ export class TemplateStore {
     clear(componentName) {
         this._templates.delete(componentName);
         this._compiled.delete(componentName);
+        for (const listener of this._clearListeners) listener(componentName);
+    }
+
+    /**
+     * Register a listener called when templates are cleared: with the
+     * component name by clear(), with null by clearAll().
+     * @param {function((string|null)): void} listener - Called after the templates are removed
+     * @returns {function(): void} Unsubscribe function
+     */
+    onClear(listener) {
+        this._clearListeners.add(listener);
+        return () => this._clearListeners.delete(listener);
     }
 
     /**
@@ -130,6 +172,75 @@ export class TemplateStore {
         return this._compiled.get(componentName) || null;
     }
 
+    /**
+     * Store the HTML of a partial. The compiled templates that include it,
+     * directly or through other partials, are cleared.
+     * @param {string} name - Partial name (e.g., 'Shared/Icon')
+     * @param {string} htmlCode - Partial HTML
+     */
+    setPartial(name, htmlCode) {
+        this._partials.set(name, htmlCode);
+        this._failedPartials.delete(name);
+        for (const componentName of this._compiled.keys()) {
+            const template = this._templates.get(componentName);
+            if (!template || this._includedPartials(template.htmlCode).has(name)) {
+                this._compiled.delete(componentName);
+            }
+        }
+    }
+
+    /**
+     * Check if a partial is cached.
+     * @param {string} name - Partial name
+     * @returns {boolean} True if cached
+     */
+    hasPartial(name) {
+        return this._partials.has(name);
+    }
+
+    /**
+     * Get the HTML of a partial.
+     * @param {string} name - Partial name
+     * @returns {string|null} Partial HTML or null
+     */
+    getPartial(name) {
+        return this._partials.get(name) ?? null;
+    }
+
+    /**
+     * Partials included by a template, directly or through other cached
+     * partials, that are not cached yet. Partials whose fetch failed are not
+     * listed.
+     * @param {string} htmlCode - Template HTML
+     * @returns {Array<string>} Missing partial names
+     */
+    missingPartials(htmlCode) {
+        return Array.from(this._includedPartials(htmlCode)).filter(
+            (name) => !this._partials.has(name) && !this._failedPartials.has(name),
+        );
+    }
+
+    /**
+     * Names of the partials a template includes, directly or through other
+     * cached partials.
+     * @private
+     * @param {string} htmlCode - Template HTML
+     * @returns {Set<string>} Partial names, in include order
+     */
+    _includedPartials(htmlCode) {
+        const included = new Set();
+        const pending = [htmlCode];
+        while (pending.length > 0) {
+            for (const { name } of findIncludes(/** @type {string} */ (pending.pop()))) {
+                if (included.has(name)) continue;
+                included.add(name);
+                const partial = this._partials.get(name);
+                if (partial !== undefined) pending.push(partial);
+            }
+        }
+        return included;
+    }
+
     /**
      * Clear all templates.
      */
@@ -138,6 +249,10 @@ export class TemplateStore {
         this._compiled.clear();
         this._inFlight.clear();
         this._libraries.clear();
+        this._partials.clear();
+        this._partialsInFlight.clear();
+        this._failedPartials.clear();
+        for (const listener of this._clearListeners) listener(null);
     }
 
     /**
@@ -254,6 +369,81 @@ export class TemplateStore {
         return promise;
     }
 
+    /**
+     * Fetch the HTML of a partial. Partials are plain templates: they have no
+     * CSS or JS files of their own.
+     * @param {string} name - Partial name (e.g., 'Shared/Icon')
+     * @param {string} basePath - Base URL path for component files (e.g., './components')
+     * @returns {Promise<string>} Partial HTML
+     */
+    async fetchPartial(name, basePath = './components') {
+        const response = await fetch(`${basePath}/${name}.html`);
+        if (!response.ok) {
+            throw new Error(`Partial "${name}" not found (HTTP ${response.status})`);
+        }
+        const htmlCode = await response.text();
+        this.setPartial(name, htmlCode);
+        return htmlCode;
+    }
+
+    /**
+     * Request a partial with caching and in-flight deduplication, like
+     * requestTemplate().
+     * @param {string} name - Partial name
+     * @param {string} basePath - Base URL path for component files
+     * @returns {Promise<string>} Partial HTML
+     */
+    async requestPartial(name, basePath = './components') {
+        if (this.hasPartial(name)) {
+            return /** @type {string} */ (this.getPartial(name));
+        }
+        if (this._partialsInFlight.has(name)) {
+            return /** @type {Promise<string>} */ (this._partialsInFlight.get(name));
+        }
+        const promise = this.fetchPartial(name, basePath).finally(() => {
+            this._partialsInFlight.delete(name);
+        });
+        this._partialsInFlight.set(name, promise);
+        return promise;
+    }
+
+    /**
+     * Load every partial a template includes, following the includes of the
+     * fetched partials. Partials already cached are not fetched again, so an
+     * include cycle ends here and is reported by the compiler. A partial that
+     * fails to load is not requested again (until setPartial() or clearAll())
+     * and is left to the compiler to report as missing.
+     * @param {string} htmlCode - Template HTML
+     * @param {string} basePath - Base URL path for component files
+     * @returns {Promise<Array<Error>>} Errors of the partials that failed to load, naming their URL
+     */
+    async requestPartials(htmlCode, basePath = './components') {
+        /**
+         * Load errors, one per failed partial.
+         * @type {Array<Error>}
+         */
+        const errors = [];
+        let missing = this.missingPartials(htmlCode);
+        while (missing.length > 0) {
+            await Promise.all(
+                missing.map((name) =>
+                    this.requestPartial(name, basePath).catch((error) => {
+                        this._failedPartials.add(name);
+                        const message = error instanceof Error ? error.message : String(error);
+                        errors.push(
+                            new Error(
+                                `Could not load partial "${name}" from ${basePath}/${name}.html: ${message}`,
+                                { cause: error },
+                            ),
+                        );
+                    }),
+                ),
+            );
+            missing = this.missingPartials(htmlCode);
+        }
+        return errors;
+    }
+
     /**
      * Request a library ES module with caching.
      * @param {string} name - Library identifier
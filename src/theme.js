@@ -0,0 +1,95 @@
+/**
+ * Design tokens for the Reactor theming API.
+ *
+ * A theme is a tree of design tokens. Each leaf becomes a CSS custom
+ * property named after its path, written on the app's root container so
+ * every component (light DOM or shadow tree) inherits it:
+ *   { color: { primary: '#0d6efd' }, radius: '4px' }
+ *   → --color-primary: #0d6efd; --radius: 4px
+ */
+
+/**
+ * Design tokens: values keyed by name, nested objects joining their keys
+ * with '-'. Names may carry the `--` prefix or not.
+ * @typedef {{[name: string]: string|number|ThemeTokens}} ThemeTokens
+ */
+
+/**
+ * Theme name that follows the user's `prefers-color-scheme` setting,
+ * switching between the 'light' and 'dark' themes.
+ * @type {string}
+ */
+export const SYSTEM_THEME = 'system';
+
+/**
+ * Media query matching a dark color scheme preference.
+ * @type {string}
+ */
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Flatten design tokens into custom property declarations.
+ * @param {ThemeTokens} tokens - Design tokens
+ * @param {string} [prefix] - Property name of the enclosing object (used when recursing)
+ * @param {Map<string, string>} [properties] - Map receiving the declarations (used when recursing)
+ * @returns {Map<string, string>} Values keyed by custom property name (e.g. '--color-primary')
+ */
+export function themeProperties(tokens, prefix = '-', properties = new Map()) {
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+        throw new Error('Theme tokens must be an object');
+    }
+    for (const [key, value] of Object.entries(tokens)) {
+        const name = `${prefix}-${key.replace(/^--/, '')}`;
+        if (!/^--[a-zA-Z0-9_-]+$/.test(name)) {
+            throw new Error(`Theme token "${key}" is not a valid custom property name`);
+        }
+        if (value && typeof value === 'object') {
+            themeProperties(value, name, properties);
+        } else if (typeof value === 'string' || typeof value === 'number') {
+            properties.set(name, String(value));
+        } else {
+            throw new Error(`Theme token "${name}" must be a string, a number or an object`);
+        }
+    }
+    return properties;
+}
+
+/**
+ * Write custom properties on an element, removing the ones a previous theme
+ * set that the new one does not.
+ * @param {HTMLElement} element - Root container
+ * @param {Map<string, string>} properties - New declarations
+ * @param {Map<string, string>} previous - Declarations written before
+ */
+export function writeThemeProperties(element, properties, previous) {
+    for (const name of previous.keys()) {
+        if (!properties.has(name)) element.style.removeProperty(name);
+    }
+    for (const [name, value] of properties) {
+        element.style.setProperty(name, value);
+    }
+}
+
+/**
+ * Call a listener with the color scheme the user prefers, now and whenever
+ * it changes.
+ * @param {function(string): void} listener - Receives 'light' or 'dark'
+ * @returns {function(): void} Stops listening
+ */
+export function watchColorScheme(listener) {
+    const query = globalThis.matchMedia?.(DARK_SCHEME_QUERY);
+    if (!query) {
+        listener('light');
+        return () => {};
+    }
+    /**
+     * Report the preference after a change.
+     * @param {{matches: boolean}} event - Media query change event
+     */
+    const onChange = (event) => {
+        listener(event.matches ? 'dark' : 'light');
+    };
+    query.addEventListener('change', onChange);
+    onChange(query);
+    return () => query.removeEventListener('change', onChange);
+}
@@ -0,0 +1,272 @@
+/**
+ * Enter, leave and move transitions for rendered elements.
+ *
+ * An element with `fw-transition="fade"` (or the mount point of a component
+ * with `static transition = 'fade'`) gets CSS classes while it enters or
+ * leaves the DOM:
+ *   fade-enter-from, fade-enter-active, fade-enter-to
+ *   fade-leave-from, fade-leave-active, fade-leave-to
+ * The -from class is swapped for the -to class one frame after the
+ * transition starts, and the -active classes stay until the element's CSS
+ * transitions and animations end. When it moves, the element is animated
+ * from its previous position with the fade-move class (FLIP).
+ */
+
+import { isMountPoint } from './utils/dom-helpers.js';
+
+/**
+ * Attribute naming the transition of an element or component mount point.
+ * @type {string}
+ */
+export const TRANSITION_ATTR = 'fw-transition';
+
+/**
+ * Attribute marking an element whose leave transition is playing.
+ * @type {string}
+ */
+export const LEAVING_ATTR = 'data-fusewire-leaving';
+
+/**
+ * Milliseconds a transition may overrun its computed duration before it is
+ * ended without a transitionend or animationend event.
+ * @type {number}
+ */
+const END_GRACE_MS = 50;
+
+/**
+ * Position of an element before a render, and the transition it moves with.
+ * @typedef RecordedPosition
+ * @property {string} name - Transition name
+ * @property {DOMRect} rect - Bounding box before the render
+ */
+
+/**
+ * Elements the transition classes go on. Component mount points are
+ * `display: contents`, so their transitions play on the component's
+ * top-level elements (inside its shadow root for shadow components).
+ * @param {Element} element - Element or mount point with fw-transition
+ * @returns {Array<Element>} Elements receiving the transition classes
+ */
+export function transitionTargets(element) {
+    if (!isMountPoint(/** @type {HTMLElement} */ (element))) return [element];
+    return Array.from((element.shadowRoot ?? element).children);
+}
+
+/**
+ * Run a callback on the next animation frame.
+ * @param {function(): void} callback - Callback
+ * @returns {function(): void} Cancels the callback
+ */
+function nextFrame(callback) {
+    if (typeof globalThis.requestAnimationFrame === 'function') {
+        const frame = globalThis.requestAnimationFrame(() => callback());
+        return () => globalThis.cancelAnimationFrame(frame);
+    }
+    const timer = setTimeout(callback, 16);
+    return () => clearTimeout(timer);
+}
+
+/**
+ * Convert a CSS time list (e.g. "0.3s, 150ms") to milliseconds.
+ * @param {string} value - Computed time list
+ * @returns {Array<number>} Times in milliseconds
+ */
+function parseTimes(value) {
+    return (value || '0s')
+        .split(',')
+        .map((time) => parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000) || 0);
+}
+
+/**
+ * Read how long an element's CSS transitions and animations run.
+ * @param {Element} element - Transition target
+ * @returns {{duration: number, total: number}} Longest duration, and longest duration plus delay, in milliseconds
+ */
+function transitionTiming(element) {
+    const style = element.ownerDocument.defaultView?.getComputedStyle(element);
+    let duration = 0;
+    let total = 0;
+    if (!style) return { duration, total };
+    for (const [durations, delays] of [
+        [parseTimes(style.transitionDuration), parseTimes(style.transitionDelay)],
+        [parseTimes(style.animationDuration), parseTimes(style.animationDelay)],
+    ]) {
+        durations.forEach((time, i) => {
+            duration = Math.max(duration, time);
+            total = Math.max(total, time + delays[i % delays.length]);
+        });
+    }
+    return { duration, total };
+}
+
+/**
+ * Call a callback once the CSS transitions and animations of every target
+ * have ended, or once their computed time has passed.
+ * @param {Array<Element>} targets - Transition targets
+ * @param {function(): void} done - Called once
+ * @returns {function(): void} Stops waiting without calling the callback
+ */
+function whenTransitionsEnd(targets, done) {
+    const durations = new Map(targets.map((target) => [target, transitionTiming(target)]));
+    const timeout = Math.max(0, ...Array.from(durations.values(), (timing) => timing.total));
+    if (timeout === 0) {
+        return nextFrame(done);
+    }
+    /**
+     * Count the target as finished once its longest transition ends.
+     * @param {Event} event - transitionend or animationend event
+     */
+    const onEnd = (event) => {
+        const timing = durations.get(/** @type {Element} */ (event.target));
+        const elapsed = /** @type {TransitionEvent} */ (event).elapsedTime * 1000;
+        if (!timing || elapsed + 1 < timing.duration) return;
+        durations.delete(/** @type {Element} */ (event.target));
+        if (durations.size === 0) {
+            stop();
+            done();
+        }
+    };
+    const timer = setTimeout(() => {
+        stop();
+        done();
+    }, timeout + END_GRACE_MS);
+    /**
+     * Remove the listeners and the fallback timer.
+     */
+    const stop = () => {
+        clearTimeout(timer);
+        for (const target of targets) {
+            target.removeEventListener('transitionend', onEnd);
+            target.removeEventListener('animationend', onEnd);
+        }
+    };
+    for (const target of targets) {
+        target.addEventListener('transitionend', onEnd);
+        target.addEventListener('animationend', onEnd);
+    }
+    return stop;
+}
+
+/**
+ * Play the enter or leave transition of an element.
+ * @param {Element} element - Element or mount point with fw-transition
+ * @param {string} phase - 'enter' or 'leave'
+ * @param {function(): void} [done] - Called once the transition has ended
+ * @returns {function(): void} Ends the transition at once, calling done
+ */
+export function playTransition(element, phase, done = () => {}) {
+    const name = element.getAttribute(TRANSITION_ATTR);
+    const targets = name ? transitionTargets(element) : [];
+    const from = `${name}-${phase}-from`;
+    const active = `${name}-${phase}-active`;
+    const to = `${name}-${phase}-to`;
+    let finished = false;
+    /**
+     * Cancels the pending frame, then the wait for the transition end.
+     * @type {function(): void}
+     */
+    let cancel = () => {};
+    /**
+     * Clean the transition classes up and report the end.
+     */
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        cancel();
+        for (const target of targets) target.classList.remove(from, active, to);
+        done();
+    };
+    if (targets.length === 0) {
+        finish();
+        return finish;
+    }
+
+    for (const target of targets) target.classList.add(from, active);
+    // Apply the -from styles before they are swapped for the -to styles
+    targets[0].getBoundingClientRect();
+    cancel = nextFrame(() => {
+        for (const target of targets) {
+            target.classList.remove(from);
+            target.classList.add(to);
+        }
+        cancel = whenTransitionsEnd(targets, finish);
+    });
+    return finish;
+}
+
+/**
+ * Record the position of every transition target below a node, before a
+ * render moves them.
+ * @param {HTMLElement|ShadowRoot} root - Node about to be rendered
+ * @returns {Map<Element, RecordedPosition>} Positions by transition target
+ */
+export function recordPositions(root) {
+    /**
+     * Positions recorded so far.
+     * @type {Map<Element, RecordedPosition>}
+     */
+    const positions = new Map();
+    for (const element of root.querySelectorAll(`[${TRANSITION_ATTR}]:not([${LEAVING_ATTR}])`)) {
+        const name = /** @type {string} */ (element.getAttribute(TRANSITION_ATTR));
+        for (const target of transitionTargets(element)) {
+            positions.set(target, { name, rect: target.getBoundingClientRect() });
+        }
+    }
+    return positions;
+}
+
+/**
+ * Moves that are still playing, per target: ends the move at once.
+ * @type {WeakMap<Element, function(): void>}
+ */
+const moves = new WeakMap();
+
+/**
+ * Animate the targets a render moved from their recorded position to the
+ * new one: each is translated back to where it was, then transitions to its
+ * place with the -move class.
+ * @param {Map<Element, RecordedPosition>} positions - Positions recorded before the render
+ */
+export function playMoves(positions) {
+    /**
+     * Targets that moved, with their offset from the recorded position and
+     * the inline styles the move overrides.
+     * @type {Array<{target: HTMLElement, name: string, dx: number, dy: number, transform: string, duration: string}>}
+     */
+    const moved = [];
+    for (const [element, { name, rect }] of positions) {
+        if (!element.isConnected) continue;
+        const target = /** @type {HTMLElement} */ (element);
+        const now = target.getBoundingClientRect();
+        const dx = rect.left - now.left;
+        const dy = rect.top - now.top;
+        if (dx || dy) {
+            moves.get(target)?.();
+            const { transform, transitionDuration: duration } = target.style;
+            moved.push({ target, name, dx, dy, transform, duration });
+        }
+    }
+    if (moved.length === 0) return;
+
+    for (const { target, dx, dy, transform } of moved) {
+        target.style.transform = `translate(${dx}px, ${dy}px) ${transform}`.trim();
+        target.style.transitionDuration = '0s';
+    }
+    // Lay the targets out at their old position before they transition back
+    moved[0].target.getBoundingClientRect();
+    for (const { target, name, transform, duration } of moved) {
+        const moveClass = `${name}-move`;
+        target.classList.add(moveClass);
+        target.style.transform = transform;
+        target.style.transitionDuration = duration;
+        const stop = whenTransitionsEnd([target], () => {
+            moves.delete(target);
+            target.classList.remove(moveClass);
+        });
+        moves.set(target, () => {
+            stop();
+            moves.delete(target);
+            target.classList.remove(moveClass);
+        });
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * A translated message: either a plain string, or plural forms keyed by
+ * Intl.PluralRules category ('zero', 'one', 'two', 'few', 'many', 'other').
+ * @typedef {string|Object<string, string>} TranslationMessage
+ */
+/**
+ * Message catalog for a single locale, keyed by translation key.
+ * @typedef {Object<string, TranslationMessage>} TranslationCatalog
+ */
+/**
+ * Values interpolated into a message's {placeholders}. A numeric `count`
+ * also selects the plural form.
+ * @typedef {Object<string, *>} TranslationParams
+ */
+
+/**
+ * Manages fetching, caching and lookup of translation catalogs.
+ *
+ * Catalogs are plain JSON objects, one per locale:
+ *   { "hello_user": "Hello, {name}!",
+ *     "unread_messages": { "one": "{count} message", "other": "{count} messages" } }
+ *
+ * Lookups fall back from the full locale to its base language (es-AR → es)
+ * and then to the fallback locale. A key missing everywhere renders as the
+ * key itself so untranslated text is visible but never breaks a render.
+ */
+export class TranslationStore {
+    /**
+     * Map of locale to its message catalog.
+     * @private
+     * @type {Map<string, TranslationCatalog>}
+     */
+    _catalogs = new Map();
+
+    /**
+     * Map of in-flight catalog fetch promises.
+     * @private
+     * @type {Map<string, Promise<TranslationCatalog>>}
+     */
+    _inFlight = new Map();
+
+    /**
+     * Cache of Intl.PluralRules instances per locale.
+     * @private
+     * @type {Map<string, Intl.PluralRules>}
+     */
+    _pluralRules = new Map();
+
+    /**
+     * Store messages for a locale, merged over any messages already stored.
+     * @param {string} locale - Locale tag (e.g. 'en', 'es-AR')
+     * @param {TranslationCatalog} messages - Messages keyed by translation key
+     */
+    set(locale, messages) {
+        const existing = this._catalogs.get(locale) || {};
+        this._catalogs.set(locale, { ...existing, ...messages });
+    }
+
+    /**
+     * Check if a catalog is loaded for a locale.
+     * @param {string} locale - Locale tag
+     * @returns {boolean} True if loaded
+     */
+    has(locale) {
+        return this._catalogs.has(locale);
+    }
+
+    /**
+     * Get the catalog for a locale.
+     * @param {string} locale - Locale tag
+     * @returns {TranslationCatalog|null} Catalog or null
+     */
+    get(locale) {
+        return this._catalogs.get(locale) || null;
+    }
+
+    /**
+     * Remove the catalog for a locale.
+     * @param {string} locale - Locale tag
+     */
+    clear(locale) {
+        this._catalogs.delete(locale);
+    }
+
+    /**
+     * Clear all catalogs.
+     */
+    clearAll() {
+        this._catalogs.clear();
+        this._inFlight.clear();
+    }
+
+    /**
+     * Fetch the catalog for a locale from `${basePath}/${locale}.json` and
+     * merge it into the store.
+     * @param {string} locale - Locale tag
+     * @param {string} basePath - Base URL path for catalog files (e.g. './translations')
+     * @returns {Promise<TranslationCatalog>} The stored catalog
+     */
+    async fetch(locale, basePath) {
+        const response = await fetch(`${basePath}/${locale}.json`);
+        if (!response.ok) {
+            throw new Error(
+                `Translations not found for locale "${locale}" (HTTP ${response.status})`,
+            );
+        }
+        this.set(locale, await response.json());
+        return this.get(locale);
+    }
+
+    /**
+     * Request a catalog with in-flight deduplication.
+     * Resolves immediately when the catalog is already loaded.
+     * @param {string} locale - Locale tag
+     * @param {string} basePath - Base URL path for catalog files
+     * @returns {Promise<TranslationCatalog>} The catalog
+     */
+    async requestCatalog(locale, basePath) {
+        if (this.has(locale)) {
+            return this.get(locale);
+        }
+        if (this._inFlight.has(locale)) {
+            return this._inFlight.get(locale);
+        }
+        const promise = this.fetch(locale, basePath).finally(() => {
+            this._inFlight.delete(locale);
+        });
+        this._inFlight.set(locale, promise);
+        return promise;
+    }
+
+    /**
+     * Translate a key for a locale.
+     * @param {string} locale - Active locale tag
+     * @param {string} key - Translation key
+     * @param {TranslationParams} [params] - Placeholder values; a numeric `count` selects the plural form
+     * @param {string|null} [fallbackLocale] - Locale consulted when the key is missing
+     * @returns {string} Translated text, or the key when no catalog defines it
+     */
+    translate(locale, key, params = {}, fallbackLocale = null) {
+        for (const candidate of this.lookupChain(locale, fallbackLocale)) {
+            const catalog = this._catalogs.get(candidate);
+            if (catalog && Object.hasOwn(catalog, key)) {
+                const message = this._selectForm(catalog[key], candidate, params);
+                if (message !== null) return this._interpolate(message, params);
+            }
+        }
+        return String(key);
+    }
+
+    /**
+     * Build the ordered list of locales to consult for a lookup.
+     * @param {string} locale - Active locale tag
+     * @param {string|null} fallbackLocale - Fallback locale tag
+     * @returns {Array<string>} Locales, most specific first, without duplicates
+     */
+    lookupChain(locale, fallbackLocale) {
+        const chain = [locale];
+        const dash = locale.indexOf('-');
+        if (dash > 0) chain.push(locale.slice(0, dash));
+        if (fallbackLocale) chain.push(fallbackLocale);
+        return [...new Set(chain)];
+    }
+
+    /**
+     * Pick the message string, resolving plural forms against params.count.
+     * An explicit `zero` form wins for a count of 0 even in languages whose
+     * plural rules have no zero category (e.g. "No messages" in English).
+     * @private
+     * @param {TranslationMessage} message - Catalog entry
+     * @param {string} locale - Locale the entry came from
+     * @param {TranslationParams} params - Translation params
+     * @returns {string|null} Message string, or null if no usable form exists
+     */
+    _selectForm(message, locale, params) {
+        if (typeof message === 'string') return message;
+        if (!message || typeof message !== 'object') return null;
+        const count = Number(params.count);
+        if (Number.isNaN(count)) return message.other ?? null;
+        if (count === 0 && typeof message.zero === 'string') return message.zero;
+        const category = this._pluralRulesFor(locale).select(count);
+        return message[category] ?? message.other ?? null;
+    }
+
+    /**
+     * Get (and cache) plural rules for a locale.
+     * @private
+     * @param {string} locale - Locale tag
+     * @returns {Intl.PluralRules} Plural rules
+     */
+    _pluralRulesFor(locale) {
+        let rules = this._pluralRules.get(locale);
+        if (!rules) {
+            try {
+                rules = new Intl.PluralRules(locale);
+            } catch {
+                // Invalid locale tag — fall back to the runtime default rules
+                rules = new Intl.PluralRules();
+            }
+            this._pluralRules.set(locale, rules);
+        }
+        return rules;
+    }
+
+    /**
+     * Replace {name} placeholders with values from params.
+     * Placeholders without a matching param are left untouched.
+     * @private
+     * @param {string} message - Message with placeholders
+     * @param {TranslationParams} params - Placeholder values
+     * @returns {string} Interpolated message
+     */
+    _interpolate(message, params) {
+        return message.replace(/\{([\w$]+)\}/g, (placeholder, name) =>
+            params[name] === undefined || params[name] === null
+                ? placeholder
+                : String(params[name]),
+        );
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Trusted Types support for the places FuseWire turns HTML strings into DOM.
+ *
+ * Pages served with the CSP directive `require-trusted-types-for 'script'`
+ * only accept TrustedHTML values in DOM sinks such as innerHTML. FuseWire
+ * converts every HTML string through one named policy, so the page's
+ * `trusted-types` directive only has to allow that name. The policy passes
+ * the HTML through unchanged: templates are escaped and sanitized by the
+ * template compiler before they reach it.
+ *
+ * Without the Trusted Types API the policy returns the string as is.
+ */
+
+/**
+ * A policy turning HTML strings into values accepted by DOM sinks: a
+ * TrustedHTML object, or the string itself without Trusted Types.
+ * @typedef HtmlPolicy
+ * @property {function(string): *} createHTML - Wrap an HTML string
+ */
+
+/**
+ * The part of the browser's TrustedTypePolicyFactory (`window.trustedTypes`)
+ * FuseWire uses.
+ * @typedef TrustedTypesFactory
+ * @property {function(string, {createHTML: function(string): string}): HtmlPolicy} createPolicy - Create a named policy
+ */
+
+/**
+ * Policy name used when the Reactor's `trustedTypesPolicy` option is not set.
+ * @type {string}
+ */
+export const DEFAULT_POLICY_NAME = 'fusewire';
+
+/**
+ * Policy used without the Trusted Types API.
+ * @type {HtmlPolicy}
+ */
+const PASSTHROUGH_POLICY = {
+    /**
+     * Return the HTML unchanged.
+     * @param {string} html - HTML string
+     * @returns {string} The same string
+     */
+    createHTML: (html) => html,
+};
+
+/**
+ * Policies created so far, per factory and name. A CSP without
+ * 'allow-duplicates' rejects a second policy with the same name, so reactors
+ * sharing a name share the policy.
+ * @type {WeakMap<TrustedTypesFactory, Map<string, HtmlPolicy>>}
+ */
+const policies = new WeakMap();
+
+/**
+ * Get the named HTML policy, creating it on first use.
+ * @param {string} [name] - Policy name, allowed by the page's trusted-types directive
+ * @param {TrustedTypesFactory|null} [factory] - Policy factory; defaults to the browser's `trustedTypes`
+ * @returns {HtmlPolicy} The policy, or a pass-through policy without Trusted Types
+ */
+export function createHtmlPolicy(
+    name = DEFAULT_POLICY_NAME,
+    factory = /** @type {{trustedTypes?: TrustedTypesFactory}} */ (globalThis).trustedTypes,
+) {
+    if (!factory) return PASSTHROUGH_POLICY;
+    let named = policies.get(factory);
+    if (!named) {
+        named = new Map();
+        policies.set(factory, named);
+    }
+    let policy = named.get(name);
+    if (!policy) {
+        policy = factory.createPolicy(name, {
+            /**
+             * Accept HTML produced by FuseWire.
+             * @param {string} html - HTML string
+             * @returns {string} The same string
+             */
+            createHTML: (html) => html,
+        });
+        named.set(name, policy);
+    }
+    return policy;
+}
+
+/**
+ * Parse an HTML string into a fragment through a policy. The HTML is parsed
+ * in an inert template, so scripts do not run and images do not load.
+ * @param {string} html - HTML string
+ * @param {HtmlPolicy} policy - Policy the string is converted with
+ * @returns {DocumentFragment} Parsed content
+ */
+export function parseHtml(html, policy) {
+    const template = document.createElement('template');
+    template.innerHTML = policy.createHTML(html);
+    return template.content;
+}
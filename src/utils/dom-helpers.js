@@ -7,7 +7,7 @@ import { componentIdFromCode } from '../component-id.js';
 /**
  * Find all child component mount points within a container.
  * Returns mount points that have data-fusewire-parent-id matching the given parent ID.
- * @param {HTMLElement} container - Container element to search within
+ * @param {HTMLElement|ShadowRoot} container - Container element or shadow root to search within
  * @param {ComponentId|string} parentComponentId - Parent component ID to match
  * @returns {HTMLElement[]} Array of mount point elements
  */
@@ -87,3 +87,43 @@ export function getComponentIdFromElement(element) {
 export function toCssName(name) {
     return name.replaceAll('/', '_');
 }
+
+/**
+ * Check whether a node is a shadow root.
+ * @param {Node} node - DOM node
+ * @returns {boolean} True for a ShadowRoot
+ */
+export function isShadowRoot(node) {
+    return node.nodeType === 11 && 'host' in node;
+}
+
+/**
+ * Get the node a component's content is rendered into: the shadow root of a
+ * component with `static shadow = true`, the container itself otherwise.
+ * @param {HTMLElement} container - Component container (mount point)
+ * @returns {HTMLElement|ShadowRoot} Render root
+ */
+export function renderRoot(container) {
+    return container.shadowRoot ?? container;
+}
+
+/**
+ * Move a component's rendered content from its old container into a new
+ * mount point. Content rendered in a shadow root moves into the new mount
+ * point's shadow root, together with the root's adopted stylesheets.
+ * @param {HTMLElement} from - Container holding the content
+ * @param {HTMLElement} to - Mount point receiving it
+ */
+export function moveContent(from, to) {
+    to.replaceChildren();
+    const source = renderRoot(from);
+    let target = /** @type {HTMLElement|ShadowRoot} */ (to);
+    if (from.shadowRoot) {
+        target = to.shadowRoot ?? to.attachShadow({ mode: 'open' });
+        target.replaceChildren();
+        target.adoptedStyleSheets = from.shadowRoot.adoptedStyleSheets;
+    }
+    while (source.firstChild) {
+        target.appendChild(source.firstChild);
+    }
+}
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { scopeCss } from '../src/css-scoper.js';
+
+const prefixed = { scopes: ['.app', '.Card'], keyframesPrefix: 'app__Card__', nesting: false };
+const nested = { ...prefixed, nesting: true };
+
+describe('scopeCss()', () => {
+    it('returns an empty string for blank CSS', () => {
+        assert.strictEqual(scopeCss('  \n ', prefixed), '');
+        assert.strictEqual(scopeCss('', nested), '');
+    });
+
+    it('prefixes every selector of a list', () => {
+        assert.strictEqual(
+            scopeCss('.a, .b:is(.c, .d) { color: red; }', prefixed),
+            '.app .Card .a, .app .Card .b:is(.c, .d){ color: red; }',
+        );
+    });
+
+    it('ignores braces and commas inside strings, comments and urls', () => {
+        const css = '.a[title="x,{y}"] { content: "}"; /* { */ background: url(a;b.png); } .b { color: red; }';
+
+        assert.strictEqual(
+            scopeCss(css, prefixed),
+            '.app .Card .a[title="x,{y}"]{ content: "}"; /* { */ background: url(a;b.png); } .app .Card .b{ color: red; }',
+        );
+    });
+
+    it('scopes rules inside @media, @supports, @container and @layer blocks', () => {
+        const css =
+            '@media (width > 40em) { .a { color: red; } } ' +
+            '@supports (display: grid) { @container (min-width: 10em) { .b, .c { display: grid; } } } ' +
+            '@layer base { .d { margin: 0; } }';
+
+        assert.strictEqual(
+            scopeCss(css, prefixed),
+            '@media (width > 40em) { .app .Card .a{ color: red; } } ' +
+                '@supports (display: grid) { @container (min-width: 10em) { .app .Card .b, .app .Card .c{ display: grid; } } } ' +
+                '@layer base { .app .Card .d{ margin: 0; } }',
+        );
+    });
+
+    it('does not prefix rules nested in another rule', () => {
+        assert.strictEqual(
+            scopeCss('.a { .b { color: red; } @media print { display: none; } }', prefixed),
+            '.app .Card .a{ .b { color: red; } @media print { display: none; } }',
+        );
+    });
+
+    it('renames local keyframes and the animations using them', () => {
+        const css =
+            '.a { animation: fade 1s ease, spin 2s; -webkit-animation-name: fade; } ' +
+            '@keyframes fade { from { opacity: 0; } to { opacity: 1; } } ' +
+            '@-webkit-keyframes "fade" { 50% { opacity: 0.5; } }';
+
+        assert.strictEqual(
+            scopeCss(css, prefixed),
+            '.app .Card .a{ animation: app__Card__fade 1s ease, spin 2s; -webkit-animation-name: app__Card__fade; } ' +
+                '@keyframes app__Card__fade { from { opacity: 0; } to { opacity: 1; } } ' +
+                '@-webkit-keyframes app__Card__fade { 50% { opacity: 0.5; } }',
+        );
+    });
+
+    it('leaves keyframe names in other properties alone', () => {
+        assert.strictEqual(
+            scopeCss('.fade { transition-property: fade; } @keyframes fade { to { opacity: 0; } }', prefixed),
+            '.app .Card .fade{ transition-property: fade; } @keyframes app__Card__fade { to { opacity: 0; } }',
+        );
+    });
+
+    it('wraps rules in nested scope rules and keeps non-nestable at-rules at the top level', () => {
+        const css =
+            '@import url("theme.css");\n' +
+            '.a { animation: fade 1s; }\n' +
+            '@keyframes fade { to { opacity: 0; } }\n' +
+            '@media print { .a { display: none; } }\n' +
+            '@font-face { font-family: Brand; src: url(brand.woff2); }';
+
+        assert.strictEqual(
+            scopeCss(css, nested),
+            '@import url("theme.css");\n\n' +
+                '.app {\n' +
+                '  .Card {\n' +
+                '    .a { animation: app__Card__fade 1s; }\n' +
+                '@media print { .a { display: none; } }\n' +
+                '  }\n' +
+                '}\n\n' +
+                '@keyframes app__Card__fade { to { opacity: 0; } }\n' +
+                '@font-face { font-family: Brand; src: url(brand.woff2); }',
+        );
+    });
+
+    it('keeps keyframes nested in group at-rules out of the scope rules', () => {
+        const css =
+            '.a { animation: spin 1s; }\n' +
+            '@media print {\n' +
+            '  .a { color: black; }\n' +
+            '  @supports (rotate: 1turn) { @keyframes spin { to { rotate: 1turn; } } }\n' +
+            '}\n' +
+            '@media (prefers-reduced-motion: no-preference) { @keyframes spin { to { rotate: 2turn; } } }';
+
+        assert.strictEqual(
+            scopeCss(css, nested),
+            '.app {\n' +
+                '  .Card {\n' +
+                '    .a { animation: app__Card__spin 1s; }\n' +
+                '@media print {\n' +
+                '  .a { color: black; }\n' +
+                '}\n' +
+                '  }\n' +
+                '}\n\n' +
+                '@media print {\n' +
+                '  @supports (rotate: 1turn) { @keyframes app__Card__spin { to { rotate: 1turn; } } }\n' +
+                '}\n' +
+                '@media (prefers-reduced-motion: no-preference) { @keyframes app__Card__spin { to { rotate: 2turn; } } }',
+        );
+    });
+
+    it('wraps rules in a single scope rule for shadow trees', () => {
+        assert.strictEqual(
+            scopeCss('.a { color: red; }', { ...nested, scopes: ['.Card'] }),
+            '.Card {\n  .a { color: red; }\n}',
+        );
+    });
+});
@@ -66,13 +66,14 @@ class FallbackComponent extends Component {
 
 let testCounter = 0;
 
-async function setupTestEnvironment(failId, failingHtmlCode) {
+async function setupTestEnvironment(failId, failingHtmlCode, config = {}) {
     const strictConsole = new StrictConsole();
     const reactor = new Reactor(`testapp-error-${++testCounter}`, {
+        ...config,
         console: strictConsole,
-        morphFunction: (container, htmlString) => {
-            if (container && htmlString) {
-                container.innerHTML = htmlString;
+        morphFunction: (container, content) => {
+            if (container && content) {
+                container.replaceChildren(content);
             }
         },
     });
@@ -184,3 +185,31 @@ describe('ErrorBoundary complete flow', () => {
         assert.ok(container.innerHTML.includes('Fallback: This error was thrown intentionally inside init()'), 'Fallback not found in DOM 3');
     });
 });
+
+describe('Template syntax errors', () => {
+    const brokenTemplate = '<div class="failing">((a ==))</div>';
+
+    it('Should render the fallback with the positioned error in strict template mode', async () => {
+        const { reactor, container } = await setupTestEnvironment('strict', brokenTemplate, { strictTemplates: true });
+
+        await reactor.start(container, 'Parent', 'root', { failingChildName: 'FailComponent', failId: 'strict' });
+        await new Promise((r) => setTimeout(r, 50));
+
+        const parentInstance = reactor.instanceRegistry.get(createComponentId('Parent', 'root'));
+        assert.strictEqual(parentInstance.errorCount, 1);
+        assert.match(parentInstance.lastErrorMsg, /^Template syntax error in FailComponent at line 1, column 24 \("a =="\)/);
+        assert.ok(container.innerHTML.includes('Fallback: Template syntax error in FailComponent'), 'Fallback not found in DOM');
+    });
+
+    it('Should warn through the reactor console with the position when not strict', async () => {
+        const { reactor, container, strictConsole } = await setupTestEnvironment('lenient', brokenTemplate, { enableDefaultConsole: true });
+        strictConsole.expectWarning(/react\(\) called during init/); // Parent.recreateChild()
+        strictConsole.expectWarning(/^\[FailComponent[^\]]*\] Template interpolation syntax error in "a ==" at line 1, column 24: /);
+
+        await reactor.start(container, 'Parent', 'root', { failingChildName: 'FailComponent', failId: 'lenient' });
+        await new Promise((r) => setTimeout(r, 50));
+
+        assert.ok(container.innerHTML.includes('<div class="failing"></div>'), 'Child not rendered');
+        strictConsole.assertClean();
+    });
+});
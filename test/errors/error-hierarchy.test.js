@@ -5,6 +5,7 @@ import {
 	ComponentNotFoundError,
 	TemplateNotFoundError,
 	RenderError,
+	TemplateSyntaxError,
 } from '../../src/errors/error-hierarchy.js';
 
 describe('Error Hierarchy', () => {
@@ -128,6 +129,47 @@ describe('Error Hierarchy', () => {
 		});
 	});
 
+	describe('TemplateSyntaxError', () => {
+		const location = {
+			componentName: 'UserList',
+			line: 3,
+			column: 12,
+			expression: 'a ==',
+		};
+
+		it('extends FuseWireError', () => {
+			const error = new TemplateSyntaxError('Parse error', location);
+			assert.ok(error instanceof FuseWireError);
+			assert.ok(error instanceof Error);
+		});
+
+		it('sets correct message', () => {
+			const error = new TemplateSyntaxError('Parse error', location);
+			assert.strictEqual(
+				error.message,
+				'Template syntax error in UserList at line 3, column 12 ("a =="): Parse error',
+			);
+		});
+
+		it('sets correct code', () => {
+			const error = new TemplateSyntaxError('Parse error', location);
+			assert.strictEqual(error.code, 'TEMPLATE_SYNTAX_ERROR');
+		});
+
+		it('stores the location', () => {
+			const error = new TemplateSyntaxError('Parse error', location);
+			assert.strictEqual(error.componentName, 'UserList');
+			assert.strictEqual(error.line, 3);
+			assert.strictEqual(error.column, 12);
+			assert.strictEqual(error.expression, 'a ==');
+		});
+
+		it('sets name to class name', () => {
+			const error = new TemplateSyntaxError('Parse error', location);
+			assert.strictEqual(error.name, 'TemplateSyntaxError');
+		});
+	});
+
 	describe('inheritance chain', () => {
 		it('ComponentNotFoundError instanceof checks', () => {
 			const error = new ComponentNotFoundError('Test');
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BUILTIN_FILTERS } from '../src/filters.js';
+
+const { upper, lower, truncate, json, date, number, currency } = BUILTIN_FILTERS;
+
+describe('Built-in filters', () => {
+    it('upper and lower change case and pass empty values through', () => {
+        assert.strictEqual(upper('Ada'), 'ADA');
+        assert.strictEqual(lower('Ada'), 'ada');
+        assert.strictEqual(upper(null), null);
+        assert.strictEqual(lower(undefined), undefined);
+    });
+
+    it('truncate keeps short values and cuts long ones including the suffix', () => {
+        assert.strictEqual(truncate('short', 10), 'short');
+        assert.strictEqual(truncate('Mathematician', 8), 'Mathema…');
+        assert.strictEqual(truncate('Mathematician', 8, '...'), 'Mathe...');
+        assert.strictEqual(truncate(12345, 3, ''), '123');
+    });
+
+    it('json serializes values with optional indentation', () => {
+        assert.strictEqual(json({ a: 1 }), '{"a":1}');
+        assert.strictEqual(json([1], 2), '[\n  1\n]');
+        assert.strictEqual(json(undefined), '');
+    });
+
+    it('date formats dates, timestamps and strings', () => {
+        const value = new Date(2024, 0, 15);
+        assert.strictEqual(date(value, 'short', 'en-US'), '1/15/24');
+        assert.strictEqual(date(value.getTime(), 'long', 'en-US'), 'January 15, 2024');
+        assert.strictEqual(date('not a date'), '');
+        assert.strictEqual(date(null), '');
+    });
+
+    it('number formats with fixed decimals and locale', () => {
+        assert.strictEqual(number(1234.5, 2, 'en-US'), '1,234.50');
+        assert.strictEqual(number('1234.5', 0, 'de-DE'), '1.235');
+        assert.strictEqual(number('abc'), '');
+    });
+
+    it('currency formats amounts in the given currency', () => {
+        assert.strictEqual(currency(9.5, 'USD', 'en-US'), '$9.50');
+        assert.strictEqual(currency(9.5, 'EUR', 'de-DE'), '9,50 €');
+        assert.strictEqual(currency(''), '');
+    });
+
+    it('default replaces null, undefined and empty strings only', () => {
+        assert.strictEqual(BUILTIN_FILTERS.default(null, 'n/a'), 'n/a');
+        assert.strictEqual(BUILTIN_FILTERS.default('', 'n/a'), 'n/a');
+        assert.strictEqual(BUILTIN_FILTERS.default(0, 'n/a'), 0);
+        assert.strictEqual(BUILTIN_FILTERS.default(false, 'n/a'), false);
+    });
+});
@@ -43,6 +43,78 @@ describe('FuseWire Expression Parser', () => {
         });
     });
 
+    it('parses number, boolean and null literals', () => {
+        assert.deepStrictEqual(parser.parse('42'), { type: 'Number', value: 42 });
+        assert.deepStrictEqual(parser.parse('-1.5'), { type: 'Number', value: -1.5 });
+        assert.deepStrictEqual(parser.parse('true'), { type: 'Boolean', value: true });
+        assert.deepStrictEqual(parser.parse('false'), { type: 'Boolean', value: false });
+        assert.deepStrictEqual(parser.parse('null'), { type: 'Null', value: null });
+    });
+
+    it('keeps identifiers that start with a keyword as variables', () => {
+        assert.deepStrictEqual(parser.parse('nullable'), { type: 'VarPath', value: 'nullable' });
+        assert.deepStrictEqual(parser.parse('trueName'), { type: 'VarPath', value: 'trueName' });
+        assert.deepStrictEqual(parser.parse('index'), { type: 'VarPath', value: 'index' });
+    });
+
+    it('parses comparison operators', () => {
+        for (const operator of ['==', '!=', '<', '<=', '>', '>=']) {
+            const ast = parser.parse(`count ${operator} 0`);
+            assert.deepStrictEqual(ast, {
+                type: 'Comparison',
+                operator,
+                left: { type: 'VarPath', value: 'count' },
+                right: { type: 'Number', value: 0 }
+            });
+        }
+    });
+
+    it('gives && higher precedence than ||', () => {
+        const ast = parser.parse('a || b && c');
+        assert.deepStrictEqual(ast, {
+            type: 'Logical',
+            operator: '||',
+            left: { type: 'VarPath', value: 'a' },
+            right: {
+                type: 'Logical',
+                operator: '&&',
+                left: { type: 'VarPath', value: 'b' },
+                right: { type: 'VarPath', value: 'c' }
+            }
+        });
+    });
+
+    it('binds comparisons tighter than logical operators', () => {
+        const ast = parser.parse("isAdmin && status == 'open'");
+        assert.strictEqual(ast.type, 'Logical');
+        assert.strictEqual(ast.right.type, 'Comparison');
+    });
+
+    it('uses parentheses for grouping', () => {
+        const ast = parser.parse('(a || b) && !c');
+        assert.deepStrictEqual(ast, {
+            type: 'Logical',
+            operator: '&&',
+            left: {
+                type: 'Logical',
+                operator: '||',
+                left: { type: 'VarPath', value: 'a' },
+                right: { type: 'VarPath', value: 'b' }
+            },
+            right: { type: 'Negation', expr: { type: 'VarPath', value: 'c' } }
+        });
+    });
+
+    it('accepts a comparison as a ternary condition', () => {
+        const ast = parser.parse("count > 1 ? 'items' : 'item'");
+        assert.strictEqual(ast.type, 'Ternary');
+        assert.strictEqual(ast.condition.type, 'Comparison');
+    });
+
+    it('rejects strict equality', () => {
+        assert.throws(() => parser.parse('a === 1'));
+    });
+
     it('parses a for-each loop', () => {
         const ast = parser.parse("item in items");
         assert.deepStrictEqual(ast, {
@@ -51,4 +123,92 @@ describe('FuseWire Expression Parser', () => {
             list: { type: 'VarPath', value: 'items' }
         });
     });
+
+    it('parses a for-each loop with an index variable', () => {
+        const ast = parser.parse("item, i in items");
+        assert.deepStrictEqual(ast, {
+            type: 'ForEach',
+            item: { type: 'VarPath', value: 'item' },
+            index: { type: 'VarPath', value: 'i' },
+            list: { type: 'VarPath', value: 'items' }
+        });
+    });
+
+    it('rejects a comma-separated list outside a for-each loop', () => {
+        assert.throws(() => parser.parse('item, i'));
+    });
+
+    it('parses a filter with arguments', () => {
+        const ast = parser.parse("price | currency:'EUR':locale");
+        assert.deepStrictEqual(ast, {
+            type: 'Filter',
+            name: 'currency',
+            expr: { type: 'VarPath', value: 'price' },
+            args: [
+                { type: 'String', value: 'EUR' },
+                { type: 'VarPath', value: 'locale' }
+            ]
+        });
+    });
+
+    it('chains filters left to right', () => {
+        const ast = parser.parse('title | lower | truncate:10');
+        assert.strictEqual(ast.name, 'truncate');
+        assert.strictEqual(ast.expr.type, 'Filter');
+        assert.strictEqual(ast.expr.name, 'lower');
+        assert.deepStrictEqual(ast.args, [{ type: 'Number', value: 10 }]);
+    });
+
+    it('applies a trailing filter to the whole expression', () => {
+        const ast = parser.parse("a ? b : c | upper");
+        assert.strictEqual(ast.type, 'Filter');
+        assert.strictEqual(ast.expr.type, 'Ternary');
+    });
+
+    it('accepts a parenthesised filter inside a ternary branch', () => {
+        const ast = parser.parse("a ? (b | upper) : c");
+        assert.strictEqual(ast.type, 'Ternary');
+        assert.strictEqual(ast.trueExpr.type, 'Filter');
+    });
+
+    it('does not confuse || with a pipe', () => {
+        const ast = parser.parse('a || b | upper');
+        assert.strictEqual(ast.type, 'Filter');
+        assert.strictEqual(ast.expr.type, 'Logical');
+    });
+
+    it('parses a for-each loop over a filtered list', () => {
+        const ast = parser.parse("item in items | limit:5");
+        assert.strictEqual(ast.type, 'ForEach');
+        assert.deepStrictEqual(ast.list, {
+            type: 'Filter',
+            name: 'limit',
+            expr: { type: 'VarPath', value: 'items' },
+            args: [{ type: 'Number', value: 5 }]
+        });
+    });
+
+    it('parses a translation call with an object literal', () => {
+        const ast = parser.parse("t('hello_user', { name: userName, 'item-count': 2 })");
+        assert.deepStrictEqual(ast, {
+            type: 'Call',
+            name: 't',
+            args: [
+                { type: 'String', value: 'hello_user' },
+                {
+                    type: 'Object',
+                    properties: [
+                        { key: 'name', value: { type: 'VarPath', value: 'userName' } },
+                        { key: 'item-count', value: { type: 'Number', value: 2 } }
+                    ]
+                }
+            ]
+        });
+    });
+
+    it('accepts calls without arguments and as filter arguments', () => {
+        assert.deepStrictEqual(parser.parse('t()'), { type: 'Call', name: 't', args: [] });
+        const ast = parser.parse("nickname | default:t('anonymous')");
+        assert.strictEqual(ast.args[0].type, 'Call');
+    });
 });
@@ -439,3 +439,237 @@ describe('Integration: Initial URL load', () => {
     });
 });
 
+
+describe('Integration: Localized route keys', () => {
+    function createFakeUrlService(initialPath = '/') {
+        let currentPath = initialPath;
+        let navigateHandler = null;
+        const service = new UrlService();
+        service.getPath = () => currentPath;
+        service.pushPath = (path) => { currentPath = path; };
+        service.replacePath = (path) => { currentPath = path; };
+        service.onNavigate = (handler) => {
+            navigateHandler = handler;
+            return () => { navigateHandler = null; };
+        };
+        return {
+            service,
+            navigate: (path) => {
+                currentPath = path;
+                return navigateHandler?.();
+            },
+        };
+    }
+
+    const routeTranslations = {
+        es: {
+            app: 'aplicacion',
+            panel: { key: 'panel-es', props: { tab: 'pestana' } },
+        },
+    };
+
+    class LocalizedPanel extends Component {
+        constructor() {
+            super();
+            this.tab = 'info';
+        }
+        routeState() { return { tab: this.tab }; }
+        update(newVars, react = true, routeSegment = null) {
+            if (routeSegment) this.tab = routeSegment.getString('tab', 'info');
+            super.update(newVars, react, routeSegment);
+        }
+    }
+
+    class LocalizedApp extends Component {
+        constructor() {
+            super();
+            this.panel = null;
+        }
+        routeState() { return {}; }
+        async init() {
+            this.panel = this.createChild('LocalizedPanel', 'main');
+        }
+    }
+
+    /**
+     * Start a two-level app (pass-through LocalizedApp → routed LocalizedPanel).
+     * @param {string} appName - Application name
+     * @param {string} initialPath - Initial URL path
+     * @param {string} locale - Reactor locale
+     * @returns {Promise<{reactor: Reactor, service: UrlService, navigate: function(string): Promise<void>, app: LocalizedApp}>} Test rig
+     */
+    async function startLocalizedApp(appName, initialPath, locale) {
+        const { service, navigate } = createFakeUrlService(initialPath);
+        const router = new HistoryRouter({ urlService: service, routeTranslations });
+        const reactor = createReactor(appName, { router, locale });
+        reactor.instanceRegistry.registerComponent('LocalizedPanel', LocalizedPanel);
+        reactor.instanceRegistry._templateStore.set('LocalizedPanel', { version: '1', htmlCode: '<p>((tab))</p>' });
+        reactor.instanceRegistry.registerComponent('LocalizedApp', LocalizedApp);
+        reactor.instanceRegistry._templateStore.set('LocalizedApp', { version: '1', htmlCode: '<div>((panel))</div>' });
+        // Serialization skips detached containers, so mount into the document
+        const container = document.body.appendChild(document.createElement('div'));
+        const app = await reactor.start(container, 'LocalizedApp', 'app');
+        return { reactor, service, navigate, app };
+    }
+
+    it('reads localized keys and properties as canonical names on initial load', async () => {
+        const { app, service } = await startLocalizedApp('i18n-route-load', '/panel-es:pestana=stats', 'es');
+        assert.strictEqual(app.panel.tab, 'stats');
+        assert.strictEqual(service.getPath(), '/panel-es:pestana=stats');
+    });
+
+    it('writes canonical keys for locales without translations', async () => {
+        const { app, service } = await startLocalizedApp('i18n-route-en', '/panel:tab=stats', 'en');
+        assert.strictEqual(app.panel.tab, 'stats');
+        assert.strictEqual(service.getPath(), '/panel:tab=stats');
+    });
+
+    it('rewrites the URL on setLocale() and still resolves old-locale URLs', async () => {
+        const { reactor, app, service, navigate } = await startLocalizedApp(
+            'i18n-route-switch',
+            '/panel-es:pestana=stats',
+            'es',
+        );
+
+        await reactor.setLocale('en');
+        assert.strictEqual(service.getPath(), '/panel:tab=stats');
+
+        // A bookmark written while the app was in Spanish
+        await navigate('/panel-es:pestana=history');
+        assert.strictEqual(app.panel.tab, 'history');
+    });
+});
+
+describe('Integration: View transitions', () => {
+    class TransitionPanel extends Component {
+        constructor() {
+            super();
+            this.tab = 'info';
+            this.renders = 0;
+        }
+        routeState() { return { tab: this.tab }; }
+        update(newVars, react = true, routeSegment = null) {
+            if (routeSegment) this.tab = routeSegment.getString('tab', 'info');
+            super.update(newVars, react, routeSegment);
+        }
+        afterRender() {
+            this.renders++;
+            if (this.tab === 'broken') throw new Error('Panel render failed');
+        }
+    }
+
+    class TransitionApp extends Component {
+        constructor() {
+            super();
+            this.panel = null;
+        }
+        routeState() { return {}; }
+        async init() {
+            this.panel = this.createChild('TransitionPanel', 'main');
+        }
+    }
+
+    /**
+     * Start a pass-through TransitionApp with a routed TransitionPanel.
+     * @param {string} appName - Application name
+     * @returns {Promise<{navigate: function(string): Promise<void>, app: TransitionApp, console: StrictConsole}>} Test rig
+     */
+    async function startApp(appName) {
+        let currentPath = '/panel:tab=info';
+        let navigateHandler = null;
+        const service = new UrlService();
+        service.getPath = () => currentPath;
+        service.pushPath = (path) => { currentPath = path; };
+        service.replacePath = (path) => { currentPath = path; };
+        service.onNavigate = (handler) => {
+            navigateHandler = handler;
+            return () => { navigateHandler = null; };
+        };
+        const router = new HistoryRouter({ urlService: service, viewTransitions: true });
+        const config = { router };
+        const reactor = createReactor(appName, config);
+        reactor.instanceRegistry.registerComponent('TransitionPanel', TransitionPanel);
+        reactor.instanceRegistry._templateStore.set('TransitionPanel', { version: '1', htmlCode: '<p>((tab))</p>' });
+        reactor.instanceRegistry.registerComponent('TransitionApp', TransitionApp);
+        reactor.instanceRegistry._templateStore.set('TransitionApp', { version: '1', htmlCode: '<div>((panel))</div>' });
+        const container = document.body.appendChild(document.createElement('div'));
+        const app = await reactor.start(container, 'TransitionApp', 'app');
+        const navigate = (path) => {
+            currentPath = path;
+            return navigateHandler?.();
+        };
+        return { navigate, app, console: config.console };
+    }
+
+    /**
+     * Install a fake startViewTransition() that runs the update when released.
+     * @returns {{started: number, release: function(): void}} Transition tracker
+     */
+    function fakeViewTransitions() {
+        const tracker = { started: 0, release: () => {} };
+        document.startViewTransition = (update) => {
+            tracker.started++;
+            return {
+                updateCallbackDone: new Promise((resolve) => {
+                    tracker.release = () => resolve(update());
+                }),
+            };
+        };
+        return tracker;
+    }
+
+    it('applies back/forward navigations inside a view transition', async () => {
+        const { app, navigate } = await startApp('vt-popstate');
+        const tracker = fakeViewTransitions();
+
+        const navigated = navigate('/panel:tab=history');
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(tracker.started, 1);
+        assert.strictEqual(app.panel.tab, 'info');
+
+        tracker.release();
+        await navigated;
+        assert.strictEqual(app.panel.tab, 'history');
+    });
+
+    it('holds the renders queued with pushRoute() until the transition captures the page', async () => {
+        const { app } = await startApp('vt-push');
+        const tracker = fakeViewTransitions();
+        const renders = app.panel.renders;
+
+        app.panel.tab = 'history';
+        app.panel.pushRoute();
+        const rendered = app.panel.react();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(tracker.started, 1);
+        assert.strictEqual(app.panel.renders, renders);
+
+        tracker.release();
+        await rendered;
+        assert.strictEqual(app.panel.renders, renders + 1);
+    });
+
+    it('logs a render that fails inside the transition of pushRoute()', async () => {
+        const { app, console } = await startApp('vt-push-error');
+        const tracker = fakeViewTransitions();
+        console.expectError(/Error during re-render of TransitionPanel/);
+        console.expectError(/HistoryRouter: View transition failed/);
+
+        app.panel.tab = 'broken';
+        app.panel.pushRoute();
+        const rendered = app.panel.react().catch((error) => error);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        tracker.release();
+
+        assert.strictEqual((await rendered).message, 'Panel render failed');
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    });
+
+    it('renders normally without the View Transitions API', async () => {
+        const { app, navigate } = await startApp('vt-unsupported');
+
+        await navigate('/panel:tab=history');
+
+        assert.strictEqual(app.panel.tab, 'history');
+    });
+});
@@ -39,10 +39,10 @@ describe('InstanceRegistry Mounting Thoroughness', () => {
         global.localStorage = window.localStorage;
 
         templateStore = new TemplateStore();
-        // Use a simple innerHTML morph for JSDOM performance tests to avoid idiomorph compatibility issues.
+        // Use a simple content swap for JSDOM performance tests to avoid idiomorph compatibility issues.
         // Real morphing is tested in browser tests.
-        renderer = new Renderer((container, html) => {
-            container.innerHTML = html;
+        renderer = new Renderer((container, content) => {
+            container.replaceChildren(content);
         });
         registry = new InstanceRegistry(
             renderer,
@@ -92,6 +92,8 @@ describe('InstanceRegistry', () => {
         document = testDom.window.document;
         global.document = document;
         global.window = testDom.window;
+        // Idiomorph checks parsed content with instanceof, so Node must come from the same window
+        global.Node = testDom.window.Node;
         container = document.getElementById('container');
 
         templateStore = new TemplateStore();
@@ -400,6 +402,22 @@ describe('InstanceRegistry', () => {
             assert.strictEqual(container.parentNode, null);
         });
 
+        it('removes the component CSS with its last instance', async () => {
+            templateStore.set('Styled', { version: 'v1', htmlCode: '<div></div>', cssCode: '.a { color: red; }' });
+            class Styled extends Component {}
+            const first = createComponentId('Styled', '1');
+            const second = createComponentId('Styled', '2');
+            await registry.create(first, Styled, {}, container);
+            const other = document.createElement('div');
+            document.body.appendChild(other);
+            await registry.create(second, Styled, {}, other);
+
+            registry.remove(first);
+            assert.ok(document.querySelector('style[id$="-Styled"]'));
+            registry.remove(second);
+            assert.strictEqual(document.querySelector('style[id$="-Styled"]'), null);
+        });
+
         it('silently ignores non-existent instance', () => {
             const id = createComponentId('NonExistent', 'test1');
             assert.doesNotThrow(() => registry.remove(id));
@@ -682,6 +700,49 @@ describe('InstanceRegistry', () => {
             assert.strictEqual(parent.children[0], childInstance);
         });
 
+        it('auto-mounts a Map of Child children in insertion order', async () => {
+            templateStore.set('Parent', { version: 'v1', htmlCode: '<div>((tabs))</div>', cssCode: '' });
+            class Parent extends Component {
+                /** @type {Map<string, any>} */
+                tabs = new Map();
+                async init() {
+                    this.tabs.set('b', this.createChild('ChildComponent', 'b', { msg: 'bravo' }));
+                    this.tabs.set('a', this.createChild('ChildComponent', 'a', { msg: 'alpha' }));
+                }
+            }
+            const parent = await registry.create(createComponentId('Parent', 'p1', 'v1'), Parent, {}, container);
+
+            const children = container.querySelectorAll('.child');
+            assert.strictEqual(children.length, 2);
+            assert.strictEqual(children[0].textContent, 'bravo');
+            assert.strictEqual(children[1].textContent, 'alpha');
+            assert.ok(container.querySelector('[data-fusewire-each="tabs"]'));
+            assert.strictEqual(parent.tabs.get('a'), registry.get('ChildComponent#a'));
+        });
+
+        it('reconciles a Map of Child children on re-render', async () => {
+            templateStore.set('Parent', { version: 'v1', htmlCode: '<div>((tabs))</div>', cssCode: '' });
+            class Parent extends Component {
+                /** @type {Map<string, any>} */
+                tabs = new Map();
+                async init() {
+                    this.tabs.set('a', this.createChild('ChildComponent', 'a', { msg: 'alpha' }));
+                    this.tabs.set('b', this.createChild('ChildComponent', 'b', { msg: 'bravo' }));
+                }
+            }
+            const parentId = createComponentId('Parent', 'p1', 'v1');
+            const parent = await registry.create(parentId, Parent, {}, container);
+
+            parent.tabs.delete('a');
+            parent.tabs.set('c', parent.createChild('ChildComponent', 'c', { msg: 'charlie' }));
+            await registry.render(parentId);
+
+            const ids = [...container.querySelector('[data-fusewire-each="tabs"]').children]
+                .map((el) => el.getAttribute('data-fusewire-id'));
+            assert.deepStrictEqual(ids, ['ChildComponent#b', 'ChildComponent#c']);
+            assert.strictEqual(container.querySelectorAll('.child')[1].textContent, 'charlie');
+        });
+
         it('allows update() on Component after ref replacement', async () => {
             templateStore.set('Parent', { version: 'v1', htmlCode: '<div>((child))</div>', cssCode: '' });
             class Parent extends Component {
@@ -698,6 +759,132 @@ describe('InstanceRegistry', () => {
         });
     });
 
+    describe('Transitions (static transition)', () => {
+        class FadingChild extends TestComponent {
+            static transition = 'fade';
+        }
+
+        beforeEach(() => {
+            registry.registerComponent('FadingChild', FadingChild);
+            templateStore.set('FadingChild', { version: 'v1', htmlCode: '<div class="child">((msg))</div>', cssCode: '' });
+            templateStore.set('Parent', { version: 'v1', htmlCode: '<div>((children))</div>', cssCode: '' });
+        });
+
+        it('plays the enter transition of children added after the first render only', async () => {
+            class Parent extends Component {
+                /** @type {any[]} */
+                children = [];
+                async init() {
+                    this.children = [this.createChild('FadingChild', 'a', { msg: 'a' })];
+                }
+            }
+            const parentId = createComponentId('Parent', 'p1', 'v1');
+            const parent = await registry.create(parentId, Parent, {}, container);
+            const first = container.querySelector('[data-fusewire-id="FadingChild#a"]');
+            assert.strictEqual(first.getAttribute('fw-transition'), 'fade');
+            assert.strictEqual(first.querySelector('.child').className, 'child');
+
+            parent.children.push(parent.createChild('FadingChild', 'b', { msg: 'b' }));
+            await registry.render(parentId);
+
+            const added = container.querySelector('[data-fusewire-id="FadingChild#b"] .child');
+            assert.ok(added.classList.contains('fade-enter-from'));
+            assert.ok(added.classList.contains('fade-enter-active'));
+            assert.strictEqual(first.querySelector('.child').className, 'child');
+        });
+
+        it('removes the mount point of a removed child once its leave transition ends', async () => {
+            class Parent extends Component {
+                /** @type {any[]} */
+                children = [];
+                async init() {
+                    this.children = [
+                        this.createChild('FadingChild', 'a', { msg: 'a' }),
+                        this.createChild('FadingChild', 'b', { msg: 'b' }),
+                    ];
+                }
+            }
+            const parentId = createComponentId('Parent', 'p1', 'v1');
+            const parent = await registry.create(parentId, Parent, {}, container);
+
+            parent.children = parent.children.slice(1);
+            await registry.render(parentId);
+
+            const leaving = container.querySelector('[data-fusewire-id="FadingChild#a"]');
+            assert.strictEqual(registry.has(createComponentId('FadingChild', 'a')), false);
+            assert.ok(leaving.hasAttribute('data-fusewire-leaving'));
+            assert.ok(leaving.querySelector('.child').classList.contains('fade-leave-active'));
+
+            for (let i = 0; i < 100 && leaving.parentNode; i++) {
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+            assert.strictEqual(leaving.parentNode, null);
+        });
+
+        it('keeps the CSS of the last removed instance until its leave transition ends', async () => {
+            templateStore.set('FadingChild', {
+                version: 'v1',
+                htmlCode: '<div class="child">((msg))</div>',
+                cssCode: '.child { transition-duration: 30ms; }',
+            });
+            class Parent extends Component {
+                /** @type {any[]} */
+                children = [];
+                async init() {
+                    this.children = [
+                        this.createChild('FadingChild', 'a', { msg: 'a' }),
+                        this.createChild('TestComponent', 'b', { msg: 'b' }),
+                    ];
+                }
+            }
+            const parentId = createComponentId('Parent', 'p1', 'v1');
+            const parent = await registry.create(parentId, Parent, {}, container);
+            const styleId = registry._renderer._styleId('FadingChild');
+            assert.ok(document.getElementById(styleId));
+
+            parent.children = parent.children.slice(1);
+            await registry.render(parentId);
+
+            const leaving = container.querySelector('[data-fusewire-id="FadingChild#a"]');
+            assert.ok(leaving.hasAttribute('data-fusewire-leaving'));
+            assert.ok(document.getElementById(styleId));
+
+            for (let i = 0; i < 100 && leaving.parentNode; i++) {
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+            assert.strictEqual(leaving.parentNode, null);
+            assert.strictEqual(document.getElementById(styleId), null);
+        });
+    });
+
+    describe('viewTransitionName', () => {
+        it('names the first element a child renders into its mount point, after every render', async () => {
+            class NamedChild extends TestComponent {
+                get viewTransitionName() {
+                    return `card-${this.componentId}`;
+                }
+            }
+            registry.registerComponent('NamedChild', NamedChild);
+            templateStore.set('NamedChild', { version: 'v1', htmlCode: '<article>((msg))</article><p></p>', cssCode: '' });
+            templateStore.set('Parent', { version: 'v1', htmlCode: '<div>((child))</div>', cssCode: '' });
+            class Parent extends Component {
+                /** @type {any} */
+                child = null;
+                async init() {
+                    this.child = this.createChild('NamedChild', 'a', { msg: 'a' });
+                }
+            }
+            const parent = await registry.create(createComponentId('Parent', 'p1', 'v1'), Parent, {}, container);
+
+            const article = container.querySelector('article');
+            assert.strictEqual(article.style.getPropertyValue('view-transition-name'), 'card-a');
+            assert.strictEqual(container.querySelector('p').getAttribute('style'), null);
+
+            await parent.child.update({ msg: 'b' });
+            assert.strictEqual(article.style.getPropertyValue('view-transition-name'), 'card-a');
+        });
+    });
+
     describe('_replaceRefInVars()', () => {
         it('replaces top-level reference by identity', () => {
             const ref = new Child('X', 'x1');
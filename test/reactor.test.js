@@ -1,4 +1,4 @@
-import { describe, it, afterEach } from 'node:test';
+import { describe, it, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
 import { Reactor } from '../src/reactor.js';
 import { Component } from '../src/component.js';
@@ -10,8 +10,9 @@ import { FuseWire } from '../src/fusewire.js';
 import { JSDOM } from 'jsdom';
 import { REACTOR, LIFECYCLE_ACTIVE, EVENTS } from '../src/symbols.js';
 import { onEvent } from '../src/event-emitter.js';
-import { ComponentNotFoundError } from '../src/errors/error-hierarchy.js';
+import { ComponentNotFoundError, TemplateSyntaxError } from '../src/errors/error-hierarchy.js';
 import { StrictConsole } from './strict-console.js';
+import { sanitizeHtml } from '../src/sanitizer.js';
 
 import { Idiomorph } from 'idiomorph';
 
@@ -108,6 +109,50 @@ describe('Reactor', () => {
             const reactor = createReactor('test-ctor-5', { morphFunction: mockMorph });
             assert.strictEqual(reactor._renderer._appName, 'test-ctor-5');
         });
+
+        it('creates the auto-created renderer\'s Trusted Types policy with the configured name', () => {
+            const created = [];
+            globalThis.trustedTypes = {
+                createPolicy(name, rules) {
+                    created.push(name);
+                    return rules;
+                },
+            };
+            try {
+                const reactor = createReactor('test-ctor-6', {
+                    morphFunction: mockMorph,
+                    trustedTypesPolicy: 'test-ctor-policy',
+                });
+                assert.deepStrictEqual(created, ['test-ctor-policy']);
+                assert.strictEqual(reactor._renderer.htmlPolicy.createHTML('<p>Hi</p>'), '<p>Hi</p>');
+            } finally {
+                delete globalThis.trustedTypes;
+            }
+        });
+
+        it('invalidates the CSS of templates cleared from the template store', () => {
+            const templateStore = new TemplateStore();
+            const reactor = createReactor('test-ctor-8', { morphFunction: mockMorph, templateStore });
+            const invalidateCSS = mock.method(reactor._renderer, 'invalidateCSS', () => {});
+
+            templateStore.clear('Card');
+            templateStore.clearAll();
+
+            assert.deepStrictEqual(
+                invalidateCSS.mock.calls.map((call) => call.arguments),
+                [['Card'], [null]],
+            );
+        });
+
+        it('passes the CSS nonce and adoptedStyleSheets options to the auto-created renderer', () => {
+            const reactor = createReactor('test-ctor-7', {
+                morphFunction: mockMorph,
+                cssNonce: 'n0nce',
+                adoptedStyleSheets: false,
+            });
+            assert.strictEqual(reactor._renderer._cssNonce, 'n0nce');
+            assert.strictEqual(reactor._renderer._useAdoptedStyleSheets, false);
+        });
     });
 
     describe('Validation', () => {
@@ -856,6 +901,157 @@ describe('Reactor', () => {
 
             assert.strictEqual(fakeInstance[LIFECYCLE_ACTIVE], null, 'flag cleared despite throw');
         });
+
+        /**
+         * Scheduler running SYNC drains in a microtask and FRAME/IDLE drains on demand.
+         * @returns {object} Scheduler with run(mode)
+         */
+        function manualScheduler() {
+            const callbacks = { FRAME: [], IDLE: [] };
+            return {
+                callbacks,
+                schedule(mode, callback) {
+                    if (mode === 'SYNC') queueMicrotask(callback);
+                    else callbacks[mode].push(callback);
+                },
+                run(mode) {
+                    for (const callback of callbacks[mode].splice(0)) callback();
+                },
+            };
+        }
+
+        /**
+         * Registry mock recording renders, with an optional parent per component.
+         * @param {string[]} order - Receives 'render:<code>' entries
+         * @param {Object<string, string>} parents - Parent code per component code
+         * @returns {object} Registry mock
+         */
+        function treeRegistry(order, parents = {}) {
+            const removed = new Set();
+            return {
+                removed,
+                get rootEntries() { return []; },
+                getEntry(code) {
+                    if (removed.has(code)) return null;
+                    return { parent: parents[code] ? componentIdFromCode(parents[code]) : null };
+                },
+                async render(id) { order.push(`render:${id.code}`); },
+                get(id) { return removed.has(id.code) ? null : { afterRender() { } }; },
+            };
+        }
+
+        it('coalesces FRAME renders into the next animation frame', async () => {
+            const order = [];
+            const scheduler = manualScheduler();
+            const reactor = createReactor('test-queue-7', {
+                instanceRegistry: treeRegistry(order),
+                morphFunction: mockMorph,
+                scheduler,
+            });
+
+            const rendered = reactor.react('A#1', 'FRAME');
+            reactor.react('A#1', 'FRAME');
+            reactor.react('B#1', 'FRAME');
+            await Promise.resolve();
+            assert.deepStrictEqual(order, []);
+            assert.strictEqual(scheduler.callbacks.FRAME.length, 1);
+
+            scheduler.run('FRAME');
+            await rendered;
+            assert.deepStrictEqual(order, ['render:A#1', 'render:B#1']);
+        });
+
+        it('renders SYNC entries without waiting for FRAME or IDLE ones', async () => {
+            const order = [];
+            const scheduler = manualScheduler();
+            const reactor = createReactor('test-queue-8', {
+                instanceRegistry: treeRegistry(order),
+                morphFunction: mockMorph,
+                scheduler,
+            });
+
+            reactor.react('A#1', 'FRAME');
+            reactor.react('B#1', 'IDLE');
+            await reactor.react('C#1', 'SYNC');
+            assert.deepStrictEqual(order, ['render:C#1']);
+
+            // An IDLE drain also renders the more urgent entries still queued
+            scheduler.run('IDLE');
+            await reactor._runningDrain;
+            assert.deepStrictEqual(order, ['render:C#1', 'render:A#1', 'render:B#1']);
+            assert.strictEqual(reactor._queue.size, 0);
+        });
+
+        it('moves a queued render up to a more urgent mode', async () => {
+            const order = [];
+            const scheduler = manualScheduler();
+            const reactor = createReactor('test-queue-9', {
+                instanceRegistry: treeRegistry(order),
+                morphFunction: mockMorph,
+                scheduler,
+            });
+
+            reactor.react('A#1', 'IDLE');
+            await reactor.react('A#1');
+            assert.deepStrictEqual(order, ['render:A#1']);
+
+            scheduler.run('IDLE');
+            await reactor._runningDrain;
+            assert.deepStrictEqual(order, ['render:A#1']);
+        });
+
+        it('keeps FRAME and IDLE entries waiting after a drain whose render threw', async () => {
+            const order = [];
+            const registry = treeRegistry(order);
+            const render = registry.render;
+            registry.render = async (id) => {
+                await render(id);
+                if (id.code === 'Bad#1') throw new Error('render failed');
+            };
+            const strict = new StrictConsole();
+            strict.expectError(/Error during re-render/);
+            activeStrictConsoles.push(strict);
+            const scheduler = manualScheduler();
+            const reactor = createReactor('test-queue-11', {
+                instanceRegistry: registry,
+                morphFunction: mockMorph,
+                scheduler,
+                console: strict,
+            });
+
+            const failed = reactor.react('Bad#1', 'IDLE');
+            scheduler.run('IDLE');
+            await assert.rejects(failed, /render failed/);
+
+            reactor.react('A#1', 'FRAME');
+            reactor.react('B#1', 'IDLE');
+            await reactor.react('C#1');
+            assert.deepStrictEqual(order, ['render:Bad#1', 'render:C#1']);
+        });
+
+        it('renders queued ancestors first and drops descendants their render removed', async () => {
+            const order = [];
+            const registry = treeRegistry(order, { 'Child#1': 'Parent#1', 'Other#1': 'Parent#1' });
+            const render = registry.render;
+            registry.render = async (id) => {
+                await render(id);
+                if (id.code === 'Parent#1') registry.removed.add('Child#1');
+            };
+            const reactor = createReactor('test-queue-10', {
+                instanceRegistry: registry,
+                morphFunction: mockMorph,
+                scheduler: manualScheduler(),
+            });
+
+            reactor.react('Child#1');
+            reactor.react('Other#1');
+            reactor.react('Parent#1', 'IDLE');
+            await reactor._drainPromise;
+
+            // No "Skipping re-render of removed component" warning for Child#1
+            assert.deepStrictEqual(order, ['render:Parent#1', 'render:Other#1']);
+            assert.strictEqual(reactor._queue.size, 0);
+        });
     });
 
     describe('globalVars config', () => {
@@ -949,6 +1145,823 @@ describe('Reactor', () => {
         });
     });
 
+    describe('filters', () => {
+        it('exposes the built-in filters by default', () => {
+            const reactor = createReactor('test-filters-1', { morphFunction: mockMorph });
+            assert.strictEqual(typeof reactor.filters.upper, 'function');
+            assert.strictEqual(typeof reactor.filters.currency, 'function');
+        });
+
+        it('registers filters passed at construction time and via registerFilter()', () => {
+            const shout = (value) => `${value}!`;
+            const reverse = (value) => [...String(value)].reverse().join('');
+            const reactor = createReactor('test-filters-2', {
+                morphFunction: mockMorph,
+                filters: { shout },
+            });
+            reactor.registerFilter('reverse', reverse);
+            assert.strictEqual(reactor.filters.shout, shout);
+            assert.strictEqual(reactor.filters.reverse, reverse);
+        });
+
+        it('rejects invalid filter names and non-function filters', () => {
+            const reactor = createReactor('test-filters-3', { morphFunction: mockMorph });
+            assert.throws(() => reactor.registerFilter('my-filter', () => ''), /not a valid identifier/);
+            assert.throws(() => reactor.registerFilter('shout', 'nope'), /must be a function/);
+        });
+
+        it('applies registered filters when rendering components', async () => {
+            const dom = new JSDOM('<!DOCTYPE html><div id="app"></div>');
+            global.document = dom.window.document;
+
+            class Price extends Component { }
+
+            const appName = 'test-filters-4';
+            const templateStore = new TemplateStore();
+            templateStore.set('Price', {
+                version: 'test',
+                htmlCode: '<div>((amount | cents)) ((label | upper))</div>',
+                cssCode: '',
+            });
+
+            const renderer = new Renderer(mockMorph, appName);
+            const registry = new InstanceRegistry(renderer, templateStore, appName);
+            registry.registerComponent('Price', Price);
+            const reactor = createReactor(appName, {
+                instanceRegistry: registry,
+                templateStore,
+                renderer,
+            });
+            reactor.registerFilter('cents', (value) => `${value * 100}c`);
+
+            const container = dom.window.document.getElementById('app');
+            await reactor.start(container, 'Price', 'main', { amount: 3, label: 'total' });
+
+            assert.ok(container.innerHTML.includes('300c TOTAL'));
+        });
+    });
+
+    /**
+     * Start a reactor rendering one component with the given template.
+     * @param {string} appName - Application name
+     * @param {Function} ComponentClass - Component class
+     * @param {string} htmlCode - Component template
+     * @param {object} vars - Initial vars
+     * @param {object} config - Extra Reactor config; `components` lists [class, template] pairs of child components
+     * @returns {Promise<{dom: JSDOM, container: HTMLElement, app: Component}>} Started app
+     */
+    async function startApp(appName, ComponentClass, htmlCode, vars = {}, config = {}) {
+        const dom = new JSDOM('<!DOCTYPE html><div id="app"></div>');
+        global.document = dom.window.document;
+        exposeDomGlobals(dom.window);
+
+        const { components = [], ...reactorConfig } = config;
+        const templateStore = new TemplateStore();
+        const renderer = new Renderer(mockMorph, appName);
+        const registry = new InstanceRegistry(renderer, templateStore, appName);
+        for (const [Class, html] of [[ComponentClass, htmlCode], ...components]) {
+            templateStore.set(Class.name, { version: 'test', htmlCode: html, cssCode: '' });
+            registry.registerComponent(Class.name, Class);
+        }
+        const reactor = createReactor(appName, {
+            instanceRegistry: registry,
+            templateStore,
+            renderer,
+            ...reactorConfig,
+        });
+
+        const container = dom.window.document.getElementById('app');
+        const app = await reactor.start(container, ComponentClass.name, 'main', vars);
+        return { dom, container, app };
+    }
+
+    describe('fw-on event binding', () => {
+        it('calls the owning component method with the event and renders no inline script', async () => {
+            class Clicker extends Component {
+                count = 0;
+                lastEvent = null;
+
+                increment(event) {
+                    this.count++;
+                    this.lastEvent = event;
+                }
+            }
+
+            const { container, app } = await startApp(
+                'test-fw-on-1',
+                Clicker,
+                '<button fw-on:click="increment">((count))</button>',
+            );
+            const button = container.querySelector('button');
+            assert.strictEqual(button.getAttribute('fw-on:click'), 'increment');
+            assert.ok(!container.innerHTML.includes('FuseWire.get'));
+
+            button.click();
+
+            assert.strictEqual(app.count, 1);
+            assert.strictEqual(app.lastEvent.type, 'click');
+        });
+
+        it('passes arguments evaluated per loop item', async () => {
+            class TodoList extends Component {
+                items = [
+                    { id: 1, title: 'Write' },
+                    { id: 2, title: "Ship 'it'" },
+                ];
+                removed = [];
+
+                remove(id, title, event) {
+                    this.removed.push([id, title, event.type]);
+                }
+            }
+
+            const { container, app } = await startApp(
+                'test-fw-on-2',
+                TodoList,
+                '<ul><li fw-each="item in items" fw-on:click="remove(item.id, item.title)">((item.title))</li></ul>',
+            );
+            for (const li of container.querySelectorAll('li')) li.click();
+
+            assert.deepStrictEqual(app.removed, [
+                [1, 'Write', 'click'],
+                [2, "Ship 'it'", 'click'],
+            ]);
+        });
+
+        it('bubbles through nested handlers until stopPropagation()', async () => {
+            class Nested extends Component {
+                calls = [];
+
+                inner(event) {
+                    this.calls.push('inner');
+                    if (this.stop) event.stopPropagation();
+                }
+
+                outer() {
+                    this.calls.push('outer');
+                }
+            }
+
+            const { container, app } = await startApp(
+                'test-fw-on-3',
+                Nested,
+                '<div fw-on:click="outer"><button fw-on:click="inner"><span>go</span></button></div>',
+            );
+            container.querySelector('span').click();
+            app.stop = true;
+            container.querySelector('span').click();
+
+            assert.deepStrictEqual(app.calls, ['inner', 'outer', 'inner']);
+        });
+
+        it('resolves handlers to the child component that owns the element', async () => {
+            class Row extends Component {
+                selected = 0;
+
+                select() {
+                    this.selected++;
+                }
+            }
+            class Table extends Component {
+                selected = 0;
+
+                init() {
+                    this.row = this.createChild('Row', 'r1');
+                }
+
+                select() {
+                    this.selected++;
+                }
+            }
+
+            const dom = new JSDOM('<!DOCTYPE html><div id="app"></div>');
+            global.document = dom.window.document;
+            const appName = 'test-fw-on-4';
+            const templateStore = new TemplateStore();
+            templateStore.set('Table', {
+                version: 'test',
+                htmlCode: '<div fw-on:click="select">((row))</div>',
+                cssCode: '',
+            });
+            templateStore.set('Row', {
+                version: 'test',
+                htmlCode: '<p fw-on:focus="select">row</p>',
+                cssCode: '',
+            });
+            const renderer = new Renderer(mockMorph, appName);
+            const registry = new InstanceRegistry(renderer, templateStore, appName);
+            registry.registerComponent('Table', Table);
+            registry.registerComponent('Row', Row);
+            const reactor = createReactor(appName, { instanceRegistry: registry, templateStore, renderer });
+            const container = dom.window.document.getElementById('app');
+            const addEventListener = mock.method(container, 'addEventListener');
+            const table = await reactor.start(container, 'Table', 'main');
+
+            // focus does not bubble: only the Row handler runs
+            container.querySelector('p').dispatchEvent(new dom.window.FocusEvent('focus'));
+            container.querySelector('p').click();
+
+            assert.strictEqual(table.row.selected, 1);
+            assert.strictEqual(table.selected, 1);
+            assert.deepStrictEqual(
+                addEventListener.mock.calls.map((call) => [call.arguments[0], call.arguments[2]]),
+                [
+                    ['click', false],
+                    ['focus', true],
+                ],
+            );
+        });
+    });
+
+    /**
+     * Expose the JSDOM DOM constructors Idiomorph needs to morph, and the
+     * CSSStyleSheet constructor shadow components adopt their CSS with.
+     * JSDOM has no adoptedStyleSheets, so documents and shadow roots get a
+     * plain writable list.
+     * @param {Window} window - JSDOM window
+     */
+    function exposeDomGlobals(window) {
+        for (const key of Object.getOwnPropertyNames(window)) {
+            if (/^(HTML|DOM)|^(Node|Element|Document|CSSStyleSheet)$/.test(key)) global[key] = window[key];
+        }
+        for (const Scope of [window.Document, window.ShadowRoot]) {
+            Object.defineProperty(Scope.prototype, 'adoptedStyleSheets', { value: [], writable: true });
+        }
+    }
+
+    describe('fw-model binding', () => {
+        it('writes field values into the var path and re-renders', async () => {
+            class Profile extends Component {
+                user = { name: 'Ada' };
+                todos = [{ done: false }, { done: false }];
+                role = 'dev';
+            }
+
+            const { dom, container, app } = await startApp(
+                'test-fw-model-1',
+                Profile,
+                '<form><input fw-model="user.name"><p>((user.name))</p>' +
+                    '<label fw-each="todo in todos"><input type="checkbox" fw-model="todo.done"></label>' +
+                    '<select fw-model="role"><option>dev</option><option>ops</option></select></form>',
+            );
+            const [text, , second] = container.querySelectorAll('input');
+            assert.strictEqual(text.value, 'Ada');
+            assert.strictEqual(container.querySelector('select').value, 'dev');
+
+            text.value = 'Grace';
+            text.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+            second.click();
+            container.querySelector('select').value = 'ops';
+            container.querySelector('select').dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+            await app.react();
+
+            assert.strictEqual(app.user.name, 'Grace');
+            assert.deepStrictEqual(app.todos, [{ done: false }, { done: true }]);
+            assert.strictEqual(app.role, 'ops');
+            assert.strictEqual(container.querySelector('p').textContent, 'Grace');
+        });
+
+        it('debounces react() with fw-model-debounce', async (t) => {
+            t.mock.timers.enable({ apis: ['setTimeout'] });
+            class Search extends Component {
+                query = '';
+            }
+
+            const { dom, container, app } = await startApp(
+                'test-fw-model-2',
+                Search,
+                '<div><input fw-model="query" fw-model-debounce="200"></div>',
+            );
+            const react = mock.method(app, 'react');
+            const input = container.querySelector('input');
+            for (const value of ['a', 'ab']) {
+                input.value = value;
+                input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+                t.mock.timers.tick(100);
+            }
+
+            assert.strictEqual(app.query, 'ab');
+            assert.strictEqual(react.mock.callCount(), 0);
+            t.mock.timers.tick(100);
+            assert.strictEqual(react.mock.callCount(), 1);
+        });
+    });
+
+    describe('raw HTML', () => {
+        it('renders ((html: ...)) through the sanitizeHtml option', async () => {
+            class Article extends Component {
+                body = '<p>Hello <em>world</em></p>';
+            }
+
+            const { container } = await startApp(
+                'test-raw-html-1',
+                Article,
+                '<article>((html: body))</article>',
+                {},
+                { sanitizeHtml: (html) => html.replace(/<\/?em>/g, '') },
+            );
+
+            assert.strictEqual(container.querySelector('article').innerHTML, '<p>Hello world</p>');
+        });
+
+        it('defaults to the built-in allowlist sanitizer', () => {
+            const reactor = createReactor('test-raw-html-2', { morphFunction: mockMorph });
+            assert.strictEqual(reactor.sanitizeHtml, sanitizeHtml);
+        });
+    });
+
+    describe('slots', () => {
+        class Card extends Component {
+            title = 'Card';
+        }
+        const cardHtml =
+            '<div class="card"><header><fw-slot-outlet name="header">((title))</fw-slot-outlet></header>' +
+            '<fw-slot-outlet></fw-slot-outlet></div>';
+
+        it('projects createChild() slots and fw-slot content rendered against the parent', async () => {
+            class Page extends Component {
+                user = 'Ada';
+                clicks = 0;
+                card = null;
+
+                async init() {
+                    this.card = this.createChild('Card', 'main', {}, { slots: { header: '<h2>Hi ((user))</h2>' } });
+                }
+
+                greet() {
+                    this.clicks++;
+                }
+            }
+
+            const { dom, container, app } = await startApp(
+                'test-slots-1',
+                Page,
+                '<main>((card))<fw-slot for="card"><button fw-on:click="greet">((clicks))</button></fw-slot></main>',
+                {},
+                { components: [[Card, cardHtml]] },
+            );
+            const card = container.querySelector('.card');
+            assert.strictEqual(card.querySelector('header').textContent, 'Hi Ada');
+            assert.strictEqual(card.querySelector('button').textContent, '0');
+
+            card.querySelector('button').click();
+            app.user = 'Grace';
+            await app.react();
+
+            assert.strictEqual(app.clicks, 1);
+            assert.strictEqual(card.querySelector('header').textContent, 'Hi Grace');
+            assert.strictEqual(card.querySelector('button').textContent, '1');
+        });
+
+        it('mounts a child of the parent projected into a slot', async () => {
+            class Badge extends Component {
+                label = 'new';
+            }
+            class Page extends Component {
+                card = null;
+                badge = null;
+
+                async init() {
+                    this.card = this.createChild('Card', 'main');
+                    this.badge = this.createChild('Badge', 'main');
+                }
+            }
+
+            const { container, app } = await startApp(
+                'test-slots-3',
+                Page,
+                '<main>((card))<fw-slot for="card" name="header">((badge))</fw-slot></main>',
+                {},
+                { components: [[Card, cardHtml], [Badge, '<span class="badge">((label))</span>']] },
+            );
+
+            assert.strictEqual(container.querySelector('.card header .badge').textContent, 'new');
+            assert.ok(app.badge instanceof Badge);
+        });
+
+        it('keeps fallback content and binds projected fw-model fields to the parent', async () => {
+            class Page extends Component {
+                name = 'Ada';
+                card = null;
+
+                async init() {
+                    this.card = this.createChild('Card', 'main');
+                }
+            }
+
+            const { dom, container, app } = await startApp(
+                'test-slots-2',
+                Page,
+                '<main>((card))<fw-slot for="card"><input fw-model="name"></fw-slot><p>((name))</p></main>',
+                {},
+                { components: [[Card, cardHtml]] },
+            );
+            const input = container.querySelector('.card input');
+            assert.strictEqual(container.querySelector('.card header').textContent, 'Card');
+            assert.strictEqual(input.value, 'Ada');
+
+            input.value = 'Grace';
+            input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+            await app.react();
+
+            assert.strictEqual(app.name, 'Grace');
+            assert.strictEqual(app.card.name, undefined);
+            assert.strictEqual(container.querySelector('p').textContent, 'Grace');
+        });
+    });
+
+    describe('shadow DOM', () => {
+        it('renders a shadow component into an open shadow root with working bindings and children', async () => {
+            class Badge extends Component {
+                label = '';
+            }
+            class Panel extends Component {
+                static shadow = true;
+                open = false;
+                clicks = 0;
+                badge = null;
+
+                async init() {
+                    this.badge = this.createChild('Badge', 'main', { label: 'new' });
+                }
+
+                toggle() {
+                    this.clicks++;
+                }
+            }
+
+            const { container, app } = await startApp(
+                'test-shadow-1',
+                Panel,
+                '<section><button fw-on:click="toggle">((clicks))</button>' +
+                    '<input type="checkbox" fw-model="open">((badge))</section>',
+                {},
+                { components: [[Badge, '<span class="badge">((label))</span>']] },
+            );
+            const root = app.componentContainer.shadowRoot;
+            assert.strictEqual(root.mode, 'open');
+            assert.strictEqual(container.querySelector('section'), null);
+            assert.strictEqual(app.querySelector('section'), root.querySelector('section'));
+            assert.strictEqual(app.querySelector('.badge'), null); // inside the child's mount point
+            assert.strictEqual(root.querySelector('.badge').textContent, 'new');
+            assert.strictEqual(root.adoptedStyleSheets.length, 1); // fw-mount display: contents
+
+            root.querySelector('button').click();
+            root.querySelector('input').click(); // change does not leave the shadow root
+            await app.react();
+
+            assert.strictEqual(app.clicks, 1);
+            assert.strictEqual(app.open, true);
+            assert.strictEqual(root.querySelector('button').textContent, '1');
+        });
+    });
+
+    describe('fw-include partials', () => {
+        it('fetches partials from basePath before the first render and binds their events', async () => {
+            class Toolbar extends Component {
+                removed = [];
+
+                remove(name) {
+                    this.removed.push(name);
+                }
+            }
+
+            const originalFetch = globalThis.fetch;
+            const requested = [];
+            const files = {
+                './views/Shared/Button.html':
+                    '<button fw-on:click="remove(name)"><fw-include src="Shared/Icon" with="{ name: name }"/></button>',
+                './views/Shared/Icon.html': '<i class="icon-((name))"></i>',
+            };
+            globalThis.fetch = async (url) => {
+                requested.push(url);
+                return { ok: true, status: 200, text: async () => files[url] };
+            };
+            try {
+                const { container, app } = await startApp(
+                    'test-include-1',
+                    Toolbar,
+                    '<nav><fw-include src="Shared/Button" with="{ name: \'trash\' }"></fw-include></nav>',
+                    {},
+                    { basePath: './views' },
+                );
+
+                assert.deepStrictEqual(requested, ['./views/Shared/Button.html', './views/Shared/Icon.html']);
+                assert.ok(container.querySelector('button > i.icon-trash'));
+
+                container.querySelector('button').click();
+                assert.deepStrictEqual(app.removed, ['trash']);
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+
+        it('renders without a partial that fails to load and reports it as missing', async () => {
+            class Footer extends Component { }
+
+            const originalFetch = globalThis.fetch;
+            const requested = [];
+            globalThis.fetch = async (url) => {
+                requested.push(url);
+                return { ok: false, status: 404 };
+            };
+            const strict = new StrictConsole();
+            strict.expectWarning(/\[Footer#main\] Could not load partial "Shared\/Missing" from \.\/views\/Shared\/Missing\.html: .*HTTP 404/);
+            // Once per render: the partial is not requested again
+            for (let i = 0; i < 2; i++) {
+                strict.expectWarning(/fw-include error in src="Shared\/Missing" at line 1, column 18: Partial "Shared\/Missing" not found/);
+            }
+            activeStrictConsoles.push(strict);
+            try {
+                const { container, app } = await startApp(
+                    'test-include-2',
+                    Footer,
+                    '<footer><p>ok</p><fw-include src="Shared/Missing"/></footer>',
+                    {},
+                    { basePath: './views', console: strict },
+                );
+                await app.react();
+
+                assert.strictEqual(container.querySelector('footer p').textContent, 'ok');
+                assert.deepStrictEqual(requested, ['./views/Shared/Missing.html']);
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+
+        it('throws a TemplateSyntaxError for a partial that fails to load with strictTemplates', async () => {
+            class Footer extends Component { }
+
+            const strict = new StrictConsole();
+            strict.expectWarning(/\[Footer#main\] Could not load partial "Shared\/Missing" from \.\/views\/Shared\/Missing\.html/);
+            activeStrictConsoles.push(strict);
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = async () => ({ ok: false, status: 404 });
+            try {
+                await assert.rejects(
+                    startApp('test-include-3', Footer, '<footer><fw-include src="Shared/Missing"/></footer>', {}, {
+                        basePath: './views',
+                        console: strict,
+                        strictTemplates: true,
+                    }),
+                    (error) => error instanceof TemplateSyntaxError && /Partial "Shared\/Missing" not found/.test(error.message),
+                );
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+
+        it('loads the partials of content projected into a slot', async () => {
+            class Panel extends Component { }
+            class Page extends Component {
+                panel = null;
+
+                async init() {
+                    this.panel = this.createChild('Panel', 'main', {}, { slots: { default: '<fw-include src="Shared/Title"/>' } });
+                }
+            }
+
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = async () => ({ ok: true, status: 200, text: async () => '<h2>Title</h2>' });
+            try {
+                const { container } = await startApp(
+                    'test-include-4',
+                    Page,
+                    '<main>((panel))</main>',
+                    {},
+                    { basePath: './views', components: [[Panel, '<section><fw-slot-outlet></fw-slot-outlet></section>']] },
+                );
+
+                assert.strictEqual(container.querySelector('section h2').textContent, 'Title');
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+    });
+
+    describe('translations', () => {
+        it('defaults to the en locale and returns keys without catalogs', () => {
+            const reactor = createReactor('test-i18n-1', { morphFunction: mockMorph });
+            assert.strictEqual(reactor.locale, 'en');
+            assert.strictEqual(reactor.translate('welcome'), 'welcome');
+        });
+
+        it('translates with inline catalogs and the fallback locale', () => {
+            const reactor = createReactor('test-i18n-2', {
+                morphFunction: mockMorph,
+                locale: 'es',
+                fallbackLocale: 'en',
+                translations: {
+                    en: { welcome: 'Welcome', help: 'Help' },
+                    es: { welcome: 'Bienvenido, {name}' },
+                },
+            });
+            assert.strictEqual(reactor.translate('welcome', { name: 'Ada' }), 'Bienvenido, Ada');
+            assert.strictEqual(reactor.translate('help'), 'Help');
+        });
+
+        it('rejects an invalid locale', async () => {
+            const reactor = createReactor('test-i18n-3', { morphFunction: mockMorph });
+            await assert.rejects(reactor.setLocale(''), /not a valid locale tag/);
+        });
+
+        it('re-renders mounted components and broadcasts fw-locale-change on setLocale()', async () => {
+            const dom = new JSDOM('<!DOCTYPE html><div id="app"></div>');
+            global.document = dom.window.document;
+
+            class Inbox extends Component {
+                get $title() {
+                    return this.t('inbox');
+                }
+            }
+
+            const appName = 'test-i18n-4';
+            const templateStore = new TemplateStore();
+            templateStore.set('Inbox', {
+                version: 'test',
+                htmlCode: "<div><h1>(($title))</h1><p>((t('unread', { count: unread })))</p></div>",
+                cssCode: '',
+            });
+
+            // Plain content swap: the re-render does not need Idiomorph's DOM diffing
+            const replaceMorph = (container, content) => {
+                container.replaceChildren(content);
+            };
+            const renderer = new Renderer(replaceMorph, appName);
+            const registry = new InstanceRegistry(renderer, templateStore, appName);
+            registry.registerComponent('Inbox', Inbox);
+            const reactor = createReactor(appName, {
+                instanceRegistry: registry,
+                templateStore,
+                renderer,
+                translations: {
+                    en: { inbox: 'Inbox', unread: { one: '{count} unread message', other: '{count} unread messages' } },
+                    es: { inbox: 'Bandeja', unread: { one: '{count} mensaje sin leer', other: '{count} mensajes sin leer' } },
+                },
+            });
+            const changes = [];
+            reactor.on('fw-locale-change', (change) => {
+                changes.push(change);
+            });
+
+            const container = dom.window.document.getElementById('app');
+            await reactor.start(container, 'Inbox', 'main', { unread: 1 });
+            assert.ok(container.textContent.includes('Inbox'));
+            assert.ok(container.textContent.includes('1 unread message'));
+
+            await reactor.setLocale('es');
+
+            assert.strictEqual(reactor.locale, 'es');
+            assert.ok(container.textContent.includes('Bandeja'));
+            assert.ok(container.textContent.includes('1 mensaje sin leer'));
+            assert.deepStrictEqual(changes, [{ locale: 'es', previousLocale: 'en' }]);
+        });
+
+        it('fetches catalogs from translationsPath before rendering', async () => {
+            const originalFetch = globalThis.fetch;
+            const requested = [];
+            globalThis.fetch = async (url) => {
+                requested.push(url);
+                return { ok: true, status: 200, json: async () => ({ hello: 'Hallo' }) };
+            };
+            try {
+                const reactor = createReactor('test-i18n-5', {
+                    morphFunction: mockMorph,
+                    locale: 'de',
+                    translationsPath: './i18n',
+                });
+                await reactor.setLocale('de-AT');
+                assert.deepStrictEqual(requested, ['./i18n/de-AT.json', './i18n/de.json']);
+                assert.strictEqual(reactor.translate('hello'), 'Hallo');
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+
+        it('fetches the base language and fallback catalogs the lookups fall back to', async () => {
+            const originalFetch = globalThis.fetch;
+            const files = {
+                './i18n/es-AR.json': { inbox: 'Bandeja' },
+                './i18n/en.json': { inbox: 'Inbox', help: 'Help' },
+            };
+            globalThis.fetch = async (url) =>
+                files[url]
+                    ? { ok: true, status: 200, json: async () => files[url] }
+                    : { ok: false, status: 404 };
+            const strict = new StrictConsole();
+            strict.expectWarning(/could not load translations for "es"/);
+            activeStrictConsoles.push(strict);
+            try {
+                const reactor = createReactor('test-i18n-6', {
+                    morphFunction: mockMorph,
+                    locale: 'en',
+                    fallbackLocale: 'en',
+                    translationsPath: './i18n',
+                    console: strict,
+                });
+                await reactor.setLocale('es-AR');
+
+                assert.strictEqual(reactor.translate('inbox'), 'Bandeja');
+                assert.strictEqual(reactor.translate('help'), 'Help');
+            } finally {
+                globalThis.fetch = originalFetch;
+            }
+        });
+    });
+
+    describe('theming', () => {
+        const themes = {
+            light: { color: { bg: '#fff', text: '#222' } },
+            dark: { color: { bg: '#111', text: '#eee' }, shadow: 'none' },
+        };
+
+        it('writes the theme on the root container and broadcasts fw-theme-change', async () => {
+            const dom = new JSDOM('<!DOCTYPE html><div id="app"></div>');
+            global.document = dom.window.document;
+
+            class Chart extends Component {}
+
+            const appName = 'test-theme-1';
+            const templateStore = new TemplateStore();
+            templateStore.set('Chart', { version: 'test', htmlCode: '<div>chart</div>', cssCode: '' });
+            const renderer = new Renderer(mockMorph, appName);
+            const registry = new InstanceRegistry(renderer, templateStore, appName);
+            registry.registerComponent('Chart', Chart);
+            const reactor = createReactor(appName, {
+                instanceRegistry: registry,
+                templateStore,
+                renderer,
+                router: null,
+                themes,
+                theme: 'light',
+            });
+            const changes = [];
+            reactor.on('fw-theme-change', (change) => {
+                changes.push(change);
+            });
+
+            const container = dom.window.document.getElementById('app');
+            const chart = await reactor.start(container, 'Chart', 'main');
+            assert.strictEqual(container.style.getPropertyValue('--color-bg'), '#fff');
+            assert.strictEqual(container.dataset.fusewireTheme, 'light');
+            assert.strictEqual(chart.themeToken('color-text'), '#222');
+
+            reactor.setTheme('dark');
+            assert.strictEqual(reactor.theme, 'dark');
+            assert.strictEqual(container.style.getPropertyValue('--color-bg'), '#111');
+            assert.strictEqual(container.style.getPropertyValue('--shadow'), 'none');
+            assert.strictEqual(chart.themeToken('--color-text'), '#eee');
+            assert.deepStrictEqual(changes, [
+                {
+                    theme: 'dark',
+                    previousTheme: 'light',
+                    tokens: { '--color-bg': '#111', '--color-text': '#eee', '--shadow': 'none' },
+                },
+            ]);
+
+            reactor.setTheme({ '--color-bg': 'papayawhip' });
+            assert.strictEqual(reactor.theme, null);
+            assert.strictEqual(container.style.getPropertyValue('--color-bg'), 'papayawhip');
+            assert.strictEqual(container.style.getPropertyValue('--shadow'), '');
+            assert.strictEqual(container.dataset.fusewireTheme, undefined);
+
+            reactor.setTheme({ '--color-bg': 'papayawhip' });
+            assert.strictEqual(changes.length, 2);
+        });
+
+        it('rejects unknown themes and invalid tokens', () => {
+            const reactor = createReactor('test-theme-2', { morphFunction: mockMorph, router: null });
+            assert.throws(() => reactor.setTheme('dark'), /theme "dark" is not registered/);
+            assert.throws(() => reactor.setTheme('system'), /needs "light" and "dark" themes/);
+            assert.throws(() => reactor.registerTheme('system', {}), /theme name "system" is not valid/);
+            assert.throws(() => reactor.setTheme({ 'not valid': 'red' }), /not a valid custom property name/);
+        });
+
+        it('follows prefers-color-scheme with the system theme', () => {
+            const originalMatchMedia = globalThis.matchMedia;
+            const query = { matches: true, listeners: [] };
+            query.addEventListener = (type, listener) => query.listeners.push(listener);
+            query.removeEventListener = (type, listener) => {
+                query.listeners = query.listeners.filter((l) => l !== listener);
+            };
+            globalThis.matchMedia = () => query;
+            try {
+                const reactor = createReactor('test-theme-3', { morphFunction: mockMorph, router: null, themes });
+                reactor.setTheme('system');
+                assert.strictEqual(reactor.theme, 'dark');
+
+                query.listeners[0]({ matches: false });
+                assert.strictEqual(reactor.theme, 'light');
+                assert.strictEqual(reactor.themeTokens['--color-bg'], '#fff');
+
+                reactor.setTheme('dark');
+                assert.strictEqual(query.listeners.length, 0);
+            } finally {
+                globalThis.matchMedia = originalMatchMedia;
+            }
+        });
+    });
+
     describe('on()', () => {
         it('registers a handler that broadcast() calls', () => {
             const calls = [];
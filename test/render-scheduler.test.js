@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RenderScheduler, resolveRenderMode } from '../src/render-scheduler.js';
+
+describe('resolveRenderMode()', () => {
+    it('accepts the render modes and the legacy CSR name', () => {
+        assert.strictEqual(resolveRenderMode('SYNC'), 'SYNC');
+        assert.strictEqual(resolveRenderMode('FRAME'), 'FRAME');
+        assert.strictEqual(resolveRenderMode('IDLE'), 'IDLE');
+        assert.strictEqual(resolveRenderMode('CSR'), 'SYNC');
+    });
+
+    it('rejects unknown modes', () => {
+        assert.throws(() => resolveRenderMode('SSR'), /Unsupported render mode "SSR"/);
+        assert.throws(() => resolveRenderMode('toString'), /Unsupported render mode/);
+    });
+});
+
+describe('RenderScheduler', () => {
+    it('runs SYNC callbacks in a microtask', async () => {
+        const calls = [];
+        new RenderScheduler().schedule('SYNC', () => calls.push('SYNC'));
+        assert.deepStrictEqual(calls, []);
+        await Promise.resolve();
+        assert.deepStrictEqual(calls, ['SYNC']);
+    });
+
+    it('uses requestAnimationFrame and requestIdleCallback when available', () => {
+        const originalFrame = globalThis.requestAnimationFrame;
+        const originalIdle = globalThis.requestIdleCallback;
+        const requested = [];
+        globalThis.requestAnimationFrame = (callback) => requested.push(['frame', callback]);
+        globalThis.requestIdleCallback = (callback, options) => requested.push(['idle', callback, options]);
+        try {
+            const calls = [];
+            const scheduler = new RenderScheduler({ idleTimeout: 200 });
+            scheduler.schedule('FRAME', () => calls.push('FRAME'));
+            scheduler.schedule('IDLE', () => calls.push('IDLE'));
+
+            assert.deepStrictEqual(requested.map(([type]) => type), ['frame', 'idle']);
+            assert.deepStrictEqual(requested[1][2], { timeout: 200 });
+            for (const [, callback] of requested) callback(0);
+            assert.deepStrictEqual(calls, ['FRAME', 'IDLE']);
+        } finally {
+            globalThis.requestAnimationFrame = originalFrame;
+            globalThis.requestIdleCallback = originalIdle;
+        }
+    });
+
+    it('falls back to timers without the browser APIs', async () => {
+        const calls = [];
+        const scheduler = new RenderScheduler();
+        scheduler.schedule('FRAME', () => calls.push('FRAME'));
+        scheduler.schedule('IDLE', () => calls.push('IDLE'));
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.deepStrictEqual(calls, ['IDLE', 'FRAME']);
+    });
+});
@@ -2,6 +2,8 @@ import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { JSDOM } from 'jsdom';
 import { Renderer } from '../src/renderer.js';
+import { parseHtml } from '../src/trusted-types.js';
+import { compileTemplate } from '../src/template-compiler.js';
 import { createComponentId, componentIdFromCode, componentIdsEqual } from '../src/component-id.js';
 import { Idiomorph } from 'idiomorph';
 
@@ -20,7 +22,7 @@ describe('Renderer', () => {
 
         // Set up global DOM objects for idiomorph
         // Copy all relevant constructors from JSDOM window to global
-        Object.keys(window).forEach((key) => {
+        Object.getOwnPropertyNames(window).forEach((key) => {
             const value = window[key];
             if (typeof value === 'function' && (
                 key.startsWith('HTML') ||
@@ -236,6 +238,112 @@ describe('Renderer', () => {
         });
     });
 
+    describe('fw-model fields', () => {
+        const componentId = createComponentId('Form', '1');
+
+        it('shows the bound vars after render', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const compiledTemplate = {
+                render: () =>
+                    '<input fw-model="user.name"><input type="checkbox" fw-model="agreed">' +
+                    '<input type="radio" value="a" fw-model="plan"><input type="radio" value="b" fw-model="plan">' +
+                    '<select multiple fw-model="tags"><option>x</option><option>y</option></select>' +
+                    '<textarea fw-model="user.bio"></textarea>',
+                css: '',
+            };
+
+            renderer.render(container, compiledTemplate, {
+                user: { name: 'Ada', bio: null },
+                agreed: true,
+                plan: 'b',
+                tags: ['y'],
+            }, componentId);
+
+            const [name, agreed, planA, planB] = container.querySelectorAll('input');
+            assert.strictEqual(name.value, 'Ada');
+            assert.strictEqual(agreed.checked, true);
+            assert.deepStrictEqual([planA.checked, planB.checked], [false, true]);
+            assert.deepStrictEqual(
+                Array.from(container.querySelector('select').options, (o) => o.selected),
+                [false, true],
+            );
+            assert.strictEqual(container.querySelector('textarea').value, '');
+        });
+
+        it('leaves fields inside child mount points to the child', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const compiledTemplate = {
+                render: () =>
+                    '<input fw-model="name"><fw-mount data-fusewire-id="Child#1"><input fw-model="name"></fw-mount>',
+                css: '',
+            };
+
+            renderer.render(container, compiledTemplate, { name: 'parent' }, componentId);
+
+            const [own, child] = container.querySelectorAll('input');
+            assert.strictEqual(own.value, 'parent');
+            assert.strictEqual(child.value, '');
+        });
+
+        it('keeps the value and caret of the focused field on re-render', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const compiledTemplate = {
+                render: (vars) => `<form><input fw-model="name"><p>${vars.name}</p></form>`,
+                css: '',
+            };
+            renderer.render(container, compiledTemplate, { name: 'Ada' }, componentId);
+            const input = container.querySelector('input');
+            input.focus();
+            input.value = 'Ada L';
+            input.setSelectionRange(2, 2);
+
+            renderer.render(container, compiledTemplate, { name: 'Ada L' }, componentId);
+
+            assert.strictEqual(container.querySelector('input'), input);
+            assert.strictEqual(input.value, 'Ada L');
+            assert.strictEqual(input.selectionStart, 2);
+            assert.strictEqual(container.querySelector('p').textContent, 'Ada L');
+        });
+
+        it('keeps the typed text of a number field that parses to the bound number', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const compiledTemplate = {
+                render: () => '<input type="number" fw-model="price">',
+                css: '',
+            };
+            renderer.render(container, compiledTemplate, { price: 1 }, componentId);
+            const input = container.querySelector('input');
+            input.focus();
+            input.value = '1.0';
+
+            renderer.render(container, compiledTemplate, { price: 1 }, componentId);
+            assert.strictEqual(input.value, '1.0');
+
+            renderer.render(container, compiledTemplate, { price: 2 }, componentId);
+            assert.strictEqual(input.value, '2');
+        });
+    });
+
+    describe('fw-attr and fw-class', () => {
+        it('adds and removes bound attributes and classes on re-render', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const compiledTemplate = compileTemplate(
+                '<button fw-attr:disabled="isBusy" fw-class:busy="isBusy" class="btn">Save</button>',
+            );
+            const componentId = createComponentId('Save', '1');
+
+            renderer.render(container, compiledTemplate, { isBusy: true }, componentId);
+            const button = container.querySelector('button');
+            assert.strictEqual(button.disabled, true);
+            assert.strictEqual(button.className, 'btn busy');
+
+            renderer.render(container, compiledTemplate, { isBusy: false }, componentId);
+            assert.strictEqual(container.querySelector('button'), button);
+            assert.strictEqual(button.hasAttribute('disabled'), false);
+            assert.strictEqual(button.className, 'btn');
+        });
+    });
+
     describe('_scopeCSS()', () => {
         it('wraps CSS in nested appName and component class rules (fallback for JSDOM)', () => {
             const renderer = new Renderer(Idiomorph.morph, appName);
@@ -255,6 +363,25 @@ describe('Renderer', () => {
             assert.ok(scoped.includes(`.${appName} .Counter .c{ font-size: 1rem; }`));
         });
 
+        it('gives each component its own keyframe names', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const css = '.a { animation: fade 1s; } @keyframes fade { to { opacity: 0; } }';
+
+            const counter = renderer._scopeCSS(css, 'Counter');
+            const badge = renderer._scopeCSS(css, 'Badge');
+
+            assert.ok(counter.includes(`animation: ${appName}__Counter__fade 1s;`));
+            assert.ok(counter.includes(`@keyframes ${appName}__Counter__fade {`));
+            assert.ok(badge.includes(`@keyframes ${appName}__Badge__fade {`));
+        });
+
+        it('scopes rules inside @media blocks (fallback for JSDOM)', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const scoped = renderer._scopeCSS('@media print { .a { display: none; } }', 'Counter');
+
+            assert.strictEqual(scoped, `@media print { .${appName} .Counter .a{ display: none; } }`);
+        });
+
         it('returns empty string for empty CSS', () => {
             const renderer = new Renderer(Idiomorph.morph, appName);
             assert.strictEqual(renderer._scopeCSS('', 'Counter'), '');
@@ -262,13 +389,88 @@ describe('Renderer', () => {
         });
     });
 
+    describe('Keyed fw-each', () => {
+        it('moves keyed rows instead of rewriting them when the list is reordered', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const compiled = compileTemplate(
+                '<ul><li fw-each="row in rows" fw-key="row.id"><input value="((row.name))"></li></ul>',
+            );
+            const componentId = createComponentId('Table', 'main');
+            const rows = [
+                { id: 1, name: 'Ada' },
+                { id: 2, name: 'Grace' },
+                { id: 3, name: 'Linus' },
+            ];
+
+            renderer.render(container, compiled, { rows }, componentId);
+            const [ada, grace, linus] = container.querySelectorAll('li');
+            assert.strictEqual(grace.id, 'Table#main:row-0:2');
+            assert.strictEqual(grace.dataset.fusewireKey, '2');
+
+            renderer.render(container, compiled, { rows: [rows[2], rows[0], rows[1]] }, componentId);
+            const reordered = Array.from(container.querySelectorAll('li'));
+            assert.strictEqual(reordered[0], linus);
+            assert.strictEqual(reordered[1], ada);
+            assert.strictEqual(reordered[2], grace);
+            assert.strictEqual(linus.querySelector('input').value, 'Linus');
+        });
+    });
+
+    describe('Transitions (fw-transition)', () => {
+        const template = compileTemplate(
+            '<div><p fw-if="open" fw-transition="fade">Panel</p><span>((label))</span></div>',
+        );
+        const componentId = createComponentId('Drawer', 'main');
+
+        it('plays the enter transition of an element the morph adds', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            renderer.render(container, template, { open: false, label: 'a' }, componentId);
+
+            renderer.render(container, template, { open: true, label: 'a' }, componentId);
+
+            const panel = container.querySelector('p');
+            assert.ok(panel.classList.contains('fade-enter-from'));
+            assert.ok(panel.classList.contains('fade-enter-active'));
+        });
+
+        it('keeps a removed element in place until its leave transition ends', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            renderer.render(container, template, { open: true, label: 'a' }, componentId);
+            const panel = container.querySelector('p');
+
+            renderer.render(container, template, { open: false, label: 'a' }, componentId);
+            assert.strictEqual(container.querySelector('p'), panel);
+            assert.ok(panel.hasAttribute('data-fusewire-leaving'));
+            assert.ok(panel.classList.contains('fade-leave-active'));
+
+            // A render during the transition neither matches nor removes it
+            renderer.render(container, template, { open: false, label: 'b' }, componentId);
+            assert.strictEqual(container.firstElementChild.firstElementChild, panel);
+            assert.strictEqual(container.querySelector('span').textContent, 'b');
+
+            renderer._leaving.get(panel).finish();
+            assert.strictEqual(panel.parentNode, null);
+            assert.strictEqual(renderer._leaving.size, 0);
+        });
+
+        it('removes an element without fw-transition at once', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const plain = compileTemplate('<div><p fw-if="open">Panel</p></div>');
+            renderer.render(container, plain, { open: true }, componentId);
+
+            renderer.render(container, plain, { open: false }, componentId);
+
+            assert.strictEqual(container.querySelector('p'), null);
+        });
+    });
+
     describe('Morph exclusion', () => {
         it('passes beforeNodeMorphed callback to morph function on re-render', () => {
             let capturedOptions;
-            const mockMorph = (target, html, options) => {
+            const mockMorph = (target, content, options) => {
                 capturedOptions = options;
-                // Simulate morph by setting innerHTML (simplified)
-                target.innerHTML = html;
+                // Simulate morph by swapping in the parsed content (simplified)
+                target.replaceChildren(content);
             };
             const renderer = new Renderer(mockMorph, appName);
             const compiledTemplate = {
@@ -290,9 +492,9 @@ describe('Renderer', () => {
 
         it('beforeNodeMorphed returns false for data-fusewire-id elements', () => {
             let capturedCallback;
-            const mockMorph = (target, html, options) => {
+            const mockMorph = (target, content, options) => {
                 capturedCallback = options.callbacks.beforeNodeMorphed;
-                target.innerHTML = html;
+                target.replaceChildren(content);
             };
             const renderer = new Renderer(mockMorph, appName);
             const compiledTemplate = {
@@ -317,9 +519,9 @@ describe('Renderer', () => {
 
         it('beforeNodeMorphed returns false for data-fusewire-each elements', () => {
             let capturedCallback;
-            const mockMorph = (target, html, options) => {
+            const mockMorph = (target, content, options) => {
                 capturedCallback = options.callbacks.beforeNodeMorphed;
-                target.innerHTML = html;
+                target.replaceChildren(content);
             };
             const renderer = new Renderer(mockMorph, appName);
             const compiledTemplate = {
@@ -339,9 +541,9 @@ describe('Renderer', () => {
 
         it('beforeNodeMorphed returns false for fw-ignore elements', () => {
             let capturedCallback;
-            const mockMorph = (target, html, options) => {
+            const mockMorph = (target, content, options) => {
                 capturedCallback = options.callbacks.beforeNodeMorphed;
-                target.innerHTML = html;
+                target.replaceChildren(content);
             };
             const renderer = new Renderer(mockMorph, appName);
             const compiledTemplate = {
@@ -361,9 +563,9 @@ describe('Renderer', () => {
 
         it('beforeNodeMorphed ignores non-element nodes', () => {
             let capturedCallback;
-            const mockMorph = (target, html, options) => {
+            const mockMorph = (target, content, options) => {
                 capturedCallback = options.callbacks.beforeNodeMorphed;
-                target.innerHTML = html;
+                target.replaceChildren(content);
             };
             const renderer = new Renderer(mockMorph, appName);
             const compiledTemplate = {
@@ -381,6 +583,162 @@ describe('Renderer', () => {
         });
     });
 
+    describe('Trusted Types', () => {
+        /**
+         * Stub of the browser's trustedTypes factory, recording the policy
+         * names it creates and the HTML its policies convert.
+         * @returns {{createPolicy: Function, created: Array<string>, converted: Array<string>}} Stub factory
+         */
+        function stubTrustedTypes() {
+            const created = [];
+            const converted = [];
+            return {
+                created,
+                converted,
+                createPolicy(name, rules) {
+                    created.push(name);
+                    return {
+                        createHTML(html) {
+                            converted.push(html);
+                            const trusted = rules.createHTML(html);
+                            return { toString: () => trusted };
+                        },
+                    };
+                },
+            };
+        }
+
+        it('converts first renders and morphed content through the named policy', () => {
+            const trustedTypes = stubTrustedTypes();
+            let morphed = null;
+            const morph = (target, content) => {
+                morphed = content;
+                target.replaceChildren(content);
+            };
+            const renderer = new Renderer(morph, appName, { trustedTypesPolicy: 'my-app', trustedTypes });
+            const compiledTemplate = compileTemplate('<p>((msg))</p>');
+            const componentId = createComponentId('Test', '1');
+
+            renderer.render(container, compiledTemplate, { msg: 'one' }, componentId);
+            renderer.render(container, compiledTemplate, { msg: 'two' }, componentId);
+
+            assert.deepStrictEqual(trustedTypes.created, ['my-app']);
+            assert.deepStrictEqual(trustedTypes.converted, ['<p>one</p>', '<p>two</p>']);
+            assert.strictEqual(morphed.nodeType, 11);
+            assert.strictEqual(container.innerHTML, '<p>two</p>');
+        });
+
+        it('passes HTML through when the Trusted Types API is missing', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName, { trustedTypes: null });
+            assert.strictEqual(renderer.htmlPolicy.createHTML('<p>x</p>'), '<p>x</p>');
+        });
+    });
+
+    describe('Style injection', () => {
+        const compiledTemplate = { render: () => '<p>x</p>', css: '.title { color: red; }' };
+
+        it('sets the CSP nonce on injected style elements', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName, { cssNonce: 'abc123' });
+            renderer.render(container, compiledTemplate, {}, createComponentId('Card', '1'));
+
+            const styles = Array.from(document.head.querySelectorAll('style'));
+            assert.deepStrictEqual(
+                styles.map((style) => [style.id, style.nonce]),
+                [
+                    ['fusewire-mount-point-css', 'abc123'],
+                    [`fusewire-style-${appName}-Card`, 'abc123'],
+                ],
+            );
+        });
+
+        it('replaces the style element when the template version changes', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            renderer.render(container, compiledTemplate, {}, createComponentId('Card', '1', 'v1'));
+            const updated = { render: () => '<p>x</p>', css: '.title { color: blue; }' };
+            renderer.render(container, updated, {}, createComponentId('Card', '1', 'v2'));
+
+            const styles = document.head.querySelectorAll(`#fusewire-style-${appName}-Card`);
+            assert.strictEqual(styles.length, 1);
+            assert.strictEqual(styles[0].getAttribute('data-fusewire-version'), 'v2');
+            assert.match(styles[0].textContent, /color: blue/);
+        });
+
+        it('removes the CSS with the last instance unless keepStyles is set', () => {
+            const styleId = `#fusewire-style-${appName}-Card`;
+            for (const keepStyles of [false, true]) {
+                const renderer = new Renderer(Idiomorph.morph, appName, { keepStyles });
+                renderer.retainCSS('Card');
+                renderer.retainCSS('Card');
+                renderer.render(container, compiledTemplate, {}, createComponentId('Card', '1', 'v1'));
+
+                renderer.releaseCSS('Card');
+                assert.ok(document.querySelector(styleId));
+                renderer.releaseCSS('Card');
+                assert.strictEqual(Boolean(document.querySelector(styleId)), keepStyles);
+            }
+        });
+
+        it('injects invalidated CSS again on the next render', () => {
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const componentId = createComponentId('Card', '1', 'v1');
+            renderer.render(container, compiledTemplate, {}, componentId);
+            const first = document.querySelector(`#fusewire-style-${appName}-Card`);
+
+            renderer.render(container, compiledTemplate, {}, componentId);
+            assert.strictEqual(document.querySelector(`#fusewire-style-${appName}-Card`), first);
+
+            renderer.invalidateCSS('Card');
+            renderer.render(container, compiledTemplate, {}, componentId);
+            const second = document.querySelector(`#fusewire-style-${appName}-Card`);
+            assert.notStrictEqual(second, first);
+            assert.strictEqual(first.isConnected, false);
+        });
+
+        it('adopts one stylesheet per component and replaces it when the version changes', () => {
+            global.CSSStyleSheet = dom.window.CSSStyleSheet;
+            document.adoptedStyleSheets = [];
+            const renderer = new Renderer(Idiomorph.morph, appName, { adoptedStyleSheets: true });
+
+            renderer.render(container, compiledTemplate, {}, createComponentId('Card', '1', 'v1'));
+            renderer.render(container, compiledTemplate, {}, createComponentId('Card', '2', 'v1'));
+            assert.strictEqual(document.head.querySelectorAll('style').length, 0);
+            assert.strictEqual(document.adoptedStyleSheets.length, 2); // mount points + Card
+            const sheet = document.adoptedStyleSheets[1];
+            assert.match(sheet.cssRules[0].cssText, /\.Card \.title/);
+
+            const updated = { render: () => '<p>x</p>', css: '.title { color: blue; }' };
+            renderer.render(container, updated, {}, createComponentId('Card', '1', 'v2'));
+            assert.strictEqual(document.adoptedStyleSheets.length, 2);
+            assert.strictEqual(document.adoptedStyleSheets[1], sheet);
+            assert.match(sheet.cssRules[0].cssText, /color: blue/);
+        });
+
+        it('adopts shadow component CSS unscoped and nested component CSS by component class', () => {
+            global.CSSStyleSheet = dom.window.CSSStyleSheet;
+            Object.defineProperty(dom.window.ShadowRoot.prototype, 'adoptedStyleSheets', {
+                value: [],
+                writable: true,
+            });
+            const renderer = new Renderer(Idiomorph.morph, appName);
+            const root = container.attachShadow({ mode: 'open' });
+            const panel = {
+                render: () => '<div data-fusewire-id="Badge#1" data-fusewire-parent-id="Panel#1"></div>',
+                css: '.title { color: red; }',
+            };
+
+            const [mountPoint] = renderer.render(root, panel, {}, createComponentId('Panel', '1', 'v1'));
+            renderer.render(mountPoint, compiledTemplate, {}, createComponentId('Badge', '1', 'v1'));
+
+            const rules = root.adoptedStyleSheets.map((sheet) => sheet.cssRules[0].cssText);
+            assert.deepStrictEqual(rules, [
+                'fw-mount, fw-each, fw-slot-outlet { display: contents; }',
+                '.title { color: red; }',
+                '.Badge .title { color: red; }',
+            ]);
+            assert.strictEqual(document.head.querySelectorAll('style[id^="fusewire-style-"]').length, 0);
+        });
+    });
+
     describe('_extractContainerState()', () => {
         it('extracts mount point IDs from reconciliation containers', () => {
             const renderer = new Renderer(Idiomorph.morph, appName);
@@ -389,7 +747,7 @@ describe('Renderer', () => {
                 <div data-fusewire-id="LogLine#1" data-fusewire-parent-id="Console#main"></div>
             </div>`;
 
-            const state = renderer._extractContainerState(html);
+            const state = renderer._extractContainerState(parseHtml(html, renderer.htmlPolicy));
 
             assert.strictEqual(state.size, 1);
             const logs = state.get('logs');
@@ -404,7 +762,7 @@ describe('Renderer', () => {
             const renderer = new Renderer(Idiomorph.morph, appName);
             const html = '<div>No containers</div>';
 
-            const state = renderer._extractContainerState(html);
+            const state = renderer._extractContainerState(parseHtml(html, renderer.htmlPolicy));
             assert.strictEqual(state.size, 0);
         });
 
@@ -412,7 +770,7 @@ describe('Renderer', () => {
             const renderer = new Renderer(Idiomorph.morph, appName);
             const html = '<div data-fusewire-each="items"></div>';
 
-            const state = renderer._extractContainerState(html);
+            const state = renderer._extractContainerState(parseHtml(html, renderer.htmlPolicy));
             assert.strictEqual(state.size, 1);
             assert.strictEqual(state.get('items').length, 0);
         });
@@ -428,7 +786,7 @@ describe('Renderer', () => {
                     <div data-fusewire-id="Widget#b" data-fusewire-parent-id="P#m"></div>
                 </div>`;
 
-            const state = renderer._extractContainerState(html);
+            const state = renderer._extractContainerState(parseHtml(html, renderer.htmlPolicy));
             assert.strictEqual(state.size, 2);
             assert.strictEqual(state.get('items').length, 1);
             assert.strictEqual(state.get('widgets').length, 2);
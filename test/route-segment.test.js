@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { RouteSegment, RouteEncoder, MinimalRouteEncoder } from '../src/route-segment.js';
+import { RouteSegment, RouteEncoder, MinimalRouteEncoder, RouteTranslations } from '../src/route-segment.js';
 
 describe('RouteSegment', () => {
     describe('constructor', () => {
@@ -269,6 +269,80 @@ describe('RouteSegment', () => {
             const parsed = RouteSegment.tokenize('/' + serialized, strict);
             assert.strictEqual(parsed[0].get('q'), 'hello world; a=b');
         });
+
+        it('maps localized keys and properties back to canonical names', () => {
+            const translations = new RouteTranslations({
+                es: { table: { key: 'tabla', props: { page: 'pagina' } }, search: 'buscar' },
+            });
+            const segs = RouteSegment.tokenize(
+                '/tabla:pagina=2;order=name/buscar/other:x=1',
+                undefined,
+                translations,
+                'es',
+            );
+            assert.deepStrictEqual(segs.map((s) => s.key), ['table', 'search', 'other']);
+            assert.strictEqual(segs[0].get('page'), '2');
+            assert.strictEqual(segs[0].get('order'), 'name');
+            assert.strictEqual(segs[0].has('pagina'), false);
+            assert.strictEqual(segs[2].get('x'), '1');
+        });
+    });
+});
+
+describe('RouteTranslations', () => {
+    const table = {
+        es: { table: { key: 'tabla', props: { page: 'pagina' } }, search: 'buscar' },
+        fr: { table: { props: { page: 'page-fr' } }, search: 'chercher' },
+    };
+
+    it('localizes keys and properties for a locale', () => {
+        const translations = new RouteTranslations(table);
+        assert.strictEqual(translations.localizeKey('es', 'table'), 'tabla');
+        assert.strictEqual(translations.localizeProp('es', 'table', 'page'), 'pagina');
+        assert.strictEqual(translations.localizeKey('es', 'search'), 'buscar');
+    });
+
+    it('keeps canonical names when a key is only partially translated', () => {
+        const translations = new RouteTranslations(table);
+        assert.strictEqual(translations.localizeKey('fr', 'table'), 'table');
+        assert.strictEqual(translations.localizeProp('fr', 'table', 'page'), 'page-fr');
+        assert.strictEqual(translations.localizeProp('es', 'table', 'order'), 'order');
+    });
+
+    it('passes names through for unknown or missing locales', () => {
+        const translations = new RouteTranslations(table);
+        assert.strictEqual(translations.localizeKey('de', 'table'), 'table');
+        assert.strictEqual(translations.localizeKey(null, 'table'), 'table');
+        assert.strictEqual(translations.canonicalKey('unknown', 'es'), 'unknown');
+    });
+
+    it('resolves localized names from any locale', () => {
+        const translations = new RouteTranslations(table);
+        assert.strictEqual(translations.canonicalKey('tabla', 'fr'), 'table');
+        assert.strictEqual(translations.canonicalKey('chercher', 'es'), 'search');
+        assert.strictEqual(translations.canonicalProp('table', 'pagina', 'fr'), 'page');
+    });
+
+    it('prefers the active locale when locales share a localized string', () => {
+        const translations = new RouteTranslations({
+            es: { grid: 'lista' },
+            it: { list: 'lista' },
+        });
+        assert.strictEqual(translations.canonicalKey('lista', 'es'), 'grid');
+        assert.strictEqual(translations.canonicalKey('lista', 'it'), 'list');
+    });
+
+    it('falls back from a regional locale to its base language', () => {
+        const translations = new RouteTranslations({
+            ...table,
+            'es-AR': { search: 'busqueda' },
+            it: { grid: 'tabla' },
+        });
+        assert.strictEqual(translations.localizeKey('es-AR', 'table'), 'tabla');
+        assert.strictEqual(translations.localizeProp('es-AR', 'table', 'page'), 'pagina');
+        assert.strictEqual(translations.localizeKey('es-AR', 'search'), 'busqueda');
+        assert.strictEqual(translations.localizeKey('fr-CA', 'search'), 'chercher');
+        assert.strictEqual(translations.canonicalKey('tabla', 'es-AR'), 'table');
     });
 });
 
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { sanitizeHtml } from '../src/sanitizer.js';
+
+describe('sanitizeHtml()', () => {
+    before(() => {
+        global.document = new JSDOM('<!DOCTYPE html>').window.document;
+    });
+
+    after(() => {
+        delete global.document;
+    });
+
+    it('keeps formatted text', () => {
+        const html =
+            '<h2 class="title">Notes</h2><p>Some <strong>bold</strong> and <a href="/docs#x">a link</a>.</p>' +
+            '<ol start="3"><li>One</li></ol><pre><code class="language-js">a &lt; b</code></pre>';
+
+        assert.strictEqual(sanitizeHtml(html), html);
+    });
+
+    it('drops scripts, styles and embedded documents with their content', () => {
+        assert.strictEqual(
+            sanitizeHtml('<p>a</p><script>alert(1)</script><style>p{}</style><iframe src="x"></iframe><!-- c --><p>b</p>'),
+            '<p>a</p><p>b</p>',
+        );
+    });
+
+    it('unwraps unknown elements and keeps their text', () => {
+        assert.strictEqual(
+            sanitizeHtml('<fw-mount data-fusewire-id="Evil#1"><custom-tag>text</custom-tag></fw-mount>'),
+            'text',
+        );
+    });
+
+    it('removes attributes outside the allowlist', () => {
+        assert.strictEqual(
+            sanitizeHtml('<div id="app" style="color:red" onclick="x()" fw-on:click="remove" data-fusewire-id="A#1" title="t">x</div>'),
+            '<div title="t">x</div>',
+        );
+    });
+
+    it('removes URLs with unsafe protocols', () => {
+        assert.strictEqual(
+            sanitizeHtml('<a href="java\tscript:alert(1)">a</a><img src="data:image/svg+xml,x" alt="i"><a href="mailto:me@example.com">m</a>'),
+            '<a>a</a><img alt="i"><a href="mailto:me@example.com">m</a>',
+        );
+    });
+
+    it('adds rel="noopener noreferrer" to links with a target', () => {
+        assert.strictEqual(
+            sanitizeHtml('<a href="https://example.com" target="_blank" rel="opener">x</a>'),
+            '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>',
+        );
+    });
+
+    it('escapes the input without a DOM', () => {
+        delete global.document;
+        try {
+            assert.strictEqual(sanitizeHtml('<b>a & b</b>'), '&lt;b&gt;a &amp; b&lt;/b&gt;');
+        } finally {
+            global.document = new JSDOM('<!DOCTYPE html>').window.document;
+        }
+    });
+});
@@ -1,9 +1,11 @@
-import { describe, it } from 'node:test';
+import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
 import { JSDOM } from 'jsdom';
 import { createComponentId, componentIdFromCode, componentIdsEqual } from '../src/component-id.js';
 import { compileTemplate } from '../src/template-compiler.js';
+import fusewireExpr from '../src/parser/fusewire-expr.js';
 import { Child } from '../src/component.js';
+import { TemplateSyntaxError } from '../src/errors/error-hierarchy.js';
 
 // Set up JSDOM global document
 const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
@@ -189,6 +191,289 @@ describe('Template Compiler', () => {
         });
     });
 
+    describe('Conditional Branches (fw-else-if, fw-else)', () => {
+        const componentId = createComponentId('Test', 'main');
+        const template = compileTemplate(
+            '<div><p fw-if="status == \'ready\'">Ready</p>\n' +
+                '<p class="busy" fw-else-if="status == \'busy\'">Busy</p>\n' +
+                '<span fw-else>Unknown: ((status))</span></div>',
+        );
+
+        it('renders the fw-if branch when its condition holds', () => {
+            assert.strictEqual(
+                template.render({ status: 'ready' }, componentId),
+                '<div><p>Ready</p></div>',
+            );
+        });
+
+        it('renders the first fw-else-if branch whose condition holds', () => {
+            assert.strictEqual(
+                template.render({ status: 'busy' }, componentId),
+                '<div><p class="busy">Busy</p></div>',
+            );
+        });
+
+        it('renders the fw-else branch when no condition holds', () => {
+            assert.strictEqual(
+                template.render({ status: 'gone' }, componentId),
+                '<div><span>Unknown: gone</span></div>',
+            );
+        });
+
+        it('renders nothing when no branch matches and there is no fw-else', () => {
+            const noElse = compileTemplate('<div><b fw-if="a">A</b><i fw-else-if="b">B</i></div>');
+            assert.strictEqual(noElse.render({}, componentId), '<div></div>');
+        });
+
+        it('does not evaluate later branches once one matches', () => {
+            const warn = mock.method(console, 'warn', () => {});
+            try {
+                const chain = compileTemplate('<b fw-if="a">A</b><i fw-else-if="b ===">B</i>');
+                assert.strictEqual(chain.render({ a: true }, componentId), '<b>A</b>');
+                assert.strictEqual(warn.mock.callCount(), 0);
+            } finally {
+                warn.mock.restore();
+            }
+        });
+
+        it('only chains directly adjacent siblings', () => {
+            const warn = mock.method(console, 'warn', () => {});
+            try {
+                const split = compileTemplate('<b fw-if="a">A</b><hr><i fw-else>B</i>');
+                assert.strictEqual(split.render({ a: true }, componentId), '<b>A</b><hr><i>B</i>');
+                assert.match(warn.mock.calls[0].arguments[0], /Orphan fw-else on <i>/);
+            } finally {
+                warn.mock.restore();
+            }
+        });
+
+        it('resolves chains inside fw-each items and nested chains', () => {
+            const nested = compileTemplate(
+                '<ul><li fw-each="n in nums">' +
+                    '<b fw-if="n == 1">one</b><b fw-else-if="n == 2">two</b>' +
+                    '<span fw-else><i fw-if="$last">last</i><i fw-else>many</i></span>' +
+                    '</li></ul>',
+            );
+            assert.strictEqual(
+                nested.render({ nums: [1, 2, 3, 4] }, componentId),
+                '<ul><li><b>one</b></li><li><b>two</b></li>' +
+                    '<li><span><i>many</i></span></li><li><span><i>last</i></span></li></ul>',
+            );
+        });
+    });
+
+    describe('Operators and Literals', () => {
+        const componentId = createComponentId('Test', 'main');
+
+        it('evaluates comparisons in fw-if', () => {
+            const template = compileTemplate(
+                '<div><span fw-if="count > 0">Positive</span><span fw-if="count <= 0">None</span></div>',
+            );
+
+            assert.ok(template.render({ count: 3 }, componentId).includes('Positive'));
+            assert.ok(!template.render({ count: 3 }, componentId).includes('None'));
+            assert.ok(template.render({ count: 0 }, componentId).includes('None'));
+        });
+
+        it('evaluates && and || with negation', () => {
+            const template = compileTemplate(
+                '<div><span fw-if="isAdmin && !locked">Edit</span></div>',
+            );
+
+            assert.ok(template.render({ isAdmin: true, locked: false }, componentId).includes('Edit'));
+            assert.ok(!template.render({ isAdmin: true, locked: true }, componentId).includes('Edit'));
+            assert.ok(!template.render({ isAdmin: false, locked: false }, componentId).includes('Edit'));
+        });
+
+        it('compares against string literals in either quote style', () => {
+            const template = compileTemplate(
+                `<div><span fw-if="status == 'ready'">A</span><span fw-if='status != "ready"'>B</span></div>`,
+            );
+
+            const ready = template.render({ status: 'ready' }, componentId);
+            assert.ok(ready.includes('A'));
+            assert.ok(!ready.includes('B'));
+            assert.ok(template.render({ status: 'busy' }, componentId).includes('B'));
+        });
+
+        it('uses strict equality without type coercion', () => {
+            const template = compileTemplate('<div><span fw-if="page == 2">Second</span></div>');
+
+            assert.ok(template.render({ page: 2 }, componentId).includes('Second'));
+            assert.ok(!template.render({ page: '2' }, componentId).includes('Second'));
+        });
+
+        it('treats null and undefined as equal', () => {
+            const template = compileTemplate('<div><span fw-if="user == null">Guest</span></div>');
+
+            assert.ok(template.render({}, componentId).includes('Guest'));
+            assert.ok(template.render({ user: null }, componentId).includes('Guest'));
+            assert.ok(!template.render({ user: { name: 'A' } }, componentId).includes('Guest'));
+        });
+
+        it('returns the deciding operand from || in interpolations', () => {
+            const template = compileTemplate("<div>((nickname || name || 'Anonymous'))</div>");
+
+            assert.strictEqual(template.render({ name: 'Alice' }, componentId), '<div>Alice</div>');
+            assert.strictEqual(template.render({}, componentId), '<div>Anonymous</div>');
+        });
+
+        it('renders number and boolean literals', () => {
+            const template = compileTemplate('<div>((42)) ((true)) ((null))</div>');
+
+            assert.strictEqual(template.render({}, componentId), '<div>42 true </div>');
+        });
+
+        it('supports parentheses inside interpolations', () => {
+            const template = compileTemplate(
+                "<div class=\"((( a || b ) && c ? 'on' : 'off'))\">(( (a || b) ))</div>",
+            );
+
+            const result = template.render({ a: false, b: 'x', c: true }, componentId);
+            assert.strictEqual(result, '<div class="on">x</div>');
+        });
+
+        it('uses comparisons as ternary conditions', () => {
+            const template = compileTemplate("<span>((count == 1 ? 'item' : 'items'))</span>");
+
+            assert.strictEqual(template.render({ count: 1 }, componentId), '<span>item</span>');
+            assert.strictEqual(template.render({ count: 5 }, componentId), '<span>items</span>');
+        });
+
+        it('evaluates fw-if with comparisons per fw-each item', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="item in items" fw-if="item.qty > 0">((item.name))</li></ul>',
+            );
+
+            const result = template.render(
+                { items: [{ name: 'A', qty: 1 }, { name: 'B', qty: 0 }] },
+                componentId,
+            );
+            assert.strictEqual(result, '<ul><li>A</li></ul>');
+        });
+    });
+
+    describe('Filters', () => {
+        const componentId = createComponentId('Test', 'main');
+
+        it('applies built-in filters in interpolations', () => {
+            const template = compileTemplate('<p>((name | upper)) ((bio | truncate:8))</p>');
+            const result = template.render({ name: 'ada', bio: 'Mathematician' }, componentId);
+            assert.strictEqual(result, '<p>ADA Mathema…</p>');
+        });
+
+        it('chains filters and passes variable arguments', () => {
+            const template = compileTemplate('<p>((nickname | default:name | lower))</p>');
+            assert.strictEqual(template.render({ nickname: '', name: 'ADA' }, componentId), '<p>ada</p>');
+        });
+
+        it('escapes filter output', () => {
+            const template = compileTemplate('<p>((data | json))</p>');
+            const result = template.render({ data: { tag: '<b>' } }, componentId);
+            assert.strictEqual(result, '<p>{&quot;tag&quot;:&quot;&lt;b&gt;&quot;}</p>');
+        });
+
+        it('uses filters passed through template constants', () => {
+            const template = compileTemplate('<p>((count | double))</p>');
+            const filters = { double: (value) => value * 2 };
+            assert.strictEqual(template.render({ count: 4 }, componentId, { filters }), '<p>8</p>');
+        });
+
+        it('applies filters inside fw-if', () => {
+            const template = compileTemplate(
+                '<div><span fw-if="(status | lower) == \'open\'">Open</span></div>',
+            );
+            assert.ok(template.render({ status: 'OPEN' }, componentId).includes('Open'));
+            assert.ok(!template.render({ status: 'closed' }, componentId).includes('Open'));
+        });
+
+        it('iterates over a filtered list in fw-each', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="item in items | limit:2">((item))</li></ul>',
+            );
+            const filters = { limit: (list, count) => list.slice(0, count) };
+            const result = template.render({ items: ['a', 'b', 'c'] }, componentId, { filters });
+            assert.strictEqual(result, '<ul><li>a</li><li>b</li></ul>');
+        });
+
+        it('renders an empty string and warns for an unknown filter', () => {
+            const warn = mock.method(console, 'warn', () => {});
+            try {
+                const template = compileTemplate('<p>((name | shout))</p>');
+                assert.strictEqual(template.render({ name: 'ada' }, componentId), '<p></p>');
+                assert.strictEqual(warn.mock.callCount(), 1);
+                assert.match(warn.mock.calls[0].arguments[0], /Unknown filter "shout"/);
+            } finally {
+                warn.mock.restore();
+            }
+        });
+
+        it('reports inherited object properties as unknown filters', () => {
+            const template = compileTemplate('<p>((name | constructor))((name | toString))</p>');
+            const warnings = [];
+            const result = template.render({ name: 'ada' }, componentId, {
+                filters: { upper: (value) => String(value).toUpperCase() },
+                console: { warn: (msg) => warnings.push(msg) },
+            });
+
+            assert.strictEqual(result, '<p></p>');
+            assert.strictEqual(warnings.length, 2);
+            assert.match(warnings[0], /Unknown filter "constructor"/);
+            assert.match(warnings[1], /Unknown filter "toString"/);
+        });
+    });
+
+    describe('Translations', () => {
+        const componentId = createComponentId('Test', 'main');
+        const messages = {
+            welcome: 'Welcome',
+            hello_user: 'Hello, {name}!',
+            unread: '{count} unread',
+        };
+        const translate = (key, params) =>
+            (messages[key] || key).replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+
+        it('renders t() calls with params through template constants', () => {
+            const template = compileTemplate(
+                '<p>((t(\'welcome\'))) ((t(\'hello_user\', { name: user.name })))</p>',
+            );
+            const result = template.render({ user: { name: 'Ada' } }, componentId, { translate });
+            assert.strictEqual(result, '<p>Welcome Hello, Ada!</p>');
+        });
+
+        it('escapes translated text', () => {
+            const template = compileTemplate('<p>((t(\'hello_user\', { name: name })))</p>');
+            const result = template.render({ name: '<b>' }, componentId, { translate });
+            assert.strictEqual(result, '<p>Hello, &lt;b&gt;!</p>');
+        });
+
+        it('renders the key when no translate function is given', () => {
+            const template = compileTemplate('<p>((t(\'welcome\')))</p>');
+            assert.strictEqual(template.render({}, componentId), '<p>welcome</p>');
+        });
+
+        it('supports t() in fw-if and as a filter argument', () => {
+            const template = compileTemplate(
+                '<div><span fw-if="t(\'welcome\') == \'Welcome\'">((nickname | default:t(\'welcome\')))</span></div>',
+            );
+            assert.strictEqual(
+                template.render({ nickname: '' }, componentId, { translate }),
+                '<div><span>Welcome</span></div>',
+            );
+        });
+
+        it('warns for unknown template functions', () => {
+            const warn = mock.method(console, 'warn', () => {});
+            try {
+                const template = compileTemplate('<p>((format(price)))</p>');
+                assert.strictEqual(template.render({ price: 1 }, componentId), '<p></p>');
+                assert.match(warn.mock.calls[0].arguments[0], /Unknown function "format"/);
+            } finally {
+                warn.mock.restore();
+            }
+        });
+    });
+
     describe('Loops (fw-each)', () => {
         it('renders list items', () => {
             const template = compileTemplate(
@@ -428,9 +713,186 @@ describe('Template Compiler', () => {
             assert.ok(!result.includes('B'));
             assert.strictEqual(result.match(/<li/g), null);
         });
+
+        it('exposes a named index with "item, i in items"', () => {
+            const template = compileTemplate(
+                '<ol><li fw-each="item, i in items" data-row="((i))">((i)): ((item))</li></ol>',
+            );
+            const componentId = createComponentId('Test', 'main');
+            const result = template.render({ items: ['a', 'b'] }, componentId);
+
+            assert.strictEqual(
+                result,
+                '<ol><li data-row="0">0: a</li><li data-row="1">1: b</li></ol>',
+            );
+        });
+
+        it('exposes $index, $first, $last and $even loop metadata', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="item in items" class="(($even ? \'even\' : \'odd\'))">((item))' +
+                    '<b fw-if="$first">first</b><b fw-if="$last">last</b>(($index))</li></ul>',
+            );
+            const componentId = createComponentId('Test', 'main');
+            const result = template.render({ items: ['a', 'b', 'c'] }, componentId);
+
+            assert.strictEqual(
+                result,
+                '<ul><li class="even">a<b>first</b>0</li>' +
+                    '<li class="odd">b1</li>' +
+                    '<li class="even">c<b>last</b>2</li></ul>',
+            );
+        });
+
+        it('scopes loop metadata to the innermost loop', () => {
+            const template = compileTemplate(
+                '<div fw-each="group, g in groups">' +
+                    '<span fw-each="item in group">((g)).(($index)) </span></div>',
+            );
+            const componentId = createComponentId('Test', 'main');
+            const result = template.render({ groups: [['a', 'b'], ['c']] }, componentId);
+
+            assert.strictEqual(
+                result,
+                '<div><span>0.0 </span><span>0.1 </span></div><div><span>1.0 </span></div>',
+            );
+        });
+
+        it('iterates a plain object as {key, value} entries', () => {
+            const template = compileTemplate(
+                '<dl><dt fw-each="entry in settings">((entry.key))=((entry.value))</dt></dl>',
+            );
+            const componentId = createComponentId('Test', 'main');
+            const result = template.render(
+                { settings: { theme: 'dark', lang: 'en' } },
+                componentId,
+            );
+
+            assert.strictEqual(result, '<dl><dt>theme=dark</dt><dt>lang=en</dt></dl>');
+        });
+
+        it('iterates a Map as {key, value} entries', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="entry, i in users">((i)):((entry.key))=((entry.value.name))</li></ul>',
+            );
+            const componentId = createComponentId('Test', 'main');
+            const users = new Map([
+                [7, { name: 'Ada' }],
+                [3, { name: 'Grace' }],
+            ]);
+            const result = template.render({ users }, componentId);
+
+            assert.strictEqual(result, '<ul><li>0:7=Ada</li><li>1:3=Grace</li></ul>');
+        });
+
+        it('iterates Sets and other iterables in insertion order', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="tag in tags" fw-if="!$last">((tag))</li></ul>',
+            );
+            const componentId = createComponentId('Test', 'main');
+
+            const fromSet = template.render({ tags: new Set(['b', 'a', 'c']) }, componentId);
+            assert.strictEqual(fromSet, '<ul><li>b</li><li>a</li></ul>');
+
+            const fromIterable = template.render(
+                { tags: new Map([['x', 1], ['y', 2], ['z', 3]]).keys() },
+                componentId,
+            );
+            assert.strictEqual(fromIterable, '<ul><li>x</li><li>y</li></ul>');
+        });
+
+        it('renders nothing for strings, numbers and class instances', () => {
+            const template = compileTemplate('<ul><li fw-each="item in items">((item))</li></ul>');
+            const componentId = createComponentId('Test', 'main');
+
+            for (const items of ['abc', 42, new Date(0), {}, new Map(), new Set()]) {
+                assert.strictEqual(template.render({ items }, componentId), '<ul></ul>');
+            }
+        });
+
+        it('does not leak loop variables outside the loop', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="item, i in items">((i))</li></ul><p>((i))(($index))</p>',
+            );
+            const componentId = createComponentId('Test', 'main');
+            const result = template.render({ items: ['a'] }, componentId);
+
+            assert.strictEqual(result, '<ul><li>0</li></ul><p></p>');
+        });
+
+        it('renders fw-key as a component-scoped id and data-fusewire-key', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="row in rows" class="row" fw-key="row.id">((row.name))</li></ul>',
+            );
+            const componentId = createComponentId('Table', 'main');
+            const result = template.render({ rows: [{ id: 7, name: 'a' }, { id: null, name: 'b' }] }, componentId);
+
+            assert.strictEqual(
+                result,
+                '<ul><li class="row" id="Table#main:row-0:7" data-fusewire-key="7">a</li><li class="row">b</li></ul>',
+            );
+        });
+
+        it('scopes the ids of nested keyed loops to their keyed parent', () => {
+            const template = compileTemplate(
+                '<div fw-each="group in groups" fw-key="group.name"><i fw-each="tag in group.tags" fw-key="tag">((tag))</i></div>',
+            );
+            const html = template.render(
+                { groups: [{ name: 'a b', tags: ['x'] }, { name: 'c', tags: ['x'] }] },
+                createComponentId('Tags', 'main'),
+            );
+
+            assert.ok(html.includes('id="Tags#main:group-0:a%20b"'));
+            assert.ok(html.includes('id="Tags#main:group-0:a%20b:tag-1:x"'));
+            assert.ok(html.includes('id="Tags#main:group-0:c:tag-1:x"'));
+        });
+
+        it('keeps the ids of sibling loops with the same item name apart', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="row in open" fw-key="row">((row))</li></ul>' +
+                    '<ul><li fw-each="row in done" fw-key="row">((row))</li></ul>',
+            );
+            const html = template.render({ open: [1], done: [1] }, createComponentId('Todo', 'main'));
+
+            assert.deepStrictEqual(html.match(/id="[^"]*"/g), ['id="Todo#main:row-0:1"', 'id="Todo#main:row-1:1"']);
+        });
+
+        it('warns about fw-key on an element with its own id and keeps that id', () => {
+            const template = compileTemplate('<div><p fw-each="item in items" fw-key="item" id="x">((item))</p></div>');
+            const warnings = [];
+            const result = template.render({ items: ['z'] }, createComponentId('Todo', 'main'), {
+                console: { warn: (msg) => warnings.push(msg) },
+            });
+
+            assert.strictEqual(result, '<div><p id="x">z</p></div>');
+            assert.match(warnings[0], /^fw-key error in "item" at line 1, column \d+: fw-key renders the element's id/);
+        });
+
+        it('warns about fw-key expressions that fail to evaluate', () => {
+            const template = compileTemplate('<ul><li fw-each="row in rows" fw-key="row.id | nope">x</li></ul>');
+            const warnings = [];
+            const result = template.render({ rows: [{ id: 1 }] }, createComponentId('Test', 'main'), {
+                console: { warn: (msg) => warnings.push(msg) },
+            });
+
+            assert.strictEqual(result, '<ul><li>x</li></ul>');
+            assert.match(warnings[0], /^fw-key error in "row.id \| nope"/);
+        });
     });
 
     describe('Component Mount Points', () => {
+        it('renders a Map of Child values as a reconciliation container', () => {
+            const template = compileTemplate('<div>((tabs))</div>');
+            const componentId = createComponentId('Parent', 'main');
+            const tabs = new Map([
+                ['b', new Child('Tab', 'b')],
+                ['a', new Child('Tab', 'a')],
+            ]);
+            const result = template.render({ tabs }, componentId);
+
+            assert.ok(result.includes('data-fusewire-each="tabs"'));
+            assert.ok(result.indexOf('Tab#b') < result.indexOf('Tab#a'));
+        });
+
         it('renders component as mount point', () => {
             const template = compileTemplate('<div>((child))</div>');
             const componentId = createComponentId('Parent', 'main');
@@ -537,6 +999,457 @@ describe('Template Compiler', () => {
             assert.ok(result.includes('Second'));
             assert.ok(!result.includes('dot.index'), 'dot.index should not remain as literal text');
         });
+
+        it('renders fw-on handlers without inline script', () => {
+            const template = compileTemplate(
+                '<button fw-on:click="increment" class="btn">+</button><input fw-on:input=\'rename\'>',
+            );
+            const componentId = createComponentId('Counter', 'main');
+
+            assert.strictEqual(
+                template.render({}, componentId),
+                '<button fw-on:click="increment" class="btn">+</button><input fw-on:input="rename">',
+            );
+            assert.deepStrictEqual(template.events, ['click', 'input']);
+        });
+
+        it('evaluates fw-on arguments per loop item as escaped JSON', () => {
+            const template = compileTemplate(
+                '<li fw-each="item in items" fw-on:click="remove(item.id, item.title, $index, flag)">((item.title))</li>',
+            );
+            const componentId = createComponentId('List', 'main');
+            const result = template.render(
+                { items: [{ id: 7, title: 'a "quoted" <b>' }], flag: true },
+                componentId,
+            );
+
+            assert.strictEqual(
+                result,
+                '<li fw-on:click="remove(7,&quot;a&#x20;\\&quot;quoted\\&quot;&#x20;&lt;b&gt;&quot;,0,true)">a &quot;quoted&quot; &lt;b&gt;</li>',
+            );
+        });
+
+        it('does not interpolate placeholders inside fw-on values', () => {
+            const template = compileTemplate('<a fw-on:click="go(\'((id))\')">x</a>');
+            const result = template.render({ id: 1 }, createComponentId('Nav', 'main'));
+
+            assert.strictEqual(result, '<a fw-on:click="go(&quot;((id))&quot;)">x</a>');
+        });
+
+        it('leaves fw-on text outside a tag untouched', () => {
+            const template = compileTemplate('<p>Use fw-on:click="save" on buttons</p>');
+
+            assert.strictEqual(
+                template.render({}, createComponentId('Docs', 'main')),
+                '<p>Use fw-on:click="save" on buttons</p>',
+            );
+            assert.deepStrictEqual(template.events, []);
+        });
+
+        it('rejects fw-on values that are not a method or call', () => {
+            const template = compileTemplate('<div>\n  <b fw-on:click="count > 1">x</b>\n</div>');
+
+            assert.throws(
+                () => template.render({}, createComponentId('Counter', 'main'), { strict: true }),
+                /at line 2, column 19 \("count > 1"\): Expected a method name or call/,
+            );
+        });
+    });
+
+    describe('Form Binding (fw-model)', () => {
+        const componentId = createComponentId('Form', 'main');
+
+        it('renders fw-model paths and listens for input and change', () => {
+            const template = compileTemplate(
+                '<form><input fw-model="user.name" fw-model-debounce="300"><select fw-model=\'role\'></select></form>',
+            );
+
+            assert.strictEqual(
+                template.render({ user: { name: 'Ada' } }, componentId),
+                '<form><input fw-model="user.name" fw-model-debounce="300"><select fw-model="role"></select></form>',
+            );
+            assert.deepStrictEqual(template.events, ['input', 'change']);
+        });
+
+        it('resolves fw-each items of array vars to their index', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="list in lists"><label fw-each="todo in list.todos"><input type="checkbox" fw-model="todo.done"></label></li></ul>',
+            );
+            const result = template.render(
+                { lists: [{ todos: [{}] }, { todos: [{}, {}] }] },
+                componentId,
+            );
+
+            assert.deepStrictEqual(result.match(/fw-model="[^"]*"/g), [
+                'fw-model="lists.0.todos.0.done"',
+                'fw-model="lists.1.todos.0.done"',
+                'fw-model="lists.1.todos.1.done"',
+            ]);
+        });
+
+        it('drops bindings to loop variables that are not array items', () => {
+            const warnings = [];
+            const template = compileTemplate(
+                '<p fw-each="entry in settings"><input fw-model="entry.value"></p>',
+            );
+            const result = template.render({ settings: { theme: 'dark' } }, componentId, {
+                console: { warn: (msg) => warnings.push(msg) },
+            });
+
+            assert.strictEqual(result, '<p><input></p>');
+            assert.match(
+                warnings[0],
+                /^fw-model error in "entry.value" at line 1, column 49: Only items of an array var/,
+            );
+        });
+
+        it('rejects fw-model values that are not a writable path', () => {
+            const template = compileTemplate('<input fw-model="name | upper">');
+
+            assert.throws(
+                () => template.render({}, componentId, { strict: true }),
+                /at line 1, column 18 \("name \| upper"\): Expected a writable variable path/,
+            );
+        });
+    });
+
+    describe('Attribute Bindings (fw-attr, fw-class)', () => {
+        const componentId = createComponentId('Button', 'main');
+
+        it('adds, values or omits fw-attr attributes', () => {
+            const template = compileTemplate(
+                '<button fw-attr:disabled="isBusy" fw-attr:title="tip" fw-attr:aria-busy="isBusy ? \'true\' : null">Save</button>',
+            );
+
+            assert.strictEqual(
+                template.render({ isBusy: false, tip: 'Save "draft"' }, componentId),
+                '<button title="Save&#x20;&quot;draft&quot;">Save</button>',
+            );
+            assert.strictEqual(
+                template.render({ isBusy: true }, componentId),
+                '<button disabled aria-busy="true">Save</button>',
+            );
+        });
+
+        it('sanitizes fw-attr URL attributes', () => {
+            const template = compileTemplate('<a fw-attr:href="link">x</a>');
+
+            assert.strictEqual(
+                template.render({ link: 'javascript:alert(1)' }, componentId),
+                '<a href="about:blank">x</a>',
+            );
+        });
+
+        it('merges fw-class bindings into the static class attribute', () => {
+            const template = compileTemplate(
+                '<ul><li fw-each="item in items" fw-class:active="item.id == selected" class="row ((item.kind))" fw-class="{ \'has-error\': item.error, done: item.done }">((item.id))</li></ul>',
+            );
+            const result = template.render(
+                {
+                    selected: 1,
+                    items: [
+                        { id: 1, kind: 'task', error: true },
+                        { id: 2, kind: 'note', done: true },
+                    ],
+                },
+                componentId,
+            );
+
+            assert.strictEqual(
+                result,
+                '<ul><li class="row task active has-error">1</li><li class="row note done">2</li></ul>',
+            );
+        });
+
+        it('omits the class attribute when no class applies', () => {
+            const template = compileTemplate('<p fw-class:active="on" fw-class="extra">x</p>');
+
+            assert.strictEqual(template.render({ on: false }, componentId), '<p>x</p>');
+            assert.strictEqual(
+                template.render({ on: true, extra: ['a', 'b'] }, componentId),
+                '<p class="active a b">x</p>',
+            );
+        });
+
+        it('leaves binding text outside a tag untouched', () => {
+            const template = compileTemplate('<p>Use fw-class:active="on" or fw-attr:disabled="off"</p>');
+
+            assert.strictEqual(
+                template.render({ on: true, off: true }, componentId),
+                '<p>Use fw-class:active="on" or fw-attr:disabled="off"</p>',
+            );
+        });
+
+        it('rejects fw-attr on event handler attributes', () => {
+            const template = compileTemplate('<b fw-attr:onclick="code">x</b>');
+
+            assert.throws(
+                () => template.render({}, componentId, { strict: true }),
+                /\("code"\): fw-attr cannot bind event handler attributes; use fw-on:click/,
+            );
+        });
+    });
+
+    describe('Raw HTML', () => {
+        const componentId = createComponentId('Article', 'main');
+
+        it('renders ((html: ...)) through the configured sanitizer', () => {
+            const template = compileTemplate('<article>((html: body))</article><p>((body))</p>');
+            const sanitized = [];
+            const result = template.render({ body: '<b>Hi</b>' }, componentId, {
+                sanitizeHtml: (html) => {
+                    sanitized.push(html);
+                    return html.replace('b>', 'strong>').replace('b>', 'strong>');
+                },
+            });
+
+            assert.strictEqual(result, '<article><strong>Hi</strong></article><p>&lt;b&gt;Hi&lt;/b&gt;</p>');
+            assert.deepStrictEqual(sanitized, ['<b>Hi</b>']);
+        });
+
+        it('uses the default sanitizer without a configured one', () => {
+            const template = compileTemplate('<div>((html: body))</div>');
+            const result = template.render(
+                { body: '<i onclick="x()">x</i><script>alert(1)</script>' },
+                componentId,
+            );
+
+            assert.strictEqual(result, '<div><i>x</i></div>');
+        });
+
+        it('rejects raw HTML inside a tag', () => {
+            const template = compileTemplate('<div title="((html: body))"></div>');
+
+            assert.throws(
+                () => template.render({ body: 'x' }, componentId, { strict: true }),
+                /column 21 \("body"\): Raw HTML can only be interpolated in element content/,
+            );
+        });
+    });
+
+    describe('Slots', () => {
+        const componentId = createComponentId('Page', 'main');
+
+        it('renders an outlet with its fallback content when nothing is projected', () => {
+            const template = compileTemplate(
+                '<div class="card"><fw-slot-outlet name="header"><h2>((title))</h2></fw-slot-outlet></div>',
+            );
+            const result = template.render({ title: 'Untitled' }, componentId);
+
+            assert.strictEqual(
+                result,
+                '<div class="card"><fw-slot-outlet name="header"><h2>Untitled</h2></fw-slot-outlet></div>',
+            );
+        });
+
+        it('renders projected content in place of the fallback, marked with its owner', () => {
+            const template = compileTemplate(
+                '<fw-slot-outlet>((title))</fw-slot-outlet><fw-slot-outlet name="footer"></fw-slot-outlet>',
+            );
+            const result = template.render({ title: 'Untitled' }, componentId, {
+                slots: { owner: 'Dashboard#main', html: { default: '<p>Hi</p>' } },
+            });
+
+            assert.strictEqual(
+                result,
+                '<fw-slot-outlet name="default" data-fusewire-slot-owner="Dashboard#main"><p>Hi</p></fw-slot-outlet>' +
+                    '<fw-slot-outlet name="footer"></fw-slot-outlet>',
+            );
+        });
+
+        it('collects fw-slot content per child instead of rendering it in place', () => {
+            const template = compileTemplate(
+                '<section>((card))</section>' +
+                    '<fw-slot for="card" name="header"><h2>((title))</h2></fw-slot>' +
+                    '<fw-slot for="card"><p fw-if="open">Body</p></fw-slot>',
+            );
+            const projections = new Map();
+            const result = template.render(
+                { card: new Child('Card', 'info'), title: 'News', open: true },
+                componentId,
+                { projections },
+            );
+
+            assert.ok(result.startsWith('<section><fw-mount id="Card#info"'));
+            assert.ok(!result.includes('News'));
+            assert.deepStrictEqual(projections.get('Card#info'), {
+                header: '<h2>News</h2>',
+                default: '<p>Body</p>',
+            });
+        });
+
+        it('projects into the children of an fw-each with the item in scope', () => {
+            const template = compileTemplate(
+                '<div fw-each="row in rows">((row.card))<fw-slot for="row.card">((row.label))</fw-slot></div>',
+            );
+            const projections = new Map();
+            template.render(
+                {
+                    rows: [
+                        { card: new Child('Card', 'a'), label: 'A' },
+                        { card: new Child('Card', 'b'), label: 'B' },
+                    ],
+                },
+                componentId,
+                { projections },
+            );
+
+            assert.deepStrictEqual(projections.get('Card#a'), { default: 'A' });
+            assert.deepStrictEqual(projections.get('Card#b'), { default: 'B' });
+        });
+
+        it('warns when fw-slot does not name a child component', () => {
+            const template = compileTemplate('<div>\n<fw-slot for="title">x</fw-slot></div>');
+            const warnings = [];
+            const result = template.render({ title: 'News' }, componentId, {
+                console: { log() {}, warn: (msg) => warnings.push(msg), error() {} },
+                projections: new Map(),
+            });
+
+            assert.strictEqual(result, '<div>\n</div>');
+            assert.deepStrictEqual(warnings, [
+                'fw-slot error in for="title" at line 2, column 15: Expected a child component',
+            ]);
+        });
+
+        it('rejects fw-slot without a for attribute', () => {
+            const template = compileTemplate('<fw-slot name="header">x</fw-slot>');
+
+            assert.throws(
+                () => template.render({}, componentId, { strict: true }),
+                /column 1 \(""\): fw-slot needs a for attribute naming the child component/,
+            );
+        });
+    });
+
+    describe('Partials', () => {
+        const componentId = createComponentId('Page', 'main');
+        const files = {
+            'Shared/Icon': '<i class="icon-((name))">((label | default:name))</i>',
+            'Shared/Row': '<li fw-on:click="select(id)"><fw-include src="Shared/Icon" with="{ name: icon }"/></li>',
+            'Shared/A': '<fw-include src="Shared/B"></fw-include>',
+            'Shared/B': '<p>\n  <fw-include src="Shared/A"/></p>',
+            'Shared/Field': '<label>\n<input fw-model="value"></label>',
+            'Shared/Rows': '<ul><li fw-each="r in rows" fw-key="r.id">((r.id))</li></ul>',
+        };
+        const options = { partials: (name) => files[name] ?? null };
+
+        it('renders a partial with the with object as its vars', () => {
+            const template = compileTemplate(
+                '<nav><fw-include src="Shared/Icon" with="{ name: \'trash\', label: title }"></fw-include></nav>',
+                '',
+                'default',
+                options,
+            );
+            const result = template.render({ title: 'Delete', name: 'outer' }, componentId);
+
+            assert.strictEqual(result, '<nav><i class="icon-trash">Delete</i></nav>');
+        });
+
+        it('resolves nested includes per fw-each item and keeps their events', () => {
+            const template = compileTemplate(
+                '<ul fw-each="item in items"><fw-include src="Shared/Row" with="item"/></ul>',
+                '',
+                'default',
+                options,
+            );
+            const result = template.render(
+                { items: [{ id: 7, icon: 'star' }] },
+                componentId,
+            );
+
+            assert.strictEqual(
+                result,
+                '<ul><li fw-on:click="select(7)"><i class="icon-star">star</i></li></ul>',
+            );
+            assert.deepStrictEqual(template.events, ['click']);
+        });
+
+        it('keeps the key ids of loops in a partial apart from the loops around it', () => {
+            const template = compileTemplate(
+                '<fw-include src="Shared/Rows" with="{ rows: rows }"/><ol><li fw-each="r in rows" fw-key="r.id">((r.id))</li></ol>',
+                '',
+                'default',
+                options,
+            );
+            const result = template.render({ rows: [{ id: 1 }] }, componentId);
+
+            assert.deepStrictEqual(result.match(/id="[^"]*"/g), [
+                'id="Page#main:include-0:r-0:1"',
+                'id="Page#main:r-1:1"',
+            ]);
+        });
+
+        it('gives each include of the same partial its own key ids', () => {
+            const template = compileTemplate(
+                '<fw-include src="Shared/Rows" with="{ rows: rows }"/><fw-include src="Shared/Rows" with="{ rows: rows }"/>',
+                '',
+                'default',
+                options,
+            );
+            const result = template.render({ rows: [{ id: 1 }] }, componentId);
+
+            assert.deepStrictEqual(result.match(/id="[^"]*"/g), [
+                'id="Page#main:include-0:r-0:1"',
+                'id="Page#main:include-1:r-0:1"',
+            ]);
+        });
+
+        it('renders a partial without vars when with is missing or not an object', () => {
+            const template = compileTemplate(
+                '<fw-include src="Shared/Icon"/><fw-include src="Shared/Icon" with="title"/>',
+                '',
+                'default',
+                options,
+            );
+            const warnings = [];
+            const result = template.render({ title: 'Delete' }, componentId, {
+                console: { warn: (msg) => warnings.push(msg) },
+            });
+
+            assert.strictEqual(result, '<i class="icon-"></i><i class="icon-"></i>');
+            assert.deepStrictEqual(warnings, [
+                'fw-include error in with="title" at line 1, column 68: Expected an object, e.g. "{ name: item.name }"',
+            ]);
+        });
+
+        it('reports missing partials and include cycles at the include', () => {
+            const template = compileTemplate(
+                '<fw-include src="Shared/Missing"/>\n<fw-include src="Shared/A"/>',
+                '',
+                'default',
+                options,
+            );
+            const warnings = [];
+            const result = template.render({}, componentId, {
+                console: { warn: (msg) => warnings.push(msg) },
+            });
+
+            assert.strictEqual(result, '\n<p>\n  </p>');
+            assert.deepStrictEqual(warnings, [
+                'fw-include error in src="Shared/Missing" at line 1, column 1: Partial "Shared/Missing" not found',
+                'fw-include error in src="Shared/A" in partial Shared/B at line 2, column 3: Include cycle: Shared/A -> Shared/B -> Shared/A',
+            ]);
+        });
+
+        it('rejects fw-model inside a partial, positioned in the partial file', () => {
+            const template = compileTemplate(
+                '<form><fw-include src="Shared/Field" with="{ value: name }"/></form>',
+                '',
+                'default',
+                options,
+            );
+
+            assert.throws(
+                () => template.render({ name: 'Ada' }, componentId, { strict: true }),
+                (error) =>
+                    error instanceof TemplateSyntaxError &&
+                    error.componentName === 'Shared/Field' &&
+                    /line 2, column 18 \("value"\): fw-model cannot be used in a partial/.test(
+                        error.message,
+                    ),
+            );
+        });
     });
 
     describe('Raw CSS (no scoping)', () => {
@@ -560,6 +1473,155 @@ h1 { font-size: 2rem; }`;
         });
     });
 
+    describe('Compile Once', () => {
+        const componentId = createComponentId('Test', 'main');
+
+        it('parses expressions when compiling, not on every render', () => {
+            const parse = mock.method(fusewireExpr, 'parse');
+            try {
+                const template = compileTemplate(
+                    '<ul><li fw-each="item, i in items" fw-if="item.on">((i)): ((item.name | upper))</li></ul>' +
+                        '<p fw-if="items.length">((items.length))</p><p fw-else>none</p>',
+                );
+                const parsedAtCompile = parse.mock.callCount();
+                assert.ok(parsedAtCompile > 0);
+
+                const items = Array.from({ length: 50 }, (_, i) => ({ name: `n${i}`, on: i < 2 }));
+                template.render({ items }, componentId);
+                const result = template.render({ items }, componentId);
+
+                assert.strictEqual(parse.mock.callCount(), parsedAtCompile);
+                assert.strictEqual(result, '<ul><li>0: N0</li><li>1: N1</li></ul><p>50</p>');
+            } finally {
+                parse.mock.restore();
+            }
+        });
+
+        it('reports a syntax error on every render', () => {
+            const warn = mock.method(console, 'warn', () => {});
+            try {
+                const template = compileTemplate('<p>((a ===))</p>');
+                assert.strictEqual(warn.mock.callCount(), 0);
+                template.render({}, componentId);
+                template.render({}, componentId);
+                assert.strictEqual(warn.mock.callCount(), 2);
+                assert.match(warn.mock.calls[0].arguments[0], /interpolation syntax error in "a ==="/);
+            } finally {
+                warn.mock.restore();
+            }
+        });
+
+        it('does not re-interpolate placeholders inside loop item values', () => {
+            const template = compileTemplate('<li fw-each="item in items">((item))</li>');
+            const result = template.render({ items: ['((secret))'], secret: 'leaked' }, componentId);
+
+            assert.strictEqual(result, '<li>((secret))</li>');
+        });
+
+        it('keeps attribute context for interpolations inside loop items', () => {
+            const template = compileTemplate(
+                '<a fw-each="link in links" href="((link.url))" title="((link.title))">((link.title))</a>',
+            );
+            const result = template.render(
+                { links: [{ url: 'javascript:alert(1)', title: 'a b' }] },
+                componentId,
+            );
+
+            assert.strictEqual(
+                result,
+                '<a href="about:blank" title="a&#x20;b">a b</a>',
+            );
+        });
+    });
+
+    describe('Template Errors', () => {
+        const componentId = createComponentId('Test', 'main');
+
+        /**
+         * Console stub collecting warnings.
+         * @returns {{warn: Function, log: Function, error: Function, warnings: Array<string>}} Console stub
+         */
+        function collectingConsole() {
+            const warnings = [];
+            return {
+                warnings,
+                warn: (msg) => warnings.push(msg),
+                log: () => {},
+                error: () => {},
+            };
+        }
+
+        it('warns through the component console with the line and column', () => {
+            const log = collectingConsole();
+            const template = compileTemplate('\n<div>\n    <p>((a ===))</p>\n</div>\n');
+            const result = template.render({}, componentId, { console: log });
+
+            assert.strictEqual(result, '<div>\n    <p></p>\n</div>');
+            assert.strictEqual(log.warnings.length, 1);
+            assert.match(
+                log.warnings[0],
+                /^Template interpolation syntax error in "a ===" at line 3, column 10: /,
+            );
+        });
+
+        it('keeps positions through directive rewrites', () => {
+            const log = collectingConsole();
+            const line = '  <li class="row" fw-if="x.on" fw-each="x in items" title="((x ==))">((x.name))</li>';
+            const template = compileTemplate(`<ul>\n${line}\n</ul>`);
+            template.render({ items: [{ on: true, name: 'a' }] }, componentId, { console: log });
+
+            assert.strictEqual(log.warnings.length, 1);
+            assert.strictEqual(
+                log.warnings[0].split(':')[0],
+                `Template interpolation syntax error in "x ==" at line 2, column ${line.indexOf('x ==') + 1}`,
+            );
+        });
+
+        it('positions directive and orphan errors', () => {
+            const log = collectingConsole();
+            const template = compileTemplate(
+                '<p fw-if="a >">A</p><hr>\n<i fw-else>B</i>\n<div fw-each="items">C</div>',
+            );
+            template.render({}, componentId, { console: log });
+
+            assert.deepStrictEqual(
+                log.warnings.map((w) => w.split(':')[0]),
+                [
+                    'fw-if syntax error in "a >" at line 1, column 11',
+                    'Orphan fw-else on <i> at line 2, column 1',
+                    'Invalid fw-each syntax "items" at line 3, column 15',
+                ],
+            );
+        });
+
+        it('throws a positioned TemplateSyntaxError in strict mode', () => {
+            const template = compileTemplate(
+                '<section>\n  <p fw-if="show">((count |))</p>\n  <p>((a ==))</p>\n</section>',
+            );
+
+            assert.throws(
+                () => template.render({ show: false }, componentId, { strict: true }),
+                (error) => {
+                    assert.ok(error instanceof TemplateSyntaxError);
+                    assert.strictEqual(error.code, 'TEMPLATE_SYNTAX_ERROR');
+                    assert.strictEqual(error.componentName, 'Test');
+                    assert.strictEqual(error.line, 2);
+                    assert.strictEqual(error.column, 21);
+                    assert.strictEqual(error.expression, 'count |');
+                    assert.match(error.message, /^Template syntax error in Test at line 2, column 21/);
+                    return true;
+                },
+            );
+        });
+
+        it('renders normally in strict mode when the template is valid', () => {
+            const template = compileTemplate('<p fw-if="show">((count))</p>');
+            const result = template.render({ show: true, count: 3 }, componentId, { strict: true });
+
+            assert.strictEqual(result, '<p>3</p>');
+        });
+    });
+
     describe('Edge Cases', () => {
         it('handles empty template', () => {
             const template = compileTemplate('');
@@ -268,6 +268,21 @@ describe('TemplateStore', () => {
 		});
 	});
 
+	describe('onClear()', () => {
+		it('notifies listeners with the cleared name, or null for clearAll()', () => {
+			const store = new TemplateStore();
+			const cleared = [];
+			const unsubscribe = store.onClear((name) => cleared.push(name));
+
+			store.clear('Test');
+			store.clearAll();
+			unsubscribe();
+			store.clear('Other');
+
+			assert.deepStrictEqual(cleared, ['Test', null]);
+		});
+	});
+
 	describe('Multiple Stores', () => {
 		it('stores are independent', () => {
 			const store1 = new TemplateStore();
@@ -639,4 +654,127 @@ describe('TemplateStore', () => {
 			assert.strictEqual(store._inFlight.size, 0);
 		});
 	});
+
+	describe('Partials', () => {
+		it('stores partials and clears compiled templates', () => {
+			const store = new TemplateStore();
+			store.setCompiled('Test', { version: 'v1', css: '', render: () => '' });
+
+			store.setPartial('Shared/Icon', '<i>((name))</i>');
+
+			assert.strictEqual(store.hasPartial('Shared/Icon'), true);
+			assert.strictEqual(store.getPartial('Shared/Icon'), '<i>((name))</i>');
+			assert.strictEqual(store.getPartial('Shared/Missing'), null);
+			assert.strictEqual(store.getCompiled('Test'), null);
+
+			store.clearAll();
+			assert.strictEqual(store.hasPartial('Shared/Icon'), false);
+		});
+
+		it('clears only the compiled templates that include a stored partial', () => {
+			const store = new TemplateStore();
+			const compiled = { version: 'v1', css: '', render: () => '' };
+			store.setPartial('Shared/Row', '<tr><fw-include src="Shared/Icon"/></tr>');
+			store.set('Table', { version: 'v1', htmlCode: '<table><fw-include src="Shared/Row"/></table>' });
+			store.set('Plain', { version: 'v1', htmlCode: '<p></p>' });
+			store.setCompiled('Table', compiled);
+			store.setCompiled('Plain', compiled);
+
+			store.setPartial('Shared/Icon', '<i>((name))</i>');
+
+			assert.strictEqual(store.getCompiled('Table'), null);
+			assert.strictEqual(store.getCompiled('Plain'), compiled);
+		});
+
+		it('lists missing partials through the includes of cached ones', () => {
+			const store = new TemplateStore();
+			store.setPartial('Shared/Row', '<fw-include src="Shared/Icon"/><fw-include src="Shared/Row"/>');
+
+			const missing = store.missingPartials(
+				'<fw-include src="Shared/Row"></fw-include><fw-include src="Shared/Header" with="{ a: 1 }"/>',
+			);
+
+			assert.deepStrictEqual(missing, ['Shared/Header', 'Shared/Icon']);
+		});
+
+		it('fetches nested partials once each', async () => {
+			const store = new TemplateStore();
+			const files = {
+				'./components/Shared/Row.html': '<tr><fw-include src="Shared/Icon"/></tr>',
+				'./components/Shared/Icon.html': '<i>((name))</i>',
+			};
+			const fetchMock = mock.fn(
+				/** @param {string} url */
+				(url) =>
+					Promise.resolve({
+						status: 200,
+						ok: true,
+						text: () => Promise.resolve(files[url]),
+						headers: new Map(),
+					}),
+			);
+			globalThis.fetch = fetchMock;
+
+			await Promise.all([
+				store.requestPartials('<fw-include src="Shared/Row"/>', './components'),
+				store.requestPartials('<fw-include src="Shared/Icon"/>', './components'),
+			]);
+
+			assert.deepStrictEqual(
+				fetchMock.mock.calls.map((call) => call.arguments[0]),
+				['./components/Shared/Row.html', './components/Shared/Icon.html'],
+			);
+			assert.strictEqual(store.getPartial('Shared/Icon'), '<i>((name))</i>');
+			assert.strictEqual(store._partialsInFlight.size, 0);
+
+			mock.restoreAll();
+		});
+
+		it('rejects when a partial is not found', async () => {
+			const store = new TemplateStore();
+			globalThis.fetch = mock.fn(() => Promise.resolve({ status: 404, ok: false }));
+
+			await assert.rejects(
+				store.requestPartial('Shared/Missing', './components'),
+				/Partial "Shared\/Missing" not found \(HTTP 404\)/,
+			);
+			assert.strictEqual(store.hasPartial('Shared/Missing'), false);
+
+			mock.restoreAll();
+		});
+
+		it('loads the other partials when one fails and does not request it again', async () => {
+			const store = new TemplateStore();
+			const fetchMock = mock.fn(
+				/** @param {string} url */
+				(url) =>
+					Promise.resolve(
+						url.endsWith('Icon.html')
+							? { status: 200, ok: true, text: () => Promise.resolve('<i></i>'), headers: new Map() }
+							: { status: 404, ok: false },
+					),
+			);
+			globalThis.fetch = fetchMock;
+			const htmlCode = '<fw-include src="Shared/Missing"/><fw-include src="Shared/Icon"/>';
+
+			const errors = await store.requestPartials(htmlCode, './components');
+			assert.deepStrictEqual(await store.requestPartials(htmlCode, './components'), []);
+
+			assert.deepStrictEqual(
+				errors.map((error) => error.message),
+				[
+					'Could not load partial "Shared/Missing" from ./components/Shared/Missing.html: ' +
+						'Partial "Shared/Missing" not found (HTTP 404)',
+				],
+			);
+			assert.strictEqual(fetchMock.mock.callCount(), 2);
+			assert.strictEqual(store.getPartial('Shared/Icon'), '<i></i>');
+			assert.deepStrictEqual(store.missingPartials(htmlCode), []);
+
+			store.clearAll();
+			assert.deepStrictEqual(store.missingPartials(htmlCode), ['Shared/Missing', 'Shared/Icon']);
+
+			mock.restoreAll();
+		});
+	});
 });
@@ -36,30 +36,262 @@ describe("template-syntax check", () => {
         );
         assert.match(
             violations[0].message,
-            /It does NOT evaluate JavaScript expressions like === or >/,
+            /It does NOT evaluate JavaScript operators like ===/,
         );
     });
 
-    it("returns a violation for invalid fw-if syntax with > operator", () => {
-        const componentDir = join(tmpDir, "GreaterComponent");
+    it("passes for comparison and logical operators in fw-if", () => {
+        const componentDir = join(tmpDir, "OperatorsComponent");
         mkdirSync(componentDir);
 
         const htmlContent = `
             <div>
-                <span fw-if="count > 0">Invalid if with ></span>
+                <span fw-if="count > 0">Positive</span>
+                <span fw-if="$isAdmin && !locked">Admin</span>
+                <span fw-if="(status == 'ready' || status == 'done') && total >= 10">Ready</span>
+                <span fw-if='mode != "edit"'>Read only</span>
             </div>
         `;
-        writeFileSync(join(componentDir, "Greater.html"), htmlContent);
+        writeFileSync(join(componentDir, "Operators.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 0);
+    });
+
+    it("reports unprefixed getters inside compound fw-if expressions", () => {
+        const componentDir = join(tmpDir, "CompoundGetterComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                <span fw-if="count > 0 && isVisible">Shown</span>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "CompoundGetter.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 1);
+        assert.match(violations[0].message, /calculated variable "isVisible"/);
+    });
+
+    it("accepts interpolations with parentheses and operators", () => {
+        const componentDir = join(tmpDir, "InterpolationComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                <span>(( (nickname || name) ))</span>
+                <button onclick="((this)).select(((item.id)))">Go</button>
+                <span class="((count >= 1 ? 'has-items' : 'empty'))"></span>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "Interpolation.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 0);
+    });
+
+    it("passes for fw-each with an index variable", () => {
+        const componentDir = join(tmpDir, "IndexedEachComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <ul>
+                <li fw-each="item, i in items" data-row="((i))">((item.name))</li>
+            </ul>
+        `;
+        writeFileSync(join(componentDir, "IndexedEach.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 0);
+    });
+
+    it("passes for fw-if / fw-else-if / fw-else chains", () => {
+        const componentDir = join(tmpDir, "ElseChainComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                <p fw-if="status == 'ready'">Ready</p>
+                <p fw-else-if="status == 'busy'">Busy</p>
+                <p fw-else>Unknown</p>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "ElseChain.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 0);
+    });
+
+    it("reports an orphan fw-else", () => {
+        const componentDir = join(tmpDir, "OrphanElseComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                <p fw-if="ready">Ready</p>
+                <hr>
+                <p fw-else>Not ready</p>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "OrphanElse.html"), htmlContent);
 
         const violations = check(componentDir, {});
 
         assert.strictEqual(violations.length, 1);
         assert.match(
             violations[0].message,
-            /invalid fw-if syntax: "count > 0"/,
+            /OrphanElse\.html:5 <p fw-else> does not follow an fw-if element/,
         );
     });
 
+    it("validates fw-else-if expressions", () => {
+        const componentDir = join(tmpDir, "InvalidElseIfComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                <p fw-if="a">A</p>
+                <p fw-else-if="b === 1">B</p>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "InvalidElseIf.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 1);
+        assert.match(violations[0].message, /invalid fw-else-if syntax: "b === 1"/);
+    });
+
+    it("validates fw-on handlers", () => {
+        const componentDir = join(tmpDir, "HandlerComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <ul>
+                <li fw-each="item in items" fw-on:click="remove(item.id)">((item.title))</li>
+                <li fw-on:click="save">Save</li>
+                <li fw-on:click="count > 1">Bad</li>
+                <li fw-on:keyup="close(">Broken</li>
+            </ul>
+        `;
+        writeFileSync(join(componentDir, "Handler.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 2);
+        assert.match(violations[0].message, /Handler\.html:5 <li> has invalid fw-on:click handler: "count > 1"/);
+        assert.match(violations[1].message, /Handler\.html:6 <li> has invalid fw-on:keyup handler: "close\("/);
+    });
+
+    it("validates fw-model bindings", () => {
+        const componentDir = join(tmpDir, "ModelComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <form>
+                <input fw-model="user.name">
+                <label fw-each="todo in todos"><input type="checkbox" fw-model="todo.done"></label>
+                <input fw-model="name | upper">
+                <input fw-model="$fullName">
+            </form>
+        `;
+        writeFileSync(join(componentDir, "Model.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 2);
+        assert.match(violations[0].message, /Model\.html:5 <input> has invalid fw-model binding: "name \| upper"/);
+        assert.match(violations[1].message, /Model\.html:6 <input> has invalid fw-model binding: "\$fullName"/);
+    });
+
+    it("validates fw-attr and fw-class bindings", () => {
+        const componentDir = join(tmpDir, "BindingComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                <button fw-attr:disabled="isBusy" fw-class="{ active: selected }">Save</button>
+                <a fw-attr:onclick="handler">Bad</a>
+                <span fw-class:active="a ===">Broken</span>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "Binding.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 2);
+        assert.match(violations[0].message, /Binding\.html:4 <a> has invalid fw-attr:onclick binding: "handler"/);
+        assert.match(violations[1].message, /Binding\.html:5 <span> has invalid fw-class:active binding: "a ==="/);
+    });
+
+    it("validates fw-key attributes", () => {
+        const componentDir = join(tmpDir, "KeyComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <ul>
+                <li fw-each="row in rows" fw-key="row.id">((row.name))</li>
+                <li fw-each="row in rows" fw-key="row.id" id="row">((row.name))</li>
+                <li fw-each="row in rows" fw-key="row.id ===">((row.name))</li>
+            </ul>
+        `;
+        writeFileSync(join(componentDir, "Key.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 2);
+        assert.match(violations[0].message, /Key\.html:4 <li> has invalid fw-key: "row\.id"\nParser error: fw-key renders/);
+        assert.match(violations[1].message, /Key\.html:5 <li> has invalid fw-key: "row\.id ==="/);
+    });
+
+    it("validates slot elements", () => {
+        const componentDir = join(tmpDir, "SlotComponent");
+        mkdirSync(componentDir);
+
+        const htmlContent = `
+            <div>
+                ((card))
+                <fw-slot for="card" name="header"><h2>((title))</h2></fw-slot>
+                <fw-slot name="footer">Missing target</fw-slot>
+                <fw-slot-outlet name="body">
+            </div>
+        `;
+        writeFileSync(join(componentDir, "Slot.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 2);
+        assert.match(violations[0].message, /Slot\.html:5 <fw-slot> has an invalid for attribute: ""/);
+        assert.match(violations[1].message, /Slot\.html:6 <fw-slot-outlet> has no matching closing tag/);
+    });
+
+    it("validates fw-include elements", () => {
+        const componentDir = join(tmpDir, "IncludeComponent");
+        mkdirSync(join(componentDir, "Shared"), { recursive: true });
+        writeFileSync(join(componentDir, "Shared", "Icon.html"), "<i>((name))</i>");
+
+        const htmlContent = `
+            <div>
+                <fw-include src="Shared/Icon" with="{ name: icon }"/>
+                <fw-include src="Shared/Missing"></fw-include>
+                <fw-include src="Shared/Icon" with="{ name: }"/>
+            </div>
+        `;
+        writeFileSync(join(componentDir, "Include.html"), htmlContent);
+
+        const violations = check(componentDir, {});
+
+        assert.strictEqual(violations.length, 2);
+        assert.match(violations[0].message, /Include\.html:4 <fw-include> names no partial file: src="Shared\/Missing"/);
+        assert.match(violations[1].message, /Include\.html:5 <fw-include> has an invalid with attribute: "\{ name: \}"/);
+    });
+
     it("passes for valid fw-if syntax", () => {
         const componentDir = join(tmpDir, "ValidComponent");
         mkdirSync(componentDir);
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { themeProperties } from '../src/theme.js';
+
+describe('themeProperties()', () => {
+    it('names custom properties after the token paths', () => {
+        const properties = themeProperties({
+            color: { primary: '#0d6efd', text: { muted: '#6c757d' } },
+            '--radius': '4px',
+            space: 8,
+        });
+
+        assert.deepStrictEqual(Object.fromEntries(properties), {
+            '--color-primary': '#0d6efd',
+            '--color-text-muted': '#6c757d',
+            '--radius': '4px',
+            '--space': '8',
+        });
+    });
+
+    it('rejects invalid names and values', () => {
+        assert.throws(() => themeProperties({ 'a b': 'red' }), /not a valid custom property name/);
+        assert.throws(() => themeProperties({ color: true }), /must be a string, a number or an object/);
+        assert.throws(() => themeProperties(null), /must be an object/);
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { playMoves, playTransition, recordPositions, transitionTargets } from '../src/transitions.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const until = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) await wait(10);
+};
+
+describe('transitions', () => {
+    let document;
+    let window;
+
+    beforeEach(() => {
+        ({ window } = new JSDOM('<!DOCTYPE html><html><body></body></html>'));
+        document = window.document;
+    });
+
+    /**
+     * Append an element to the document body.
+     * @param {string} html - Element HTML
+     * @returns {Element} The element
+     */
+    function mount(html) {
+        document.body.insertAdjacentHTML('beforeend', html);
+        return document.body.lastElementChild;
+    }
+
+    describe('transitionTargets()', () => {
+        it('targets the element itself, or the top-level elements of a mount point', () => {
+            const panel = mount('<div fw-transition="fade"></div>');
+            const mountPoint = mount('<fw-mount data-fusewire-id="Card#a" fw-transition="fade"><h2></h2><p></p></fw-mount>');
+
+            assert.deepStrictEqual(transitionTargets(panel), [panel]);
+            assert.deepStrictEqual(transitionTargets(mountPoint), Array.from(mountPoint.children));
+        });
+    });
+
+    describe('playTransition()', () => {
+        it('swaps the -from class for the -to class after a frame and cleans up at the end', async () => {
+            const panel = mount('<div fw-transition="fade"></div>');
+            let done = false;
+
+            playTransition(panel, 'enter', () => {
+                done = true;
+            });
+            assert.deepStrictEqual(Array.from(panel.classList), ['fade-enter-from', 'fade-enter-active']);
+
+            await wait(20);
+            assert.deepStrictEqual(Array.from(panel.classList), ['fade-enter-active', 'fade-enter-to']);
+
+            await until(() => done);
+            assert.strictEqual(panel.className, '');
+        });
+
+        it('waits for the transitionend event of its longest transition', async () => {
+            const panel = mount('<div fw-transition="fade" style="transition-duration: 0.1s, 5s"></div>');
+            let done = false;
+            playTransition(panel, 'leave', () => {
+                done = true;
+            });
+            await wait(20);
+
+            panel.dispatchEvent(Object.assign(new window.Event('transitionend'), { elapsedTime: 0.1 }));
+            assert.strictEqual(done, false);
+            panel.dispatchEvent(Object.assign(new window.Event('transitionend'), { elapsedTime: 5 }));
+            assert.strictEqual(done, true);
+            assert.strictEqual(panel.className, '');
+        });
+
+        it('ends once the computed duration has passed without an end event', async () => {
+            const panel = mount('<div fw-transition="fade" style="transition-duration: 30ms"></div>');
+            const start = Date.now();
+            let done = false;
+            playTransition(panel, 'leave', () => {
+                done = true;
+            });
+
+            await wait(20);
+            assert.strictEqual(done, false);
+            await until(() => done);
+            assert.ok(Date.now() - start >= 30);
+        });
+
+        it('ends at once when the returned function is called', () => {
+            const panel = mount('<div fw-transition="fade" style="transition-duration: 5s"></div>');
+            let calls = 0;
+            const finish = playTransition(panel, 'leave', () => calls++);
+
+            finish();
+            finish();
+            assert.strictEqual(calls, 1);
+            assert.strictEqual(panel.className, '');
+        });
+    });
+
+    describe('playMoves()', () => {
+        it('plays moved targets from their recorded position with the -move class', () => {
+            const list = mount('<ul><li fw-transition="slide">a</li><li fw-transition="slide">b</li></ul>');
+            const [a, b] = list.children;
+            const tops = new Map([
+                [a, 0],
+                [b, 20],
+            ]);
+            for (const item of [a, b]) {
+                item.getBoundingClientRect = () => ({ left: 0, top: tops.get(item) });
+            }
+
+            const positions = recordPositions(list);
+            list.append(a);
+            tops.set(a, 20);
+            tops.set(b, 0);
+            playMoves(positions);
+
+            assert.ok(a.classList.contains('slide-move'));
+            assert.ok(b.classList.contains('slide-move'));
+            assert.strictEqual(a.style.transform, '');
+        });
+
+        it('keeps the inline transform and transition duration of moved targets', () => {
+            const item = mount('<p fw-transition="slide" style="transform: scale(2); transition-duration: 0.2s">a</p>');
+            let top = 0;
+            item.getBoundingClientRect = () => ({ left: 0, top });
+
+            const positions = recordPositions(document.body);
+            top = 20;
+            playMoves(positions);
+
+            assert.ok(item.classList.contains('slide-move'));
+            assert.strictEqual(item.style.transform, 'scale(2)');
+            assert.strictEqual(item.style.transitionDuration, '0.2s');
+        });
+
+        it('leaves targets that did not move alone', () => {
+            const item = mount('<p fw-transition="slide">a</p>');
+            const positions = recordPositions(document.body);
+
+            playMoves(positions);
+
+            assert.strictEqual(item.className, '');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { TranslationStore } from '../src/translation-store.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+/**
+ * Build a fetch mock that serves catalogs from a map of URL to JSON body.
+ * @param {Object<string, object>} files - Catalog bodies keyed by URL
+ * @returns {Function} Mocked fetch
+ */
+function mockFetch(files) {
+    return mock.fn((url) =>
+        Promise.resolve(
+            url in files
+                ? { ok: true, status: 200, json: () => Promise.resolve(files[url]) }
+                : { ok: false, status: 404 },
+        ),
+    );
+}
+
+describe('TranslationStore', () => {
+    describe('set() and get()', () => {
+        it('stores catalogs per locale and merges later messages', () => {
+            const store = new TranslationStore();
+            store.set('en', { hello: 'Hello', bye: 'Bye' });
+            store.set('en', { bye: 'Goodbye' });
+
+            assert.ok(store.has('en'));
+            assert.ok(!store.has('es'));
+            assert.deepStrictEqual(store.get('en'), { hello: 'Hello', bye: 'Goodbye' });
+            assert.strictEqual(store.get('es'), null);
+        });
+
+        it('clear() and clearAll() remove catalogs', () => {
+            const store = new TranslationStore();
+            store.set('en', { hello: 'Hello' });
+            store.set('es', { hello: 'Hola' });
+            store.clear('en');
+            assert.ok(!store.has('en'));
+            store.clearAll();
+            assert.ok(!store.has('es'));
+        });
+    });
+
+    describe('translate()', () => {
+        it('interpolates placeholders and leaves unknown ones untouched', () => {
+            const store = new TranslationStore();
+            store.set('en', { hello_user: 'Hello, {name}! {missing}' });
+            assert.strictEqual(
+                store.translate('en', 'hello_user', { name: 'Ada' }),
+                'Hello, Ada! {missing}',
+            );
+        });
+
+        it('selects plural forms from params.count', () => {
+            const store = new TranslationStore();
+            store.set('en', {
+                unread: { zero: 'No messages', one: '{count} message', other: '{count} messages' },
+            });
+            assert.strictEqual(store.translate('en', 'unread', { count: 0 }), 'No messages');
+            assert.strictEqual(store.translate('en', 'unread', { count: 1 }), '1 message');
+            assert.strictEqual(store.translate('en', 'unread', { count: 5 }), '5 messages');
+            assert.strictEqual(store.translate('en', 'unread'), '{count} messages');
+        });
+
+        it('uses the locale plural rules', () => {
+            const store = new TranslationStore();
+            store.set('pl', { files: { one: '1 plik', few: '{count} pliki', many: '{count} plików' } });
+            assert.strictEqual(store.translate('pl', 'files', { count: 3 }), '3 pliki');
+            assert.strictEqual(store.translate('pl', 'files', { count: 5 }), '5 plików');
+        });
+
+        it('falls back to the base language, then the fallback locale, then the key', () => {
+            const store = new TranslationStore();
+            store.set('es-AR', { greeting: 'Che, hola' });
+            store.set('es', { greeting: 'Hola', bye: 'Adiós' });
+            store.set('en', { bye: 'Bye', help: 'Help' });
+
+            assert.strictEqual(store.translate('es-AR', 'greeting'), 'Che, hola');
+            assert.strictEqual(store.translate('es-AR', 'bye'), 'Adiós');
+            assert.strictEqual(store.translate('es-AR', 'help', {}, 'en'), 'Help');
+            assert.strictEqual(store.translate('es-AR', 'missing_key', {}, 'en'), 'missing_key');
+        });
+    });
+
+    describe('requestCatalog()', () => {
+        it('fetches the locale catalog from the base path once', async () => {
+            const store = new TranslationStore();
+            const fetchMock = mockFetch({ './translations/es.json': { hello: 'Hola' } });
+            globalThis.fetch = fetchMock;
+
+            const [first, second] = await Promise.all([
+                store.requestCatalog('es', './translations'),
+                store.requestCatalog('es', './translations'),
+            ]);
+            await store.requestCatalog('es', './translations');
+
+            assert.deepStrictEqual(first, { hello: 'Hola' });
+            assert.strictEqual(first, second);
+            assert.strictEqual(fetchMock.mock.callCount(), 1);
+            assert.strictEqual(store.translate('es', 'hello'), 'Hola');
+        });
+
+        it('rejects when the catalog is missing and clears the in-flight entry', async () => {
+            const store = new TranslationStore();
+            globalThis.fetch = mockFetch({});
+
+            await assert.rejects(
+                store.requestCatalog('fr', './translations'),
+                /Translations not found for locale "fr" \(HTTP 404\)/,
+            );
+            assert.strictEqual(store._inFlight.size, 0);
+            assert.ok(!store.has('fr'));
+        });
+    });
+});
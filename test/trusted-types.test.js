@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import { DEFAULT_POLICY_NAME, createHtmlPolicy, parseHtml } from '../src/trusted-types.js';
+import { sanitizeHtml } from '../src/sanitizer.js';
+
+/**
+ * Stub of the browser's trustedTypes factory. Its policies wrap HTML in an
+ * object that stringifies back to the HTML, like TrustedHTML.
+ * @returns {{createPolicy: Function, created: Array<string>, converted: Array<string>}} Stub factory
+ */
+function stubTrustedTypes() {
+    const created = [];
+    const converted = [];
+    return {
+        created,
+        converted,
+        createPolicy(name, rules) {
+            created.push(name);
+            return {
+                createHTML(html) {
+                    converted.push(html);
+                    const trusted = rules.createHTML(html);
+                    return { toString: () => trusted };
+                },
+            };
+        },
+    };
+}
+
+describe('Trusted Types', () => {
+    before(() => {
+        global.document = new JSDOM('<!DOCTYPE html>').window.document;
+    });
+
+    after(() => {
+        delete global.document;
+    });
+
+    describe('createHtmlPolicy()', () => {
+        it('passes strings through without the Trusted Types API', () => {
+            const policy = createHtmlPolicy('fusewire', null);
+            assert.strictEqual(policy.createHTML('<p>Hi</p>'), '<p>Hi</p>');
+        });
+
+        it('creates each named policy once per factory', () => {
+            const trustedTypes = stubTrustedTypes();
+
+            const first = createHtmlPolicy(undefined, trustedTypes);
+            const second = createHtmlPolicy(DEFAULT_POLICY_NAME, trustedTypes);
+            const other = createHtmlPolicy('my-app', trustedTypes);
+
+            assert.strictEqual(first, second);
+            assert.notStrictEqual(first, other);
+            assert.deepStrictEqual(trustedTypes.created, ['fusewire', 'my-app']);
+            assert.strictEqual(String(first.createHTML('<b>x</b>')), '<b>x</b>');
+        });
+    });
+
+    describe('parseHtml()', () => {
+        it('parses through the policy into an inert fragment', () => {
+            const trustedTypes = stubTrustedTypes();
+            const policy = createHtmlPolicy('parse-test', trustedTypes);
+
+            const fragment = parseHtml('<tr><td>1</td></tr><img src="x" onerror="boom()">', policy);
+
+            assert.deepStrictEqual(trustedTypes.converted, ['<tr><td>1</td></tr><img src="x" onerror="boom()">']);
+            assert.strictEqual(fragment.querySelector('td').textContent, '1');
+            assert.ok(fragment.querySelector('img'));
+        });
+    });
+
+    describe('sanitizeHtml()', () => {
+        it('parses untrusted HTML through the given policy', () => {
+            const trustedTypes = stubTrustedTypes();
+            const policy = createHtmlPolicy('sanitize-test', trustedTypes);
+
+            assert.strictEqual(sanitizeHtml('<p onclick="x()">Hi<script>1</script></p>', policy), '<p>Hi</p>');
+            assert.deepStrictEqual(trustedTypes.converted, ['<p onclick="x()">Hi<script>1</script></p>']);
+        });
+    });
+});
@@ -7,6 +7,8 @@ import {
 	createMountPoint,
 	isMountPoint,
 	getComponentIdFromElement,
+	moveContent,
+	renderRoot,
 	toCssName,
 } from '../../src/utils/dom-helpers.js';
 
@@ -282,4 +284,32 @@ describe('DOM Helpers', () => {
 			);
 		});
 	});
+
+	describe('moveContent', () => {
+		it('moves light DOM content into the new mount point', () => {
+			const from = document.createElement('div');
+			from.innerHTML = '<p>one</p><p>two</p>';
+			const to = createMountPoint('Card#main');
+			to.innerHTML = '<span>stale</span>';
+
+			moveContent(from, to);
+
+			assert.strictEqual(to.innerHTML, '<p>one</p><p>two</p>');
+			assert.strictEqual(from.childNodes.length, 0);
+			assert.strictEqual(renderRoot(to), to);
+		});
+
+		it('moves shadow root content into a shadow root on the new mount point', () => {
+			const from = document.createElement('div');
+			from.attachShadow({ mode: 'open' }).innerHTML = '<p>shadow</p>';
+			const to = createMountPoint('Card#main');
+
+			moveContent(from, to);
+
+			assert.strictEqual(to.innerHTML, '');
+			assert.strictEqual(renderRoot(to), to.shadowRoot);
+			assert.strictEqual(to.shadowRoot.innerHTML, '<p>shadow</p>');
+			assert.strictEqual(from.shadowRoot.childNodes.length, 0);
+		});
+	});
 });